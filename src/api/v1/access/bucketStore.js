@@ -0,0 +1,57 @@
+/**
+ * In-Memory Token Bucket Store
+ *
+ * A store only has to implement `take(key, { capacity, refillPerSecond, cost, now })`, so a shared
+ * store (e.g. Redis) can replace this one when several instances sit behind a load balancer.
+ */
+
+// Buckets that have refilled completely carry no state and are dropped first when the map is full
+function createMemoryBucketStore({ maxEntries = 10000 } = {}) {
+  const buckets = new Map();
+
+  const prune = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (buckets.size <= maxEntries) return;
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond >= bucket.capacity) {
+        buckets.delete(key);
+      }
+    }
+    // Still full: drop the least recently used
+    while (buckets.size > maxEntries) {
+      buckets.delete(buckets.keys().next().value);
+    }
+  };
+
+  return {
+    name: "memory",
+
+    async take(key, { capacity, refillPerSecond, cost = 1, now = Date.now() }) {
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+      const allowed = tokens >= cost;
+      const remaining = allowed ? tokens - cost : tokens;
+
+      // Re-insert so the map stays in least-recently-used order
+      buckets.delete(key);
+      buckets.set(key, { tokens: remaining, updatedAt: now, capacity, refillPerSecond });
+      if (buckets.size > maxEntries) prune(now);
+
+      return {
+        allowed,
+        remaining: Math.floor(remaining),
+        retryAfterMs: allowed ? 0 : Math.ceil(((cost - remaining) / refillPerSecond) * 1000),
+        resetAt: now + Math.ceil(((capacity - remaining) / refillPerSecond) * 1000)
+      };
+    },
+
+    async clear() {
+      buckets.clear();
+    },
+
+    size() {
+      return buckets.size;
+    }
+  };
+}
+
+export { createMemoryBucketStore };
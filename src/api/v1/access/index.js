@@ -0,0 +1,174 @@
+/**
+ * Access Control - API Keys & Scopes, Token-Bucket Rate Limits & The CORS Allow-List
+ *
+ * Keys come from API_KEYS_FILE (see keys.js) and are sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+ * While no key is configured every client has every scope; once keys exist, clients without one only
+ * get ANONYMOUS_SCOPES. Alert subscriptions carry webhook URLs and locations, so listing them needs a key.
+ *
+ * ANONYMOUS_SCOPES=weather:read,download,search:read
+ * RATE_LIMIT_IP_PER_MINUTE=60      (tokens added per minute for each client IP; 0 disables)
+ * RATE_LIMIT_IP_BURST=30           (bucket size, i.e. requests allowed at once)
+ * RATE_LIMIT_KEY_PER_MINUTE=600    (same per API key; a key's own "rate_limit" wins)
+ * RATE_LIMIT_KEY_BURST=120
+ * TRUST_PROXY=                     (express "trust proxy": true, a hop count or addresses, so limits see the client IP)
+ * CORS_ORIGINS=http://localhost:*,http://127.0.0.1:*   ("*" stands for a port or subdomain; "*" alone allows any origin)
+ */
+import cors from "cors";
+import { sendError } from "../errors/index.js";
+import { SCOPES, findApiKey, hasApiKeys } from "./keys.js";
+import { createMemoryBucketStore } from "./bucketStore.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const ANONYMOUS_SCOPES = (process.env.ANONYMOUS_SCOPES ?? "weather:read,download,search:read")
+  .split(",").map(scope => scope.trim()).filter(Boolean);
+
+const readLimit = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+const RATE_LIMITS = {
+  ip: { perMinute: readLimit("RATE_LIMIT_IP_PER_MINUTE", 60), burst: readLimit("RATE_LIMIT_IP_BURST", 30) },
+  key: { perMinute: readLimit("RATE_LIMIT_KEY_PER_MINUTE", 600), burst: readLimit("RATE_LIMIT_KEY_BURST", 120) }
+};
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS ?? "http://localhost:*,http://127.0.0.1:*")
+  .split(",").map(origin => origin.trim()).filter(Boolean);
+
+// Headers browsers may read from our answers
+const EXPOSED_HEADERS = ["X-Request-Id", "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "Retry-After", "ETag"];
+
+let bucketStore = createMemoryBucketStore();
+
+// API KEYS & SCOPES //
+function presentedKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  return scheme && scheme.toLowerCase() === "bearer" && token ? token.trim() : null;
+}
+
+// Resolves the caller's key onto res.locals.apiKey (null when anonymous); unknown keys are refused
+function authenticate(req, res, next) {
+  const key = presentedKey(req);
+  if (!key) {
+    res.locals.apiKey = null;
+    next();
+    return;
+  }
+
+  const apiKey = findApiKey(key);
+  if (!apiKey) {
+    sendError(res, "INVALID_API_KEY", { details: [{ field: "X-API-Key", location: "header", issue: "is not a known API key" }] });
+    return;
+  }
+  res.locals.apiKey = apiKey;
+  next();
+}
+
+function grantedScopes(res) {
+  if (res.locals.apiKey) return res.locals.apiKey.scopes;
+  return hasApiKeys() ? ANONYMOUS_SCOPES : ["*"];
+}
+
+function hasScope(res, scope) {
+  const scopes = grantedScopes(res);
+  return scopes.includes("*") || scopes.includes(scope);
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(res, scope)) {
+      next();
+      return;
+    }
+    const details = [{ field: "X-API-Key", location: "header", issue: `needs the ${scope} scope (${SCOPES[scope]})` }];
+    sendError(res, res.locals.apiKey ? "INSUFFICIENT_SCOPE" : "API_KEY_REQUIRED", { details });
+  };
+}
+
+// RATE LIMITING //
+function limitsFor(apiKey) {
+  if (!apiKey) return RATE_LIMITS.ip;
+  const own = apiKey.rateLimit || {};
+  return {
+    perMinute: own.per_minute ?? RATE_LIMITS.key.perMinute,
+    burst: own.burst ?? RATE_LIMITS.key.burst
+  };
+}
+
+// One token per request from the caller's bucket (API key, else client IP); a failing store lets requests through
+async function rateLimit(req, res, next) {
+  const apiKey = res.locals.apiKey;
+  const { perMinute, burst } = limitsFor(apiKey);
+  if (perMinute <= 0 || burst <= 0) {
+    next();
+    return;
+  }
+
+  let result;
+  try {
+    result = await bucketStore.take(apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`, { capacity: burst, refillPerSecond: perMinute / 60 });
+  } catch (error) {
+    logger.warn(`Rate limit store ${bucketStore.name} failed, request allowed: ${error.message}`);
+    next();
+    return;
+  }
+
+  res.setHeader("X-RateLimit-Limit", String(burst));
+  res.setHeader("X-RateLimit-Remaining", String(result.remaining));
+  res.setHeader("X-RateLimit-Reset", String(Math.ceil(result.resetAt / 1000)));
+
+  if (!result.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.setHeader("Retry-After", String(retryAfter));
+    sendError(res, "RATE_LIMITED", { reason: `${apiKey ? `API key ${apiKey.id}` : "Client IP"} is limited to ${perMinute} requests per minute (bursts of ${burst}); retry in ${retryAfter} s` });
+    return;
+  }
+  next();
+}
+
+// Swap the bucket store, e.g. for one shared between instances; it must implement take() like bucketStore.js
+function setRateLimitStore(store) {
+  bucketStore = store;
+}
+
+// CORS //
+function originPattern(entry) {
+  const escaped = entry.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[a-z0-9.-]+");
+  return new RegExp(`^${escaped}$`);
+}
+const corsPatterns = CORS_ORIGINS.filter(origin => origin !== "*").map(originPattern);
+
+// Requests without an Origin header (curl, server-to-server, same origin) are not CORS requests
+function isAllowedOrigin(origin) {
+  if (!origin || CORS_ORIGINS.includes("*")) return true;
+  return corsPatterns.some(pattern => pattern.test(origin.toLowerCase()));
+}
+
+// Disallowed origins get no Access-Control-* headers, so browsers refuse to hand them the answer
+function createCors() {
+  return cors({
+    origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+    exposedHeaders: EXPOSED_HEADERS
+  });
+}
+
+// `TRUST_PROXY` -> value for app.set("trust proxy")
+function resolveTrustProxy(value = process.env.TRUST_PROXY) {
+  if (!value) return false;
+  if (["true", "false"].includes(value.toLowerCase())) return value.toLowerCase() === "true";
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+export {
+  SCOPES,
+  authenticate,
+  hasScope,
+  requireScope,
+  rateLimit,
+  setRateLimitStore,
+  isAllowedOrigin,
+  createCors,
+  resolveTrustProxy
+};
@@ -0,0 +1,84 @@
+/**
+ * API Keys - Loaded From A JSON Config File, Matched By SHA-256 Hash
+ *
+ * API_KEYS_FILE=./data/api-keys.json
+ *
+ * {
+ *   "keys": [
+ *     { "id": "frontend", "key": "plain-text key", "scopes": ["weather:read", "download", "search:read"] },
+ *     { "id": "ops", "key_sha256": "<hex digest of the key>", "scopes": ["*"], "rate_limit": { "per_minute": 1200, "burst": 300 } }
+ *   ]
+ * }
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const API_KEYS_FILE = process.env.API_KEYS_FILE || "./data/api-keys.json";
+
+const SCOPES = {
+  "weather:read": "GET /weather, /weather/hourly, /weather/agro, /energy/*, /imagery/*, POST /weather/batch",
+  "download": "GET /weather/download",
+  "search:read": "GET /utils/search",
+  "alerts:read": "GET /alerts, /alerts/{id}",
+  "alerts:write": "POST /alerts, DELETE /alerts/{id}",
+  "alerts:admin": "GET /alerts, /alerts/{id} and DELETE /alerts/{id} reach every key's subscriptions, not only the caller's"
+};
+
+const hashKey = key => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+// Config entries -> { id, hash, scopes, rateLimit }; invalid entries are skipped with a warning
+function loadApiKeys(file = API_KEYS_FILE) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) return [];
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  } catch (error) {
+    logger.error(`API keys file ${file} is not valid JSON: ${error.message}`);
+    return [];
+  }
+
+  const entries = Array.isArray(config) ? config : config.keys || [];
+  return entries.flatMap((entry, index) => {
+    const hash = entry.key_sha256 ? String(entry.key_sha256).toLowerCase() : entry.key ? hashKey(entry.key) : null;
+    const scopes = Array.isArray(entry.scopes) ? entry.scopes : [];
+    const unknown = scopes.filter(scope => scope !== "*" && !SCOPES[scope]);
+
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+      logger.warn(`API key #${index} (${entry.id || "no id"}) skipped: needs "key" or a hex "key_sha256"`);
+      return [];
+    }
+    if (unknown.length > 0) {
+      logger.warn(`API key ${entry.id || `#${index}`}: unknown scopes ignored: ${unknown.join(", ")}`);
+    }
+
+    return [{
+      id: String(entry.id || `key-${index}`),
+      hash,
+      scopes: scopes.filter(scope => !unknown.includes(scope)),
+      rateLimit: entry.rate_limit || null
+    }];
+  });
+}
+
+const apiKeys = loadApiKeys();
+if (apiKeys.length > 0) {
+  logger.success(`Loaded ${apiKeys.length} API key(s) from ${API_KEYS_FILE}`);
+}
+
+// Presented key -> its config entry, null when unknown; compared in constant time
+function findApiKey(presented) {
+  if (!presented) return null;
+  const digest = Buffer.from(hashKey(presented), "hex");
+  return apiKeys.find(entry => crypto.timingSafeEqual(Buffer.from(entry.hash, "hex"), digest)) || null;
+}
+
+function hasApiKeys() {
+  return apiKeys.length > 0;
+}
+
+export { SCOPES, hashKey, loadApiKeys, findApiKey, hasApiKeys };
@@ -0,0 +1,95 @@
+/**
+ * Alert Subscriptions Endpoint - Register, List & Remove Threshold Alerts Delivered By Webhook
+ *
+ * Each subscription belongs to the API key that created it (null for anonymous callers). Callers only
+ * see and remove their own; other subscriptions answer ALERT_NOT_FOUND unless the caller has the
+ * alerts:admin scope (or "*").
+ */
+// REQUIRED DEPENDENCY //
+import express from "express";
+import crypto from "crypto";
+
+// OPTIONAL DEPENDENCY //
+
+// ALERTS //
+import { listSubscriptions, getSubscription, addSubscription, removeSubscription, getDeliveries } from "./store.js";
+import { sendError } from "../errors/index.js";
+import { hasScope, requireScope } from "../access/index.js";
+import { validate, parseJsonBody } from "../validation/index.js";
+import { ALERT_BODY } from "../validation/schemas.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const rt = express.Router();
+
+// Validated request body -> new subscription owned by `owner` (an API key id or null)
+function buildSubscription(body, owner) {
+  return {
+    id: crypto.randomUUID(),
+    owner,
+    label: body.label ?? null,
+    lat: body.lat,
+    lon: body.lon,
+    variable: body.variable,
+    operator: body.operator,
+    threshold: body.threshold,
+    horizon: body.horizon,
+    strict: body.strict,
+    webhook_url: body.webhook_url,
+    secret: body.secret || crypto.randomBytes(32).toString("hex"),
+    created_at: new Date().toISOString(),
+    last_checked_at: null,
+    last_value: null,
+    last_state: null,
+    last_error: null
+  };
+}
+
+const ownerOf = res => res.locals.apiKey?.id ?? null;
+
+function isVisibleTo(res, subscription) {
+  return hasScope(res, "alerts:admin") || (subscription.owner ?? null) === ownerOf(res);
+}
+
+// The signing secret is only shown once, in the POST answer
+function toPublic(subscription) {
+  const { secret, ...visible } = subscription;
+  return visible;
+}
+
+// CREATE SUBSCRIPTION //
+rt.post("/", requireScope("alerts:write"), parseJsonBody("16kb"), validate({ body: ALERT_BODY }), (req, res) => {
+  const subscription = buildSubscription(req.validated.body, ownerOf(res));
+  addSubscription(subscription);
+  res.status(201).json({ subscription });
+  logger.success(`Alert ${subscription.id} registered: ${subscription.variable} ${subscription.operator} ${subscription.threshold} at ${subscription.lat}, ${subscription.lon}`);
+});
+
+// LIST SUBSCRIPTIONS //
+rt.get("/", requireScope("alerts:read"), (req, res) => {
+  const subscriptions = listSubscriptions().filter(subscription => isVisibleTo(res, subscription)).map(toPublic);
+  res.status(200).json({ subscriptions, count: subscriptions.length });
+});
+
+// ONE SUBSCRIPTION WITH ITS DELIVERY LOG //
+rt.get("/:id", requireScope("alerts:read"), (req, res) => {
+  const subscription = getSubscription(req.params.id);
+  if (!subscription || !isVisibleTo(res, subscription)) {
+    sendError(res, "ALERT_NOT_FOUND");
+    return;
+  }
+  res.status(200).json({ subscription: toPublic(subscription), deliveries: getDeliveries(subscription.id) });
+});
+
+// DELETE SUBSCRIPTION //
+rt.delete("/:id", requireScope("alerts:write"), (req, res) => {
+  const subscription = getSubscription(req.params.id);
+  if (!subscription || !isVisibleTo(res, subscription) || !removeSubscription(subscription.id)) {
+    sendError(res, "ALERT_NOT_FOUND");
+    return;
+  }
+  res.sendStatus(204);
+  logger.success(`Alert ${req.params.id} removed`);
+});
+
+export default rt;
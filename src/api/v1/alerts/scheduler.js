@@ -0,0 +1,172 @@
+/**
+ * Alert Scheduler - Evaluates Subscriptions Against The Weather Pipeline & Fires Webhooks
+ *
+ * A subscription fires once when its condition starts to hold ("alert.triggered") and once when
+ * it stops holding ("alert.resolved"), not on every check in between.
+ *
+ * ALERTS_INTERVAL_MS=900000   (time between checks, 15 minutes; 0 disables the scheduler)
+ */
+import crypto from "crypto";
+import { fetchWeather } from "../weather/providers/index.js";
+import { createCellSharedFetch } from "../weather/batch.js";
+import { classifyClimate } from "../weather/koppen.js";
+import { stripUnobserved } from "../weather/provenance.js";
+import { applyElevation } from "../weather/elevation.js";
+import { listSubscriptions, updateSubscription, appendDelivery } from "./store.js";
+import { deliverWebhook } from "./webhook.js";
+import { logger, withLogContext } from "../logging/index.js";
+import { currentDate } from "../weather/clock.js";
+
+// VARIABLES //
+const ALERTS_INTERVAL_MS = parseInt(process.env.ALERTS_INTERVAL_MS ?? "900000", 10);
+
+// Alert variable -> field on `current` and on forecast days
+const ALERT_VARIABLES = {
+  temperature: { current: "temperature", forecast: "temperature" },
+  temperature_max: { current: "temperature_max", forecast: "max_temp" },
+  temperature_min: { current: "temperature_min", forecast: "min_temp" },
+  feels_like: { current: "feels_like", forecast: "feels_like" },
+  precipitation: { current: "precipitation", forecast: "precipitation" },
+  wind_speed: { current: "wind_speed", forecast: "wind_speed" },
+  humidity: { current: "humidity", forecast: "humidity" },
+  pressure: { current: "pressure", forecast: "pressure" }
+};
+
+const OPERATORS = {
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold,
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold
+};
+
+let timer = null;
+let running = null;
+
+// Value the subscription watches: horizon 0 is `current`, horizon N the forecast day N days ahead (UTC).
+// The day is looked up by date, as strict mode drops days without observations from the forecast.
+// `days` may ask for a longer forecast than the horizon needs so fetches can be shared
+async function evaluateSubscription(subscription, loadWeather = fetchWeather, days = subscription.horizon + 1) {
+  const targetDate = new Date(currentDate().getTime() + subscription.horizon * 86400000).toISOString().split("T")[0];
+  const climate = await classifyClimate(subscription.lat, subscription.lon);
+  const fetched = await loadWeather(
+    { lat: subscription.lat, lon: subscription.lon, climateClass: climate ? climate.code : null, days },
+    { strict: subscription.strict }
+  );
+  if (!fetched.weatherData) throw new Error("No weather source answered");
+  const { provider } = fetched;
+  const located = applyElevation(fetched.weatherData, { lat: subscription.lat, lon: subscription.lon, provider });
+  const weatherData = subscription.strict ? stripUnobserved(located) : located;
+
+  const fields = ALERT_VARIABLES[subscription.variable];
+  const record = subscription.horizon === 0 ? weatherData.current : weatherData.forecast?.find(day => day?.date === targetDate);
+  const value = record ? record[subscription.horizon === 0 ? fields.current : fields.forecast] : undefined;
+  if (typeof value !== "number" || !isFinite(value)) {
+    throw new Error(`No ${subscription.variable} value for horizon ${subscription.horizon}`);
+  }
+
+  return {
+    value,
+    date: record.date || targetDate,
+    provenance: record.provenance?.[fields.current] || record.provenance?.[fields.forecast] || null,
+    data_source: provider.label,
+    triggered: OPERATORS[subscription.operator](value, subscription.threshold)
+  };
+}
+
+function buildPayload(subscription, event, result) {
+  return {
+    event,
+    delivery_id: crypto.randomUUID(),
+    subscription_id: subscription.id,
+    label: subscription.label,
+    location: { lat: subscription.lat, lon: subscription.lon },
+    condition: {
+      variable: subscription.variable,
+      operator: subscription.operator,
+      threshold: subscription.threshold,
+      horizon: subscription.horizon
+    },
+    observed: {
+      value: result.value,
+      date: result.date,
+      provenance: result.provenance,
+      data_source: result.data_source
+    },
+    sent_at: currentDate().toISOString()
+  };
+}
+
+async function checkSubscription(subscription, loadWeather, days) {
+  const checkedAt = currentDate().toISOString();
+  let result;
+  try {
+    result = await evaluateSubscription(subscription, loadWeather, days);
+  } catch (error) {
+    updateSubscription(subscription.id, { last_checked_at: checkedAt, last_error: error.message });
+    logger.warn(`Alert ${subscription.id} check failed: ${error.message}`);
+    return;
+  }
+
+  const state = result.triggered ? "triggered" : "clear";
+  const previous = subscription.last_state;
+  updateSubscription(subscription.id, { last_checked_at: checkedAt, last_value: result.value, last_state: state, last_error: null });
+
+  // First check only reports a condition that already holds; later checks report every change
+  const event = state === "triggered" && previous !== "triggered" ? "alert.triggered"
+    : state === "clear" && previous === "triggered" ? "alert.resolved"
+    : null;
+  if (!event) return;
+
+  logger.info(`Alert ${subscription.id}: ${subscription.variable} ${subscription.operator} ${subscription.threshold} -> ${event} (${result.value})`);
+  const delivery = await deliverWebhook(subscription, buildPayload(subscription, event, result));
+  appendDelivery(subscription.id, delivery);
+  if (delivery.status === "delivered") {
+    logger.success(`Alert ${subscription.id} delivered after ${delivery.attempts.length} attempt(s)`);
+  } else {
+    logger.error(`Alert ${subscription.id} delivery failed after ${delivery.attempts.length} attempt(s)`);
+  }
+}
+
+// One pass over every subscription; subscriptions in the same POWER grid cell and strict mode
+// share one POWER fetch, long enough for the furthest horizon
+async function runAlertChecks(loadWeather = fetchWeather) {
+  if (running) return running;
+
+  running = (async () => {
+    const subscriptions = [...listSubscriptions()];
+    const days = Math.max(1, ...subscriptions.map(subscription => subscription.horizon + 1));
+    const shared = { strict: createCellSharedFetch(loadWeather), lenient: createCellSharedFetch(loadWeather) };
+    for (const subscription of subscriptions) {
+      // Upstream calls made for the check are logged with the subscription's alert_id
+      await withLogContext({ alert_id: subscription.id }, () => checkSubscription(subscription, shared[subscription.strict ? "strict" : "lenient"].load, days));
+    }
+    return subscriptions.length;
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+function startAlertScheduler() {
+  if (timer || ALERTS_INTERVAL_MS <= 0) return;
+  timer = setInterval(() => {
+    runAlertChecks().catch(error => logger.error(`Alert checks failed: ${error.message}`));
+  }, ALERTS_INTERVAL_MS);
+  timer.unref();
+  logger.success(`Alert scheduler running every ${Math.round(ALERTS_INTERVAL_MS / 1000)} s`);
+}
+
+function stopAlertScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export {
+  ALERT_VARIABLES,
+  OPERATORS,
+  evaluateSubscription,
+  runAlertChecks,
+  startAlertScheduler,
+  stopAlertScheduler
+};
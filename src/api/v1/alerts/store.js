@@ -0,0 +1,96 @@
+/**
+ * Alert Subscription Store - Subscriptions & Delivery Logs Persisted To One JSON File
+ *
+ * ALERTS_FILE=./data/alerts/subscriptions.json
+ * ALERTS_LOG_SIZE=50   (deliveries kept per subscription, oldest dropped first)
+ */
+import fs from "fs";
+import path from "path";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const ALERTS_FILE = path.resolve(process.env.ALERTS_FILE || "./data/alerts/subscriptions.json");
+const ALERTS_LOG_SIZE = parseInt(process.env.ALERTS_LOG_SIZE, 10) || 50;
+
+let state = null;
+
+function load() {
+  if (state) return state;
+  try {
+    state = fs.existsSync(ALERTS_FILE)
+      ? JSON.parse(fs.readFileSync(ALERTS_FILE, "utf-8"))
+      : { subscriptions: [], deliveries: {} };
+  } catch (error) {
+    logger.error(`Alert store unreadable, starting empty: ${error.message}`);
+    state = { subscriptions: [], deliveries: {} };
+  }
+  return state;
+}
+
+// Write to a temporary file first so a crash never leaves a half-written store behind
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(ALERTS_FILE), { recursive: true });
+    fs.writeFileSync(`${ALERTS_FILE}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${ALERTS_FILE}.tmp`, ALERTS_FILE);
+  } catch (error) {
+    logger.error(`Alert store write failed: ${error.message}`);
+  }
+}
+
+function listSubscriptions() {
+  return load().subscriptions;
+}
+
+function getSubscription(id) {
+  return load().subscriptions.find(subscription => subscription.id === id) || null;
+}
+
+function addSubscription(subscription) {
+  load().subscriptions.push(subscription);
+  state.deliveries[subscription.id] = [];
+  save();
+  return subscription;
+}
+
+function updateSubscription(id, changes) {
+  const subscription = getSubscription(id);
+  if (!subscription) return null;
+  Object.assign(subscription, changes);
+  save();
+  return subscription;
+}
+
+function removeSubscription(id) {
+  const { subscriptions, deliveries } = load();
+  const index = subscriptions.findIndex(subscription => subscription.id === id);
+  if (index === -1) return false;
+  subscriptions.splice(index, 1);
+  delete deliveries[id];
+  save();
+  return true;
+}
+
+// Newest first
+function getDeliveries(id) {
+  return [...(load().deliveries[id] || [])].reverse();
+}
+
+function appendDelivery(id, delivery) {
+  const { deliveries } = load();
+  if (!getSubscription(id)) return;
+  const log = deliveries[id] || (deliveries[id] = []);
+  log.push(delivery);
+  if (log.length > ALERTS_LOG_SIZE) log.splice(0, log.length - ALERTS_LOG_SIZE);
+  save();
+}
+
+export {
+  listSubscriptions,
+  getSubscription,
+  addSubscription,
+  updateSubscription,
+  removeSubscription,
+  getDeliveries,
+  appendDelivery
+};
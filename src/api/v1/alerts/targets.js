@@ -0,0 +1,62 @@
+/**
+ * Webhook Targets - Keeping Alert Deliveries Off Private, Loopback & Link-Local Networks
+ *
+ * Subscriptions are refused when their URL names such an address or an internal host name, and every
+ * delivery resolves the host again and refuses it when any address it resolves to is one. Redirects
+ * are never followed (see webhook.js), so a public target cannot bounce a delivery inward.
+ *
+ * ALERTS_WEBHOOK_ALLOW_HOSTS=      (comma-separated host or host:port exempt from the check, e.g. a receiver on the same network)
+ */
+import dns from "dns";
+import net from "net";
+
+// VARIABLES //
+const ALLOWED_HOSTS = new Set((process.env.ALERTS_WEBHOOK_ALLOW_HOSTS || "")
+  .split(",").map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Unspecified, private, shared, loopback, link-local (cloud metadata), benchmarking, multicast and reserved ranges;
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+const INTERNAL_SUFFIXES = [".localhost", ".local", ".localdomain", ".internal", ".intranet", ".lan", ".home.arpa"];
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// URL hostnames keep IPv6 literals in brackets
+const bareHostname = url => url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+
+const isAllowedHost = url => ALLOWED_HOSTS.has(url.host.toLowerCase()) || ALLOWED_HOSTS.has(bareHostname(url));
+
+// Why `url` may not receive webhooks judging by the URL alone, or null when it may
+function refuseWebhookUrl(url) {
+  if (!["http:", "https:"].includes(url.protocol)) return "must be an http(s) URL";
+  if (isAllowedHost(url)) return null;
+
+  const hostname = bareHostname(url).replace(/\.$/, "");
+  if (net.isIP(hostname)) return isBlockedAddress(hostname) ? "must not point at a private, loopback or link-local address" : null;
+  if (hostname === "localhost" || !hostname.includes(".") || INTERNAL_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+    return "must not point at an internal host name";
+  }
+  return null;
+}
+
+// Why the host of `url` may not receive this delivery after resolving it, or null when it may
+async function refuseResolvedTarget(url) {
+  const refused = refuseWebhookUrl(url);
+  if (refused || isAllowedHost(url)) return refused;
+
+  const addresses = await dns.promises.lookup(bareHostname(url), { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked ? `resolves to ${blocked.address}, a private, loopback or link-local address` : null;
+}
+
+export { isBlockedAddress, refuseWebhookUrl, refuseResolvedTarget };
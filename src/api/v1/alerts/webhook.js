@@ -0,0 +1,89 @@
+/**
+ * Alert Webhooks - Signed JSON POSTs With Retry & Exponential Backoff
+ *
+ * Every request carries
+ *   X-Alert-Id          delivery id, the same across retries of one delivery
+ *   X-Alert-Timestamp   unix seconds when the attempt was signed
+ *   X-Alert-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription secret>
+ *
+ * The target is checked again before every attempt (see targets.js) and redirects are not followed: a 3xx
+ * answer fails the delivery like any other non-retryable status.
+ *
+ * ALERTS_MAX_ATTEMPTS=5          (attempts per delivery)
+ * ALERTS_RETRY_BASE_MS=2000      (wait before the 2nd attempt, doubled for each one after)
+ * ALERTS_WEBHOOK_TIMEOUT_MS=10000
+ */
+import crypto from "crypto";
+import { logger } from "../logging/index.js";
+import { refuseResolvedTarget } from "./targets.js";
+
+// VARIABLES //
+const MAX_ATTEMPTS = parseInt(process.env.ALERTS_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.ALERTS_RETRY_BASE_MS, 10) || 2000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERTS_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try; refused targets and other answers are final
+function isRetryable({ status, refused }) {
+  return !refused && (status === null || status === 429 || status >= 500);
+}
+
+async function attemptDelivery(url, secret, deliveryId, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  try {
+    const refused = await refuseResolvedTarget(new URL(url));
+    if (refused) return { status: null, ok: false, refused: true, duration_ms: Date.now() - startedAt, error: `Webhook target ${refused}` };
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "smart-unity-backend-alerts/1.0",
+        "X-Alert-Id": deliveryId,
+        "X-Alert-Timestamp": String(timestamp),
+        "X-Alert-Signature": signPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    const result = { status: response.status, ok: response.ok, duration_ms: Date.now() - startedAt };
+    return response.status >= 300 && response.status < 400 ? { ...result, error: "Redirects are not followed" } : result;
+  } catch (error) {
+    return { status: null, ok: false, duration_ms: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// POST `payload` to the subscription's webhook until it succeeds, fails for good or runs out of
+// attempts; resolves with the delivery log entry
+async function deliverWebhook(subscription, payload) {
+  const body = JSON.stringify(payload);
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await attemptDelivery(subscription.webhook_url, subscription.secret, payload.delivery_id, body);
+    const { refused, ...logged } = result;
+    attempts.push({ attempt, at: new Date().toISOString(), ...logged });
+    if (result.ok) break;
+
+    const reason = result.error || `HTTP ${result.status}`;
+    logger.warn(`Alert ${subscription.id} webhook attempt ${attempt}/${MAX_ATTEMPTS} failed: ${reason}`);
+    if (!isRetryable(result) || attempt === MAX_ATTEMPTS) break;
+    await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (attempt - 1)));
+  }
+
+  const last = attempts[attempts.length - 1];
+  return {
+    delivery_id: payload.delivery_id,
+    event: payload.event,
+    status: last.ok ? "delivered" : "failed",
+    value: payload.observed.value,
+    attempts
+  };
+}
+
+export { signPayload, deliverWebhook };
@@ -0,0 +1,59 @@
+/**
+ * File-Based Cache Store - One JSON File Per Key, Survives Restarts
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createPruner } from "./prune.js";
+import { logger } from "../logging/index.js";
+
+function createFileStore({ dir = "./data/cache", maxEntries = 5000 } = {}) {
+  const cacheDir = path.resolve(dir);
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  const fileFor = (key) => path.join(cacheDir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  // Drops the least recently written files once the directory grows past maxEntries
+  const pruner = createPruner(cacheDir, { maxEntries });
+
+  return {
+    name: "file",
+
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), "utf-8"));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Written to a temporary file first so a concurrent reader never sees half an entry
+    async set(key, entry) {
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(temporary, JSON.stringify(entry));
+        await fs.promises.rename(temporary, file);
+        await pruner.written();
+      } catch (error) {
+        await fs.promises.unlink(temporary).catch(() => {});
+        logger.warn(`File cache write failed: ${error.message}`);
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(fileFor(key)).catch(() => {});
+    },
+
+    async clear() {
+      const files = await fs.promises.readdir(cacheDir);
+      await Promise.all(files.map(name => fs.promises.unlink(path.join(cacheDir, name)).catch(() => {})));
+    },
+
+    size() {
+      return fs.readdirSync(cacheDir).filter(name => name.endsWith(".json")).length;
+    }
+  };
+}
+
+export { createFileStore };
@@ -0,0 +1,150 @@
+/**
+ * Upstream Response Cache - Per-Source TTLs, Stale-While-Revalidate & HTTP Cache Headers
+ *
+ * CACHE_BACKEND=memory|file   (default memory, LRU bounded by CACHE_MAX_ENTRIES)
+ * CACHE_DIR=./data/cache      (file backend only)
+ * CACHE_TTL_<SOURCE>=seconds  (e.g. CACHE_TTL_POWER=3600)
+ */
+import crypto from "crypto";
+import { createMemoryStore } from "./memoryStore.js";
+import { createFileStore } from "./fileStore.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+// Seconds an entry is fresh, then how long it may still be served while a refresh runs
+const DEFAULT_POLICIES = {
+  power: { ttl: 3600, stale: 6 * 3600 },
+  power_hourly: { ttl: 3600, stale: 6 * 3600 },
+  power_range: { ttl: 86400, stale: 7 * 86400 },
+  power_climatology: { ttl: 30 * 86400, stale: 365 * 86400 },
+  gmao: { ttl: 1800, stale: 3600 },
+  worldview: { ttl: 3600, stale: 6 * 3600 },
+  nominatim_reverse: { ttl: 7 * 86400, stale: 30 * 86400 },
+  nominatim_search: { ttl: 86400, stale: 7 * 86400 }
+};
+const FALLBACK_POLICY = { ttl: 600, stale: 600 };
+
+// Cache-Control max-age / stale-while-revalidate we advertise on our own responses
+const HTTP_POLICIES = {
+  weather: { maxAge: 300, staleWhileRevalidate: 600 },
+  download: { maxAge: 300, staleWhileRevalidate: 600 },
+  search: { maxAge: 86400, staleWhileRevalidate: 7 * 86400 },
+  imagery: { maxAge: 3600, staleWhileRevalidate: 86400 },
+  imagery_archive: { maxAge: 7 * 86400, staleWhileRevalidate: 30 * 86400 }
+};
+
+const store = (process.env.CACHE_BACKEND || "memory").toLowerCase() === "file"
+  ? createFileStore({ dir: process.env.CACHE_DIR || "./data/cache", maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000 })
+  : createMemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500 });
+
+const stats = { hits: 0, stale: 0, misses: 0 };
+const refreshing = new Map();
+
+function getPolicy(source) {
+  const policy = DEFAULT_POLICIES[source] || FALLBACK_POLICY;
+  const ttlOverride = parseInt(process.env[`CACHE_TTL_${source.toUpperCase()}`], 10);
+  return isNaN(ttlOverride) ? policy : { ...policy, ttl: ttlOverride };
+}
+
+// Round coordinates so nearby requests share an entry (2 decimals ≈ 1 km)
+function roundCoordinate(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return (Math.round(value * factor) / factor).toFixed(decimals);
+}
+
+function buildCacheKey(source, ...parts) {
+  return [source, ...parts].join("|");
+}
+
+// Run the loader once per key at a time and store its result; failures are not cached
+function refresh(source, key, loader) {
+  if (refreshing.has(key)) return refreshing.get(key);
+
+  const policy = getPolicy(source);
+  const pending = Promise.resolve()
+    .then(loader)
+    .then(async (value) => {
+      const storedAt = Date.now();
+      await store.set(key, {
+        value,
+        storedAt,
+        expiresAt: storedAt + policy.ttl * 1000,
+        staleUntil: storedAt + (policy.ttl + policy.stale) * 1000
+      });
+      return value;
+    })
+    .finally(() => refreshing.delete(key));
+
+  refreshing.set(key, pending);
+  return pending;
+}
+
+// Serve fresh entries directly, stale ones while refreshing in the background, otherwise load
+async function cached(source, key, loader) {
+  const entry = await store.get(key);
+  const now = Date.now();
+
+  if (entry && now < entry.expiresAt) {
+    stats.hits++;
+    return entry.value;
+  }
+
+  if (entry && now < entry.staleUntil) {
+    stats.stale++;
+    refresh(source, key, loader).catch((error) => {
+      logger.warn(`Background refresh failed for ${source}: ${error.message}`);
+    });
+    return entry.value;
+  }
+
+  stats.misses++;
+  return refresh(source, key, loader);
+}
+
+function getCacheStats() {
+  const lookups = stats.hits + stats.stale + stats.misses;
+  return {
+    backend: store.name,
+    entries: store.size(),
+    ...stats,
+    hit_ratio: lookups ? (stats.hits + stats.stale) / lookups : 0
+  };
+}
+
+// Write, read back and delete a throwaway entry; throws when the store cannot do so (readiness probe)
+async function probeCache() {
+  const key = buildCacheKey("probe", process.pid, Date.now());
+  const entry = { value: true, storedAt: Date.now(), expiresAt: Date.now() + 1000, staleUntil: Date.now() + 1000 };
+  await store.set(key, entry);
+  const readBack = await store.get(key);
+  await store.delete(key);
+  if (!readBack || readBack.value !== true) throw new Error(`${store.name} store did not return the entry it stored`);
+}
+
+// ETag over the parts of a body that describe the data, not the request (timestamps, timings)
+function computeETag(body, volatileKeys = ["timestamp", "provider_attempts"]) {
+  const stable = { ...body };
+  volatileKeys.forEach(key => delete stable[key]);
+  return `"${crypto.createHash("sha1").update(JSON.stringify(stable)).digest("base64url")}"`;
+}
+
+// Set Cache-Control and ETag; express answers 304 itself when If-None-Match matches. Answers to a request
+// made with an API key are private, so shared caches never hand them to callers without that key
+function applyCacheHeaders(res, route, body) {
+  const policy = HTTP_POLICIES[route] || { maxAge: 0, staleWhileRevalidate: 0 };
+  const audience = res.locals.apiKey ? "private" : "public";
+  res.set("Cache-Control", `${audience}, max-age=${policy.maxAge}, stale-while-revalidate=${policy.staleWhileRevalidate}`);
+  if (body !== undefined) {
+    res.set("ETag", computeETag(typeof body === "string" ? { body } : body));
+  }
+}
+
+export {
+  roundCoordinate,
+  buildCacheKey,
+  cached,
+  getCacheStats,
+  probeCache,
+  computeETag,
+  applyCacheHeaders
+};
@@ -0,0 +1,42 @@
+/**
+ * In-Memory LRU Cache Store
+ */
+
+// Map keeps insertion order, so re-inserting on read moves an entry to the most-recent end
+function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      if (!entries.has(key)) return null;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+export { createMemoryStore };
@@ -0,0 +1,56 @@
+/**
+ * Cache Directory Pruning - Entry Count Bound For One-File-Per-Entry Caches
+ *
+ * Shared by the file response cache (fileStore.js) and the imagery disk cache. A pass lists and
+ * stats every file, far more work than the write itself, so it runs once every `everyWrites` writes
+ * and never twice at once; between passes the directory may hold up to that many extra files.
+ */
+import fs from "fs";
+import path from "path";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const PRUNE_EVERY_WRITES = 50;
+
+// Delete the least recently written files beyond maxEntries; temporary files of writes in flight are left alone
+async function pruneDirectory(dir, maxEntries) {
+  const files = (await fs.promises.readdir(dir)).filter(name => !name.endsWith(".tmp"));
+  if (files.length <= maxEntries) return 0;
+
+  const stats = await Promise.all(files.map(async (name) => {
+    const file = path.join(dir, name);
+    try {
+      return { file, mtimeMs: (await fs.promises.stat(file)).mtimeMs };
+    } catch (error) {
+      return null; // removed since the listing
+    }
+  }));
+  const expired = stats.filter(Boolean)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs)
+    .slice(0, files.length - maxEntries);
+  await Promise.all(expired.map(({ file }) => fs.promises.unlink(file).catch(() => {})));
+  return expired.length;
+}
+
+// `written()` after every write; every `everyWrites`-th call runs a pass and resolves once it is done
+function createPruner(dir, { maxEntries, everyWrites = Math.min(PRUNE_EVERY_WRITES, maxEntries) }) {
+  let writes = 0;
+  let running = null;
+
+  return {
+    written() {
+      writes++;
+      if (running || writes < everyWrites) return running || Promise.resolve();
+
+      writes = 0;
+      running = pruneDirectory(dir, maxEntries)
+        .catch(error => logger.warn(`Pruning ${dir} failed: ${error.message}`))
+        .finally(() => {
+          running = null;
+        });
+      return running;
+    }
+  };
+}
+
+export { PRUNE_EVERY_WRITES, pruneDirectory, createPruner };
@@ -0,0 +1,18 @@
+/**
+ * NASA API Endpoints - NasaApis.json With Per-Endpoint Environment Overrides
+ *
+ * NASA_API_<NAME>=url   (e.g. NASA_API_POWER=http://127.0.0.1:9000/power/daily, for a mirror or a test stand-in)
+ */
+import fs from "fs";
+import path from "path";
+
+// VARIABLES //
+const DEFAULTS = JSON.parse(
+  fs.readFileSync(path.resolve("./src/api/v1/config/NasaApis.json"), "utf-8")
+);
+
+const NASA_APIS = Object.fromEntries(
+  Object.entries(DEFAULTS).map(([name, url]) => [name, process.env[`NASA_API_${name}`] || url])
+);
+
+export { NASA_APIS };
@@ -0,0 +1,144 @@
+/**
+ * Energy Yield Endpoint - Solar PV & Wind Turbine Estimates From NASA POWER Renewable-Energy Parameters
+ *
+ * Both routes run over a historical window (one row per day) or a typical year (one row per month,
+ * from the POWER climatology). Values are metric: kWh, kWh/m², m/s, kg/m³.
+ */
+// REQUIRED DEPENDENCY //
+import express from "express";
+
+// ENERGY //
+import { SOLAR_PARAMETERS, TEMPERATURE_COEFFICIENT, NOCT, defaultOrientation, estimateSolarDay } from "./solar.js";
+import { WIND_PARAMETERS, ratedPower, estimateWindDay } from "./wind.js";
+import { iterateEnergyWindow, createEnergyTotals } from "./window.js";
+import { applyCacheHeaders } from "../cache/index.js";
+import { sendError } from "../errors/index.js";
+import { requireScope } from "../access/index.js";
+import { validate } from "../validation/index.js";
+import { SOLAR_QUERY, WIND_QUERY } from "../validation/schemas.js";
+import { currentDate } from "../weather/clock.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const rt = express.Router();
+
+const DATA_SOURCES = {
+  historical: "NASA POWER API (Daily)",
+  typical_year: "NASA POWER API (Climatology)"
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Run `estimate(sample)` over the window: daily rows (historical only), monthly rows and totals
+async function runWindow(query, parameters, estimate, fields) {
+  const totals = createEnergyTotals(fields);
+  const daily = [];
+  for await (const sample of iterateEnergyWindow(query, parameters)) {
+    const result = estimate(sample);
+    totals.add(sample, result);
+    if (sample.year !== null) daily.push({ date: sample.date.toISOString().split('T')[0], ...(result || emptyEstimate(fields)) });
+  }
+  return { daily, monthly: totals.monthly(), total: totals.total() };
+}
+
+function emptyEstimate({ sum = [], mean = [], other = [] }) {
+  return Object.fromEntries([...sum, ...mean, ...other].map(field => [field, null]));
+}
+
+function describeWindow({ window, range }) {
+  if (window === "typical_year") return { type: window, start: null, end: null };
+  return { type: window, start: range.startDate.toISOString().split('T')[0], end: range.endDate.toISOString().split('T')[0] };
+}
+
+// Solar PV yield of a fixed array
+rt.get("/solar", requireScope("weather:read"), validate({ query: SOLAR_QUERY }), async (req, res) => {
+  const query = req.validated.query;
+  const orientation = defaultOrientation(query.lat);
+  const system = {
+    capacity: query.capacity,
+    tilt: query.tilt ?? orientation.tilt,
+    azimuth: query.azimuth ?? orientation.azimuth,
+    losses: query.losses,
+    temperature_coefficient: TEMPERATURE_COEFFICIENT * 100,
+    noct: NOCT
+  };
+
+  try {
+    const { daily, monthly, total } = await runWindow(
+      query,
+      SOLAR_PARAMETERS,
+      sample => estimateSolarDay(sample.date, sample.values, query.lat, system),
+      { sum: ['irradiation', 'plane_of_array_irradiation', 'energy'], mean: ['temperature_loss'] }
+    );
+    const estimatedDays = total.days - total.missing_days;
+
+    const responseData = {
+      coordinates: { lat: query.lat, lon: query.lon },
+      window: describeWindow(query),
+      system,
+      ...(query.window === "historical" ? { daily } : {}),
+      monthly,
+      summary: {
+        ...total,
+        specific_yield: round(total.energy / system.capacity),
+        performance_ratio: total.plane_of_array_irradiation > 0 ? round(total.energy / (system.capacity * total.plane_of_array_irradiation), 3) : null,
+        capacity_factor: estimatedDays > 0 ? round(total.energy / (system.capacity * 24 * estimatedDays), 4) : null
+      },
+      data_source: DATA_SOURCES[query.window],
+      units: { energy: "kWh", irradiation: "kWh/m²", specific_yield: "kWh/kWp", temperature_loss: "%", capacity: "kWp", tilt: "°", azimuth: "°" },
+      timestamp: currentDate().toISOString()
+    };
+
+    applyCacheHeaders(res, "weather", responseData);
+    res.status(200).json(responseData);
+    logger.success(`Solar yield: ${total.energy} kWh over ${total.days} days for lat: ${query.lat}, lon: ${query.lon}`);
+  } catch (error) {
+    sendError(res, "API_FETCH_FAILED", { reason: error.message });
+  }
+});
+
+// Wind turbine yield from a power curve
+rt.get("/wind", requireScope("weather:read"), validate({ query: WIND_QUERY }), async (req, res) => {
+  const query = req.validated.query;
+  const turbine = {
+    hub_height: query.hub_height,
+    rated_power: ratedPower(query.power_curve),
+    power_curve: query.power_curve,
+    weibull_k: query.weibull_k,
+    losses: query.losses
+  };
+
+  try {
+    const { daily, monthly, total } = await runWindow(
+      query,
+      WIND_PARAMETERS,
+      sample => estimateWindDay(sample.values, turbine),
+      { sum: ['energy'], mean: ['wind_speed_hub', 'air_density'], other: ['wind_speed_50m', 'shear_exponent', 'capacity_factor'] }
+    );
+    const capacityFactor = row => (row.days > row.missing_days ? round(row.energy / (turbine.rated_power * 24 * (row.days - row.missing_days)), 4) : null);
+
+    const responseData = {
+      coordinates: { lat: query.lat, lon: query.lon },
+      window: describeWindow(query),
+      turbine,
+      ...(query.window === "historical" ? { daily } : {}),
+      monthly: monthly.map(row => ({ ...row, capacity_factor: capacityFactor(row) })),
+      summary: {
+        ...total,
+        capacity_factor: capacityFactor(total),
+        full_load_hours: round(total.energy / turbine.rated_power, 1)
+      },
+      data_source: DATA_SOURCES[query.window],
+      units: { energy: "kWh", rated_power: "kW", wind_speed: "m/s", hub_height: "m", air_density: "kg/m³", full_load_hours: "h" },
+      timestamp: currentDate().toISOString()
+    };
+
+    applyCacheHeaders(res, "weather", responseData);
+    res.status(200).json(responseData);
+    logger.success(`Wind yield: ${total.energy} kWh over ${total.days} days for lat: ${query.lat}, lon: ${query.lon}`);
+  } catch (error) {
+    sendError(res, "API_FETCH_FAILED", { reason: error.message });
+  }
+});
+
+export default rt;
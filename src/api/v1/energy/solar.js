@@ -0,0 +1,118 @@
+/**
+ * Solar PV Yield - Daily Energy Of A Fixed Array From POWER Daily Irradiation
+ *
+ * Each day's horizontal irradiation is split into diffuse and beam with the Erbs daily correlation,
+ * spread over the hours with the Collares-Pereira & Rabl / Liu & Jordan profiles, and transposed
+ * onto the tilted plane hour by hour (isotropic sky, ground albedo 0.2). Module temperature follows
+ * the NOCT model from the air temperature curve between Tmin and Tmax, and output drops by 0.4 %
+ * per °C above 25 °C. `losses` covers everything else (inverter, wiring, soiling, mismatch).
+ *
+ * Inputs are POWER AG community values: ALLSKY_SFC_SW_DWN in MJ/m²/day, T2M_MAX/T2M_MIN in °C.
+ * Angles follow PVWatts: tilt from horizontal, azimuth clockwise from north (180 = facing south).
+ */
+import { extraterrestrialRadiation, hourlyTemperature } from "../weather/agro.js";
+
+// VARIABLES //
+const SOLAR_PARAMETERS = ['ALLSKY_SFC_SW_DWN', 'T2M_MAX', 'T2M_MIN'];
+
+const DEFAULT_LOSSES = 14;           // %, the PVWatts default
+const GROUND_ALBEDO = 0.2;
+const NOCT = 45;                     // °C at 800 W/m², 20 °C air, 1 m/s wind
+const TEMPERATURE_COEFFICIENT = -0.004; // per °C above STC
+const MIN_SUN_ELEVATION = 0.0873;    // sin(5°): below it beam transposition blows up and adds nothing
+const MJ_TO_KWH = 1 / 3.6;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const round = (value, decimals = 2) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+// Tilt and azimuth when the caller leaves them out: tilted at the latitude, facing the equator
+function defaultOrientation(lat) {
+  return { tilt: Math.min(90, Math.round(Math.abs(lat))), azimuth: lat >= 0 ? 180 : 0 };
+}
+
+function dayOfYear(date) {
+  return Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+}
+
+// Diffuse share of daily global irradiation (Erbs, Klein & Duffie 1982)
+function diffuseFraction(clearness, sunsetAngle) {
+  if (sunsetAngle <= toRadians(81.4)) {
+    return clearness < 0.715 ? 1.391 - 3.560 * clearness + 4.189 * clearness ** 2 - 2.137 * clearness ** 3 : 0.175;
+  }
+  return clearness < 0.722 ? 1.311 - 3.022 * clearness + 3.427 * clearness ** 2 - 1.821 * clearness ** 3 : 0.147;
+}
+
+// { irradiation, plane_of_array_irradiation (kWh/m²), energy (kWh), temperature_loss (%) }, null without radiation
+function estimateSolarDay(date, { ALLSKY_SFC_SW_DWN: radiation, T2M_MAX: tmax, T2M_MIN: tmin }, lat, system) {
+  if (radiation === null || radiation === undefined) return null;
+
+  const phi = toRadians(lat);
+  const tilt = toRadians(system.tilt);
+  const azimuth = toRadians(system.azimuth);
+  const declination = 0.409 * Math.sin((2 * Math.PI * dayOfYear(date)) / 365 - 1.39);
+  const sunsetAngle = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(declination))));
+  const extraterrestrial = extraterrestrialRadiation(lat, dayOfYear(date));
+
+  const result = { irradiation: radiation * MJ_TO_KWH, plane_of_array_irradiation: 0, energy: 0, temperature_loss: 0 };
+  if (extraterrestrial <= 0 || radiation <= 0 || sunsetAngle <= 0) return roundSolarDay(result);
+
+  const clearness = Math.min(1, radiation / extraterrestrial);
+  const diffuse = radiation * diffuseFraction(clearness, sunsetAngle);
+  const profileDenominator = Math.sin(sunsetAngle) - sunsetAngle * Math.cos(sunsetAngle);
+  const a = 0.409 + 0.5016 * Math.sin(sunsetAngle - Math.PI / 3);
+  const b = 0.6609 - 0.4767 * Math.sin(sunsetAngle - Math.PI / 3);
+  const normal = [Math.sin(tilt) * Math.sin(azimuth), Math.sin(tilt) * Math.cos(azimuth), Math.cos(tilt)];
+  const knownTemperature = tmax !== null && tmax !== undefined && tmin !== null && tmin !== undefined;
+  let nominal = 0;
+
+  // Hour centres in solar time; the hour angle is 0 at solar noon
+  for (let hour = 0.5; hour < 24; hour++) {
+    const hourAngle = toRadians(15 * (hour - 12));
+    if (Math.abs(hourAngle) >= sunsetAngle) continue;
+
+    const shape = (Math.cos(hourAngle) - Math.cos(sunsetAngle)) / profileDenominator;
+    const global = (Math.PI / 24) * (a + b * Math.cos(hourAngle)) * shape * radiation;
+    const diffuseHour = Math.min(global, (Math.PI / 24) * shape * diffuse);
+    const beam = global - diffuseHour;
+
+    // Sun direction as (east, north, up)
+    const sun = [
+      -Math.cos(declination) * Math.sin(hourAngle),
+      Math.cos(phi) * Math.sin(declination) - Math.sin(phi) * Math.cos(declination) * Math.cos(hourAngle),
+      Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+    ];
+    const incidence = Math.max(0, sun[0] * normal[0] + sun[1] * normal[1] + sun[2] * normal[2]);
+    const beamFactor = sun[2] > MIN_SUN_ELEVATION ? incidence / sun[2] : 0;
+
+    const planeOfArray = (beam * beamFactor + diffuseHour * (1 + Math.cos(tilt)) / 2 + global * GROUND_ALBEDO * (1 - Math.cos(tilt)) / 2) * MJ_TO_KWH;
+    const air = knownTemperature ? hourlyTemperature(hour, tmax, tmin) : 25;
+    const cell = air + (planeOfArray * 1000 / 800) * (NOCT - 20);
+    const derate = Math.max(0, 1 + TEMPERATURE_COEFFICIENT * (cell - 25));
+
+    result.plane_of_array_irradiation += planeOfArray;
+    nominal += system.capacity * planeOfArray;
+    result.energy += system.capacity * planeOfArray * derate;
+  }
+
+  result.temperature_loss = nominal > 0 ? (1 - result.energy / nominal) * 100 : 0;
+  result.energy *= 1 - system.losses / 100;
+  return roundSolarDay(result);
+}
+
+function roundSolarDay(result) {
+  return {
+    irradiation: round(result.irradiation),
+    plane_of_array_irradiation: round(result.plane_of_array_irradiation),
+    energy: round(result.energy),
+    temperature_loss: round(result.temperature_loss, 1)
+  };
+}
+
+export {
+  SOLAR_PARAMETERS,
+  DEFAULT_LOSSES as SOLAR_DEFAULT_LOSSES,
+  TEMPERATURE_COEFFICIENT,
+  NOCT,
+  defaultOrientation,
+  estimateSolarDay
+};
@@ -0,0 +1,117 @@
+/**
+ * Wind Turbine Yield - Daily Energy From POWER 10 m & 50 m Wind Speeds And A Power Curve
+ *
+ * The 50 m speed is extrapolated to hub height with the power law, using the shear exponent the
+ * day's 10 m and 50 m speeds imply (1/7 when one is missing). Speeds are scaled to standard air
+ * density (IEC 61400-12: v·(ρ/1.225)^⅓) and, since a daily mean hides the gusts and lulls the
+ * curve is most sensitive to, the day's speeds are taken as Weibull-distributed around that mean.
+ *
+ * A power curve is a list of [wind speed m/s, power kW] points with increasing speeds; output is
+ * interpolated between points and zero below the first and above the last (cut-out).
+ */
+
+// VARIABLES //
+const WIND_PARAMETERS = ['WS10M', 'WS50M', 'T2M', 'PS'];
+
+const DEFAULT_HUB_HEIGHT = 100;     // m
+const DEFAULT_WEIBULL_K = 2;        // Rayleigh
+const DEFAULT_LOSSES = 10;          // %, wake, availability and electrical
+const DEFAULT_SHEAR = 1 / 7;
+const MAX_SHEAR = 0.6;
+const STANDARD_DENSITY = 1.225;     // kg/m³
+const GAS_CONSTANT = 287.05;        // J/(kg·K), dry air
+const SPEED_STEP = 0.25;            // m/s, integration step over the Weibull distribution
+
+// Generic 2 MW onshore turbine: cut-in 3 m/s, rated at 12 m/s, cut-out 25 m/s
+const DEFAULT_POWER_CURVE = [
+  [3, 0], [4, 66], [5, 171], [6, 324], [7, 531], [8, 807], [9, 1156], [10, 1502],
+  [11, 1797], [12, 2000], [25, 2000]
+];
+
+const round = (value, decimals = 2) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+const isKnown = value => value !== null && value !== undefined;
+
+// [[speed, kW], ...] -> the same pairs, null unless speeds increase and powers are non-negative
+function resolvePowerCurve(curve) {
+  if (!Array.isArray(curve) || curve.length < 2) return null;
+  const valid = curve.every((point, index) => Array.isArray(point) && point.length === 2 &&
+    point.every(value => typeof value === "number" && isFinite(value) && value >= 0) &&
+    (index === 0 || point[0] > curve[index - 1][0]));
+  return valid && curve.some(([, power]) => power > 0) ? curve.map(([speed, power]) => [speed, power]) : null;
+}
+
+function ratedPower(curve) {
+  return Math.max(...curve.map(([, power]) => power));
+}
+
+function powerAt(curve, speed) {
+  if (speed < curve[0][0] || speed > curve[curve.length - 1][0]) return 0;
+  for (let index = 1; index < curve.length; index++) {
+    const [speedA, powerA] = curve[index - 1];
+    const [speedB, powerB] = curve[index];
+    if (speed <= speedB) return powerA + ((powerB - powerA) * (speed - speedA)) / (speedB - speedA);
+  }
+  return 0;
+}
+
+// Lanczos approximation, enough for the Weibull scale
+function gamma(x) {
+  const g = 7;
+  const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+  const shifted = x - 1;
+  let sum = coefficients[0];
+  for (let index = 1; index < g + 2; index++) sum += coefficients[index] / (shifted + index);
+  const t = shifted + g + 0.5;
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, shifted + 0.5) * Math.exp(-t) * sum;
+}
+
+// Mean output in kW for Weibull-distributed speeds with the given mean and shape
+function expectedPower(curve, meanSpeed, shape) {
+  if (meanSpeed <= 0) return 0;
+  const scale = meanSpeed / gamma(1 + 1 / shape);
+  const maxSpeed = curve[curve.length - 1][0];
+  let power = 0;
+  for (let speed = SPEED_STEP / 2; speed <= maxSpeed; speed += SPEED_STEP) {
+    const density = (shape / scale) * Math.pow(speed / scale, shape - 1) * Math.exp(-Math.pow(speed / scale, shape));
+    power += powerAt(curve, speed) * density * SPEED_STEP;
+  }
+  return power;
+}
+
+// { wind_speed_50m, wind_speed_hub (m/s), shear_exponent, air_density (kg/m³), energy (kWh), capacity_factor },
+// null without a 50 m wind speed
+function estimateWindDay({ WS10M: wind10, WS50M: wind50, T2M: temperature, PS: pressure }, turbine) {
+  if (!isKnown(wind50)) return null;
+
+  const shear = isKnown(wind10) && wind10 > 0 && wind50 > 0
+    ? Math.min(MAX_SHEAR, Math.max(0, Math.log(wind50 / wind10) / Math.log(5)))
+    : DEFAULT_SHEAR;
+  const hubSpeed = wind50 * Math.pow(turbine.hub_height / 50, shear);
+  const airDensity = isKnown(temperature) && isKnown(pressure) ? (pressure * 1000) / (GAS_CONSTANT * (temperature + 273.15)) : STANDARD_DENSITY;
+  const equivalentSpeed = hubSpeed * Math.cbrt(airDensity / STANDARD_DENSITY);
+
+  const rated = ratedPower(turbine.power_curve);
+  const energy = 24 * expectedPower(turbine.power_curve, equivalentSpeed, turbine.weibull_k) * (1 - turbine.losses / 100);
+
+  return {
+    wind_speed_50m: round(wind50),
+    wind_speed_hub: round(hubSpeed),
+    shear_exponent: round(shear, 3),
+    air_density: round(airDensity, 3),
+    energy: round(energy),
+    capacity_factor: round(energy / (rated * 24), 4)
+  };
+}
+
+export {
+  WIND_PARAMETERS,
+  DEFAULT_HUB_HEIGHT,
+  DEFAULT_WEIBULL_K,
+  DEFAULT_LOSSES as WIND_DEFAULT_LOSSES,
+  DEFAULT_POWER_CURVE,
+  resolvePowerCurve,
+  ratedPower,
+  estimateWindDay
+};
@@ -0,0 +1,82 @@
+/**
+ * Energy Windows - Historical POWER Days Or A Typical Year From The POWER Climatology
+ *
+ * historical     every day from start to end (POWER daily, fetched one year at a time)
+ * typical_year   one representative day per month (Klein 1977) with the long-term monthly means,
+ *                weighted by the days of the month, so a year of yield costs one small request
+ *
+ * ENERGY_MAX_RANGE_DAYS=3660   (longest historical window)
+ */
+import { getPowerGridCell, iterateDailyRange, fetchMonthlyClimatology } from "../weather/history.js";
+
+// VARIABLES //
+const MAX_ENERGY_RANGE_DAYS = parseInt(process.env.ENERGY_MAX_RANGE_DAYS, 10) || 3660;
+const WINDOWS = ['historical', 'typical_year'];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+// Day of the month whose extraterrestrial radiation is closest to the monthly mean
+const REPRESENTATIVE_DAYS = [17, 16, 16, 15, 15, 11, 17, 16, 15, 15, 14, 10];
+const TYPICAL_YEAR = 2001; // any non-leap year
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const toValue = value => (value === undefined || value === null || value <= -900 ? null : value);
+
+// { date, year, month (1-12), days (weight), values } for every sample of the window
+async function* iterateEnergyWindow({ lat, lon, window, range }, parameters) {
+  if (window === 'typical_year') {
+    const parameter = await fetchMonthlyClimatology(getPowerGridCell(lat, lon), parameters);
+    for (let month = 0; month < 12; month++) {
+      yield {
+        date: new Date(Date.UTC(TYPICAL_YEAR, month, REPRESENTATIVE_DAYS[month])),
+        year: null,
+        month: month + 1,
+        days: DAYS_IN_MONTH[month],
+        values: Object.fromEntries(parameters.map(name => [name, toValue(parameter[name]?.[MONTHS[month]])]))
+      };
+    }
+    return;
+  }
+
+  for await (const { date, values } of iterateDailyRange(lat, lon, range.startDate, range.endDate, parameters)) {
+    yield { date, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, days: 1, values };
+  }
+}
+
+// Monthly and overall totals of day estimates: `sum` fields add up, `mean` fields are day-weighted
+// averages; days without an estimate only count as missing_days
+function createEnergyTotals({ sum = [], mean = [] }) {
+  const createGroup = (year, month) => ({ year, month, days: 0, missing_days: 0, estimated_days: 0, sums: {} });
+  const months = new Map();
+  const overall = createGroup(null, null);
+
+  const addTo = (group, sample, estimate) => {
+    group.days += sample.days;
+    if (!estimate) {
+      group.missing_days += sample.days;
+      return;
+    }
+    group.estimated_days += sample.days;
+    [...sum, ...mean].forEach((field) => { group.sums[field] = (group.sums[field] || 0) + estimate[field] * sample.days; });
+  };
+
+  const present = (group) => {
+    const row = { days: group.days, missing_days: group.missing_days };
+    sum.forEach((field) => { row[field] = round(group.sums[field] || 0); });
+    mean.forEach((field) => { row[field] = group.estimated_days ? round(group.sums[field] / group.estimated_days) : null; });
+    return row;
+  };
+
+  return {
+    add(sample, estimate) {
+      const key = `${sample.year}-${sample.month}`;
+      if (!months.has(key)) months.set(key, createGroup(sample.year, sample.month));
+      addTo(months.get(key), sample, estimate);
+      addTo(overall, sample, estimate);
+    },
+    monthly: () => [...months.values()].map(group => ({ year: group.year, month: group.month, ...present(group) })),
+    total: () => present(overall)
+  };
+}
+
+export { MAX_ENERGY_RANGE_DAYS, WINDOWS, iterateEnergyWindow, createEnergyTotals };
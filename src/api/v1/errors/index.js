@@ -0,0 +1,94 @@
+/**
+ * API Errors - ErrorType Catalog, Structured Error Bodies & Request IDs
+ *
+ * Every error answer has the same shape:
+ *   HTTP_ERR_CODE   HTTP status
+ *   ERR_CODE        machine-readable key from ErrorType.json (e.g. INVALID_COORDINATES)
+ *   ERR_MESSAGE     human-readable message from ErrorType.json
+ *   ERR_DETAILS     optional, one entry per offending field: { field, location, issue, value }
+ *   ERR_REASON      optional, the underlying failure (e.g. an upstream error message)
+ *   REQUEST_ID      also sent as the X-Request-Id header
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const ERR = JSON.parse(
+  fs.readFileSync(path.resolve("./src/api/v1/config/ErrorType.json"), "utf-8")
+);
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Error body for a catalog code; unknown codes become INTERNAL_ERROR rather than throwing
+function buildError(code, { details, reason, requestId, ...extra } = {}) {
+  const errorCode = ERR[code] ? code : "INTERNAL_ERROR";
+  const { HTTP_ERR_CODE, ERR_MESSAGE } = ERR[errorCode];
+  return {
+    HTTP_ERR_CODE,
+    ERR_CODE: errorCode,
+    ERR_MESSAGE,
+    ...(details && details.length > 0 ? { ERR_DETAILS: details } : {}),
+    ...(reason ? { ERR_REASON: reason } : {}),
+    ...extra,
+    ...(requestId ? { REQUEST_ID: requestId } : {})
+  };
+}
+
+function sendError(res, code, options = {}) {
+  const error = buildError(code, { ...options, requestId: res.locals.requestId });
+  res.status(error.HTTP_ERR_CODE).json(error);
+
+  logError(res, error);
+  return error;
+}
+
+// Client mistakes (4xx) log as warnings, our own or upstream failures (5xx) as errors
+function logError(res, error) {
+  const fields = error.ERR_DETAILS ? ` (${error.ERR_DETAILS.map(detail => detail.field).join(", ")})` : "";
+  const message = `${res.req.method} ${res.req.originalUrl}: HTTP_Code: ${error.HTTP_ERR_CODE}, ERR_CODE: ${error.ERR_CODE}${fields}${error.ERR_REASON ? `, ERR_REASON: ${error.ERR_REASON}` : ""}`;
+  const context = { status: error.HTTP_ERR_CODE, err_code: error.ERR_CODE, err_reason: error.ERR_REASON };
+  if (error.HTTP_ERR_CODE >= 500) logger.error(message, context);
+  else logger.warn(message, context);
+}
+
+// Reuse the caller's X-Request-Id when it looks sane, otherwise mint one
+function assignRequestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.locals.requestId = requestId;
+  res.setHeader("X-Request-Id", requestId);
+  next();
+}
+
+function handleNotFound(req, res) {
+  sendError(res, "NON_EXISTENT_ENDPOINT", { details: [{ field: "path", location: "path", issue: "no such endpoint", value: req.originalUrl }] });
+}
+
+// Last-resort express error handler: malformed bodies become 4xx, anything else INTERNAL_ERROR
+function handleUnexpectedError(error, req, res, next) {
+  if (res.headersSent) {
+    next(error);
+    return;
+  }
+  if (error.type === "entity.parse.failed") {
+    sendError(res, "INVALID_JSON", { reason: error.message, details: [{ field: "body", location: "body", issue: "must be valid JSON" }] });
+    return;
+  }
+  if (error.type === "entity.too.large") {
+    sendError(res, "PAYLOAD_TOO_LARGE", { reason: error.message, details: [{ field: "body", location: "body", issue: `must be at most ${error.limit} bytes` }] });
+    return;
+  }
+  logger.error(`Unhandled error in ${req.method} ${req.originalUrl}`, { error, stack: error.stack });
+  sendError(res, "INTERNAL_ERROR", { reason: error.message });
+}
+
+export {
+  ERR,
+  buildError,
+  sendError,
+  logError,
+  assignRequestId,
+  handleNotFound,
+  handleUnexpectedError
+};
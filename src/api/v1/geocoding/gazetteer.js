@@ -0,0 +1,264 @@
+/**
+ * Local Gazetteer Backend - GeoNames Cities File With Prefix & Fuzzy Matching
+ *
+ * GAZETTEER_FILE=./data/geonames/cities15000.txt   (tab-separated GeoNames export, loaded at startup)
+ * GAZETTEER_ALTERNATE_NAMES=./data/geonames/alternateNamesV2.txt
+ *                        (optional GeoNames alternate names, or a per-language extract of them; names
+ *                        results in the requested `lang`, falling back to the GeoNames name)
+ */
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { normalizeName, distanceKm } from "./text.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const GAZETTEER_FILE = process.env.GAZETTEER_FILE ? path.resolve(process.env.GAZETTEER_FILE) : null;
+const ALTERNATE_NAMES_FILE = process.env.GAZETTEER_ALTERNATE_NAMES ? path.resolve(process.env.GAZETTEER_ALTERNATE_NAMES) : null;
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]+)?$/; // skips GeoNames pseudo-languages such as "post" or "link"
+const MAX_PREFIX_KEYS = 20000; // stop walking very short prefixes ("a") after this many index keys
+const MAX_REVERSE_KM = 50;
+
+// GeoNames feature codes -> result type
+const FEATURE_TYPES = {
+  PPLC: "capital",
+  PPLA: "city",
+  PPLA2: "city",
+  PPLA3: "town",
+  PPLA4: "town",
+  PPL: "town",
+  PPLX: "suburb",
+  PPLL: "village"
+};
+
+let entries = [];
+let keys = [];      // [normalized name, entry index], sorted by name; includes alternate names
+let fuzzyKeys = []; // primary and ASCII names only, scanned for typo matches
+let loading = null;
+
+// One GeoNames line -> entry, null for malformed lines
+function parseLine(line) {
+  const columns = line.split('\t');
+  if (columns.length < 15) return null;
+  const lat = parseFloat(columns[4]);
+  const lon = parseFloat(columns[5]);
+  if (isNaN(lat) || isNaN(lon)) return null;
+
+  return {
+    id: columns[0],
+    name: columns[1],
+    ascii: columns[2],
+    alternates: columns[3] ? columns[3].split(',') : [],
+    lat,
+    lon,
+    featureCode: columns[7],
+    country: columns[8],
+    population: parseInt(columns[14], 10) || 0
+  };
+}
+
+// Localized names from the alternate names file, one per language and place; preferred names win,
+// colloquial and historic ones are skipped
+async function loadAlternateNames(loadedEntries) {
+  const byId = new Map(loadedEntries.map(entry => [entry.id, entry]));
+  const input = readline.createInterface({ input: fs.createReadStream(ALTERNATE_NAMES_FILE, "utf-8"), crlfDelay: Infinity });
+  let count = 0;
+
+  for await (const line of input) {
+    const [, id, language, name, preferred, , colloquial, historic] = line.split('\t');
+    const entry = byId.get(id);
+    const code = (language || "").toLowerCase();
+    if (!entry || !name || !LANGUAGE_CODE.test(code) || colloquial === "1" || historic === "1") continue;
+
+    entry.names = entry.names || {};
+    if (!entry.names[code] || preferred === "1") {
+      if (!entry.names[code]) count++;
+      entry.names[code] = name;
+    }
+  }
+  return count;
+}
+
+async function loadGazetteer() {
+  const startedAt = Date.now();
+  const input = readline.createInterface({ input: fs.createReadStream(GAZETTEER_FILE, "utf-8"), crlfDelay: Infinity });
+  const loadedEntries = [];
+  const loadedKeys = [];
+  const loadedFuzzyKeys = [];
+
+  for await (const line of input) {
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const index = loadedEntries.length;
+    const { alternates, ...entry } = parsed;
+    loadedEntries.push(entry);
+
+    const primary = new Set([normalizeName(entry.name), normalizeName(entry.ascii)]);
+    primary.forEach((key) => {
+      loadedKeys.push([key, index]);
+      loadedFuzzyKeys.push([key, index]);
+    });
+    new Set(alternates.map(normalizeName)).forEach((key) => {
+      if (key && !primary.has(key)) loadedKeys.push([key, index]);
+    });
+  }
+
+  const localized = ALTERNATE_NAMES_FILE ? await loadAlternateNames(loadedEntries) : 0;
+
+  const byKey = (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+  entries = loadedEntries;
+  keys = loadedKeys.sort(byKey);
+  fuzzyKeys = loadedFuzzyKeys;
+  logger.success(`Gazetteer loaded: ${entries.length} places, ${keys.length} names${ALTERNATE_NAMES_FILE ? `, ${localized} localized` : ""} in ${Date.now() - startedAt} ms`);
+}
+
+// Start loading once; searches wait for it instead of failing during startup
+function ensureLoaded() {
+  if (!loading) {
+    loading = loadGazetteer().catch((error) => {
+      loading = null;
+      throw new Error(`Gazetteer unavailable: ${error.message}`);
+    });
+  }
+  return loading;
+}
+
+// First index whose key is >= prefix
+function lowerBound(prefix) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (keys[middle][0] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// Edit distance between `query` and the start of `key`, giving up above `max`
+function prefixDistance(query, key, max) {
+  const target = key.slice(0, query.length + max);
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= target.length; j++) {
+      const cost = query[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  // Best alignment of the whole query against any prefix of the key
+  return Math.min(...previous);
+}
+
+// Candidate entry index -> best match quality: exact 3, prefix 2, fuzzy 1
+function collectCandidates(query) {
+  const candidates = new Map();
+  const remember = (index, quality) => {
+    if ((candidates.get(index) || 0) < quality) candidates.set(index, quality);
+  };
+
+  for (let i = lowerBound(query), walked = 0; i < keys.length && walked < MAX_PREFIX_KEYS; i++, walked++) {
+    const [key, index] = keys[i];
+    if (!key.startsWith(query)) break;
+    remember(index, key === query ? 3 : 2);
+  }
+
+  if (query.length >= 4) {
+    const maxEdits = query.length >= 8 ? 2 : 1;
+    fuzzyKeys.forEach(([key, index]) => {
+      if (candidates.has(index) || key[0] !== query[0]) return;
+      if (prefixDistance(query, key, maxEdits) <= maxEdits) remember(index, 1);
+    });
+  }
+
+  return candidates;
+}
+
+// Rough extent from population (no polygons in the cities file), reported as estimated
+function estimateBoundingBox(entry) {
+  const radiusKm = Math.min(40, Math.max(2, Math.sqrt(entry.population) / 60));
+  const latDelta = radiusKm / 111;
+  const lonDelta = radiusKm / (111 * Math.max(0.1, Math.cos(entry.lat * Math.PI / 180)));
+  const round = value => Math.round(value * 10000) / 10000;
+  return [round(entry.lon - lonDelta), round(entry.lat - latDelta), round(entry.lon + lonDelta), round(entry.lat + latDelta)];
+}
+
+// Name in the first language of `lang` ("de-CH", "fr,en", ...) the place has one for, trying each
+// tag and then its primary subtag; the GeoNames name otherwise
+function localName(entry, lang) {
+  if (!lang || !entry.names) return entry.name;
+  const tags = String(lang).toLowerCase().split(',').map(tag => tag.split(';')[0].trim()).filter(Boolean);
+  for (const tag of tags) {
+    const name = entry.names[tag] || entry.names[tag.split('-')[0]];
+    if (name) return name;
+  }
+  return entry.name;
+}
+
+function toResult(entry, score, lang) {
+  return {
+    name: `${localName(entry, lang)}, ${entry.country}`,
+    lat: entry.lat,
+    lon: entry.lon,
+    country_code: entry.country.toLowerCase(),
+    type: FEATURE_TYPES[entry.featureCode] || "place",
+    bbox: estimateBoundingBox(entry),
+    bbox_estimated: true,
+    population: entry.population,
+    score: Math.round(score * 10) / 10,
+    source: "gazetteer"
+  };
+}
+
+// Match quality first, then population, then closeness to `near`
+async function searchGazetteer({ query, limit, lang, countries, near }) {
+  await ensureLoaded();
+  const normalized = normalizeName(query);
+  if (!normalized) return [];
+
+  const scored = [];
+  collectCandidates(normalized).forEach((quality, index) => {
+    const entry = entries[index];
+    if (countries && !countries.includes(entry.country.toLowerCase())) return;
+    let score = [0, 30, 50, 100][quality] + 3 * Math.log10(entry.population + 1);
+    if (near) score -= 8 * Math.log10(1 + distanceKm(near, entry) / 50);
+    scored.push({ entry, score });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score }) => toResult(entry, score, lang));
+}
+
+// Nearest populated place within MAX_REVERSE_KM, null when there is none
+async function reverseGazetteer(lat, lon) {
+  await ensureLoaded();
+  let best = null;
+  let bestDistance = MAX_REVERSE_KM;
+  entries.forEach((entry) => {
+    const distance = distanceKm({ lat, lon }, entry);
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  });
+  return best ? `${best.name}, ${best.country}` : null;
+}
+
+// Load at startup so the first search does not pay for it
+if (GAZETTEER_FILE) {
+  ensureLoaded().catch(error => logger.error(error.message));
+}
+
+export default {
+  name: "gazetteer",
+  label: "Local GeoNames Gazetteer",
+  isConfigured: () => Boolean(GAZETTEER_FILE),
+  search: searchGazetteer,
+  reverse: reverseGazetteer
+};
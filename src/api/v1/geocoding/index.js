@@ -0,0 +1,99 @@
+/**
+ * Geocoding Service - Pluggable Backends For Place Search & Reverse Lookups
+ *
+ * A backend is an object with:
+ *   name, label        identifiers used in GEOCODER_BACKENDS and in results
+ *   isConfigured()     false to leave it out (e.g. no gazetteer file)
+ *   search(options)    { query, limit, lang, countries, near } -> results
+ *   reverse(lat, lon, { budget }) -> place name or null; backends that call out stay within budget (see http/index.js)
+ *   probeUrl           optional, URL /readyz requests to check the backend is reachable
+ *
+ * GEOCODER_BACKENDS=gazetteer,nominatim   (order to try; the first non-empty answer wins)
+ */
+import gazetteerBackend from "./gazetteer.js";
+import nominatimBackend from "./nominatim.js";
+import { recordUpstreamAttempt } from "../monitoring/metrics.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const backends = new Map();
+
+function registerBackend(backend) {
+  backends.set(backend.name, backend);
+}
+
+function getBackendChain() {
+  const order = (process.env.GEOCODER_BACKENDS || "gazetteer,nominatim")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return order.map(name => backends.get(name)).filter(backend => backend && backend.isConfigured());
+}
+
+// `country=us,ca` -> ["us", "ca"]; undefined when absent, null when malformed
+function parseCountries(value) {
+  if (value === undefined || value === "") return undefined;
+  const codes = String(value).split(",").map(code => code.trim().toLowerCase());
+  return codes.every(code => /^[a-z]{2}$/.test(code)) ? codes : null;
+}
+
+// `near=lat,lon` -> { lat, lon }; undefined when absent, null when malformed
+function parseNear(value) {
+  if (value === undefined || value === "") return undefined;
+  const [lat, lon] = String(value).split(",").map(Number);
+  if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+// Try each backend in order; errors and empty answers fall through to the next one
+async function geocode(options) {
+  const attempts = [];
+
+  for (const backend of getBackendChain()) {
+    const startedAt = Date.now();
+    try {
+      const results = await backend.search(options);
+      attempts.push({ backend: backend.name, status: "success", results: results.length });
+      recordUpstreamAttempt("geocoder", backend.name, "success", Date.now() - startedAt);
+      if (results.length > 0) return { results, backend: backend.name, attempts };
+    } catch (error) {
+      attempts.push({ backend: backend.name, status: "failed", reason: error.message });
+      recordUpstreamAttempt("geocoder", backend.name, "failed", Date.now() - startedAt);
+      logger.warn(`${backend.label} search failed: ${error.message}`);
+    }
+  }
+
+  if (attempts.length > 0 && attempts.every(attempt => attempt.status === "failed")) {
+    throw new Error(attempts.map(attempt => `${attempt.backend}: ${attempt.reason}`).join("; "));
+  }
+  return { results: [], backend: null, attempts };
+}
+
+// Place name for a coordinate from the first backend that knows one, null otherwise
+async function reverseGeocode(lat, lon, { budget } = {}) {
+  for (const backend of getBackendChain()) {
+    try {
+      const name = await backend.reverse(lat, lon, { budget });
+      if (name) return name;
+    } catch (error) {
+      logger.warn(`${backend.label} reverse lookup failed: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+// Built-in backends //
+[gazetteerBackend, nominatimBackend].forEach(registerBackend);
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  registerBackend,
+  getBackendChain,
+  parseCountries,
+  parseNear,
+  geocode,
+  reverseGeocode
+};
@@ -0,0 +1,134 @@
+/**
+ * Nominatim Backend - OpenStreetMap Search & Reverse Lookups, Throttled To Its Usage Policy
+ *
+ * NOMINATIM_URL=https://nominatim.openstreetmap.org
+ * NOMINATIM_USER_AGENT=...        (the policy requires an identifying User-Agent)
+ * NOMINATIM_EMAIL=...             (optional contact address sent with every request)
+ * NOMINATIM_MIN_INTERVAL_MS=1000  (at most one request per second)
+ * NOMINATIM_MAX_QUEUE=10          (requests allowed to wait for their turn, more fail at once)
+ * NOMINATIM_QUEUE_TIMEOUT_MS=5000 (longest a request waits for its turn)
+ */
+import { roundCoordinate, buildCacheKey, cached } from "../cache/index.js";
+import { UpstreamError, fetchJson } from "../http/index.js";
+import { distanceKm } from "./text.js";
+
+// VARIABLES //
+const NOMINATIM_URL = (process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org").replace(/\/$/, "");
+const USER_AGENT = process.env.NOMINATIM_USER_AGENT || "smart-unity-backend/1.0 (+https://github.com/NotSilverAsh/smart-unity-backend)";
+const MIN_INTERVAL_MS = parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS, 10) || 1000;
+const MAX_QUEUE = parseInt(process.env.NOMINATIM_MAX_QUEUE, 10) || 10;
+const QUEUE_TIMEOUT_MS = parseInt(process.env.NOMINATIM_QUEUE_TIMEOUT_MS, 10) || 5000;
+const NEAR_VIEWBOX_DEGREES = 1; // half-size of the viewbox used to bias results towards `near`
+
+// Requests leave one at a time, MIN_INTERVAL_MS apart, across search and reverse lookups. A burst
+// beyond MAX_QUEUE waiting requests, or a wait beyond QUEUE_TIMEOUT_MS, fails instead of piling up
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+let waiting = 0;
+
+function throttle(task) {
+  if (waiting >= MAX_QUEUE) {
+    return Promise.reject(new UpstreamError(`Nominatim queue full (${MAX_QUEUE} requests waiting)`, { status: 503, retryable: true }));
+  }
+
+  waiting++;
+  let timer;
+  let expired = false;
+  const leave = () => {
+    clearTimeout(timer);
+    waiting--;
+  };
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      expired = true;
+      leave();
+      reject(new UpstreamError(`Nominatim queue wait exceeded ${QUEUE_TIMEOUT_MS} ms`, { retryable: true }));
+    }, QUEUE_TIMEOUT_MS);
+  });
+
+  const run = queue.then(async () => {
+    const wait = lastRequestAt + MIN_INTERVAL_MS - Date.now();
+    if (!expired && wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    // A request that gave up waiting leaves its turn to the next one
+    if (expired) return null;
+    leave();
+    lastRequestAt = Date.now();
+    return task();
+  });
+  queue = run.catch(() => {});
+  return Promise.race([run, timeout]);
+}
+
+function request(endpoint, params, { budget } = {}) {
+  const query = new URLSearchParams({ ...params, format: "jsonv2", ...(process.env.NOMINATIM_EMAIL ? { email: process.env.NOMINATIM_EMAIL } : {}) });
+  // No retries: a retry would break the one-request-per-interval policy
+  return throttle(() => fetchJson(`${NOMINATIM_URL}/${endpoint}?${query}`, {
+    headers: { "User-Agent": USER_AGENT },
+    label: "Nominatim",
+    retries: 0,
+    budget
+  }));
+}
+
+// Nominatim boundingbox [south, north, west, east] (strings) -> [west, south, east, north]
+function toBoundingBox(boundingbox) {
+  if (!Array.isArray(boundingbox) || boundingbox.length !== 4) return null;
+  const [south, north, west, east] = boundingbox.map(Number);
+  return [west, south, east, north];
+}
+
+function toResult(place) {
+  return {
+    name: place.display_name,
+    lat: parseFloat(place.lat),
+    lon: parseFloat(place.lon),
+    country_code: place.address?.country_code || null,
+    type: place.addresstype || place.type || "place",
+    bbox: toBoundingBox(place.boundingbox),
+    bbox_estimated: false,
+    source: "nominatim"
+  };
+}
+
+async function searchNominatim({ query, limit, lang, countries, near }) {
+  const params = { q: query, limit, addressdetails: 1 };
+  if (lang) params["accept-language"] = lang;
+  if (countries) params.countrycodes = countries.join(",");
+  if (near) {
+    params.viewbox = [
+      near.lon - NEAR_VIEWBOX_DEGREES, near.lat + NEAR_VIEWBOX_DEGREES,
+      near.lon + NEAR_VIEWBOX_DEGREES, near.lat - NEAR_VIEWBOX_DEGREES
+    ].join(",");
+  }
+
+  const cacheKey = buildCacheKey("nominatim_search", query, limit, lang || "", (countries || []).join(","), near ? `${roundCoordinate(near.lat, 1)},${roundCoordinate(near.lon, 1)}` : "");
+  const places = await cached("nominatim_search", cacheKey, () => request("search", params));
+  const results = places.map(toResult);
+
+  // The viewbox only biases Nominatim, so blend its ranking with the distance to `near`
+  if (near) {
+    const score = (result, rank) => rank + 2 * Math.log10(1 + distanceKm(near, result) / 50);
+    return results
+      .map((result, rank) => ({ result, score: score(result, rank) }))
+      .sort((a, b) => a.score - b.score)
+      .map(({ result }) => result);
+  }
+  return results;
+}
+
+async function reverseNominatim(lat, lon, { budget } = {}) {
+  const cacheKey = buildCacheKey("nominatim_reverse", roundCoordinate(lat), roundCoordinate(lon));
+  return cached("nominatim_reverse", cacheKey, async () => {
+    const data = await request("reverse", { lat, lon, zoom: 10 }, { budget });
+    return data.display_name || null;
+  });
+}
+
+export default {
+  name: "nominatim",
+  label: "OpenStreetMap Nominatim",
+  isConfigured: () => true,
+  probeUrl: `${NOMINATIM_URL}/status`,
+  search: searchNominatim,
+  reverse: reverseNominatim
+};
@@ -0,0 +1,24 @@
+/**
+ * Geocoding Helpers - Name Normalization & Great-Circle Distance
+ */
+
+// Lowercase, strip accents and punctuation so "São Paulo" matches "sao paulo"
+function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Haversine distance between two { lat, lon } points
+function distanceKm(a, b) {
+  const toRadians = value => value * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export { normalizeName, distanceKm };
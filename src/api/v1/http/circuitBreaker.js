@@ -0,0 +1,94 @@
+/**
+ * Circuit Breakers - One Per Upstream Provider, So A Failing Source Is Skipped Instead Of Waited On
+ *
+ * closed     requests flow; CIRCUIT_FAILURE_THRESHOLD failures in a row open the circuit
+ * open       requests are skipped until CIRCUIT_COOLDOWN_MS has passed
+ * half_open  one trial request is let through: success closes the circuit, failure opens it again
+ *
+ * CIRCUIT_FAILURE_THRESHOLD=5   (0 disables the breakers)
+ * CIRCUIT_COOLDOWN_MS=30000
+ */
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD ?? "5", 10);
+const COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000;
+
+const circuits = new Map();
+
+function createCircuit(name) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  const open = (reason) => {
+    state = "open";
+    openedAt = Date.now();
+    trialInFlight = false;
+    logger.warn(`Circuit for ${name} opened: ${reason}; next trial in ${Math.round(COOLDOWN_MS / 1000)} s`, { provider: name, circuit: state });
+  };
+
+  return {
+    name,
+    state: () => state,
+
+    // false while open (or while the half-open trial is running); the caller skips the provider
+    allowRequest() {
+      if (FAILURE_THRESHOLD <= 0 || state === "closed") return true;
+      if (state === "open" && Date.now() - openedAt >= COOLDOWN_MS) {
+        state = "half_open";
+        logger.info(`Circuit for ${name} half-open, trying one request`, { provider: name, circuit: state });
+      }
+      if (state === "half_open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      if (state !== "closed") logger.success(`Circuit for ${name} closed again`, { provider: name, circuit: "closed" });
+      state = "closed";
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure(error) {
+      lastError = error?.message || String(error);
+      failures++;
+      if (FAILURE_THRESHOLD <= 0) return;
+      if (state === "half_open") open(`trial request failed (${lastError})`);
+      else if (state === "closed" && failures >= FAILURE_THRESHOLD) open(`${failures} failures in a row, last: ${lastError}`);
+    },
+
+    snapshot() {
+      return {
+        provider: name,
+        state,
+        consecutive_failures: failures,
+        opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+        retry_at: state === "open" ? new Date(openedAt + COOLDOWN_MS).toISOString() : null,
+        last_error: lastError
+      };
+    }
+  };
+}
+
+function getCircuit(name) {
+  if (!circuits.has(name)) circuits.set(name, createCircuit(name));
+  return circuits.get(name);
+}
+
+function getCircuitStates() {
+  return [...circuits.values()].map(circuit => circuit.snapshot());
+}
+
+// Forget every breaker, e.g. between test cases
+function resetCircuits() {
+  circuits.clear();
+}
+
+export { getCircuit, getCircuitStates, resetCircuits };
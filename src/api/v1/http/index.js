@@ -0,0 +1,121 @@
+/**
+ * Upstream HTTP Client - Deadlines, Jittered Retries & Per-Request Budgets For NASA Calls
+ *
+ * Every attempt runs under an AbortController deadline. 5xx, 429 and network failures are retried
+ * with full-jitter exponential backoff (429 waits at least its Retry-After); timeouts are not retried,
+ * a server that hung once is likely to hang again. A budget (createBudget) caps the time all
+ * attempts of one request may take together, across every provider of the fallback chain.
+ *
+ * HTTP_TIMEOUT_MS=15000       (deadline of a single attempt)
+ * HTTP_RETRIES=2              (extra attempts after a retryable failure)
+ * HTTP_RETRY_BASE_MS=250      (attempt n waits a random 0..base*2^(n-1) ms, capped by HTTP_RETRY_MAX_MS)
+ * HTTP_RETRY_MAX_MS=4000
+ * UPSTREAM_BUDGET_MS=20000    (time one weather request may spend upstream, see providers/index.js)
+ */
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+};
+const HTTP_TIMEOUT_MS = readNumber("HTTP_TIMEOUT_MS", 15000);
+const HTTP_RETRIES = readNumber("HTTP_RETRIES", 2);
+const HTTP_RETRY_BASE_MS = readNumber("HTTP_RETRY_BASE_MS", 250);
+const HTTP_RETRY_MAX_MS = readNumber("HTTP_RETRY_MAX_MS", 4000);
+const UPSTREAM_BUDGET_MS = readNumber("UPSTREAM_BUDGET_MS", 20000);
+
+const DEFAULT_HEADERS = { "User-Agent": "NASA-Weather-App/1.0" };
+
+// Thrown for every upstream failure; `retryable` tells callers whether trying again could help
+class UpstreamError extends Error {
+  constructor(message, { status = null, retryable = false, attempts = 1 } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.retryable = retryable;
+    this.attempts = attempts;
+  }
+}
+
+// Wall-clock allowance shared by every call made for one request
+function createBudget(ms = UPSTREAM_BUDGET_MS) {
+  const deadline = Date.now() + ms;
+  return {
+    total_ms: ms,
+    remaining: () => Math.max(0, deadline - Date.now())
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(retry, retryAfterMs = 0) {
+  const ceiling = Math.min(HTTP_RETRY_MAX_MS, HTTP_RETRY_BASE_MS * Math.pow(2, retry - 1));
+  return Math.max(retryAfterMs, Math.round(Math.random() * ceiling));
+}
+
+// Retry-After in seconds or as an HTTP date -> ms, 0 when absent
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+async function attemptOnce(url, { method, headers, body, timeoutMs, label }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { method, headers: { ...DEFAULT_HEADERS, ...headers }, body, signal: controller.signal });
+    if (response.ok) return response;
+
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    const retryable = response.status >= 500 || response.status === 429;
+    const error = new UpstreamError(`${label}HTTP error: ${response.status}`, { status: response.status, retryable });
+    error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+    throw error;
+  } catch (error) {
+    if (error instanceof UpstreamError) throw error;
+    if (controller.signal.aborted) throw new UpstreamError(`${label}timed out after ${timeoutMs} ms`);
+    throw new UpstreamError(`${label}request failed: ${error.cause?.message || error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Resolves with an ok Response or throws an UpstreamError once retries or the budget run out
+async function fetchUpstream(url, { method = "GET", headers = {}, body, label = "", timeoutMs = HTTP_TIMEOUT_MS, retries = HTTP_RETRIES, budget } = {}) {
+  const prefix = label ? `${label} ` : "";
+
+  for (let attempt = 1; ; attempt++) {
+    const remaining = budget ? budget.remaining() : Infinity;
+    if (remaining <= 0) {
+      throw new UpstreamError(`${prefix}skipped: request budget of ${budget.total_ms} ms exhausted`, { attempts: attempt - 1 });
+    }
+
+    try {
+      return await attemptOnce(url, { method, headers, body, label: prefix, timeoutMs: Math.min(timeoutMs, remaining) });
+    } catch (error) {
+      error.attempts = attempt;
+      if (!error.retryable || attempt > retries) throw error;
+
+      const delay = backoffDelay(attempt, error.retryAfterMs);
+      if (budget && delay >= budget.remaining()) throw error;
+      logger.warn(`${prefix}attempt ${attempt} failed (${error.message}), retrying in ${delay} ms`, { url, attempt, status: error.status });
+      await sleep(delay);
+    }
+  }
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetchUpstream(url, { ...options, headers: { Accept: "application/json", ...options.headers } });
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new UpstreamError(`${options.label ? `${options.label} ` : ""}answered invalid JSON: ${error.message}`);
+  }
+}
+
+export { UPSTREAM_BUDGET_MS, UpstreamError, createBudget, fetchUpstream, fetchJson };
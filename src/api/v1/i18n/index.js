@@ -0,0 +1,65 @@
+/**
+ * Localization - Translation Catalogs For Weather Condition Text
+ *
+ * Catalogs live in ./locales/<lang>.json and are keyed by stable condition keys
+ * (e.g. "light_rain"). Providers keep producing the English text; it is mapped back
+ * to its key through the English catalog and translated on the way out.
+ * weather_code values are never translated.
+ */
+import fs from "fs";
+import path from "path";
+
+// VARIABLES //
+const DEFAULT_LANGUAGE = "en";
+const LOCALES_DIR = path.resolve("./src/api/v1/i18n/locales");
+
+const CATALOGS = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith(".json"))
+    .map(file => [path.basename(file, ".json"), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf-8"))])
+);
+
+// English condition text -> condition key
+const CONDITION_KEYS = Object.fromEntries(
+  Object.entries(CATALOGS[DEFAULT_LANGUAGE].conditions).map(([key, text]) => [text, key])
+);
+
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS).sort();
+
+// `lang` query (e.g. "es", "pt-BR") -> catalog name, null when there is no catalog for it
+function resolveLanguage(value) {
+  if (value === undefined || value === "") return DEFAULT_LANGUAGE;
+  const tag = String(value).trim().toLowerCase().replace('_', '-');
+  if (CATALOGS[tag]) return tag;
+  const base = tag.split('-')[0];
+  return CATALOGS[base] ? base : null;
+}
+
+function translateCondition(text, lang) {
+  const key = CONDITION_KEYS[text];
+  if (!key || lang === DEFAULT_LANGUAGE) return text;
+  return CATALOGS[lang]?.conditions?.[key] ?? text;
+}
+
+// Localize `conditions` on current and every forecast day
+function localizeWeatherData(weatherData, lang) {
+  const localize = (record) => (
+    record && record.conditions !== undefined
+      ? { ...record, conditions: translateCondition(record.conditions, lang) }
+      : record
+  );
+
+  return {
+    ...weatherData,
+    current: localize(weatherData.current),
+    forecast: (weatherData.forecast || []).map(localize)
+  };
+}
+
+export {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  translateCondition,
+  localizeWeatherData
+};
@@ -0,0 +1,55 @@
+/**
+ * Imagery Disk Cache - Image Bytes Stored As-Is, One File Per Key, Expired By Age
+ *
+ * Unlike the JSON response cache, entries are raw images: the file name carries the extension and
+ * the modification time is the storage time, so `get` needs the caller's content type and TTL.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createPruner } from "../cache/prune.js";
+import { logger } from "../logging/index.js";
+
+function createImageryCache({ dir = "./data/imagery", maxEntries = 5000 } = {}) {
+  const cacheDir = path.resolve(dir);
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  const fileFor = (key, extension) => path.join(cacheDir, `${crypto.createHash("sha1").update(key).digest("hex")}.${extension}`);
+
+  // Drops the least recently written images once the directory grows past maxEntries
+  const pruner = createPruner(cacheDir, { maxEntries });
+
+  return {
+    // The stored bytes, null when absent or older than ttlMs
+    async get(key, extension, ttlMs) {
+      const file = fileFor(key, extension);
+      try {
+        const { mtimeMs } = await fs.promises.stat(file);
+        if (Date.now() - mtimeMs > ttlMs) return null;
+        return await fs.promises.readFile(file);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Written to a temporary file first so a concurrent reader never sees half an image
+    async set(key, extension, bytes) {
+      const file = fileFor(key, extension);
+      const temporary = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(temporary, bytes);
+        await fs.promises.rename(temporary, file);
+        await pruner.written();
+      } catch (error) {
+        await fs.promises.unlink(temporary).catch(() => {});
+        logger.warn(`Imagery cache write failed: ${error.message}`);
+      }
+    },
+
+    size() {
+      return fs.readdirSync(cacheDir).length;
+    }
+  };
+}
+
+export { createImageryCache };
@@ -0,0 +1,117 @@
+/**
+ * NASA GIBS Imagery - WMS Snapshots & WMTS Tiles, Cached On Disk
+ *
+ * Snapshots are WMS 1.3.0 GetMap requests on NASA_APIS.GIBS (EPSG:4326, any bbox and size); tiles
+ * come from the WMTS REST endpoint NASA_APIS.GIBS_WMTS (EPSG:3857, the z/x/y grid web maps use).
+ * Imagery of the last two days is still being filled in and swapped for reprocessed granules, so
+ * it is refetched after IMAGERY_TTL_RECENT_S; older days rarely change and are kept much longer.
+ *
+ * IMAGERY_CACHE_DIR=./data/imagery
+ * IMAGERY_CACHE_MAX_ENTRIES=5000
+ * IMAGERY_TTL_RECENT_S=3600
+ * IMAGERY_TTL_ARCHIVE_S=2592000   (30 days)
+ */
+import { IMAGERY_LAYERS, IMAGE_FORMATS } from "./layers.js";
+import { createImageryCache } from "./diskCache.js";
+import { buildCacheKey } from "../cache/index.js";
+import { NASA_APIS } from "../config/nasaApis.js";
+import { UpstreamError, fetchUpstream } from "../http/index.js";
+import { recordUpstreamAttempt } from "../monitoring/metrics.js";
+import { currentDate } from "../weather/clock.js";
+
+// VARIABLES //
+const readSeconds = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+};
+const TTL_RECENT_S = readSeconds("IMAGERY_TTL_RECENT_S", 3600);
+const TTL_ARCHIVE_S = readSeconds("IMAGERY_TTL_ARCHIVE_S", 30 * 86400);
+const RECENT_DAYS = 2;
+
+const cache = createImageryCache({
+  dir: process.env.IMAGERY_CACHE_DIR || "./data/imagery",
+  maxEntries: parseInt(process.env.IMAGERY_CACHE_MAX_ENTRIES, 10) || 5000
+});
+const inFlight = new Map();
+
+// Whether GIBS may still change the imagery of `date` (YYYY-MM-DD)
+function isRecentDate(date) {
+  const cutoff = new Date(currentDate().getTime() - RECENT_DAYS * 86400000).toISOString().split('T')[0];
+  return date >= cutoff;
+}
+
+// The text of a WMS ServiceException, or the start of whatever else came back
+function describeNonImage(text) {
+  const exception = text.match(/<ServiceException[^>]*>([\s\S]*?)<\/ServiceException>/);
+  return (exception ? exception[1] : text).replace(/\s+/g, " ").trim().slice(0, 200);
+}
+
+// GET `url` -> image bytes. GIBS answers XML (a ServiceException) when it has nothing for the
+// request; that is reported as a 404 so callers can tell "no imagery" from "GIBS is down"
+async function download(url) {
+  const startedAt = Date.now();
+  try {
+    const response = await fetchUpstream(url, { label: "NASA GIBS", headers: { Accept: "image/*" } });
+    const type = response.headers.get("content-type") || "";
+    if (!type.startsWith("image/")) {
+      const detail = describeNonImage(await response.text());
+      if (type.includes("xml")) throw new UpstreamError(`NASA GIBS has no imagery: ${detail}`, { status: 404 });
+      throw new UpstreamError(`NASA GIBS answered ${type || "an untyped body"} instead of an image`);
+    }
+    const bytes = Buffer.from(await response.arrayBuffer());
+    recordUpstreamAttempt("imagery", "gibs", "success", Date.now() - startedAt);
+    return bytes;
+  } catch (error) {
+    recordUpstreamAttempt("imagery", "gibs", "failed", Date.now() - startedAt);
+    throw error;
+  }
+}
+
+// { bytes, contentType, cached, recent } from the disk cache or GIBS; one download per key at a time
+async function loadImage(key, url, { date, format }) {
+  const { contentType, extension } = IMAGE_FORMATS[format];
+  const recent = isRecentDate(date);
+  const stored = await cache.get(key, extension, (recent ? TTL_RECENT_S : TTL_ARCHIVE_S) * 1000);
+  if (stored) return { bytes: stored, contentType, cached: true, recent };
+
+  if (!inFlight.has(key)) {
+    const pending = download(url)
+      .then(async (bytes) => {
+        await cache.set(key, extension, bytes);
+        return bytes;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+  return { bytes: await inFlight.get(key), contentType, cached: false, recent };
+}
+
+// Image of `bbox` (degrees) for one layer and day
+function fetchSnapshot({ layer, date, bbox, width, height, format }) {
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    REQUEST: "GetMap",
+    VERSION: "1.3.0",
+    LAYERS: IMAGERY_LAYERS[layer].gibs,
+    STYLES: "",
+    CRS: "EPSG:4326",
+    // WMS 1.3.0 takes EPSG:4326 axes in latitude, longitude order
+    BBOX: [bbox.south, bbox.west, bbox.north, bbox.east].join(","),
+    WIDTH: String(width),
+    HEIGHT: String(height),
+    FORMAT: IMAGE_FORMATS[format].contentType,
+    TIME: date,
+    ...(format === "png" ? { TRANSPARENT: "TRUE" } : {})
+  });
+  const key = buildCacheKey("imagery", "snapshot", layer, date, bbox.west, bbox.south, bbox.east, bbox.north, width, height, format);
+  return loadImage(key, `${NASA_APIS.GIBS}?${params}`, { date, format });
+}
+
+// One 256 px web-mercator tile, in the layer's own format
+function fetchTile({ layer, date, tile: { z, x, y } }) {
+  const { gibs, format, maxZoom } = IMAGERY_LAYERS[layer];
+  const url = `${NASA_APIS.GIBS_WMTS}/${gibs}/default/${date}/GoogleMapsCompatible_Level${maxZoom}/${z}/${y}/${x}.${IMAGE_FORMATS[format].extension}`;
+  return loadImage(buildCacheKey("imagery", "tile", layer, date, z, x, y), url, { date, format });
+}
+
+export { fetchSnapshot, fetchTile };
@@ -0,0 +1,69 @@
+/**
+ * Imagery Endpoint - NASA GIBS Snapshots & Map Tiles Through Our Own Cache
+ *
+ * The frontend overlays satellite imagery without calling NASA itself: only the layers in
+ * layers.js are served, requests are checked before they reach GIBS and every image is kept
+ * on disk (see gibs.js), so a tile many users look at is fetched once.
+ */
+// REQUIRED DEPENDENCY //
+import express from "express";
+import crypto from "crypto";
+
+// IMAGERY //
+import { IMAGERY_LAYERS } from "./layers.js";
+import { fetchSnapshot, fetchTile } from "./gibs.js";
+import { applyCacheHeaders } from "../cache/index.js";
+import { sendError } from "../errors/index.js";
+import { requireScope } from "../access/index.js";
+import { validate } from "../validation/index.js";
+import { SNAPSHOT_QUERY, TILE_PARAMS, TILE_QUERY } from "../validation/schemas.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const rt = express.Router();
+
+// The image with cache headers: recent days may still change, older ones are cached for long
+function sendImage(res, image, layer, date) {
+  applyCacheHeaders(res, image.recent ? "imagery" : "imagery_archive");
+  res.set("ETag", `"${crypto.createHash("sha1").update(image.bytes).digest("base64url")}"`);
+  res.set("X-Imagery-Layer", IMAGERY_LAYERS[layer].gibs);
+  res.set("X-Imagery-Date", date);
+  res.type(image.contentType).send(image.bytes);
+}
+
+// GIBS 400/404 (or a ServiceException) means nothing to show, anything else is a failed fetch
+function sendImageryError(res, error) {
+  if (error.status === 400 || error.status === 404) {
+    sendError(res, "IMAGERY_UNAVAILABLE", { reason: error.message });
+    return;
+  }
+  sendError(res, "API_FETCH_FAILED", { reason: error.message });
+}
+
+// Image of a bounding box
+rt.get("/snapshot", requireScope("weather:read"), validate({ query: SNAPSHOT_QUERY }), async (req, res) => {
+  const { layer, date, bbox, size, format } = req.validated.query;
+
+  try {
+    const image = await fetchSnapshot({ layer, date, bbox, ...size, format: format || IMAGERY_LAYERS[layer].format });
+    sendImage(res, image, layer, date);
+    logger.success(`Imagery snapshot ${layer} ${date} ${size.width}x${size.height}${image.cached ? " (cached)" : ""}`);
+  } catch (error) {
+    sendImageryError(res, error);
+  }
+});
+
+// One web-mercator map tile
+rt.get("/tiles/:layer/:z/:x/:y", requireScope("weather:read"), validate({ params: TILE_PARAMS, query: TILE_QUERY }), async (req, res) => {
+  const { layer, tile } = req.validated.params;
+  const { date } = req.validated.query;
+
+  try {
+    const image = await fetchTile({ layer, date, tile });
+    sendImage(res, image, layer, date);
+  } catch (error) {
+    sendImageryError(res, error);
+  }
+});
+
+export default rt;
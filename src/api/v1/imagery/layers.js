@@ -0,0 +1,110 @@
+/**
+ * Imagery Layers - The GIBS Layers We Proxy And The Checks On Dates, Areas, Sizes & Tiles
+ *
+ * Only these layers are served, under our own names so the GIBS identifiers can change behind them.
+ * `maxZoom` is the deepest level of the layer's GoogleMapsCompatible tile matrix set (EPSG:3857),
+ * `start` the first day GIBS has imagery for it.
+ *
+ * IMAGERY_MAX_SIZE=2048   (largest snapshot width or height in pixels)
+ */
+import { currentDate } from "../weather/clock.js";
+
+// VARIABLES //
+const IMAGERY_LAYERS = {
+  true_color: {
+    gibs: "MODIS_Terra_CorrectedReflectance_TrueColor",
+    title: "Terra MODIS corrected reflectance, true color",
+    format: "jpeg",
+    maxZoom: 9,
+    start: "2000-02-24"
+  },
+  cloud_top_temperature: {
+    gibs: "MODIS_Terra_Cloud_Top_Temp_Day",
+    title: "Terra MODIS cloud top temperature, daytime",
+    format: "png",
+    maxZoom: 6,
+    start: "2000-02-24"
+  },
+  precipitation_rate: {
+    gibs: "IMERG_Precipitation_Rate",
+    title: "GPM IMERG precipitation rate",
+    format: "png",
+    maxZoom: 6,
+    start: "2000-06-01"
+  }
+};
+
+const IMAGE_FORMATS = {
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+  png: { contentType: "image/png", extension: "png" }
+};
+
+const IMAGERY_START = "2000-02-24"; // earliest start of any layer
+const IMAGERY_MAX_SIZE = parseInt(process.env.IMAGERY_MAX_SIZE, 10) || 2048;
+const DEFAULT_WIDTH = 512;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => currentDate().toISOString().split('T')[0];
+
+// Yesterday (UTC): today's imagery is still being filled in swath by swath
+function defaultImageryDate() {
+  return new Date(currentDate().getTime() - 86400000).toISOString().split('T')[0];
+}
+
+// YYYY-MM-DD from the layer's first day (any layer's when unknown) to today, null otherwise
+function resolveImageryDate(value, layerName) {
+  if (value === undefined || value === "") return defaultImageryDate();
+  if (!DATE_PATTERN.test(value) || isNaN(Date.parse(`${value}T00:00:00Z`))) return null;
+  if (new Date(`${value}T00:00:00Z`).toISOString().split('T')[0] !== value) return null; // e.g. 2023-02-30
+  const start = IMAGERY_LAYERS[layerName]?.start || IMAGERY_START;
+  return value >= start && value <= today() ? value : null;
+}
+
+// "west,south,east,north" in degrees -> { west, south, east, north }, null unless west < east and south < north
+function resolveBbox(value) {
+  const parts = String(value).split(",").map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => part === "")) return null;
+  const [west, south, east, north] = parts.map(Number);
+  if (![west, south, east, north].every(isFinite)) return null;
+  if (west < -180 || east > 180 || south < -90 || north > 90) return null;
+  return west < east && south < north ? { west, south, east, north } : null;
+}
+
+// width/height in pixels; a missing side follows the bbox aspect ratio (degrees, plate carrée)
+function resolveImageSize(source, bbox) {
+  const read = (value) => {
+    if (value === undefined || value === "") return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= IMAGERY_MAX_SIZE ? number : NaN;
+  };
+  let width = read(source.width);
+  let height = read(source.height);
+  if (Number.isNaN(width) || Number.isNaN(height)) return null;
+
+  const aspect = (bbox.north - bbox.south) / (bbox.east - bbox.west);
+  const clamp = size => Math.min(IMAGERY_MAX_SIZE, Math.max(1, Math.round(size)));
+  if (width === undefined && height === undefined) width = DEFAULT_WIDTH;
+  if (height === undefined) height = clamp(width * aspect);
+  if (width === undefined) width = clamp(height / aspect);
+  return { width, height };
+}
+
+// z/x/y inside the layer's tile grid -> { z, x, y }, null otherwise
+function resolveTile(source, layerName) {
+  const [z, x, y] = [source.z, source.x, source.y].map(value => (/^\d+$/.test(String(value)) ? Number(value) : NaN));
+  const maxZoom = IMAGERY_LAYERS[layerName]?.maxZoom;
+  if (maxZoom === undefined || !(z >= 0 && z <= maxZoom)) return null;
+  const size = 2 ** z;
+  return x < size && y < size ? { z, x, y } : null;
+}
+
+export {
+  IMAGERY_LAYERS,
+  IMAGE_FORMATS,
+  IMAGERY_MAX_SIZE,
+  defaultImageryDate,
+  resolveImageryDate,
+  resolveBbox,
+  resolveImageSize,
+  resolveTile
+};
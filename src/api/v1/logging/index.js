@@ -0,0 +1,84 @@
+/**
+ * Logging - Leveled Logs As Pretty Colour Lines (dev) Or JSON Lines (production), Tagged With The Request ID
+ *
+ * LOG_LEVEL=info        (debug, info, warn, error or silent)
+ * LOG_FORMAT=pretty     (pretty or json; defaults to json when NODE_ENV=production)
+ *
+ * Every line written while a request (or an alert check) is being handled carries its context,
+ * so upstream calls made on behalf of a request can be found by its X-Request-Id:
+ *   {"time":"...","level":"debug","msg":"NASA POWER URL: ...","request_id":"...","url":"..."}
+ *
+ * Pretty lines keep the usual marks: [~] blue progress, [+] green success, [~] yellow warning, [-] red error.
+ */
+import { AsyncLocalStorage } from "async_hooks";
+import chalk from "chalk";
+
+// VARIABLES //
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const PRETTY = {
+  debug: text => chalk.blue(`[~] ${text}`),
+  info: text => chalk.blue(`[~] ${text}`),
+  success: text => chalk.green(`[+] ${text}`),
+  warn: text => chalk.yellow(`[~] ${text}`),
+  error: text => chalk.red(`[-] ${text}`)
+};
+
+const requestedLevel = (process.env.LOG_LEVEL || "info").toLowerCase();
+const LOG_LEVEL = LEVELS[requestedLevel] ? requestedLevel : "info";
+const LOG_FORMAT = (process.env.LOG_FORMAT || (process.env.NODE_ENV === "production" ? "json" : "pretty")).toLowerCase() === "json"
+  ? "json"
+  : "pretty";
+
+const context = new AsyncLocalStorage();
+let write = line => process.stdout.write(`${line}\n`);
+
+// Errors become their message so JSON lines stay serialisable
+const toField = value => (value instanceof Error ? value.message : value);
+
+function emit(level, tone, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const entry = { ...context.getStore(), ...fields };
+
+  if (LOG_FORMAT === "json") {
+    const record = { time: new Date().toISOString(), level, msg: message };
+    Object.entries(entry).forEach(([key, value]) => {
+      if (value !== undefined) record[key] = toField(value);
+    });
+    write(JSON.stringify(record));
+    return;
+  }
+  write(PRETTY[tone](message) + (entry.request_id ? chalk.gray(` (${entry.request_id})`) : ""));
+}
+
+const logger = {
+  debug: (message, fields) => emit("debug", "debug", message, fields),
+  info: (message, fields) => emit("info", "info", message, fields),
+  success: (message, fields) => emit("info", "success", message, fields), // info level, green in pretty output
+  warn: (message, fields) => emit("warn", "warn", message, fields),
+  error: (message, fields) => emit("error", "error", message, fields)
+};
+
+if (!LEVELS[requestedLevel]) logger.warn(`Unknown LOG_LEVEL "${requestedLevel}", using info`);
+
+// Run `fn` with extra fields added to every line it (and everything it awaits) logs
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Express middleware, after assignRequestId: tags the request's lines and logs one line per answer
+function logRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+    const fields = { request_id: res.locals.requestId, method: req.method, path: req.originalUrl, status: res.statusCode, duration_ms: durationMs };
+    logger.info(`${req.method} ${req.originalUrl} ${res.statusCode} in ${durationMs} ms`, fields);
+  });
+  withLogContext({ request_id: res.locals.requestId }, next);
+}
+
+// Send lines somewhere other than stdout (tests, embedding); `fn` receives one formatted line
+function setLogWriter(fn) {
+  write = fn;
+}
+
+export { LOG_LEVEL, LOG_FORMAT, logger, withLogContext, logRequests, setLogWriter };
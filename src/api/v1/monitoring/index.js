@@ -0,0 +1,39 @@
+/**
+ * Monitoring Endpoints - Liveness, Readiness & Prometheus Metrics
+ *
+ * GET /healthz   the process is up and serving (no dependency is checked)
+ * GET /readyz    per-dependency status from cached probes (see probes.js); 503 when a required one is down
+ * GET /metrics   Prometheus text exposition (see metrics.js)
+ */
+import express from "express";
+import { checkReadiness } from "./probes.js";
+import { renderMetrics } from "./metrics.js";
+
+// VARIABLES //
+const router = express.Router();
+
+router.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    status: "ok",
+    uptime_s: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get("/readyz", async (req, res) => {
+  const { status, checks } = await checkReadiness();
+  res.set("Cache-Control", "no-store");
+  res.status(status === "not_ready" ? 503 : 200).json({
+    status,
+    checks,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get("/metrics", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
+export default router;
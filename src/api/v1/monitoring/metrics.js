@@ -0,0 +1,141 @@
+/**
+ * Metrics Registry - Counters, Histograms & Gauges Rendered In The Prometheus Text Format
+ *
+ * The instruments the app records live at the bottom; routes are labelled by their pattern
+ * ("/api/v1/alerts/:id"), never by the raw URL, so series stay bounded.
+ */
+import { getCacheStats } from "../cache/index.js";
+import { getCircuitStates } from "../http/circuitBreaker.js";
+
+// VARIABLES //
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const metrics = new Map();
+
+const escapeLabel = value => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+// Stable key for one label combination
+const seriesKey = labels => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function register(name, type, help, render) {
+  if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+  metrics.set(name, { name, type, help, render });
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  register(name, "counter", help, () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    get(labels = {}) {
+      return series.get(seriesKey(labels))?.value || 0;
+    }
+  };
+}
+
+// Cumulative buckets in seconds, plus _sum and _count, per label combination
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  register(name, "histogram", help, () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+    ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+    `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+    `${name}_sum${formatLabels(labels)} ${sum}`,
+    `${name}_count${formatLabels(labels)} ${count}`
+  ]));
+
+  return {
+    observe(labels = {}, value) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    }
+  };
+}
+
+// Read at scrape time: `collect()` returns [{ labels, value }]
+function createGauge(name, help, collect) {
+  register(name, "gauge", help, () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`));
+}
+
+function renderMetrics() {
+  return [...metrics.values()].map(({ name, type, help, render }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...render()
+  ].join("\n")).join("\n") + "\n";
+}
+
+// APP METRICS //
+const httpRequests = createCounter("http_requests_total", "HTTP requests answered, by method, route pattern and status");
+const httpDuration = createHistogram("http_request_duration_seconds", "Time to answer HTTP requests, by method and route pattern");
+const upstreamRequests = createCounter("upstream_requests_total", "Calls to weather providers, geocoders and GIBS imagery, by outcome (success, failed, skipped)");
+const upstreamDuration = createHistogram("upstream_request_duration_seconds", "Time spent in weather providers, geocoders and GIBS imagery");
+const simulationFallbacks = createCounter("weather_simulation_fallbacks_total", "Weather answers served by a synthetic provider after a real one failed");
+
+createGauge("cache_hit_ratio", "Share of cache lookups answered from the cache (fresh or stale)", () => [{ value: getCacheStats().hit_ratio }]);
+createGauge("cache_lookups", "Cache lookups since start, by result", () => {
+  const { hits, stale, misses } = getCacheStats();
+  return [{ labels: { result: "hit" }, value: hits }, { labels: { result: "stale" }, value: stale }, { labels: { result: "miss" }, value: misses }];
+});
+createGauge("cache_entries", "Entries held by the cache backend", () => {
+  const { backend, entries } = getCacheStats();
+  return [{ labels: { backend }, value: entries }];
+});
+createGauge("circuit_breaker_state", "Circuit breaker state per provider, 1 for the current state", () => getCircuitStates().flatMap(({ provider, state }) =>
+  ["closed", "open", "half_open"].map(candidate => ({ labels: { provider, state: candidate }, value: candidate === state ? 1 : 0 }))));
+createGauge("process_uptime_seconds", "Seconds since the process started", () => [{ value: Math.round(process.uptime()) }]);
+createGauge("process_resident_memory_bytes", "Resident memory of the process", () => [{ value: process.memoryUsage().rss }]);
+
+// Route pattern for the label: answered inside a mount but before a route (auth, rate limit) -> "<mount>/*"
+function routeLabel(req) {
+  if (req.route) return req.route.path === "/" && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl ? `${req.baseUrl}/*` : "unmatched";
+}
+
+// Express middleware: one sample per answered request; paths no route knows share the "unmatched" label
+function recordHttpMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = routeLabel(req);
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+// `kind` is "weather", "geocoder" or "imagery", `status` the attempt status reported in provider_attempts
+function recordUpstreamAttempt(kind, provider, status, durationMs) {
+  upstreamRequests.inc({ kind, provider, outcome: status });
+  if (status !== "skipped") upstreamDuration.observe({ kind, provider }, durationMs / 1000);
+}
+
+function recordSimulationFallback(provider) {
+  simulationFallbacks.inc({ provider });
+}
+
+export {
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics,
+  recordHttpMetrics,
+  recordUpstreamAttempt,
+  recordSimulationFallback
+};
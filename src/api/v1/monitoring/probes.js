@@ -0,0 +1,97 @@
+/**
+ * Readiness Probes - Cached Reachability Checks For The Cache, Weather Providers & Geocoders
+ *
+ * Providers and geocoder backends in the active chains are checked through their `probe()` or
+ * `probeUrl` (any answer below 500 counts as reachable); the rest have nothing to probe.
+ *
+ * READYZ_PROBE_TTL_MS=30000       (a result is reused this long, so /readyz never hammers upstreams)
+ * READYZ_PROBE_TIMEOUT_MS=5000
+ * READYZ_REQUIRED=cache           (dependencies that make /readyz answer 503 when down; others only degrade it)
+ */
+import { probeCache } from "../cache/index.js";
+import { getProviderChain } from "../weather/providers/index.js";
+import { getBackendChain } from "../geocoding/index.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const PROBE_TTL_MS = parseInt(process.env.READYZ_PROBE_TTL_MS, 10) || 30000;
+const PROBE_TIMEOUT_MS = parseInt(process.env.READYZ_PROBE_TIMEOUT_MS, 10) || 5000;
+const REQUIRED = (process.env.READYZ_REQUIRED ?? "cache")
+  .split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+
+const results = new Map(); // dependency name -> last probe result
+const inFlight = new Map();
+
+async function probeUrl(url) {
+  const response = await fetch(url, { method: "HEAD", signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+}
+
+// { name, kind, check } for everything the running configuration depends on
+function listDependencies() {
+  const dependencies = [{ name: "cache", kind: "cache", check: probeCache }];
+
+  getProviderChain().forEach((provider) => {
+    const check = provider.probe || (provider.probeUrl && (() => probeUrl(provider.probeUrl)));
+    if (check) dependencies.push({ name: provider.name, kind: "weather_provider", check });
+  });
+  getBackendChain().forEach((backend) => {
+    if (backend.probeUrl) dependencies.push({ name: backend.name, kind: "geocoder", check: () => probeUrl(backend.probeUrl) });
+  });
+
+  return dependencies;
+}
+
+async function runProbe({ name, kind, check }) {
+  const previous = results.get(name);
+  const startedAt = Date.now();
+  let error = null;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error(`No answer within ${PROBE_TIMEOUT_MS} ms`)), PROBE_TIMEOUT_MS).unref())
+    ]);
+  } catch (probeError) {
+    error = probeError.name === "TimeoutError" ? `No answer within ${PROBE_TIMEOUT_MS} ms` : probeError.message;
+  }
+
+  const checkedAt = new Date().toISOString();
+  const result = {
+    name,
+    kind,
+    required: REQUIRED.includes(name),
+    status: error ? "down" : "up",
+    latency_ms: Date.now() - startedAt,
+    last_checked_at: checkedAt,
+    last_success_at: error ? previous?.last_success_at || null : checkedAt,
+    error
+  };
+
+  if (previous?.status !== result.status && (previous || error)) {
+    if (error) logger.warn(`Readiness: ${name} is down: ${error}`, { dependency: name, latency_ms: result.latency_ms });
+    else logger.success(`Readiness: ${name} is back up`, { dependency: name, latency_ms: result.latency_ms });
+  }
+  results.set(name, result);
+  return result;
+}
+
+// Reuse results younger than PROBE_TTL_MS; concurrent callers share one probe per dependency
+function probe(dependency) {
+  const last = results.get(dependency.name);
+  if (last && Date.now() - Date.parse(last.last_checked_at) < PROBE_TTL_MS) return last;
+  if (inFlight.has(dependency.name)) return inFlight.get(dependency.name);
+
+  const pending = runProbe(dependency).finally(() => inFlight.delete(dependency.name));
+  inFlight.set(dependency.name, pending);
+  return pending;
+}
+
+// "ready" when everything is up, "degraded" when only optional dependencies are down, else "not_ready"
+async function checkReadiness() {
+  const checks = await Promise.all(listDependencies().map(probe));
+  const down = checks.filter(check => check.status === "down");
+  const status = down.some(check => check.required) ? "not_ready" : down.length > 0 ? "degraded" : "ready";
+  return { status, checks };
+}
+
+export { PROBE_TTL_MS, checkReadiness };
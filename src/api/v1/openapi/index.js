@@ -0,0 +1,43 @@
+/**
+ * API Docs Endpoint - OpenAPI Document & Interactive Docs Page
+ *
+ * OPENAPI_UI_CDN=https://cdn.jsdelivr.net/npm/swagger-ui-dist@5   (where the docs page loads Swagger UI from)
+ */
+// REQUIRED DEPENDENCY //
+import express from "express";
+
+// OPENAPI //
+import { buildOpenApiSpec } from "./spec.js";
+
+// VARIABLES //
+const rt = express.Router();
+const OPENAPI_UI_CDN = process.env.OPENAPI_UI_CDN || "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5";
+const spec = buildOpenApiSpec();
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${spec.info.title} - Docs</title>
+  <link rel="stylesheet" href="${OPENAPI_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${OPENAPI_UI_CDN}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: "openapi.json", dom_id: "#docs", tryItOutEnabled: true });
+  </script>
+</body>
+</html>`;
+
+// OPENAPI DOCUMENT //
+rt.get("/openapi.json", (req, res) => {
+  res.status(200).json(spec);
+});
+
+// DOCS PAGE //
+rt.get("/docs", (req, res) => {
+  res.status(200).type("html").send(DOCS_PAGE);
+});
+
+export default rt;
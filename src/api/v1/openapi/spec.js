@@ -0,0 +1,1103 @@
+/**
+ * OpenAPI 3.1 Document - Built From The Validation Schemas, ErrorType.json & The Response Shapes Below
+ *
+ * Parameters and request bodies are generated from validation/schemas.js, so they always match what
+ * the routers accept. Response shapes are written out here; test/contract.test.js fails when a handler's
+ * output stops matching them.
+ */
+import fs from "fs";
+import path from "path";
+import { ERR } from "../errors/index.js";
+import { PROVENANCE } from "../weather/provenance.js";
+import { MOON_PHASES } from "../weather/astronomy.js";
+import { FORMATS } from "../weather/export/index.js";
+import { BATCH_MAX_POINTS } from "../weather/batch.js";
+import { IMAGERY_LAYERS, IMAGE_FORMATS } from "../imagery/layers.js";
+import { SUPPORTED_LANGUAGES } from "../i18n/index.js";
+import { ALERT_VARIABLES, OPERATORS } from "../alerts/scheduler.js";
+import { SCOPES } from "../access/index.js";
+import { PROBE_TTL_MS } from "../monitoring/probes.js";
+import {
+  WEATHER_QUERY,
+  BATCH_BODY,
+  DOWNLOAD_QUERY,
+  AGRO_QUERY,
+  SOLAR_QUERY,
+  WIND_QUERY,
+  SNAPSHOT_QUERY,
+  TILE_PARAMS,
+  TILE_QUERY,
+  HOURLY_QUERY,
+  SEARCH_QUERY,
+  ALERT_BODY
+} from "../validation/schemas.js";
+
+// VARIABLES //
+const PACKAGE = JSON.parse(fs.readFileSync(path.resolve("./package.json"), "utf-8"));
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, "null"] });
+
+// VALIDATION RULES -> JSON SCHEMA //
+function ruleToSchema(rule) {
+  const schema = {};
+  if (["number", "integer", "string", "boolean", "array", "object"].includes(rule.type)) schema.type = rule.type;
+  if (rule.type === "json") Object.assign(schema, rule.schema || {});
+
+  if (rule.type === "string") {
+    if (rule.min !== undefined) schema.minLength = rule.min;
+    if (rule.max !== undefined) schema.maxLength = rule.max;
+  } else if (rule.type === "array") {
+    if (rule.min !== undefined) schema.minItems = rule.min;
+    if (rule.max !== undefined) schema.maxItems = rule.max;
+    schema.items = rule.items ? bodySchema(rule.items) : {};
+  } else {
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+  }
+  if (rule.values) schema.enum = rule.values;
+  if (rule.default !== undefined && rule.default !== "" && !(rule.type === "json" && typeof rule.default === "object")) {
+    schema.default = rule.default;
+  }
+  if (rule.description) schema.description = rule.description;
+  return schema;
+}
+
+// Query (or path) schema -> OpenAPI parameters; virtual rules contribute the fields they read
+function queryParameters(schema, location = "query") {
+  const path = location === "path"; // path parameters are always required
+  return Object.entries(schema).flatMap(([key, rule]) => {
+    if (rule.virtual) {
+      return (rule.parameters || []).map(({ name, schema: parameterSchema, description }) => ({
+        name, in: location, required: path, description, schema: parameterSchema
+      }));
+    }
+    const { description, ...parameterSchema } = ruleToSchema(rule);
+    const parameter = { name: key, in: location, required: path || Boolean(rule.required), description };
+    // JSON-encoded query values are described by their decoded content
+    if (rule.type === "json") parameter.content = { "application/json": { schema: parameterSchema } };
+    else parameter.schema = parameterSchema;
+    return [parameter];
+  });
+}
+
+// Body schema -> JSON Schema object
+function bodySchema(schema) {
+  const properties = {};
+  const required = [];
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (rule.virtual) {
+      (rule.parameters || []).forEach(({ name, schema: parameterSchema, description }) => {
+        properties[name] = { ...parameterSchema, description };
+      });
+      return;
+    }
+    properties[key] = ruleToSchema(rule);
+    if (rule.required) required.push(key);
+  });
+  return { type: "object", properties, ...(required.length ? { required } : {}) };
+}
+
+// ErrorType codes a schema can answer with
+function validationErrorCodes(schema) {
+  return Object.values(schema).flatMap(rule => [
+    ...(rule.required ? [rule.missingError || "INVALID_PARAMETER"] : []),
+    rule.error || "INVALID_PARAMETER"
+  ]);
+}
+
+// ErrorType codes -> OpenAPI responses, one per HTTP status
+function errorResponses(codes) {
+  const byStatus = {};
+  [...new Set(codes)].forEach((code) => {
+    const status = String(ERR[code].HTTP_ERR_CODE);
+    (byStatus[status] = byStatus[status] || []).push(code);
+  });
+  return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+    description: statusCodes.join(", "),
+    content: { "application/json": { schema: ref("Error") } }
+  }]));
+}
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { "application/json": { schema } }
+});
+
+const CACHE_HEADERS = {
+  "Cache-Control": { description: "Freshness of the answer", schema: { type: "string" } },
+  ETag: { description: "Conditional requests with If-None-Match answer 304", schema: { type: "string" } }
+};
+
+const RATE_LIMIT_HEADERS = {
+  "X-RateLimit-Limit": { description: "Requests allowed at once (token bucket size)", schema: { type: "integer" } },
+  "X-RateLimit-Remaining": { description: "Requests left in the bucket", schema: { type: "integer" } },
+  "X-RateLimit-Reset": { description: "Unix time (s) at which the bucket is full again", schema: { type: "integer" } }
+};
+
+// Scope each operation needs; operations left out are public and not rate limited
+const OPERATION_SCOPES = {
+  getWeather: "weather:read",
+  postWeatherBatch: "weather:read",
+  getWeatherHourly: "weather:read",
+  getWeatherAgro: "weather:read",
+  getWeatherDownload: "download",
+  getEnergySolar: "weather:read",
+  getEnergyWind: "weather:read",
+  getImagerySnapshot: "weather:read",
+  getImageryTile: "weather:read",
+  searchPlaces: "search:read",
+  createAlert: "alerts:write",
+  listAlerts: "alerts:read",
+  getAlert: "alerts:read",
+  deleteAlert: "alerts:write"
+};
+
+// Adds the security requirement, rate limit headers and access errors to every scoped operation
+function applyAccessControl(paths) {
+  Object.values(paths).forEach(pathItem => Object.values(pathItem).forEach((operation) => {
+    const scope = OPERATION_SCOPES[operation.operationId];
+    if (!scope) return;
+
+    operation.security = [{}, { ApiKey: [scope] }, { BearerKey: [scope] }];
+    operation.description = [operation.description, `Needs the \`${scope}\` scope once API keys are configured.`].filter(Boolean).join(" ");
+    Object.entries(operation.responses).forEach(([status, response]) => {
+      if (status.startsWith("2")) response.headers = { ...RATE_LIMIT_HEADERS, ...(response.headers || {}) };
+    });
+    Object.assign(operation.responses, errorResponses(["API_KEY_REQUIRED", "INVALID_API_KEY", "INSUFFICIENT_SCOPE", "RATE_LIMITED"]));
+    operation.responses["429"].headers = {
+      ...RATE_LIMIT_HEADERS,
+      "Retry-After": { description: "Seconds until a request is allowed again", schema: { type: "integer" } }
+    };
+  }));
+  return paths;
+}
+
+// RESPONSE SHAPES //
+const MEASURED_FIELDS = {
+  temperature: nullable("number"),
+  humidity: { type: ["string", "null"], pattern: "^\\d+%$", description: "Relative humidity, e.g. \"78%\"" },
+  wind_speed: nullable("number"),
+  precipitation: nullable("number"),
+  pressure: nullable("number"),
+  feels_like: nullable("number"),
+  conditions: { type: "string", description: "Localized with `lang`" },
+  weather_code: { type: "string", description: "Stable code, never localized" },
+  provenance: ref("Provenance"),
+  comfort: ref("Comfort")
+};
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["HTTP_ERR_CODE", "ERR_CODE", "ERR_MESSAGE"],
+    properties: {
+      HTTP_ERR_CODE: { type: "integer" },
+      ERR_CODE: { type: "string", enum: Object.keys(ERR), description: "Stable key from ErrorType.json" },
+      ERR_MESSAGE: { type: "string" },
+      ERR_DETAILS: { type: "array", items: ref("ErrorDetail") },
+      ERR_REASON: { type: "string" },
+      REQUEST_ID: { type: "string", description: "Same as the X-Request-Id header" },
+      strict_mode: { type: "boolean", description: "OBSERVED_DATA_UNAVAILABLE only" },
+      provider_attempts: { type: "array", items: ref("ProviderAttempt"), description: "OBSERVED_DATA_UNAVAILABLE only" }
+    },
+    additionalProperties: false
+  },
+  ErrorDetail: {
+    type: "object",
+    required: ["field", "location", "issue"],
+    properties: {
+      field: { type: "string" },
+      location: { type: "string", description: "query, body, body.points[N] or path" },
+      issue: { type: "string" },
+      value: { description: "The rejected value" }
+    },
+    additionalProperties: false
+  },
+  Provenance: {
+    type: "object",
+    description: "Origin of each measured field",
+    additionalProperties: { type: "string", enum: Object.values(PROVENANCE) }
+  },
+  Comfort: {
+    type: ["object", "null"],
+    required: ["feels_like", "formula", "risk"],
+    properties: {
+      feels_like: { type: "number" },
+      formula: { type: "string", enum: ["heat_index", "wind_chill", "apparent_temperature"] },
+      formula_name: { type: "string" },
+      risk: { type: "string" },
+      heat_index: nullable("number"),
+      wind_chill: nullable("number"),
+      apparent_temperature: nullable("number"),
+      wbgt: nullable("number"),
+      wbgt_method: { type: "string" },
+      wbgt_risk: nullable("string")
+    }
+  },
+  SunTimes: {
+    type: "object",
+    description: "UTC times of the local solar day; null where the sun does not cross that threshold (see polar)",
+    required: ["sunrise", "sunset", "solar_noon", "day_length", "civil_dawn", "civil_dusk", "polar", "moon", "uv_index_clear_sky", "uv_cloud_adjusted"],
+    properties: {
+      sunrise: { type: ["string", "null"], format: "date-time" },
+      sunset: { type: ["string", "null"], format: "date-time" },
+      solar_noon: { type: "string", format: "date-time" },
+      day_length: { type: "integer", minimum: 0, maximum: 1440, description: "Minutes" },
+      civil_dawn: { type: ["string", "null"], format: "date-time" },
+      civil_dusk: { type: ["string", "null"], format: "date-time" },
+      polar: { type: ["string", "null"], enum: ["day", "night", null] },
+      moon: {
+        type: "object",
+        required: ["phase", "illumination", "age"],
+        properties: {
+          phase: { type: "string", enum: MOON_PHASES },
+          illumination: { type: "number", minimum: 0, maximum: 1 },
+          age: { type: "number", description: "Days since new moon" }
+        }
+      },
+      uv_index_clear_sky: { type: "number", minimum: 0 },
+      uv_cloud_adjusted: { type: "boolean", description: "false when no cloud cover was available and the UV index is the clear-sky value" }
+    }
+  },
+  CurrentAstronomy: {
+    allOf: [ref("SunTimes")],
+    type: "object",
+    required: ["is_day", "sun", "uv_index"],
+    properties: {
+      is_day: { type: "boolean" },
+      sun: {
+        type: "object",
+        required: ["elevation", "azimuth"],
+        properties: { elevation: { type: "number" }, azimuth: { type: "number", minimum: 0, maximum: 360 } }
+      },
+      uv_index: { type: "number", minimum: 0 }
+    }
+  },
+  DayAstronomy: {
+    allOf: [ref("SunTimes")],
+    type: "object",
+    required: ["uv_index_max"],
+    properties: {
+      uv_index_max: { type: "number", minimum: 0, description: "At solar noon" }
+    }
+  },
+  CurrentConditions: {
+    type: "object",
+    description: "Providers may add descriptive fields (data_quality, model, observed_at, ...)",
+    required: ["temperature", "humidity", "wind_speed", "pressure", "conditions", "weather_code", "provenance"],
+    properties: {
+      ...MEASURED_FIELDS,
+      temperature_max: nullable("number"),
+      temperature_min: nullable("number"),
+      wind_speed_50m: nullable("number"),
+      solar_radiation: nullable("number"),
+      cloud_cover: { type: ["string", "null"], pattern: "^\\d+%$" },
+      observed_at: { type: "string", format: "date-time" },
+      astronomy: ref("CurrentAstronomy")
+    }
+  },
+  ForecastDay: {
+    type: "object",
+    required: ["date", "temperature", "max_temp", "min_temp", "precipitation", "wind_speed", "humidity", "pressure", "conditions", "weather_code", "provenance"],
+    properties: {
+      date: { type: "string", format: "date" },
+      ...MEASURED_FIELDS,
+      max_temp: nullable("number"),
+      min_temp: nullable("number"),
+      confidence: { type: ["number", "null"], description: "Historical skill of the temperature projection" },
+      skill: { type: "object", additionalProperties: nullable("number") },
+      astronomy: ref("DayAstronomy")
+    }
+  },
+  Probabilities: {
+    type: "object",
+    properties: {
+      temperature_above: { type: ["integer", "null"], minimum: 0, maximum: 100 },
+      precipitation_above: { type: ["integer", "null"], minimum: 0, maximum: 100 },
+      windspeed_above: { type: ["integer", "null"], minimum: 0, maximum: 100 }
+    },
+    additionalProperties: false
+  },
+  ProbabilityBasis: {
+    type: "object",
+    required: ["source", "grid_cell", "target_date", "window_days", "sample_size", "years_covered"],
+    properties: {
+      source: { type: "string" },
+      grid_cell: { type: ["object", "null"], properties: { lat: { type: "number" }, lon: { type: "number" } } },
+      target_date: { type: "string", format: "date" },
+      window_days: { type: "integer" },
+      sample_size: { type: "object", additionalProperties: { type: "integer" } },
+      years_covered: { type: ["array", "null"], items: { type: "integer" } }
+    }
+  },
+  ProviderAttempt: {
+    type: "object",
+    required: ["provider", "status", "duration_ms"],
+    properties: {
+      provider: { type: "string" },
+      status: { type: "string", enum: ["success", "failed", "skipped"] },
+      duration_ms: { type: "number" },
+      reason: { type: "string" },
+      circuit: { type: "string", enum: ["closed", "open", "half_open"], description: "Circuit breaker state after the attempt; only for providers that call an upstream" }
+    }
+  },
+  Units: {
+    type: "object",
+    required: ["system", "temperature", "humidity", "wind_speed", "precipitation", "pressure"],
+    properties: {
+      system: { type: "string" },
+      temperature: { type: "string" },
+      humidity: { type: "string" },
+      wind_speed: { type: "string" },
+      precipitation: { type: "string" },
+      pressure: { type: "string" },
+      elevation: { type: "string", description: "Elevations in the elevation block" },
+      lapse_rate: { type: "string" }
+    },
+    additionalProperties: false
+  },
+  ClimateClass: {
+    type: ["object", "null"],
+    required: ["code", "name", "group"],
+    properties: {
+      code: { type: "string", description: "Köppen-Geiger code, e.g. BWh" },
+      name: { type: "string" },
+      group: { type: "string" },
+      source: { type: "string" },
+      period: { ...nullable("string"), description: "Years of daily history the class was derived from; null for POWER climatology" },
+      grid_cell: { type: "object" },
+      annual_mean_temperature: { type: "number" },
+      annual_precipitation: { type: "number" }
+    }
+  },
+  Coordinates: {
+    type: "object",
+    required: ["lat", "lon"],
+    properties: { lat: { type: "number" }, lon: { type: "number" } },
+    additionalProperties: false
+  },
+  Elevation: {
+    type: "object",
+    description: "In the requested units (see units.elevation and units.lapse_rate). Temperatures are shifted by temperature_offset from the grid cell to the point",
+    required: ["point", "grid_cell", "grid_cell_source", "lapse_rate", "temperature_offset", "pressure_level"],
+    properties: {
+      point: { ...nullable("number"), description: "DEM elevation of the coordinates; null without a DEM" },
+      grid_cell: { ...nullable("number"), description: "Elevation the gridded values describe" },
+      grid_cell_source: { type: ["string", "null"], enum: ["provider", "dem", null] },
+      lapse_rate: { type: "number", description: "Temperature change per km (per 1000 ft in imperial lengths)" },
+      temperature_offset: { ...nullable("number"), description: "Added to every temperature; null when either elevation is unknown" },
+      pressure_level: { type: "string", enum: ["sea_level", "surface"], description: "surface when a surface pressure could not be reduced" }
+    },
+    additionalProperties: false
+  },
+  WeatherResponse: {
+    type: "object",
+    required: [
+      "current", "forecast", "lat", "lon", "location", "coordinates", "data_source", "provider_attempts",
+      "data_provenance", "strict_mode", "climate_class", "climate_note", "units", "lang", "user_thresholds", "elevation", "timestamp"
+    ],
+    properties: {
+      current: ref("CurrentConditions"),
+      forecast: { type: "array", items: ref("ForecastDay") },
+      lat: { type: "number" },
+      lon: { type: "number" },
+      isDesert: { type: "boolean" },
+      location: { type: "string" },
+      coordinates: ref("Coordinates"),
+      data_source: { type: "string" },
+      nasa_mission: { type: "string" },
+      provider_attempts: { type: "array", items: ref("ProviderAttempt") },
+      data_provenance: { type: "string", enum: ["observed", "partially_gap_filled", "simulated"] },
+      strict_mode: { type: "boolean" },
+      climate_class: ref("ClimateClass"),
+      climate_note: { type: "string" },
+      units: ref("Units"),
+      lang: { type: "string", enum: SUPPORTED_LANGUAGES },
+      user_thresholds: { type: "object", additionalProperties: { type: "number" } },
+      elevation: ref("Elevation"),
+      probabilities: ref("Probabilities"),
+      probability_basis: ref("ProbabilityBasis"),
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  BatchResponse: {
+    type: "object",
+    required: ["results", "summary", "timestamp"],
+    properties: {
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["index", "id", "status"],
+          properties: {
+            index: { type: "integer" },
+            id: { description: "The point's id, null when none was sent" },
+            status: { type: "integer" },
+            data: ref("WeatherResponse"),
+            error: ref("Error")
+          },
+          oneOf: [{ required: ["data"] }, { required: ["error"] }]
+        }
+      },
+      summary: {
+        type: "object",
+        required: ["requested", "succeeded", "failed", "grid_cells", "concurrency"],
+        properties: {
+          requested: { type: "integer" },
+          succeeded: { type: "integer" },
+          failed: { type: "integer" },
+          grid_cells: { type: "integer" },
+          concurrency: { type: "integer" }
+        }
+      },
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  HourlyResponse: {
+    type: "object",
+    required: ["coordinates", "start", "end", "time_zone", "hourly", "missing_hours", "data_source", "units", "timestamp"],
+    properties: {
+      coordinates: ref("Coordinates"),
+      start: { type: "string", format: "date" },
+      end: { type: "string", format: "date" },
+      time_zone: {
+        type: "object",
+        required: ["mode", "name"],
+        properties: { mode: { type: "string", enum: ["utc", "local", "iana"] }, name: { type: "string" } }
+      },
+      hourly: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["time", "time_utc"],
+          properties: {
+            time: { type: "string", description: "In the selected time zone" },
+            time_utc: { type: "string", format: "date-time" },
+            temperature: nullable("number"),
+            humidity: nullable("number"),
+            wind_speed: nullable("number"),
+            precipitation: nullable("number"),
+            pressure: nullable("number")
+          }
+        }
+      },
+      missing_hours: { type: "integer" },
+      data_source: { type: "string" },
+      units: ref("Units"),
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  AgroResponse: {
+    type: "object",
+    required: ["coordinates", "start", "end", "parameters", "days", "summary", "methods", "data_source", "units", "timestamp"],
+    properties: {
+      coordinates: ref("Coordinates"),
+      start: { type: "string", format: "date" },
+      end: { type: "string", format: "date" },
+      parameters: {
+        type: "object",
+        required: ["gdd_base", "gdd_cap", "chill_range"],
+        properties: {
+          gdd_base: { type: "number" },
+          gdd_cap: { type: "number" },
+          chill_range: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 }
+        }
+      },
+      days: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["date", "et0", "water_balance", "water_balance_cumulative", "gdd", "gdd_cumulative", "frost_day", "chill_hours"],
+          properties: {
+            date: { type: "string", format: "date" },
+            temperature_max: nullable("number"),
+            temperature_min: nullable("number"),
+            precipitation: nullable("number"),
+            et0: nullable("number"),
+            et0_radiation: { type: ["string", "null"], enum: ["observed", "estimated", null], description: "estimated: Hargreaves radiation, no satellite value that day" },
+            water_balance: nullable("number"),
+            water_balance_cumulative: { type: "number" },
+            gdd: nullable("number"),
+            gdd_cumulative: { type: "number" },
+            frost_day: nullable("boolean"),
+            chill_hours: { type: ["integer", "null"], minimum: 0, maximum: 24 }
+          }
+        }
+      },
+      summary: {
+        type: "object",
+        required: ["days", "precipitation_total", "et0_total", "water_balance", "gdd_total", "frost_days", "chill_hours", "et0_estimated_radiation_days", "incomplete_days"],
+        properties: {
+          days: { type: "integer" },
+          precipitation_total: { type: "number" },
+          et0_total: { type: "number" },
+          water_balance: { type: "number" },
+          gdd_total: { type: "number" },
+          frost_days: { type: "integer" },
+          chill_hours: { type: "integer" },
+          et0_estimated_radiation_days: { type: "integer" },
+          incomplete_days: { type: "integer" }
+        }
+      },
+      methods: { type: "object", additionalProperties: { type: "string" } },
+      data_source: { type: "string" },
+      units: {
+        type: "object",
+        required: ["system", "temperature", "precipitation", "evapotranspiration", "degree_days", "chill_hours"],
+        properties: {
+          system: { type: "string" },
+          temperature: { type: "string" },
+          humidity: { type: "string" },
+          wind_speed: { type: "string" },
+          precipitation: { type: "string" },
+          pressure: { type: "string" },
+          evapotranspiration: { type: "string" },
+          degree_days: { type: "string" },
+          chill_hours: { type: "string" }
+        },
+        additionalProperties: false
+      },
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  EnergyWindow: {
+    type: "object",
+    required: ["type", "start", "end"],
+    properties: {
+      type: { type: "string", enum: ["historical", "typical_year"] },
+      start: { type: ["string", "null"], format: "date" },
+      end: { type: ["string", "null"], format: "date" }
+    }
+  },
+  SolarResponse: {
+    type: "object",
+    required: ["coordinates", "window", "system", "monthly", "summary", "data_source", "units", "timestamp"],
+    properties: {
+      coordinates: ref("Coordinates"),
+      window: ref("EnergyWindow"),
+      system: {
+        type: "object",
+        required: ["capacity", "tilt", "azimuth", "losses", "temperature_coefficient", "noct"],
+        properties: {
+          capacity: { type: "number" },
+          tilt: { type: "number" },
+          azimuth: { type: "number" },
+          losses: { type: "number" },
+          temperature_coefficient: { type: "number", description: "% per °C above 25 °C" },
+          noct: { type: "number" }
+        }
+      },
+      daily: {
+        type: "array",
+        description: "historical window only",
+        items: {
+          type: "object",
+          required: ["date", "irradiation", "plane_of_array_irradiation", "energy", "temperature_loss"],
+          properties: {
+            date: { type: "string", format: "date" },
+            irradiation: nullable("number"),
+            plane_of_array_irradiation: nullable("number"),
+            energy: nullable("number"),
+            temperature_loss: { type: ["number", "null"], description: "Negative when cold modules gain" }
+          }
+        }
+      },
+      monthly: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["year", "month", "days", "missing_days", "irradiation", "plane_of_array_irradiation", "energy", "temperature_loss"],
+          properties: {
+            year: { type: ["integer", "null"], description: "null for the typical year" },
+            month: { type: "integer", minimum: 1, maximum: 12 },
+            days: { type: "integer" },
+            missing_days: { type: "integer" },
+            irradiation: { type: "number" },
+            plane_of_array_irradiation: { type: "number" },
+            energy: { type: "number" },
+            temperature_loss: nullable("number")
+          }
+        }
+      },
+      summary: {
+        type: "object",
+        required: ["days", "missing_days", "irradiation", "plane_of_array_irradiation", "energy", "specific_yield", "performance_ratio", "capacity_factor"],
+        properties: {
+          days: { type: "integer" },
+          missing_days: { type: "integer" },
+          irradiation: { type: "number" },
+          plane_of_array_irradiation: { type: "number" },
+          energy: { type: "number" },
+          temperature_loss: nullable("number"),
+          specific_yield: { type: "number" },
+          performance_ratio: nullable("number"),
+          capacity_factor: nullable("number")
+        }
+      },
+      data_source: { type: "string" },
+      units: { type: "object", additionalProperties: { type: "string" } },
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  WindResponse: {
+    type: "object",
+    required: ["coordinates", "window", "turbine", "monthly", "summary", "data_source", "units", "timestamp"],
+    properties: {
+      coordinates: ref("Coordinates"),
+      window: ref("EnergyWindow"),
+      turbine: {
+        type: "object",
+        required: ["hub_height", "rated_power", "power_curve", "weibull_k", "losses"],
+        properties: {
+          hub_height: { type: "number" },
+          rated_power: { type: "number" },
+          power_curve: { type: "array", items: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 } },
+          weibull_k: { type: "number" },
+          losses: { type: "number" }
+        }
+      },
+      daily: {
+        type: "array",
+        description: "historical window only",
+        items: {
+          type: "object",
+          required: ["date", "wind_speed_50m", "wind_speed_hub", "shear_exponent", "air_density", "energy", "capacity_factor"],
+          properties: {
+            date: { type: "string", format: "date" },
+            wind_speed_50m: nullable("number"),
+            wind_speed_hub: nullable("number"),
+            shear_exponent: nullable("number"),
+            air_density: nullable("number"),
+            energy: nullable("number"),
+            capacity_factor: nullable("number")
+          }
+        }
+      },
+      monthly: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["year", "month", "days", "missing_days", "energy", "wind_speed_hub", "air_density", "capacity_factor"],
+          properties: {
+            year: { type: ["integer", "null"], description: "null for the typical year" },
+            month: { type: "integer", minimum: 1, maximum: 12 },
+            days: { type: "integer" },
+            missing_days: { type: "integer" },
+            energy: { type: "number" },
+            wind_speed_hub: nullable("number"),
+            air_density: nullable("number"),
+            capacity_factor: nullable("number")
+          }
+        }
+      },
+      summary: {
+        type: "object",
+        required: ["days", "missing_days", "energy", "wind_speed_hub", "capacity_factor", "full_load_hours"],
+        properties: {
+          days: { type: "integer" },
+          missing_days: { type: "integer" },
+          energy: { type: "number" },
+          wind_speed_hub: nullable("number"),
+          air_density: nullable("number"),
+          capacity_factor: nullable("number"),
+          full_load_hours: { type: "number" }
+        }
+      },
+      data_source: { type: "string" },
+      units: { type: "object", additionalProperties: { type: "string" } },
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  Place: {
+    type: "object",
+    required: ["name", "lat", "lon", "country_code", "type", "bbox", "bbox_estimated", "source"],
+    properties: {
+      name: { type: "string" },
+      lat: { type: "number" },
+      lon: { type: "number" },
+      country_code: nullable("string"),
+      type: { type: "string" },
+      bbox: { type: ["array", "null"], items: { type: "number" }, minItems: 4, maxItems: 4, description: "[west, south, east, north]" },
+      bbox_estimated: { type: "boolean" },
+      population: { type: "integer" },
+      score: { type: "number" },
+      source: { type: "string", enum: ["gazetteer", "nominatim"] }
+    }
+  },
+  SearchResponse: {
+    type: "object",
+    required: ["results", "backend"],
+    properties: {
+      results: { type: "array", items: ref("Place") },
+      backend: { ...nullable("string"), description: "Backend that answered, null when none matched" }
+    },
+    additionalProperties: false
+  },
+  AlertSubscription: {
+    type: "object",
+    required: ["id", "lat", "lon", "variable", "operator", "threshold", "horizon", "strict", "webhook_url", "created_at"],
+    properties: {
+      id: { type: "string", format: "uuid" },
+      owner: { ...nullable("string"), description: "Id of the API key that created it, null for anonymous callers" },
+      label: nullable("string"),
+      lat: { type: "number" },
+      lon: { type: "number" },
+      variable: { type: "string", enum: Object.keys(ALERT_VARIABLES) },
+      operator: { type: "string", enum: Object.keys(OPERATORS) },
+      threshold: { type: "number" },
+      horizon: { type: "integer" },
+      strict: { type: "boolean" },
+      webhook_url: { type: "string", format: "uri" },
+      secret: { type: "string", description: "Only in the POST answer" },
+      created_at: { type: "string", format: "date-time" },
+      last_checked_at: nullable("string"),
+      last_value: nullable("number"),
+      last_state: { type: ["string", "null"], enum: ["triggered", "clear", null] },
+      last_error: nullable("string")
+    }
+  },
+  AlertDelivery: {
+    type: "object",
+    required: ["delivery_id", "event", "status", "attempts"],
+    properties: {
+      delivery_id: { type: "string" },
+      event: { type: "string", enum: ["alert.triggered", "alert.resolved"] },
+      status: { type: "string", enum: ["delivered", "failed"] },
+      value: { type: "number" },
+      attempts: { type: "array", items: { type: "object" } }
+    }
+  },
+  DependencyCheck: {
+    type: "object",
+    required: ["name", "kind", "required", "status", "latency_ms", "last_checked_at", "last_success_at", "error"],
+    properties: {
+      name: { type: "string", description: "cache, a weather provider or a geocoder backend" },
+      kind: { type: "string", enum: ["cache", "weather_provider", "geocoder"] },
+      required: { type: "boolean", description: "Listed in READYZ_REQUIRED; when down /readyz answers 503" },
+      status: { type: "string", enum: ["up", "down"] },
+      latency_ms: { type: "integer", minimum: 0 },
+      last_checked_at: { type: "string", format: "date-time" },
+      last_success_at: { ...nullable("string"), format: "date-time" },
+      error: nullable("string")
+    }
+  },
+  Readiness: {
+    type: "object",
+    required: ["status", "checks", "timestamp"],
+    properties: {
+      status: { type: "string", enum: ["ready", "degraded", "not_ready"] },
+      checks: { type: "array", items: ref("DependencyCheck") },
+      timestamp: { type: "string", format: "date-time" }
+    }
+  }
+};
+
+// Content types of /weather/download, one per export format
+function downloadContent() {
+  const content = {};
+  Object.values(FORMATS).forEach((format) => {
+    const mediaType = format.contentType.split(";")[0];
+    content[mediaType] = content[mediaType] || {
+      schema: mediaType === "application/json" || mediaType === "application/geo+json"
+        ? { type: "object" }
+        : { type: "string", ...(mediaType === "application/x-netcdf" ? { contentEncoding: "binary" } : {}) }
+    };
+  });
+  return content;
+}
+
+// Image responses of /imagery, one per format
+function imageResponse(description) {
+  return {
+    description,
+    headers: {
+      ...CACHE_HEADERS,
+      "X-Imagery-Layer": { description: "GIBS layer identifier the image comes from", schema: { type: "string" } },
+      "X-Imagery-Date": { description: "Day of the imagery", schema: { type: "string", format: "date" } }
+    },
+    content: Object.fromEntries(Object.values(IMAGE_FORMATS).map(({ contentType }) => [
+      contentType, { schema: { type: "string", contentEncoding: "binary" } }
+    ]))
+  };
+}
+
+// PATHS //
+function buildPaths() {
+  const fetchErrors = ["API_FETCH_FAILED"];
+  const bodyErrors = ["INVALID_JSON", "PAYLOAD_TOO_LARGE"];
+
+  return {
+    "/api/v1/weather": {
+      get: {
+        tags: ["Weather"],
+        summary: "Current conditions, forecast and threshold probabilities for a point",
+        operationId: "getWeather",
+        parameters: queryParameters(WEATHER_QUERY),
+        responses: {
+          200: jsonResponse("Weather for the point", ref("WeatherResponse"), CACHE_HEADERS),
+          ...errorResponses([...validationErrorCodes(WEATHER_QUERY), ...fetchErrors, "OBSERVED_DATA_UNAVAILABLE"])
+        }
+      }
+    },
+    "/api/v1/weather/batch": {
+      post: {
+        tags: ["Weather"],
+        summary: `Weather for up to ${BATCH_MAX_POINTS} points; a bare array of points is accepted too`,
+        operationId: "postWeatherBatch",
+        requestBody: { required: true, content: { "application/json": { schema: bodySchema(BATCH_BODY) } } },
+        responses: {
+          200: jsonResponse("Per-point results in request order; failed points carry their own error", ref("BatchResponse")),
+          ...errorResponses([...validationErrorCodes(BATCH_BODY), ...bodyErrors])
+        }
+      }
+    },
+    "/api/v1/weather/hourly": {
+      get: {
+        tags: ["Weather"],
+        summary: "Hourly series from NASA POWER",
+        operationId: "getWeatherHourly",
+        parameters: queryParameters(HOURLY_QUERY),
+        responses: {
+          200: jsonResponse("Hourly values", ref("HourlyResponse"), CACHE_HEADERS),
+          ...errorResponses([...validationErrorCodes(HOURLY_QUERY), ...fetchErrors])
+        }
+      }
+    },
+    "/api/v1/weather/agro": {
+      get: {
+        tags: ["Weather"],
+        summary: "Agricultural and hydrological indices from NASA POWER daily data",
+        description: "FAO-56 reference evapotranspiration, growing degree days, precipitation minus ET0, frost days and chill hours per day and in total. The same indices can be exported through /api/v1/weather/download.",
+        operationId: "getWeatherAgro",
+        parameters: queryParameters(AGRO_QUERY),
+        responses: {
+          200: jsonResponse("Daily indices and totals", ref("AgroResponse"), CACHE_HEADERS),
+          ...errorResponses([...validationErrorCodes(AGRO_QUERY), ...fetchErrors])
+        }
+      }
+    },
+    "/api/v1/weather/download": {
+      get: {
+        tags: ["Weather"],
+        summary: "Forecast or historical range as a file",
+        description: `Formats: ${Object.keys(FORMATS).join(", ")}. Sent as an attachment (Content-Disposition).`,
+        operationId: "getWeatherDownload",
+        parameters: queryParameters(DOWNLOAD_QUERY),
+        responses: {
+          200: { description: "The export file", headers: CACHE_HEADERS, content: downloadContent() },
+          ...errorResponses([...validationErrorCodes(DOWNLOAD_QUERY), ...fetchErrors, "OBSERVED_DATA_UNAVAILABLE"])
+        }
+      }
+    },
+    "/api/v1/energy/solar": {
+      get: {
+        tags: ["Energy"],
+        summary: "Solar PV yield of a fixed array",
+        description: "Daily and monthly kWh from POWER irradiation, transposed onto the panel plane and derated for module temperature and system losses.",
+        operationId: "getEnergySolar",
+        parameters: queryParameters(SOLAR_QUERY),
+        responses: {
+          200: jsonResponse("Yield per day (historical), per month and in total", ref("SolarResponse"), CACHE_HEADERS),
+          ...errorResponses([...validationErrorCodes(SOLAR_QUERY), ...fetchErrors])
+        }
+      }
+    },
+    "/api/v1/energy/wind": {
+      get: {
+        tags: ["Energy"],
+        summary: "Wind turbine yield from a power curve",
+        description: "POWER 50 m wind extrapolated to hub height with the power law, density-corrected and run through the power curve.",
+        operationId: "getEnergyWind",
+        parameters: queryParameters(WIND_QUERY),
+        responses: {
+          200: jsonResponse("Yield per day (historical), per month and in total", ref("WindResponse"), CACHE_HEADERS),
+          ...errorResponses([...validationErrorCodes(WIND_QUERY), ...fetchErrors])
+        }
+      }
+    },
+    "/api/v1/imagery/snapshot": {
+      get: {
+        tags: ["Imagery"],
+        summary: "Satellite image of a bounding box from NASA GIBS",
+        description: `Layers: ${Object.entries(IMAGERY_LAYERS).map(([name, layer]) => `${name} (${layer.title})`).join("; ")}. Images are cached on the server.`,
+        operationId: "getImagerySnapshot",
+        parameters: queryParameters(SNAPSHOT_QUERY),
+        responses: {
+          200: imageResponse("The image"),
+          ...errorResponses([...validationErrorCodes(SNAPSHOT_QUERY), ...fetchErrors, "IMAGERY_UNAVAILABLE"])
+        }
+      }
+    },
+    "/api/v1/imagery/tiles/{layer}/{z}/{x}/{y}": {
+      get: {
+        tags: ["Imagery"],
+        summary: "Web-mercator map tile (EPSG:3857, 256 px) from NASA GIBS",
+        description: "For map libraries taking a z/x/y URL template; the tile is in the layer's own format (jpeg for true_color, png otherwise).",
+        operationId: "getImageryTile",
+        parameters: [...queryParameters(TILE_PARAMS, "path"), ...queryParameters(TILE_QUERY)],
+        responses: {
+          200: imageResponse("The tile"),
+          ...errorResponses([...validationErrorCodes(TILE_PARAMS), ...validationErrorCodes(TILE_QUERY), ...fetchErrors, "IMAGERY_UNAVAILABLE"])
+        }
+      }
+    },
+    "/api/v1/utils/search": {
+      get: {
+        tags: ["Places"],
+        summary: "Place search and autocomplete",
+        operationId: "searchPlaces",
+        parameters: queryParameters(SEARCH_QUERY),
+        responses: {
+          200: jsonResponse("Matching places, best first", ref("SearchResponse"), CACHE_HEADERS),
+          ...errorResponses([...validationErrorCodes(SEARCH_QUERY), ...fetchErrors])
+        }
+      }
+    },
+    "/api/v1/alerts": {
+      post: {
+        tags: ["Alerts"],
+        summary: "Register a threshold alert delivered by signed webhook",
+        operationId: "createAlert",
+        requestBody: { required: true, content: { "application/json": { schema: bodySchema(ALERT_BODY) } } },
+        responses: {
+          201: jsonResponse("The subscription, including its signing secret", {
+            type: "object", required: ["subscription"], properties: { subscription: ref("AlertSubscription") }
+          }),
+          ...errorResponses([...validationErrorCodes(ALERT_BODY), ...bodyErrors])
+        }
+      },
+      get: {
+        tags: ["Alerts"],
+        summary: "List alert subscriptions",
+        operationId: "listAlerts",
+        responses: {
+          200: jsonResponse("The caller's subscriptions (every one with alerts:admin), secrets redacted", {
+            type: "object",
+            required: ["subscriptions", "count"],
+            properties: { subscriptions: { type: "array", items: ref("AlertSubscription") }, count: { type: "integer" } }
+          })
+        }
+      }
+    },
+    "/api/v1/alerts/{id}": {
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+      get: {
+        tags: ["Alerts"],
+        summary: "One subscription with its delivery log",
+        operationId: "getAlert",
+        responses: {
+          200: jsonResponse("The subscription, secret redacted", {
+            type: "object",
+            required: ["subscription", "deliveries"],
+            properties: { subscription: ref("AlertSubscription"), deliveries: { type: "array", items: ref("AlertDelivery") } }
+          }),
+          ...errorResponses(["ALERT_NOT_FOUND"])
+        }
+      },
+      delete: {
+        tags: ["Alerts"],
+        summary: "Remove a subscription",
+        operationId: "deleteAlert",
+        responses: {
+          204: { description: "Removed" },
+          ...errorResponses(["ALERT_NOT_FOUND"])
+        }
+      }
+    },
+    "/healthz": {
+      get: {
+        tags: ["Monitoring"],
+        summary: "Liveness probe",
+        description: "Answers while the process serves requests; no dependency is checked.",
+        operationId: "getLiveness",
+        responses: {
+          200: jsonResponse("The server is up", {
+            type: "object",
+            required: ["status", "uptime_s", "timestamp"],
+            properties: {
+              status: { type: "string", const: "ok" },
+              uptime_s: { type: "integer", minimum: 0 },
+              timestamp: { type: "string", format: "date-time" }
+            }
+          })
+        }
+      }
+    },
+    "/readyz": {
+      get: {
+        tags: ["Monitoring"],
+        summary: "Readiness probe",
+        description: `Status of the cache, weather providers and geocoders, from probes cached for READYZ_PROBE_TTL_MS (default ${PROBE_TTL_MS} ms). Optional dependencies that are down only make the status "degraded".`,
+        operationId: "getReadiness",
+        responses: {
+          200: jsonResponse("Ready, or degraded with every required dependency up", ref("Readiness")),
+          503: jsonResponse("A required dependency is down", ref("Readiness"))
+        }
+      }
+    },
+    "/metrics": {
+      get: {
+        tags: ["Monitoring"],
+        summary: "Prometheus metrics",
+        description: "Request counts and latency per route, upstream outcomes per provider, simulation fallbacks and cache hit ratio.",
+        operationId: "getMetrics",
+        responses: { 200: { description: "Prometheus text exposition format 0.0.4", content: { "text/plain": { schema: { type: "string" } } } } }
+      }
+    },
+    "/api/v1/healthCheck": {
+      get: {
+        tags: ["Monitoring"],
+        summary: "Liveness probe (kept for existing clients, see /healthz)",
+        operationId: "healthCheck",
+        responses: { 200: { description: "The server is up", content: { "text/plain": { schema: { type: "string", const: "OK" } } } } }
+      }
+    },
+    "/api/v1/openapi.json": {
+      get: {
+        tags: ["Monitoring"],
+        summary: "This document",
+        operationId: "getOpenApi",
+        responses: { 200: jsonResponse("OpenAPI 3.1 document", { type: "object" }) }
+      }
+    },
+    "/api/v1/docs": {
+      get: {
+        tags: ["Monitoring"],
+        summary: "Interactive docs for this document",
+        operationId: "getDocs",
+        responses: { 200: { description: "Docs page", content: { "text/html": { schema: { type: "string" } } } } }
+      }
+    }
+  };
+}
+
+// The full document; the server URL is relative so the docs page works behind any host
+function buildOpenApiSpec() {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "NASA Weather Forecast API",
+      version: PACKAGE.version,
+      description: "Weather, forecasts and exceedance probabilities from NASA POWER, GMAO, Worldview and local NetCDF data."
+    },
+    servers: [{ url: "/" }],
+    tags: [{ name: "Weather" }, { name: "Energy" }, { name: "Imagery" }, { name: "Places" }, { name: "Alerts" }, { name: "Monitoring" }],
+    paths: applyAccessControl(buildPaths()),
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        ApiKey: {
+          type: "apiKey", in: "header", name: "X-API-Key",
+          description: `Scopes: ${Object.entries(SCOPES).map(([scope, routes]) => `${scope} (${routes})`).join("; ")}`
+        },
+        BearerKey: { type: "http", scheme: "bearer", description: "The same API key as a bearer token" }
+      },
+      headers: {
+        "X-Request-Id": { description: "Request id, also in error bodies as REQUEST_ID", schema: { type: "string" } }
+      }
+    }
+  };
+}
+
+export { buildOpenApiSpec };
@@ -0,0 +1,157 @@
+/**
+ * Request Validation - Schema-Driven Checks For Path Parameters, Query Strings & JSON Bodies
+ *
+ * A schema maps each field to a rule:
+ *   type          number | integer | string | boolean | json | array | object (path and query strings are coerced)
+ *   required      absent -> `missingError` (default INVALID_PARAMETER)
+ *   default       value used when the field is absent
+ *   min, max      numeric bounds; length bounds for strings and arrays
+ *   values        allowed values
+ *   resolve       (value, source, values) -> parsed value; null means invalid, undefined means "not given".
+ *                 `virtual` rules have no field of their own and resolve from the whole source
+ *   error         ErrorType code for invalid values (default INVALID_PARAMETER)
+ *   issue         what a valid value looks like, reported in ERR_DETAILS
+ *   param         name reported in ERR_DETAILS instead of the schema key (e.g. "start/end")
+ *   description   documentation only, like the two below (see openapi/spec.js)
+ *   parameters    for virtual rules, the request fields they read: [{ name, schema, description }]
+ *   items         for arrays, the schema every entry follows
+ *   schema        for json rules, the JSON Schema of the decoded value
+ *
+ * The error code of the answer is the one of the first failing field; ERR_DETAILS lists every failure.
+ */
+import express from "express";
+import { sendError } from "../errors/index.js";
+
+// VARIABLES //
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+function describeRule(rule) {
+  if (rule.issue) return rule.issue;
+  const bounds = rule.min !== undefined && rule.max !== undefined ? ` between ${rule.min} and ${rule.max}`
+    : rule.min !== undefined ? ` of at least ${rule.min}`
+    : rule.max !== undefined ? ` of at most ${rule.max}`
+    : "";
+  if (rule.values) return `must be one of: ${rule.values.join(", ")}`;
+  if (rule.type === "integer") return `must be a whole number${bounds}`;
+  if (rule.type === "number") return `must be a number${bounds}`;
+  if (rule.type === "boolean") return "must be true or false";
+  if (rule.type === "json") return "must be valid JSON";
+  if (rule.type === "array") return `must be an array${bounds ? ` with a length${bounds}` : ""}`;
+  if (rule.type === "object") return "must be an object";
+  if (rule.type === "string") return `must be a string${bounds ? ` with a length${bounds}` : ""}`;
+  return "is invalid";
+}
+
+// Raw value -> typed value, undefined when it cannot be converted
+function coerce(type, value) {
+  switch (type) {
+    case "number":
+    case "integer": {
+      const number = typeof value === "number" ? value
+        : typeof value === "string" && NUMBER_PATTERN.test(value.trim()) ? Number(value)
+        : NaN;
+      if (!isFinite(number) || (type === "integer" && !Number.isInteger(number))) return undefined;
+      return number;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (typeof value === "string" && ["true", "false"].includes(value.toLowerCase())) return value.toLowerCase() === "true";
+      return undefined;
+    case "string":
+      return typeof value === "string" ? value : undefined;
+    case "json":
+      if (typeof value !== "string") return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return undefined;
+      }
+    case "array":
+      return Array.isArray(value) ? value : undefined;
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+function withinBounds(rule, value) {
+  const size = typeof value === "string" || Array.isArray(value) ? value.length : value;
+  if (typeof size !== "number") return true;
+  return (rule.min === undefined || size >= rule.min) && (rule.max === undefined || size <= rule.max);
+}
+
+// Validate `source` (req.query, req.params, req.body or one item of a body) against `schema`
+function validateSchema(schema, source = {}, location = "query") {
+  const values = {};
+  const details = [];
+  let code = null;
+
+  const fail = (field, issue, raw, errorCode) => {
+    details.push({ field, location, issue, ...(raw !== undefined ? { value: raw } : {}) });
+    code = code || errorCode;
+  };
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = rule.param || key;
+    const raw = rule.virtual ? undefined : source?.[key];
+    const absent = raw === undefined || raw === null || raw === "";
+
+    if (absent && rule.required) {
+      fail(field, "is required", undefined, rule.missingError || "INVALID_PARAMETER");
+      continue;
+    }
+
+    let value = absent ? rule.default : raw;
+    if (value !== undefined && !rule.virtual) {
+      value = coerce(rule.type, value);
+      if (value === undefined || !withinBounds(rule, value) || (rule.values && !rule.values.includes(value))) {
+        fail(field, describeRule(rule), raw, rule.error || "INVALID_PARAMETER");
+        continue;
+      }
+    }
+
+    if (rule.resolve && (value !== undefined || rule.virtual)) {
+      const resolved = rule.resolve(value, source || {}, values);
+      if (resolved === null) {
+        fail(field, describeRule(rule), rule.virtual ? source?.[field] : raw, rule.error || "INVALID_PARAMETER");
+        continue;
+      }
+      value = resolved;
+    }
+    values[key] = value;
+  }
+
+  return { values, details, code };
+}
+
+// Middleware: validated values land on req.validated.params / req.validated.query / req.validated.body
+function validate({ params, query, body } = {}) {
+  return (req, res, next) => {
+    const validated = {};
+    const details = [];
+    let code = null;
+
+    [["params", "path", params, req.params], ["query", "query", query, req.query], ["body", "body", body, req.body]].forEach(([key, location, schema, source]) => {
+      if (!schema) return;
+      const result = validateSchema(schema, source, location);
+      validated[key] = result.values;
+      details.push(...result.details);
+      code = code || result.code;
+    });
+
+    if (code) {
+      sendError(res, code, { details });
+      return;
+    }
+    req.validated = validated;
+    next();
+  };
+}
+
+// JSON body parser; malformed or oversized bodies are answered by handleUnexpectedError (errors/index.js), which app.js registers last
+function parseJsonBody(limit = "100kb") {
+  return express.json({ limit });
+}
+
+export { validateSchema, validate, parseJsonBody };
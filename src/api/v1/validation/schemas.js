@@ -0,0 +1,377 @@
+/**
+ * Request Schemas - Query & Body Rules For Every Route (see validation/index.js for the rule format)
+ */
+import { DEFAULT_FORECAST_DAYS, MAX_FORECAST_DAYS } from "../weather/forecast.js";
+import { resolveHourlyRange, resolveTimeZone, MAX_HOURLY_RANGE_DAYS } from "../weather/hourly.js";
+import { QUANTITIES, UNIT_SYSTEMS, CUSTOM_PARAMETERS, THRESHOLD_QUANTITIES, resolveUnits, toMetric } from "../weather/units.js";
+import { FORMATS, EXPORT_VARIABLES, resolveFormat, resolveVariables, resolveExportRange, requiresRange } from "../weather/export/index.js";
+import { GDD_BASE, GDD_CAP, MAX_AGRO_RANGE_DAYS } from "../weather/agro.js";
+import { MAX_ENERGY_RANGE_DAYS, WINDOWS } from "../energy/window.js";
+import { SOLAR_DEFAULT_LOSSES } from "../energy/solar.js";
+import { DEFAULT_HUB_HEIGHT, DEFAULT_WEIBULL_K, WIND_DEFAULT_LOSSES, DEFAULT_POWER_CURVE, resolvePowerCurve } from "../energy/wind.js";
+import { IMAGERY_LAYERS, IMAGE_FORMATS, IMAGERY_MAX_SIZE, resolveImageryDate, resolveBbox, resolveImageSize, resolveTile } from "../imagery/layers.js";
+import { BATCH_MAX_POINTS } from "../weather/batch.js";
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resolveLanguage } from "../i18n/index.js";
+import { DEFAULT_LIMIT, MAX_LIMIT, parseCountries, parseNear } from "../geocoding/index.js";
+import { ALERT_VARIABLES, OPERATORS } from "../alerts/scheduler.js";
+import { refuseWebhookUrl } from "../alerts/targets.js";
+
+// Longitudes outside -180..180 wrap around instead of being rejected (LONGITUDE bounds them to one turn either way)
+function normalizeLongitude(lon) {
+  if (lon >= -180 && lon <= 180) return lon;
+  return ((lon + 180) % 360 + 360) % 360 - 180;
+}
+
+// `thresholds` -> { temperature?, precipitation?, windSpeed? } with numeric values, null when malformed
+function resolveThresholds(thresholds) {
+  if (!thresholds || typeof thresholds !== "object" || Array.isArray(thresholds)) return null;
+  const resolved = {};
+  for (const [key, value] of Object.entries(thresholds)) {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (!THRESHOLD_QUANTITIES[key] || typeof number !== "number" || !isFinite(number)) return null;
+    resolved[key] = number;
+  }
+  return resolved;
+}
+
+// start/end through resolveExportRange, null when the range is longer than maxDays
+function resolveBoundedRange(source, maxDays) {
+  const range = resolveExportRange(source.start, source.end);
+  return range && range.days <= maxDays ? range : null;
+}
+
+// gdd_base/gdd_cap in the selected temperature unit -> metric { base, cap }, null unless cap > base
+function resolveGddLimits(source, unitSystem) {
+  const read = (value, fallback) => {
+    if (value === undefined || value === "") return fallback;
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+    return isFinite(number) ? toMetric("temperature", number, unitSystem) : NaN;
+  };
+  const base = read(source.gdd_base, GDD_BASE);
+  const cap = read(source.gdd_cap, GDD_CAP);
+  return isFinite(base) && isFinite(cap) && cap > base ? { base, cap } : null;
+}
+
+// Absolute http(s) URLs only, and none naming a private, loopback or link-local target (see alerts/targets.js)
+function resolveWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return refuseWebhookUrl(url) ? null : url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function withErrorCode(code, schema) {
+  return Object.fromEntries(Object.entries(schema).map(([field, rule]) => [field, { ...rule, error: code, missingError: code }]));
+}
+
+// Shared rules //
+const LATITUDE = {
+  type: "number", required: true, min: -90, max: 90,
+  missingError: "QUERY_MISSING_ERR", error: "INVALID_COORDINATES",
+  description: "Latitude in degrees"
+};
+const LONGITUDE = {
+  type: "number", required: true, min: -540, max: 540, resolve: normalizeLongitude,
+  missingError: "QUERY_MISSING_ERR", error: "INVALID_COORDINATES",
+  description: "Longitude in degrees; values outside -180..180 wrap around"
+};
+const DAYS = {
+  type: "integer", min: 1, max: MAX_FORECAST_DAYS, default: DEFAULT_FORECAST_DAYS,
+  description: "Forecast horizon in days"
+};
+const STRICT = {
+  type: "boolean",
+  description: "true refuses simulated or gap-filled values (server default: STRICT_MODE)"
+};
+const UNITS = {
+  virtual: true, param: "units", resolve: (_, source) => resolveUnits(source), error: "INVALID_UNITS",
+  issue: `units must be ${Object.keys(UNIT_SYSTEMS).join(", ")} or custom with ${Object.values(CUSTOM_PARAMETERS).join(", ")}`,
+  description: "Unit system of values, the units block and thresholds",
+  parameters: [
+    { name: "units", schema: { type: "string", enum: [...Object.keys(UNIT_SYSTEMS), "custom"], default: "metric" }, description: "Unit system of values, the units block and thresholds" },
+    ...Object.entries(CUSTOM_PARAMETERS).map(([quantity, name]) => ({
+      name,
+      schema: { type: "string", enum: Object.keys(QUANTITIES[quantity]) },
+      description: `${quantity.replace("_", " ")} unit with units=custom (metric when left out)`
+    }))
+  ]
+};
+const LANGUAGE = {
+  type: "string", default: DEFAULT_LANGUAGE, resolve: resolveLanguage, error: "UNSUPPORTED_LANGUAGE",
+  issue: `must be one of: ${SUPPORTED_LANGUAGES.join(", ")}`,
+  description: "Language of the conditions text"
+};
+// Needs `units` resolved first: the limits are given in the selected temperature unit
+const GDD_LIMITS = {
+  virtual: true, param: "gdd_base/gdd_cap",
+  resolve: (_, source, values) => (values.units ? resolveGddLimits(source, values.units) : undefined),
+  issue: "gdd_base and gdd_cap must be numbers with gdd_cap above gdd_base",
+  description: "Growing degree day limits, in the selected temperature unit",
+  parameters: [
+    { name: "gdd_base", schema: { type: "number" }, description: `Base temperature below which no degree days accrue (default ${GDD_BASE} °C)` },
+    { name: "gdd_cap", schema: { type: "number" }, description: `Temperature above which no further degree days accrue (default ${GDD_CAP} °C)` }
+  ]
+};
+const THRESHOLDS = {
+  type: "json", default: {}, resolve: resolveThresholds, error: "INVALID_THRESHOLDS",
+  issue: `must be a JSON object with numeric ${Object.keys(THRESHOLD_QUANTITIES).join(", ")}`,
+  description: "Thresholds for exceedance probabilities, in the selected units",
+  schema: {
+    type: "object",
+    properties: Object.fromEntries(Object.keys(THRESHOLD_QUANTITIES).map(key => [key, { type: "number" }])),
+    additionalProperties: false
+  }
+};
+
+// Route schemas //
+const WEATHER_QUERY = {
+  lat: LATITUDE,
+  lon: LONGITUDE,
+  thresholds: THRESHOLDS,
+  days: DAYS,
+  strict: STRICT,
+  units: UNITS,
+  lang: LANGUAGE
+};
+
+// Each batch point is checked on its own and fails alone
+const BATCH_POINT = {
+  id: { description: "Any value, echoed back in the point's result" },
+  lat: { ...LATITUDE, missingError: "INVALID_COORDINATES" },
+  lon: { ...LONGITUDE, missingError: "INVALID_COORDINATES" },
+  thresholds: THRESHOLDS
+};
+
+const BATCH_BODY = {
+  points: {
+    type: "array", required: true, min: 1, max: BATCH_MAX_POINTS,
+    missingError: "INVALID_BATCH", error: "INVALID_BATCH",
+    description: "Points to fetch", items: BATCH_POINT
+  },
+  days: DAYS,
+  strict: STRICT,
+  units: UNITS,
+  lang: LANGUAGE
+};
+
+const DOWNLOAD_QUERY = {
+  lat: LATITUDE,
+  lon: LONGITUDE,
+  format: {
+    type: "string", default: "csv", resolve: resolveFormat, error: "UNSUPPORTED_FORMAT",
+    issue: `must be one of: ${Object.keys(FORMATS).join(", ")}`,
+    description: "Export format"
+  },
+  variables: {
+    type: "string", default: "", resolve: resolveVariables, error: "INVALID_VARIABLES",
+    issue: `must be a comma-separated list of: ${Object.keys(EXPORT_VARIABLES).join(", ")}`,
+    description: "Columns to export"
+  },
+  range: {
+    virtual: true, param: "start/end", error: "INVALID_DATE_RANGE",
+    resolve: (_, source, values) => (source.start === undefined && source.end === undefined && !(values.variables && requiresRange(values.variables))
+      ? undefined
+      : resolveExportRange(source.start, source.end)),
+    issue: "start and end must be YYYY-MM-DD dates from 1981-01-01 to today with start <= end",
+    description: "Historical date range (start, end); the forecast is exported without it unless agricultural variables are selected",
+    parameters: [
+      { name: "start", schema: { type: "string", format: "date" }, description: "First day of the historical range (default 30 days before end)" },
+      { name: "end", schema: { type: "string", format: "date" }, description: "Last day of the historical range (default today)" }
+    ]
+  },
+  days: DAYS,
+  strict: STRICT,
+  units: UNITS,
+  gdd: GDD_LIMITS,
+  lang: LANGUAGE
+};
+
+const AGRO_QUERY = {
+  lat: LATITUDE,
+  lon: LONGITUDE,
+  range: {
+    virtual: true, param: "start/end", error: "INVALID_DATE_RANGE",
+    resolve: (_, source) => resolveBoundedRange(source, MAX_AGRO_RANGE_DAYS),
+    issue: `start and end must be YYYY-MM-DD dates from 1981-01-01 to today with start <= end, covering at most ${MAX_AGRO_RANGE_DAYS} days`,
+    description: "Date range (start, end), default the last 30 days",
+    parameters: [
+      { name: "start", schema: { type: "string", format: "date" }, description: "First day (default 30 days before end)" },
+      { name: "end", schema: { type: "string", format: "date" }, description: "Last day (default today)" }
+    ]
+  },
+  units: UNITS,
+  gdd: GDD_LIMITS
+};
+
+// Shared by the energy estimates: a historical start/end range or the typical year
+const ENERGY_WINDOW = {
+  type: "string", default: "historical", values: WINDOWS,
+  description: "historical (start/end) or typical_year (POWER long-term monthly means)"
+};
+const ENERGY_RANGE = {
+  virtual: true, param: "start/end", error: "INVALID_DATE_RANGE",
+  resolve: (_, source, values) => (values.window === "typical_year" ? undefined : resolveBoundedRange(source, MAX_ENERGY_RANGE_DAYS)),
+  issue: `start and end must be YYYY-MM-DD dates from 1981-01-01 to today with start <= end, covering at most ${MAX_ENERGY_RANGE_DAYS} days`,
+  description: "Historical date range (start, end), default the last 30 days; ignored for typical_year",
+  parameters: [
+    { name: "start", schema: { type: "string", format: "date" }, description: "First day (default 30 days before end)" },
+    { name: "end", schema: { type: "string", format: "date" }, description: "Last day (default today)" }
+  ]
+};
+
+const SOLAR_QUERY = {
+  lat: LATITUDE,
+  lon: LONGITUDE,
+  window: ENERGY_WINDOW,
+  range: ENERGY_RANGE,
+  capacity: { type: "number", min: 0.01, max: 1000000, default: 1, description: "System size in kWp (DC, at 1000 W/m²)" },
+  tilt: { type: "number", min: 0, max: 90, description: "Panel tilt from horizontal in degrees (default: the latitude)" },
+  azimuth: { type: "number", min: 0, max: 360, description: "Panel azimuth clockwise from north in degrees (default: facing the equator)" },
+  losses: { type: "number", min: 0, max: 99, default: SOLAR_DEFAULT_LOSSES, description: "System losses in % (inverter, wiring, soiling, mismatch)" }
+};
+
+const WIND_QUERY = {
+  lat: LATITUDE,
+  lon: LONGITUDE,
+  window: ENERGY_WINDOW,
+  range: ENERGY_RANGE,
+  hub_height: { type: "number", min: 10, max: 250, default: DEFAULT_HUB_HEIGHT, description: "Hub height in m" },
+  power_curve: {
+    type: "json", default: DEFAULT_POWER_CURVE, resolve: resolvePowerCurve, error: "INVALID_POWER_CURVE",
+    issue: "must be a JSON array of at least two [wind speed m/s, power kW] pairs with increasing speeds",
+    description: "Turbine power curve (default: a generic 2 MW turbine)",
+    schema: {
+      type: "array", minItems: 2,
+      items: { type: "array", items: { type: "number", minimum: 0 }, minItems: 2, maxItems: 2 }
+    }
+  },
+  weibull_k: { type: "number", min: 1, max: 5, default: DEFAULT_WEIBULL_K, description: "Weibull shape of the wind speeds within a day" },
+  losses: { type: "number", min: 0, max: 99, default: WIND_DEFAULT_LOSSES, description: "Wake, availability and electrical losses in %" }
+};
+
+// Shared by the imagery routes //
+const IMAGERY_LAYER = {
+  type: "string", required: true, values: Object.keys(IMAGERY_LAYERS),
+  missingError: "INVALID_LAYER", error: "INVALID_LAYER",
+  description: "Imagery layer"
+};
+// Checked against the layer's first day when the layer is in the same schema
+const IMAGERY_DATE = {
+  virtual: true, param: "date", error: "INVALID_DATE",
+  resolve: (_, source, values) => resolveImageryDate(typeof source.date === "string" ? source.date : undefined, values.layer),
+  issue: "must be a YYYY-MM-DD date from the layer's first day to today",
+  description: "Day of the imagery",
+  parameters: [
+    { name: "date", schema: { type: "string", format: "date" }, description: "Day of the imagery, UTC (default yesterday, the latest complete day)" }
+  ]
+};
+
+const SNAPSHOT_QUERY = {
+  layer: { ...IMAGERY_LAYER, required: false, default: "true_color" },
+  date: IMAGERY_DATE,
+  bbox: {
+    type: "string", required: true, resolve: resolveBbox,
+    missingError: "INVALID_BBOX", error: "INVALID_BBOX",
+    issue: "must be west,south,east,north in degrees with west < east and south < north",
+    description: "Area as west,south,east,north in degrees (EPSG:4326); it cannot cross the antimeridian"
+  },
+  size: {
+    virtual: true, param: "width/height",
+    resolve: (_, source, values) => (values.bbox ? resolveImageSize(source, values.bbox) : undefined),
+    issue: `width and height must be whole numbers between 1 and ${IMAGERY_MAX_SIZE}`,
+    description: "Image size in pixels",
+    parameters: [
+      { name: "width", schema: { type: "integer", minimum: 1, maximum: IMAGERY_MAX_SIZE }, description: "Width in pixels (default 512, or from height and the bbox aspect ratio)" },
+      { name: "height", schema: { type: "integer", minimum: 1, maximum: IMAGERY_MAX_SIZE }, description: "Height in pixels (default: from width and the bbox aspect ratio)" }
+    ]
+  },
+  format: {
+    type: "string", values: Object.keys(IMAGE_FORMATS),
+    description: "Image format (default: the layer's own, jpeg for true_color, png otherwise)"
+  }
+};
+
+const TILE_PARAMS = {
+  layer: IMAGERY_LAYER,
+  tile: {
+    virtual: true, param: "z/x/y", error: "INVALID_TILE",
+    resolve: (_, source, values) => (values.layer ? resolveTile(source, values.layer) : undefined),
+    issue: "z must be within the layer's zoom levels and x, y between 0 and 2^z - 1",
+    description: "Web-mercator tile address",
+    parameters: [
+      { name: "z", schema: { type: "integer", minimum: 0 }, description: `Zoom level, at most ${Object.entries(IMAGERY_LAYERS).map(([name, layer]) => `${layer.maxZoom} for ${name}`).join(", ")}` },
+      { name: "x", schema: { type: "integer", minimum: 0 }, description: "Column, from the west" },
+      { name: "y", schema: { type: "integer", minimum: 0 }, description: "Row, from the north" }
+    ]
+  }
+};
+
+const TILE_QUERY = {
+  date: IMAGERY_DATE
+};
+
+const HOURLY_QUERY = {
+  lat: LATITUDE,
+  lon: LONGITUDE,
+  units: UNITS,
+  range: {
+    virtual: true, param: "start/end", error: "INVALID_DATE_RANGE",
+    resolve: (_, source) => resolveHourlyRange(source.start, source.end),
+    issue: `start and end must be YYYY-MM-DD dates with start <= end, at most ${MAX_HOURLY_RANGE_DAYS} days apart`,
+    description: "Date range (start, end), default yesterday to today",
+    parameters: [
+      { name: "start", schema: { type: "string", format: "date" }, description: "First day (default yesterday)" },
+      { name: "end", schema: { type: "string", format: "date" }, description: `Last day (default today), at most ${MAX_HOURLY_RANGE_DAYS} days after start` }
+    ]
+  },
+  tz: {
+    virtual: true, param: "tz", error: "INVALID_TIME_ZONE",
+    resolve: (_, source, values) => (values.lon === undefined ? undefined : resolveTimeZone(typeof source.tz === "string" ? source.tz : undefined, values.lon)),
+    issue: "must be utc, local or an IANA time zone name",
+    description: "Time zone of the hourly timestamps",
+    parameters: [
+      { name: "tz", schema: { type: "string", default: "utc" }, description: "utc, local (nautical offset from the longitude) or an IANA time zone name" }
+    ]
+  }
+};
+
+const SEARCH_QUERY = {
+  citySrch: { type: "string", required: true, max: 200, missingError: "CITY_QUERY_MISSING", description: "Place name or prefix" },
+  limit: { type: "integer", min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT, description: "Results to return" },
+  lang: { type: "string", max: 35, description: "Preferred result language (BCP 47)" },
+  country: { type: "string", resolve: parseCountries, error: "INVALID_COUNTRY_CODE", issue: "must be comma-separated ISO 3166-1 alpha-2 codes", description: "Country filter" },
+  near: { type: "string", resolve: parseNear, error: "INVALID_NEAR", issue: "must be lat,lon", description: "Bias results towards lat,lon" }
+};
+
+// Every alert field reports INVALID_ALERT, whether missing or malformed
+const ALERT_BODY = withErrorCode("INVALID_ALERT", {
+  lat: { type: "number", required: true, min: -90, max: 90, description: "Latitude in degrees" },
+  lon: { type: "number", required: true, min: -180, max: 180, description: "Longitude in degrees" },
+  variable: { type: "string", required: true, values: Object.keys(ALERT_VARIABLES), description: "Variable to watch" },
+  operator: { type: "string", required: true, values: Object.keys(OPERATORS), description: "Comparison with the threshold" },
+  threshold: { type: "number", required: true, description: "Threshold in metric units (°C, mm, m/s, %, hPa)" },
+  horizon: { type: "integer", min: 0, max: MAX_FORECAST_DAYS - 1, default: 1, description: "0 for current conditions, N for the forecast day N days ahead" },
+  webhook_url: { type: "string", required: true, resolve: resolveWebhookUrl, issue: "must be an absolute http(s) URL of a public host", description: "Where alerts are POSTed; private, loopback and link-local targets are refused" },
+  secret: { type: "string", min: 16, max: 256, description: "HMAC signing secret; generated when left out" },
+  label: { type: "string", max: 200, description: "Free-form name" },
+  strict: { type: "boolean", default: false, description: "Only alert on observed values" }
+});
+
+export {
+  normalizeLongitude,
+  WEATHER_QUERY,
+  BATCH_BODY,
+  BATCH_POINT,
+  DOWNLOAD_QUERY,
+  AGRO_QUERY,
+  SOLAR_QUERY,
+  WIND_QUERY,
+  SNAPSHOT_QUERY,
+  TILE_PARAMS,
+  TILE_QUERY,
+  HOURLY_QUERY,
+  SEARCH_QUERY,
+  ALERT_BODY
+};
@@ -0,0 +1,197 @@
+/**
+ * Agricultural Indices - FAO-56 Reference Evapotranspiration, Growing Degree Days, Water Balance,
+ * Frost Days & Chill Hours From The POWER Daily Series
+ *
+ * All inputs are POWER daily values from the AG community: T2M_MAX/T2M_MIN in °C, RH2M in %, WS10M in
+ * m/s at 10 m, ALLSKY_SFC_SW_DWN in MJ/m²/day, PRECTOTCORR in mm/day and PS in kPa.
+ *
+ * ET0 is the FAO-56 Penman–Monteith grass reference (Allen et al. 1998, eq. 6) with G = 0 for daily
+ * steps. Wind is brought down to 2 m with the FAO log profile, the station elevation needed for
+ * clear-sky radiation is read back from surface pressure, and days without satellite radiation fall
+ * back to the Hargreaves radiation estimate (eq. 50, kRs = 0.16) and are flagged as estimated.
+ *
+ * Growing degree days use the capped method: Tmax and Tmin are both clamped into [base, cap] first.
+ * Chill hours count hours between 0 and 7.2 °C (45 °F), with hourly temperatures estimated from
+ * Tmin/Tmax by a sine curve (minimum near sunrise, maximum mid-afternoon), as POWER hourly lags weeks.
+ *
+ * AGRO_GDD_BASE=10          (°C, default base temperature)
+ * AGRO_GDD_CAP=30           (°C, default cap temperature)
+ * AGRO_MAX_RANGE_DAYS=366   (longest range /weather/agro answers; /download streams longer ones)
+ */
+
+// VARIABLES //
+const GDD_BASE = parseFloat(process.env.AGRO_GDD_BASE) || 10;
+const GDD_CAP = parseFloat(process.env.AGRO_GDD_CAP) || 30;
+const MAX_AGRO_RANGE_DAYS = parseInt(process.env.AGRO_MAX_RANGE_DAYS, 10) || 366;
+const CHILL_RANGE = [0, 7.2];
+const FROST_THRESHOLD = 0;
+
+const SOLAR_CONSTANT = 0.0820;      // MJ m-2 min-1
+const STEFAN_BOLTZMANN = 4.903e-9;  // MJ K-4 m-2 day-1
+const ALBEDO = 0.23;                // grass reference surface
+const HARGREAVES_KRS = 0.16;        // interior locations
+const SEA_LEVEL_PRESSURE = 101.3;   // kPa
+
+// POWER daily parameters the indices are computed from
+const AGRO_PARAMETERS = ['T2M_MAX', 'T2M_MIN', 'RH2M', 'WS10M', 'ALLSKY_SFC_SW_DWN', 'PRECTOTCORR', 'PS'];
+
+const METHODS = {
+  et0: "FAO-56 Penman-Monteith (grass reference, daily)",
+  gdd: "Capped method: Tmax and Tmin clamped into [base, cap]",
+  chill_hours: "Hours between 0 and 7.2 °C, hourly temperatures estimated from Tmin/Tmax",
+  frost_day: "Daily minimum temperature below 0 °C"
+};
+
+const round = (value, decimals = 2) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+const isKnown = value => value !== null && value !== undefined;
+
+// Saturation vapour pressure in kPa (FAO-56 eq. 11)
+function saturationPressure(temp) {
+  return 0.6108 * Math.exp((17.27 * temp) / (temp + 237.3));
+}
+
+// Extraterrestrial radiation in MJ/m²/day for a latitude and day of year (FAO-56 eq. 21-25)
+function extraterrestrialRadiation(lat, dayOfYear) {
+  const phi = (lat * Math.PI) / 180;
+  const inverseDistance = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const declination = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  const sunsetAngle = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(declination))));
+  return Math.max(0, (24 * 60 / Math.PI) * SOLAR_CONSTANT * inverseDistance * (
+    sunsetAngle * Math.sin(phi) * Math.sin(declination) +
+    Math.cos(phi) * Math.cos(declination) * Math.sin(sunsetAngle)
+  ));
+}
+
+// Elevation in m from surface pressure in kPa (FAO-56 eq. 7, inverted)
+function elevationFromPressure(pressure) {
+  return (293 - 293 * Math.pow(pressure / SEA_LEVEL_PRESSURE, 1 / 5.26)) / 0.0065;
+}
+
+function dayOfYear(date) {
+  return Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+}
+
+// { et0 (mm/day), radiation: "observed" | "estimated" }, or null when temperature, humidity or wind is missing
+function referenceEvapotranspiration({ T2M_MAX: tmax, T2M_MIN: tmin, RH2M: humidity, WS10M: wind10, ALLSKY_SFC_SW_DWN: radiation, PS: surfacePressure }, lat, date) {
+  if (![tmax, tmin, humidity, wind10].every(isKnown)) return null;
+
+  const tmean = (tmax + tmin) / 2;
+  const pressure = isKnown(surfacePressure) ? surfacePressure : SEA_LEVEL_PRESSURE;
+  const psychrometric = 0.000665 * pressure;
+  const slope = (4098 * saturationPressure(tmean)) / Math.pow(tmean + 237.3, 2);
+  const es = (saturationPressure(tmax) + saturationPressure(tmin)) / 2;
+  const ea = (humidity / 100) * es;
+  const wind2 = wind10 * 4.87 / Math.log(67.8 * 10 - 5.42);
+
+  const ra = extraterrestrialRadiation(lat, dayOfYear(date));
+  const rs = isKnown(radiation) ? radiation : HARGREAVES_KRS * Math.sqrt(Math.max(0, tmax - tmin)) * ra;
+  const rso = (0.75 + 2e-5 * Math.max(0, elevationFromPressure(pressure))) * ra;
+  const relativeShortwave = rso > 0 ? Math.min(1, rs / rso) : 0.5; // polar night: no sun to compare with
+  const netShortwave = (1 - ALBEDO) * rs;
+  const netLongwave = STEFAN_BOLTZMANN * ((Math.pow(tmax + 273.16, 4) + Math.pow(tmin + 273.16, 4)) / 2) *
+    (0.34 - 0.14 * Math.sqrt(ea)) * (1.35 * relativeShortwave - 0.35);
+  const netRadiation = netShortwave - netLongwave;
+
+  const et0 = (0.408 * slope * netRadiation + psychrometric * (900 / (tmean + 273)) * wind2 * (es - ea)) /
+    (slope + psychrometric * (1 + 0.34 * wind2));
+  return { et0: Math.max(0, et0), radiation: isKnown(radiation) ? "observed" : "estimated" };
+}
+
+function growingDegreeDays(tmax, tmin, base, cap) {
+  if (!isKnown(tmax) || !isKnown(tmin)) return null;
+  const clamp = value => Math.min(cap, Math.max(base, value));
+  return (clamp(tmax) + clamp(tmin)) / 2 - base;
+}
+
+// Estimated temperature at an hour: rising from Tmin at 05:00 to Tmax at 15:00, falling back overnight
+function hourlyTemperature(hour, tmax, tmin) {
+  const phase = hour >= 5 && hour <= 15 ? (hour - 5) / 10 : 1 + ((hour + 24 - 15) % 24) / 14;
+  return (tmax + tmin) / 2 - ((tmax - tmin) / 2) * Math.cos(Math.PI * phase);
+}
+
+// Hours of the day within CHILL_RANGE
+function chillHours(tmax, tmin) {
+  if (!isKnown(tmax) || !isKnown(tmin)) return null;
+  let hours = 0;
+  for (let hour = 0; hour < 24; hour++) {
+    const temp = hourlyTemperature(hour, tmax, tmin);
+    if (temp > CHILL_RANGE[0] && temp <= CHILL_RANGE[1]) hours++;
+  }
+  return hours;
+}
+
+// Walks a daily series in date order; add() returns the day's indices with the running totals,
+// summary() the totals over every day seen so far. Missing inputs leave a day's index null and
+// the running totals unchanged.
+function createAgroAccumulator({ lat, gddBase = GDD_BASE, gddCap = GDD_CAP }) {
+  const totals = { days: 0, precipitation: 0, et0: 0, gdd: 0, frost_days: 0, chill_hours: 0, et0_days: 0, et0_estimated_days: 0, missing_days: 0 };
+  let waterBalance = 0;
+
+  return {
+    add(date, values) {
+      const { T2M_MAX: tmax, T2M_MIN: tmin, PRECTOTCORR: precipitation } = values;
+      const evapotranspiration = referenceEvapotranspiration(values, lat, date);
+      const gdd = growingDegreeDays(tmax, tmin, gddBase, gddCap);
+      const chill = chillHours(tmax, tmin);
+      const frost = isKnown(tmin) ? tmin < FROST_THRESHOLD : null;
+      const balance = evapotranspiration && isKnown(precipitation) ? precipitation - evapotranspiration.et0 : null;
+
+      totals.days++;
+      if (isKnown(precipitation)) totals.precipitation += precipitation;
+      if (evapotranspiration) {
+        totals.et0 += evapotranspiration.et0;
+        totals.et0_days++;
+        if (evapotranspiration.radiation === "estimated") totals.et0_estimated_days++;
+      }
+      if (gdd !== null) totals.gdd += gdd;
+      if (frost) totals.frost_days++;
+      if (chill !== null) totals.chill_hours += chill;
+      if (balance !== null) waterBalance += balance;
+      if (!evapotranspiration || gdd === null || !isKnown(precipitation)) totals.missing_days++;
+
+      return {
+        date: date.toISOString().split('T')[0],
+        temperature_max: tmax ?? null,
+        temperature_min: tmin ?? null,
+        precipitation: precipitation ?? null,
+        et0: evapotranspiration ? round(evapotranspiration.et0) : null,
+        et0_radiation: evapotranspiration ? evapotranspiration.radiation : null,
+        water_balance: round(balance),
+        water_balance_cumulative: round(waterBalance),
+        gdd: round(gdd),
+        gdd_cumulative: round(totals.gdd),
+        frost_day: frost,
+        chill_hours: chill
+      };
+    },
+
+    summary() {
+      return {
+        days: totals.days,
+        precipitation_total: round(totals.precipitation),
+        et0_total: round(totals.et0),
+        water_balance: round(waterBalance),
+        gdd_total: round(totals.gdd),
+        frost_days: totals.frost_days,
+        chill_hours: totals.chill_hours,
+        et0_estimated_radiation_days: totals.et0_estimated_days,
+        incomplete_days: totals.missing_days
+      };
+    }
+  };
+}
+
+export {
+  GDD_BASE,
+  GDD_CAP,
+  MAX_AGRO_RANGE_DAYS,
+  CHILL_RANGE,
+  AGRO_PARAMETERS,
+  METHODS as AGRO_METHODS,
+  extraterrestrialRadiation,
+  referenceEvapotranspiration,
+  growingDegreeDays,
+  hourlyTemperature,
+  chillHours,
+  createAgroAccumulator
+};
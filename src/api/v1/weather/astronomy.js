@@ -0,0 +1,226 @@
+/**
+ * Astronomy - Sun Times, Solar Position, Moon Phase & Clear-Sky UV Index, Computed Locally
+ *
+ * Sun positions follow the NOAA solar calculator (Meeus' low-precision solar coordinates, accurate
+ * to about a minute for sunrise/sunset between ±72° latitude). Sunrise and sunset are for the upper
+ * limb with standard refraction (zenith 90.833°), civil twilight for the centre 6° below the horizon.
+ * Where the sun does not cross a threshold that day the times are null and `polar` tells which way
+ * it failed: "day" (midnight sun) or "night" (polar night).
+ *
+ * The moon uses Meeus' phase angle from the mean elongation and anomalies (within ~1% illumination).
+ * The clear-sky UV index follows Madronich (2007), UVI = 12.5·μ^2.42·(Ω/300)^-1.23 with a standard
+ * 300 DU ozone column; cloud cover scales it by 1 - 0.75·(c/100)^3.4 (Kasten & Czeplak), which
+ * overstates cloud attenuation of UV a little for broken cloud.
+ *
+ * All times are UTC ISO 8601, rounded to the minute. A day is the local solar day of the record's date.
+ */
+
+// VARIABLES //
+const SUNRISE_ZENITH = 90.833;
+const CIVIL_ZENITH = 96;
+const OZONE_DU = 300;
+const SYNODIC_MONTH = 29.530588853;
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+
+const MOON_PHASES = [
+  'new_moon', 'waxing_crescent', 'first_quarter', 'waxing_gibbous',
+  'full_moon', 'waning_gibbous', 'last_quarter', 'waning_crescent'
+];
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+const normalizeDegrees = degrees => ((degrees % 360) + 360) % 360;
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const toIsoMinute = ms => new Date(Math.round(ms / MINUTE_MS) * MINUTE_MS).toISOString();
+
+// Julian centuries since J2000.0
+function julianCentury(ms) {
+  return (ms / DAY_MS + 2440587.5 - 2451545) / 36525;
+}
+
+// Declination (degrees) and equation of time (minutes) at an instant
+function solarCoordinates(ms) {
+  const t = julianCentury(ms);
+  const meanLongitude = normalizeDegrees(280.46646 + t * (36000.76983 + t * 0.0003032));
+  const meanAnomaly = toRadians(357.52911 + t * (35999.05029 - 0.0001537 * t));
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+  const center = Math.sin(meanAnomaly) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * meanAnomaly) * (0.019993 - 0.000101 * t) + Math.sin(3 * meanAnomaly) * 0.000289;
+  const omega = toRadians(125.04 - 1934.136 * t);
+  const apparentLongitude = toRadians(meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega));
+  const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliquity = toRadians(meanObliquity + 0.00256 * Math.cos(omega));
+
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(apparentLongitude));
+  const y = Math.tan(obliquity / 2) ** 2;
+  const l0 = toRadians(meanLongitude);
+  const equationOfTime = 4 * toDegrees(
+    y * Math.sin(2 * l0) - 2 * eccentricity * Math.sin(meanAnomaly) +
+    4 * eccentricity * y * Math.sin(meanAnomaly) * Math.cos(2 * l0) -
+    0.5 * y * y * Math.sin(4 * l0) - 1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly)
+  );
+  return { declination, equationOfTime };
+}
+
+// Atmospheric refraction in degrees for an apparent elevation (NOAA)
+function refraction(elevation) {
+  if (elevation > 85) return 0;
+  const tanE = Math.tan(toRadians(elevation));
+  if (elevation > 5) return (58.1 / tanE - 0.07 / tanE ** 3 + 0.000086 / tanE ** 5) / 3600;
+  if (elevation > -0.575) return (1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)))) / 3600;
+  return -20.774 / tanE / 3600;
+}
+
+// { elevation (refracted), azimuth (clockwise from north), zenith (geometric) } in degrees
+function solarPosition(date, lat, lon) {
+  const ms = date.getTime();
+  const { declination, equationOfTime } = solarCoordinates(ms);
+  const utcMinutes = (((ms % DAY_MS) + DAY_MS) % DAY_MS) / MINUTE_MS;
+  const trueSolarTime = normalizeDegrees((utcMinutes + equationOfTime + 4 * lon) / 4) * 4;
+  const hourAngle = toRadians(trueSolarTime / 4 - 180);
+  const phi = toRadians(lat);
+
+  const cosZenith = Math.min(1, Math.max(-1, Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)));
+  const zenith = Math.acos(cosZenith);
+  const azimuthDenominator = Math.cos(phi) * Math.sin(zenith);
+  let azimuth = 180;
+  if (Math.abs(azimuthDenominator) > 1e-9) {
+    const cosAzimuth = Math.min(1, Math.max(-1, (Math.sin(phi) * cosZenith - Math.sin(declination)) / azimuthDenominator));
+    const angle = toDegrees(Math.acos(cosAzimuth));
+    azimuth = hourAngle > 0 ? normalizeDegrees(angle + 180) : normalizeDegrees(540 - angle);
+  }
+
+  const elevation = 90 - toDegrees(zenith);
+  return { elevation: elevation + refraction(elevation), azimuth, zenith: toDegrees(zenith) };
+}
+
+// Solar noon (ms) of the local solar day centred on `dayStart` (UTC midnight of the record's date)
+function solarNoon(dayStart, lon) {
+  let noon = dayStart + (720 - 4 * lon) * MINUTE_MS;
+  for (let pass = 0; pass < 2; pass++) {
+    noon = dayStart + (720 - 4 * lon - solarCoordinates(noon).equationOfTime) * MINUTE_MS;
+  }
+  return noon;
+}
+
+// When the sun crosses `zenith` before (-1) or after (+1) noon; "day"/"night" when it never does
+function crossing(dayStart, noon, lat, lon, zenith, direction) {
+  const phi = toRadians(lat);
+  let time = noon;
+  for (let pass = 0; pass < 2; pass++) {
+    const { declination, equationOfTime } = solarCoordinates(time);
+    const cosHourAngle = Math.cos(toRadians(zenith)) / (Math.cos(phi) * Math.cos(declination)) - Math.tan(phi) * Math.tan(declination);
+    if (cosHourAngle > 1) return "night";
+    if (cosHourAngle < -1) return "day";
+    const noonMinutes = 720 - 4 * lon - equationOfTime;
+    time = dayStart + (noonMinutes + direction * 4 * toDegrees(Math.acos(cosHourAngle))) * MINUTE_MS;
+  }
+  return time;
+}
+
+// Sunrise, sunset, solar noon, day length (minutes), civil twilight and polar state for a date
+function sunTimes(date, lat, lon) {
+  const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const noon = solarNoon(dayStart, lon);
+  const sunrise = crossing(dayStart, noon, lat, lon, SUNRISE_ZENITH, -1);
+  const sunset = crossing(dayStart, noon, lat, lon, SUNRISE_ZENITH, 1);
+  const dawn = crossing(dayStart, noon, lat, lon, CIVIL_ZENITH, -1);
+  const dusk = crossing(dayStart, noon, lat, lon, CIVIL_ZENITH, 1);
+  const polar = typeof sunrise === "string" ? sunrise : null;
+  const time = value => (typeof value === "number" ? toIsoMinute(value) : null);
+
+  return {
+    sunrise: time(sunrise),
+    sunset: time(sunset),
+    solar_noon: toIsoMinute(noon),
+    day_length: polar ? (polar === "day" ? 1440 : 0) : Math.round((sunset - sunrise) / MINUTE_MS),
+    civil_dawn: time(dawn),
+    civil_dusk: time(dusk),
+    polar
+  };
+}
+
+// Phase name, illuminated fraction and age (days) of the moon at an instant
+function moonPhase(date) {
+  const t = julianCentury(date.getTime());
+  const elongation = normalizeDegrees(297.8501921 + 445267.1114034 * t - 0.0018819 * t * t);
+  const sunAnomaly = toRadians(357.5291092 + 35999.0502909 * t);
+  const moonAnomaly = toRadians(134.9633964 + 477198.8675055 * t + 0.0087414 * t * t);
+  const d = toRadians(elongation);
+
+  const phaseAngle = 180 - elongation - 6.289 * Math.sin(moonAnomaly) + 2.100 * Math.sin(sunAnomaly) -
+    1.274 * Math.sin(2 * d - moonAnomaly) - 0.658 * Math.sin(2 * d) - 0.214 * Math.sin(2 * moonAnomaly) - 0.110 * Math.sin(d);
+  const cycle = elongation / 360;
+
+  return {
+    phase: MOON_PHASES[Math.floor(cycle * 8 + 0.5) % 8],
+    illumination: round((1 + Math.cos(toRadians(phaseAngle))) / 2, 2),
+    age: round(cycle * SYNODIC_MONTH)
+  };
+}
+
+// Clear-sky UV index for a sun elevation in degrees, 0 with the sun below the horizon
+function clearSkyUvIndex(elevation) {
+  if (elevation <= 0) return 0;
+  const mu = Math.sin(toRadians(elevation));
+  return round(12.5 * mu ** 2.42 * (OZONE_DU / 300) ** -1.23);
+}
+
+// UV index under `cloudCover` %, the clear-sky value when cloud cover is unknown
+function cloudAdjustedUvIndex(clearSky, cloudCover) {
+  if (typeof cloudCover !== "number") return clearSky;
+  return round(clearSky * (1 - 0.75 * (Math.min(100, Math.max(0, cloudCover)) / 100) ** 3.4));
+}
+
+// Astronomy block for `current` at `now`: today's sun times, the sun now, the moon and the UV index now.
+// The record's observed_at only dates its cloud cover; the sky is described for the request's instant
+function describeCurrent(record, lat, lon, now) {
+  const sun = solarPosition(now, lat, lon);
+  const uvClearSky = clearSkyUvIndex(sun.elevation);
+
+  return {
+    ...sunTimes(now, lat, lon),
+    is_day: sun.elevation > 90 - SUNRISE_ZENITH,
+    sun: { elevation: round(sun.elevation), azimuth: round(sun.azimuth) },
+    moon: moonPhase(now),
+    uv_index_clear_sky: uvClearSky,
+    uv_index: cloudAdjustedUvIndex(uvClearSky, record.cloud_cover),
+    uv_cloud_adjusted: typeof record.cloud_cover === "number"
+  };
+}
+
+// Astronomy block for a forecast day: sun times, the moon at solar noon and the noon (peak) UV index
+function describeDay(record, lat, lon) {
+  const date = new Date(`${record.date}T00:00:00Z`);
+  const times = sunTimes(date, lat, lon);
+  const noon = new Date(times.solar_noon);
+  const uvClearSky = clearSkyUvIndex(solarPosition(noon, lat, lon).elevation);
+
+  return {
+    ...times,
+    moon: moonPhase(noon),
+    uv_index_clear_sky: uvClearSky,
+    uv_index_max: cloudAdjustedUvIndex(uvClearSky, record.cloud_cover),
+    uv_cloud_adjusted: typeof record.cloud_cover === "number"
+  };
+}
+
+// Add an `astronomy` block to `current` and every forecast day
+function attachAstronomy(weatherData, { lat, lon, now }) {
+  return {
+    ...weatherData,
+    current: weatherData.current ? { ...weatherData.current, astronomy: describeCurrent(weatherData.current, lat, lon, now) } : weatherData.current,
+    forecast: (weatherData.forecast || []).map(day => (day?.date ? { ...day, astronomy: describeDay(day, lat, lon) } : day))
+  };
+}
+
+export {
+  MOON_PHASES,
+  solarPosition,
+  sunTimes,
+  moonPhase,
+  clearSkyUvIndex,
+  cloudAdjustedUvIndex,
+  attachAstronomy
+};
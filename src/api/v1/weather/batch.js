@@ -0,0 +1,43 @@
+/**
+ * Batch Weather Helpers - Concurrency Limit & Per-Grid-Cell Fetch Sharing
+ *
+ * BATCH_MAX_POINTS=50   (points accepted per request)
+ * BATCH_CONCURRENCY=4   (points processed at the same time)
+ */
+// VARIABLES //
+const BATCH_MAX_POINTS = parseInt(process.env.BATCH_MAX_POINTS, 10) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+
+// Run `worker` over every item with at most `limit` in flight, results in input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+// Wraps fetchWeather so every point in the same POWER grid cell (0.5° x 0.625°) reuses one
+// POWER fetch; other providers and the astronomy block still run at each point (see gridCell
+// in providers/index.js)
+function createCellSharedFetch(fetchWeather) {
+  const shared = new Map();
+
+  const load = (ctx, options) => fetchWeather(ctx, { ...options, shared });
+
+  return { load, cells: () => shared.size };
+}
+
+export {
+  BATCH_MAX_POINTS,
+  BATCH_CONCURRENCY,
+  mapWithConcurrency,
+  createCellSharedFetch
+};
@@ -0,0 +1,28 @@
+/**
+ * Clock - "Now" For Everything Date-Dependent In The Weather Code, Replaceable For Reproducible Runs
+ *
+ * FIXED_CLOCK=2024-06-15T12:00:00Z   (freeze the time the weather code sees; timings and cache TTLs keep real time)
+ */
+
+// VARIABLES //
+const systemTime = () => Date.now();
+let source = process.env.FIXED_CLOCK ? fixedTime(process.env.FIXED_CLOCK) : systemTime;
+
+function fixedTime(value) {
+  const time = new Date(value).getTime();
+  if (isNaN(time)) throw new Error(`Invalid clock value: ${value}`);
+  return () => time;
+}
+
+function currentDate() {
+  return new Date(source());
+}
+
+// A Date or ISO string freezes the clock, a function returning epoch ms drives it, null restores real time
+function setClock(value) {
+  if (value === null || value === undefined) source = systemTime;
+  else if (typeof value === "function") source = value;
+  else source = fixedTime(value);
+}
+
+export { currentDate, setClock };
@@ -0,0 +1,176 @@
+/**
+ * Thermal Comfort - NWS Heat Index, Wind Chill, Steadman Apparent Temperature & WBGT
+ *
+ * All inputs are metric: air temperature in °C, relative humidity in %, 10 m wind in m/s.
+ *
+ * feels_like follows the NWS convention:
+ *   temperature >= 26.7 °C (80 °F)                 Rothfusz heat index with NWS adjustments
+ *   temperature <= 10 °C and wind > 4.8 km/h       NWS / Environment Canada wind chill
+ *   anything in between                           Steadman apparent temperature (shade, with wind)
+ *
+ * WBGT uses the Australian Bureau of Meteorology approximation for shade and light wind, as no
+ * globe temperature or solar load is available here; it underestimates WBGT in full sun.
+ */
+
+// VARIABLES //
+const HEAT_INDEX_MIN_C = 26.7;
+const WIND_CHILL_MAX_C = 10;
+const WIND_CHILL_MIN_KMH = 4.8;
+
+const FORMULAS = {
+  heat_index: "NWS Rothfusz Heat Index",
+  wind_chill: "NWS / Environment Canada Wind Chill",
+  apparent_temperature: "Steadman Apparent Temperature"
+};
+
+// NWS heat index categories (°C equivalents of 80, 90, 103 and 125 °F)
+const HEAT_RISKS = [
+  { min: 51.7, category: "extreme_danger" },
+  { min: 39.4, category: "danger" },
+  { min: 32.2, category: "extreme_caution" },
+  { min: 26.7, category: "caution" }
+];
+
+// Environment Canada wind chill risk levels
+const COLD_RISKS = [
+  { max: -55, category: "extreme" },
+  { max: -48, category: "severe" },
+  { max: -40, category: "very_high" },
+  { max: -28, category: "high" },
+  { max: -10, category: "moderate" },
+  { max: 0, category: "low" }
+];
+
+// WBGT flag conditions used for outdoor activity (US military / ACSM, °C)
+const WBGT_RISKS = [
+  { min: 32.2, category: "black" },
+  { min: 31.1, category: "red" },
+  { min: 29.4, category: "yellow" },
+  { min: 27.8, category: "green" }
+];
+
+const toFahrenheit = celsius => celsius * 9 / 5 + 32;
+const toCelsius = fahrenheit => (fahrenheit - 32) * 5 / 9;
+const round = value => Math.round(value * 10) / 10;
+
+// Water vapour pressure in hPa from temperature (°C) and relative humidity (%)
+function vapourPressure(temp, humidity) {
+  return (humidity / 100) * 6.105 * Math.exp((17.27 * temp) / (237.7 + temp));
+}
+
+// NWS heat index: Steadman's simple form below 80 °F, otherwise the Rothfusz regression
+// with the low-humidity and high-humidity adjustments
+function calculateHeatIndex(temp, humidity) {
+  const T = toFahrenheit(temp);
+  const RH = humidity;
+
+  const simple = 0.5 * (T + 61.0 + (T - 68.0) * 1.2 + RH * 0.094);
+  if ((simple + T) / 2 < 80) return toCelsius(simple);
+
+  let index = -42.379 + 2.04901523 * T + 10.14333127 * RH
+    - 0.22475541 * T * RH - 0.00683783 * T * T - 0.05481717 * RH * RH
+    + 0.00122874 * T * T * RH + 0.00085282 * T * RH * RH - 0.00000199 * T * T * RH * RH;
+
+  if (RH < 13 && T >= 80 && T <= 112) {
+    index -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  } else if (RH > 85 && T >= 80 && T <= 87) {
+    index += ((RH - 85) / 10) * ((87 - T) / 5);
+  }
+  return toCelsius(index);
+}
+
+// NWS / Environment Canada (2001) wind chill; defined for T <= 10 °C and wind above 4.8 km/h
+function calculateWindChill(temp, windSpeed) {
+  const windKmh = windSpeed * 3.6;
+  if (temp > WIND_CHILL_MAX_C || windKmh <= WIND_CHILL_MIN_KMH) return null;
+  const factor = Math.pow(windKmh, 0.16);
+  return 13.12 + 0.6215 * temp - 11.37 * factor + 0.3965 * temp * factor;
+}
+
+// Steadman (1994) apparent temperature in the shade, including wind
+function calculateApparentTemperature(temp, humidity, windSpeed) {
+  return temp + 0.33 * vapourPressure(temp, humidity) - 0.70 * windSpeed - 4.00;
+}
+
+// Australian Bureau of Meteorology WBGT approximation (shade, light wind)
+function calculateWBGT(temp, humidity) {
+  return 0.567 * temp + 0.393 * vapourPressure(temp, humidity) + 3.94;
+}
+
+function heatRisk(heatIndex) {
+  return (HEAT_RISKS.find(level => heatIndex >= level.min) || { category: "none" }).category;
+}
+
+function coldRisk(windChill) {
+  return (COLD_RISKS.find(level => windChill <= level.max) || { category: "none" }).category;
+}
+
+function wbgtRisk(wbgt) {
+  return (WBGT_RISKS.find(level => wbgt >= level.min) || { category: "white" }).category;
+}
+
+// Every index for one set of conditions, which one feels_like used and the matching risk
+function assessComfort(temp, humidity, windSpeed) {
+  if (![temp, humidity, windSpeed].every(value => typeof value === 'number' && isFinite(value))) return null;
+
+  const heatIndex = temp >= HEAT_INDEX_MIN_C ? calculateHeatIndex(temp, humidity) : null;
+  const windChill = calculateWindChill(temp, windSpeed);
+  const apparentTemperature = calculateApparentTemperature(temp, humidity, windSpeed);
+  const wbgt = calculateWBGT(temp, humidity);
+
+  let formula = "apparent_temperature";
+  let feelsLike = apparentTemperature;
+  let risk = "none";
+  if (heatIndex !== null) {
+    formula = "heat_index";
+    feelsLike = heatIndex;
+    risk = heatRisk(heatIndex);
+  } else if (windChill !== null) {
+    formula = "wind_chill";
+    feelsLike = windChill;
+    risk = coldRisk(windChill);
+  }
+
+  return {
+    feels_like: round(feelsLike),
+    formula,
+    formula_name: FORMULAS[formula],
+    risk,
+    heat_index: heatIndex === null ? null : round(heatIndex),
+    wind_chill: windChill === null ? null : round(windChill),
+    apparent_temperature: round(apparentTemperature),
+    wbgt: round(wbgt),
+    wbgt_method: "BoM approximation (shade)",
+    wbgt_risk: wbgtRisk(wbgt)
+  };
+}
+
+function calculateFeelsLike(temp, humidity, windSpeed) {
+  const comfort = assessComfort(temp, humidity, windSpeed);
+  return comfort ? comfort.feels_like : temp;
+}
+
+// Add the comfort block to current and every forecast day, keeping feels_like in step with it
+function attachComfort(weatherData) {
+  const withComfort = (record) => {
+    if (!record) return record;
+    const comfort = assessComfort(record.temperature, record.humidity, record.wind_speed);
+    return comfort ? { ...record, feels_like: comfort.feels_like, comfort } : { ...record, comfort: null };
+  };
+
+  return {
+    ...weatherData,
+    current: withComfort(weatherData.current),
+    forecast: (weatherData.forecast || []).map(withComfort)
+  };
+}
+
+export {
+  calculateHeatIndex,
+  calculateWindChill,
+  calculateApparentTemperature,
+  calculateWBGT,
+  assessComfort,
+  calculateFeelsLike,
+  attachComfort
+};
@@ -0,0 +1,143 @@
+/**
+ * Local DEM - Point & Area Elevation From An ESRI ASCII Grid
+ *
+ * DEM_FILE points at an ESRI ASCII grid (.asc, or gzipped .asc.gz) in metres, EPSG:4326. The
+ * bundled config/dem.asc.gz is a coarse global grid (0.35°, ~39 km) averaged from NASA Visible
+ * Earth topography, which stores land heights in 25 m steps and oceans as 0. A finer grid, such as
+ * ETOPO 2022 or GMTED2010 resampled to a few arc-minutes, can replace it:
+ *   gdal_translate -of AAIGrid -tr 0.0833333 0.0833333 ETOPO_2022_v1_60s_N90W180_surface.tif dem.asc
+ * The grid is read once and again whenever the file changes. Without a file every lookup is null.
+ *
+ * DEM_FILE=./src/api/v1/config/dem.asc.gz
+ */
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const DEM_FILE = path.resolve(process.env.DEM_FILE || "./src/api/v1/config/dem.asc.gz");
+const HEADER_KEYS = ['ncols', 'nrows', 'xllcorner', 'xllcenter', 'yllcorner', 'yllcenter', 'cellsize', 'dx', 'dy', 'nodata_value'];
+
+let loaded = null; // { mtimeMs, grid } or { mtimeMs, grid: null } after a failed read
+
+// Header lines, then nrows rows of ncols values from north to south
+function parseAsciiGrid(text) {
+  const header = {};
+  const tokens = /\S+/g;
+  let match;
+  let lastIndex = 0;
+  while ((match = tokens.exec(text)) && HEADER_KEYS.includes(match[0].toLowerCase())) {
+    const key = match[0].toLowerCase();
+    const value = tokens.exec(text);
+    header[key] = Number(value?.[0]);
+    lastIndex = tokens.lastIndex;
+  }
+  tokens.lastIndex = lastIndex;
+
+  const ncols = header.ncols;
+  const nrows = header.nrows;
+  const dx = header.cellsize ?? header.dx;
+  const dy = header.cellsize ?? header.dy;
+  if (!(ncols > 0 && nrows > 0 && dx > 0 && dy > 0)) throw new Error("missing ncols, nrows or cellsize");
+  // Corner coordinates are the outer edge of the first cell, centre coordinates its middle
+  const west = header.xllcenter !== undefined ? header.xllcenter - dx / 2 : header.xllcorner;
+  const south = header.yllcenter !== undefined ? header.yllcenter - dy / 2 : header.yllcorner;
+  if (!isFinite(west) || !isFinite(south)) throw new Error("missing xllcorner/xllcenter or yllcorner/yllcenter");
+
+  const values = new Float32Array(ncols * nrows);
+  for (let index = 0; index < values.length; index++) {
+    match = tokens.exec(text);
+    if (!match) throw new Error(`expected ${values.length} values, found ${index}`);
+    values[index] = Number(match[0]);
+  }
+
+  return { ncols, nrows, dx, dy, west, north: south + nrows * dy, nodata: header.nodata_value ?? null, values };
+}
+
+function loadGrid() {
+  let stats;
+  try {
+    stats = fs.statSync(DEM_FILE);
+  } catch {
+    return null;
+  }
+  if (loaded && loaded.mtimeMs === stats.mtimeMs) return loaded.grid;
+
+  try {
+    const raw = fs.readFileSync(DEM_FILE);
+    const text = (DEM_FILE.endsWith(".gz") ? zlib.gunzipSync(raw) : raw).toString("latin1");
+    const grid = parseAsciiGrid(text);
+    loaded = { mtimeMs: stats.mtimeMs, grid };
+    logger.info(`Loaded DEM ${path.basename(DEM_FILE)}: ${grid.ncols}x${grid.nrows} cells of ${grid.dx}°`);
+  } catch (error) {
+    loaded = { mtimeMs: stats.mtimeMs, grid: null };
+    logger.warn(`DEM ${path.basename(DEM_FILE)} unusable: ${error.message}`);
+  }
+  return loaded.grid;
+}
+
+// Longitude shifted by ±360° into the grid's span when that helps (0..360 grids)
+function alignLongitude(grid, lon) {
+  const east = grid.west + grid.ncols * grid.dx;
+  if (lon < grid.west && lon + 360 <= east) return lon + 360;
+  if (lon >= east && lon - 360 >= grid.west) return lon - 360;
+  return lon;
+}
+
+function valueAt(grid, row, col) {
+  if (row < 0 || row >= grid.nrows || col < 0 || col >= grid.ncols) return null;
+  const value = grid.values[row * grid.ncols + col];
+  return isNaN(value) || value === grid.nodata ? null : value;
+}
+
+// Bilinear elevation (m) between the four nearest cell centres, ignoring nodata; null off the grid
+function elevationAt(lat, lon) {
+  const grid = loadGrid();
+  if (!grid) return null;
+
+  const x = (alignLongitude(grid, lon) - grid.west) / grid.dx - 0.5;
+  const y = (grid.north - lat) / grid.dy - 0.5;
+  if (x < -0.5 || x > grid.ncols - 0.5 || y < -0.5 || y > grid.nrows - 0.5) return null;
+
+  const col = Math.floor(x);
+  const row = Math.floor(y);
+  const fx = x - col;
+  const fy = y - row;
+  const corners = [
+    { value: valueAt(grid, row, col), weight: (1 - fx) * (1 - fy) },
+    { value: valueAt(grid, row, col + 1), weight: fx * (1 - fy) },
+    { value: valueAt(grid, row + 1, col), weight: (1 - fx) * fy },
+    { value: valueAt(grid, row + 1, col + 1), weight: fx * fy }
+  ].filter(corner => corner.value !== null && corner.weight > 0);
+
+  const totalWeight = corners.reduce((sum, corner) => sum + corner.weight, 0);
+  if (totalWeight === 0) return null;
+  return corners.reduce((sum, corner) => sum + corner.value * corner.weight, 0) / totalWeight;
+}
+
+// Mean elevation (m) of the cells whose centres fall in the box; the centre value when none do
+function meanElevation({ south, north, west, east }) {
+  const grid = loadGrid();
+  if (!grid) return null;
+
+  const firstRow = Math.max(0, Math.ceil((grid.north - north) / grid.dy - 0.5));
+  const lastRow = Math.min(grid.nrows - 1, Math.floor((grid.north - south) / grid.dy - 0.5));
+  const alignedWest = alignLongitude(grid, west);
+  const firstCol = Math.max(0, Math.ceil((alignedWest - grid.west) / grid.dx - 0.5));
+  const lastCol = Math.min(grid.ncols - 1, Math.floor((alignedWest + (east - west) - grid.west) / grid.dx - 0.5));
+
+  let sum = 0;
+  let count = 0;
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      const value = valueAt(grid, row, col);
+      if (value === null) continue;
+      sum += value;
+      count++;
+    }
+  }
+  return count > 0 ? sum / count : elevationAt((south + north) / 2, (west + east) / 2);
+}
+
+export { elevationAt, meanElevation };
@@ -0,0 +1,103 @@
+/**
+ * Elevation Corrections - Lapse-Rate Temperatures & Sea-Level Pressure For The Point, Not The Grid Cell
+ *
+ * Gridded values (POWER, GMAO, the climatology behind the simulated ones) describe the average
+ * terrain of a ~50 km cell, so a mountain town gets valley temperatures. Every temperature is
+ * moved from the grid-cell elevation to the point's DEM elevation with a constant lapse rate
+ * (ELEVATION_LAPSE_RATE, °C per km; 6.5 is the standard atmosphere).
+ *
+ * Providers with `pressureLevel: "surface"` (POWER's PS), or results carrying `pressure_level:
+ * "surface"` (NetCDF files without a sea-level field), report the pressure at the grid-cell
+ * surface; observed and forecast values are reduced to sea level with the hypsometric formula
+ * (WMO, standard lapse rate) so stations at different heights compare. Gap-filled and simulated
+ * pressures are sea-level values already.
+ *
+ * The grid-cell elevation is the one the provider reports (`grid_elevation`, e.g. POWER's point
+ * geometry), otherwise the DEM mean over the POWER cell. Corrections are made per requested point,
+ * after any fetch sharing (see batch.js), and are described in the response's `elevation` block.
+ *
+ * ELEVATION_LAPSE_RATE=6.5
+ */
+import { elevationAt, meanElevation } from "./dem.js";
+import { getPowerGridCell, GRID_LAT_STEP, GRID_LON_STEP } from "./history.js";
+import { attachComfort } from "./comfort.js";
+import { PROVENANCE } from "./provenance.js";
+
+// VARIABLES //
+const LAPSE_RATE = parseFloat(process.env.ELEVATION_LAPSE_RATE) || 6.5; // °C per km
+const STANDARD_LAPSE = 0.0065;  // K per m, used for the sea-level reduction
+const PRESSURE_EXPONENT = 5.257;
+const TEMPERATURE_FIELDS = ['temperature', 'temperature_max', 'temperature_min', 'max_temp', 'min_temp'];
+const REDUCIBLE = [PROVENANCE.OBSERVED, PROVENANCE.FORECAST];
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Pressure (hPa) at `elevation` m with air temperature `temperature` °C -> sea level
+function seaLevelPressure(pressure, elevation, temperature = 15) {
+  const lapse = STANDARD_LAPSE * elevation;
+  return pressure * Math.pow(1 - lapse / (temperature + lapse + 273.15), -PRESSURE_EXPONENT);
+}
+
+// { elevation (m), source } of the cell the gridded values describe
+function gridCellElevation(lat, lon, reported) {
+  if (typeof reported === "number" && isFinite(reported)) return { elevation: reported, source: "provider" };
+  const cell = getPowerGridCell(lat, lon);
+  const elevation = meanElevation({
+    south: cell.lat - GRID_LAT_STEP / 2,
+    north: cell.lat + GRID_LAT_STEP / 2,
+    west: cell.lon - GRID_LON_STEP / 2,
+    east: cell.lon + GRID_LON_STEP / 2
+  });
+  return elevation === null ? { elevation: null, source: null } : { elevation, source: "dem" };
+}
+
+// Same record with temperatures shifted by `offset` °C and surface pressure reduced to sea level
+function correctRecord(record, { offset, cellElevation, reducePressure }) {
+  if (!record) return record;
+  const corrected = { ...record };
+  if (offset !== null) {
+    TEMPERATURE_FIELDS.forEach((field) => {
+      if (typeof record[field] === "number") corrected[field] = round(record[field] + offset, 2);
+    });
+  }
+  if (reducePressure && typeof record.pressure === "number" && REDUCIBLE.includes(record.provenance?.pressure)) {
+    const temperature = typeof record.temperature === "number" ? record.temperature : undefined;
+    corrected.pressure = round(seaLevelPressure(record.pressure, cellElevation, temperature), 1);
+  }
+  return corrected;
+}
+
+// Corrected copy of `weatherData` for the point, with its `elevation` block; the input is not
+// changed, so data shared between points (batch, alerts) stays valid for the others
+function applyElevation(weatherData, { lat, lon, provider }) {
+  if (!weatherData) return weatherData;
+  const { grid_elevation: reported, pressure_level: pressureLevel, ...data } = weatherData;
+
+  const point = elevationAt(lat, lon);
+  const cell = gridCellElevation(lat, lon, reported);
+  const offset = point !== null && cell.elevation !== null ? (-LAPSE_RATE * (point - cell.elevation)) / 1000 : null;
+  const surfacePressure = (pressureLevel || provider?.pressureLevel) === "surface";
+  const reducePressure = surfacePressure && cell.elevation !== null;
+  const options = { offset, cellElevation: cell.elevation, reducePressure };
+
+  const corrected = {
+    ...data,
+    current: correctRecord(data.current, options),
+    forecast: (data.forecast || []).map(day => correctRecord(day, options))
+  };
+
+  return {
+    // feels_like and the comfort block follow the corrected temperatures
+    ...(offset !== null ? attachComfort(corrected) : corrected),
+    elevation: {
+      point: point === null ? null : round(point),
+      grid_cell: cell.elevation === null ? null : round(cell.elevation),
+      grid_cell_source: cell.source,
+      lapse_rate: LAPSE_RATE,
+      temperature_offset: offset === null ? null : round(offset, 2),
+      pressure_level: surfacePressure && !reducePressure ? "surface" : "sea_level"
+    }
+  };
+}
+
+export { LAPSE_RATE, seaLevelPressure, applyElevation };
@@ -0,0 +1,30 @@
+/**
+ * CSV Export - RFC 4180 Quoting, One Row Per Day
+ */
+
+// Quote a field when it contains a separator, quote or line break; null/undefined become empty
+function quoteField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header and row lines for `meta.variables`; `sanitize` lets the Excel flavour adjust text cells
+function createCsvWriter(meta, { lineEnding = '\n', prefix = '', sanitize = value => value } = {}) {
+  const line = fields => fields.map(field => quoteField(sanitize(field))).join(',') + lineEnding;
+
+  return {
+    header: () => prefix + line(['Date', ...meta.variables.map(variable => variable.header)]),
+    row: record => line([record.date, ...meta.variables.map(variable => record[variable.name])]),
+    footer: () => ''
+  };
+}
+
+export { quoteField, createCsvWriter };
+
+export default {
+  name: 'csv',
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  createWriter: meta => createCsvWriter(meta)
+};
@@ -0,0 +1,19 @@
+/**
+ * Excel CSV Export - UTF-8 With BOM, CRLF Lines & Formula-Safe Text Cells
+ */
+import { createCsvWriter } from "./csv.js";
+
+// Excel only detects UTF-8 (°C, localized conditions) when the file starts with a BOM
+const UTF8_BOM = '\uFEFF';
+
+// Text starting with = + - @ would be evaluated as a formula, so it is prefixed with an apostrophe
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+export default {
+  name: 'excel',
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  createWriter: meta => createCsvWriter(meta, { lineEnding: '\r\n', prefix: UTF8_BOM, sanitize: escapeFormula })
+};
@@ -0,0 +1,23 @@
+/**
+ * GeoJSON Export - FeatureCollection With One Point Feature Per Day
+ */
+
+export default {
+  name: 'geojson',
+  extension: 'geojson',
+  contentType: 'application/geo+json; charset=utf-8',
+  createWriter: (meta) => {
+    const geometry = { type: 'Point', coordinates: [meta.lon, meta.lat] };
+    let count = 0;
+
+    return {
+      header: () => `{"type":"FeatureCollection","metadata":${JSON.stringify(meta.summary)},"features":[`,
+      row: (record) => {
+        const properties = { date: record.date };
+        meta.variables.forEach((variable) => { properties[variable.name] = record[variable.name]; });
+        return `${count++ ? ',' : ''}${JSON.stringify({ type: 'Feature', geometry, properties })}`;
+      },
+      footer: () => ']}'
+    };
+  }
+};
@@ -0,0 +1,217 @@
+/**
+ * Download Exports - Variable Catalogue, Format Registry & Streaming Writer
+ *
+ * Each format module exports { name, extension, contentType, numericOnly?, createWriter(meta) };
+ * a writer turns the export into chunks: header(), row(record) for every day, footer().
+ * Rows are pulled one at a time from an (async) iterable, so a multi-decade POWER range is
+ * written to the response as it arrives instead of being assembled in memory.
+ */
+import { POWER_FIRST_YEAR, iterateDailyRange } from "../history.js";
+import { parseDateParam } from "../hourly.js";
+import { getNASA_WeatherCode, getNASA_WeatherCondition } from "../climate.js";
+import { currentDate } from "../clock.js";
+import { AGRO_PARAMETERS, createAgroAccumulator } from "../agro.js";
+import { convertRecord, getCsvLabel, getCfUnits, getUnitLabel } from "../units.js";
+import { translateCondition } from "../../i18n/index.js";
+import csv from "./csv.js";
+import excel from "./excel.js";
+import json from "./json.js";
+import ndjson from "./ndjson.js";
+import geojson from "./geojson.js";
+import netcdf from "./netcdf.js";
+
+// VARIABLES //
+const FORMATS = Object.fromEntries([csv, excel, json, ndjson, geojson, netcdf].map(format => [format.name, format]));
+
+// Exportable variable -> POWER parameter (and POWER -> API scale), quantity for unit conversion, CSV/NetCDF naming;
+// `agro` variables come from the agricultural indices (agro.js) and only exist for date ranges
+const EXPORT_VARIABLES = {
+  temperature: { parameter: 'T2M', quantity: 'temperature', csv: 'Temperature', long_name: 'Daily mean air temperature at 2 m', standard_name: 'air_temperature' },
+  max_temp: { parameter: 'T2M_MAX', quantity: 'temperature', csv: 'Max_Temp', long_name: 'Daily maximum air temperature at 2 m', standard_name: 'air_temperature' },
+  min_temp: { parameter: 'T2M_MIN', quantity: 'temperature', csv: 'Min_Temp', long_name: 'Daily minimum air temperature at 2 m', standard_name: 'air_temperature' },
+  precipitation: { parameter: 'PRECTOTCORR', quantity: 'precipitation', csv: 'Precipitation', long_name: 'Daily precipitation total', standard_name: 'precipitation_amount' },
+  wind_speed: { parameter: 'WS10M', quantity: 'wind_speed', csv: 'Wind_Speed', long_name: 'Daily mean wind speed at 10 m', standard_name: 'wind_speed' },
+  humidity: { parameter: 'RH2M', units: '%', csv: 'Humidity', long_name: 'Daily mean relative humidity at 2 m', standard_name: 'relative_humidity' },
+  pressure: { parameter: 'PS', scale: 10, quantity: 'pressure', csv: 'Pressure', long_name: 'Daily mean surface pressure', standard_name: 'surface_air_pressure' },
+  weather_code: { derived: true, type: 'string', csv: 'Weather_Code', long_name: 'Weather code' },
+  conditions: { derived: true, type: 'string', csv: 'Conditions', long_name: 'Weather conditions' },
+  et0: { agro: true, quantity: 'precipitation', csv: 'ET0', long_name: 'FAO-56 Penman-Monteith reference evapotranspiration', standard_name: 'water_potential_evaporation_amount' },
+  water_balance: { agro: true, quantity: 'precipitation', csv: 'Water_Balance', long_name: 'Precipitation minus reference evapotranspiration' },
+  water_balance_cumulative: { agro: true, quantity: 'precipitation', csv: 'Water_Balance_Cumulative', long_name: 'Precipitation minus reference evapotranspiration since the start of the range' },
+  gdd: { agro: true, quantity: 'degree_days', csv: 'GDD', long_name: 'Growing degree days' },
+  gdd_cumulative: { agro: true, quantity: 'degree_days', csv: 'GDD_Cumulative', long_name: 'Growing degree days since the start of the range' },
+  frost_day: { agro: true, csv: 'Frost_Day', long_name: 'Frost day (1 when the daily minimum is below 0 degC)' },
+  chill_hours: { agro: true, units: 'h', csv: 'Chill_Hours', long_name: 'Hours between 0 and 7.2 degC' }
+};
+
+// The columns the download has always had
+const DEFAULT_VARIABLES = ['temperature', 'max_temp', 'min_temp', 'precipitation', 'wind_speed', 'humidity', 'pressure', 'conditions'];
+
+function resolveFormat(name) {
+  return FORMATS[String(name).toLowerCase()] || null;
+}
+
+// Comma-separated `variables` query -> variable names, null when any is unknown
+function resolveVariables(value) {
+  if (value === undefined || value === "") return [...DEFAULT_VARIABLES];
+  const names = [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+  if (names.length === 0 || names.some(name => !EXPORT_VARIABLES[name])) return null;
+  return names;
+}
+
+// Agricultural indices are computed over a date range only, so selecting one implies the default range
+function requiresRange(names) {
+  return names.some(name => EXPORT_VARIABLES[name].agro);
+}
+
+// start/end (YYYY-MM-DD) within the POWER daily archive; end defaults to today, start to 30 days before end
+function resolveExportRange(start, end, now = currentDate()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const endDate = end !== undefined ? parseDateParam(end) : today;
+  const startDate = start !== undefined ? parseDateParam(start) : (endDate && new Date(endDate.getTime() - 30 * 86400000));
+
+  if (!startDate || !endDate || startDate > endDate || endDate > today) return null;
+  if (startDate < new Date(Date.UTC(POWER_FIRST_YEAR, 0, 1))) return null;
+  return { startDate, endDate, days: Math.round((endDate - startDate) / 86400000) + 1 };
+}
+
+// Names, units and CF attributes of the selected variables in the selected units
+function describeVariables(names, unitSystem) {
+  return names.map((name) => {
+    const variable = EXPORT_VARIABLES[name];
+    const units = variable.quantity ? getUnitLabel(variable.quantity, unitSystem) : (variable.units || null);
+    const csvSuffix = variable.quantity ? getCsvLabel(variable.quantity, unitSystem) : variable.units;
+    return {
+      name,
+      type: variable.type || 'number',
+      units,
+      cf_units: variable.quantity ? getCfUnits(variable.quantity, unitSystem) : variable.units,
+      header: csvSuffix ? `${variable.csv}_${csvSuffix}` : variable.csv,
+      long_name: variable.long_name,
+      standard_name: variable.standard_name || null
+    };
+  });
+}
+
+// POWER parameters a range export has to request for the selected variables
+function getRangeParameters(names) {
+  const parameters = new Set(names.map(name => EXPORT_VARIABLES[name].parameter).filter(Boolean));
+  if (names.some(name => EXPORT_VARIABLES[name].derived)) {
+    parameters.add('PRECTOTCORR');
+    parameters.add('RH2M');
+  }
+  if (requiresRange(names)) AGRO_PARAMETERS.forEach(parameter => parameters.add(parameter));
+  return [...parameters];
+}
+
+function pickRow(record, names) {
+  const row = { date: record.date };
+  names.forEach((name) => { row[name] = record[name] ?? null; });
+  return row;
+}
+
+// Rows for forecast days that were already converted and localized
+function* forecastRows(forecast, names) {
+  for (const day of forecast) yield pickRow(day, names);
+}
+
+// Rows for a POWER date range, converted to the selected units and language; `gdd` holds the
+// metric base/cap of the growing degree days
+async function* rangeRows({ lat, lon, startDate, endDate, names, unitSystem, language, climateClass, gdd = {} }) {
+  const agro = requiresRange(names) ? createAgroAccumulator({ lat, gddBase: gdd.base, gddCap: gdd.cap }) : null;
+
+  for await (const { date, values } of iterateDailyRange(lat, lon, startDate, endDate, getRangeParameters(names))) {
+    const record = { date: date.toISOString().split('T')[0] };
+    Object.entries(EXPORT_VARIABLES).forEach(([name, variable]) => {
+      if (!variable.parameter) return;
+      const value = values[variable.parameter];
+      record[name] = value === undefined || value === null ? null : value * (variable.scale || 1);
+    });
+
+    const { PRECTOTCORR: precipitation, RH2M: humidity } = values;
+    const known = precipitation !== null && humidity !== null;
+    record.weather_code = known ? getNASA_WeatherCode(precipitation, humidity) : null;
+    record.conditions = known ? translateCondition(getNASA_WeatherCondition(precipitation, humidity, climateClass), language) : null;
+
+    if (agro) {
+      const indices = agro.add(date, values);
+      ['et0', 'water_balance', 'water_balance_cumulative', 'gdd', 'gdd_cumulative', 'chill_hours'].forEach((name) => { record[name] = indices[name]; });
+      record.frost_day = indices.frost_day === null ? null : Number(indices.frost_day);
+    }
+
+    yield pickRow(convertRecord(record, unitSystem), names);
+  }
+}
+
+// Pull rows through a writer into `write(chunk)`; string-typed columns are dropped for numeric-only formats
+async function writeExport(format, meta, rows, write) {
+  const variables = format.numericOnly ? meta.variables.filter(variable => variable.type === 'number') : meta.variables;
+  const writer = format.createWriter({ ...meta, variables });
+
+  await write(writer.header());
+  for await (const row of rows) {
+    await write(writer.row(row));
+  }
+  await write(writer.footer());
+}
+
+// Whole export as one Buffer (small forecast downloads, so they can carry an ETag)
+async function renderExport(format, meta, rows) {
+  const chunks = [];
+  await writeExport(format, meta, rows, async (chunk) => {
+    if (chunk && chunk.length) chunks.push(Buffer.from(chunk));
+  });
+  return Buffer.concat(chunks);
+}
+
+// Fetch the first row up front so upstream failures surface before any response header is sent
+async function primeRows(rows) {
+  const iterator = rows[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  return (async function* () {
+    if (first.done) return;
+    yield first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  })();
+}
+
+// Resolves once the socket buffer drained or the client went away
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Stream an export into the response, waiting for the socket to drain when it falls behind
+async function streamExport(res, format, meta, rows) {
+  await writeExport(format, meta, rows, async (chunk) => {
+    if (res.destroyed) throw new Error('Client closed the connection');
+    if (!chunk || !chunk.length) return;
+    if (!res.write(chunk)) await waitForDrain(res);
+  });
+  res.end();
+}
+
+export {
+  FORMATS,
+  EXPORT_VARIABLES,
+  DEFAULT_VARIABLES,
+  resolveFormat,
+  resolveVariables,
+  resolveExportRange,
+  requiresRange,
+  describeVariables,
+  forecastRows,
+  rangeRows,
+  primeRows,
+  renderExport,
+  streamExport
+};
@@ -0,0 +1,22 @@
+/**
+ * JSON Export - Metadata Plus A `data` Array, Written Row By Row
+ */
+
+export default {
+  name: 'json',
+  extension: 'json',
+  contentType: 'application/json; charset=utf-8',
+  createWriter: (meta) => {
+    let count = 0;
+
+    return {
+      header: () => `${JSON.stringify(meta.summary).slice(0, -1)},"data":[`,
+      row: (record) => {
+        const row = { date: record.date };
+        meta.variables.forEach((variable) => { row[variable.name] = record[variable.name]; });
+        return `${count++ ? ',' : ''}${JSON.stringify(row)}`;
+      },
+      footer: () => ']}'
+    };
+  }
+};
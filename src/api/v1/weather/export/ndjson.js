@@ -0,0 +1,18 @@
+/**
+ * NDJSON Export - One Flat JSON Record Per Line, Same Columns On Every Line
+ */
+
+export default {
+  name: 'ndjson',
+  extension: 'ndjson',
+  contentType: 'application/x-ndjson; charset=utf-8',
+  createWriter: meta => ({
+    header: () => '',
+    row: (record) => {
+      const line = { date: record.date, lat: meta.lat, lon: meta.lon };
+      meta.variables.forEach((variable) => { line[variable.name] = record[variable.name]; });
+      return JSON.stringify(line) + '\n';
+    },
+    footer: () => ''
+  })
+};
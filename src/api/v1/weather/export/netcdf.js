@@ -0,0 +1,141 @@
+/**
+ * NetCDF Export - Streaming NetCDF-3 Classic Writer (CF Conventions)
+ *
+ * Layout: scalar lat/lon, record dimension `time`, one float variable per exported column.
+ * The record count is known before the first row (one record per day), so the header is
+ * written up front and every day becomes one record appended to the stream.
+ */
+
+// VARIABLES //
+const NC_DIMENSION = 0x0a;
+const NC_VARIABLE = 0x0b;
+const NC_ATTRIBUTE = 0x0c;
+const NC_TYPES = { char: 2, int: 4, float: 5, double: 6 };
+const FILL_VALUE = -9999;
+const DAY_MS = 86400000;
+
+function padding(length) {
+  return (4 - (length % 4)) % 4;
+}
+
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value);
+  return buffer;
+}
+
+function encodeName(name) {
+  const bytes = Buffer.from(name, 'utf-8');
+  return Buffer.concat([int32(bytes.length), bytes, Buffer.alloc(padding(bytes.length))]);
+}
+
+// Attribute list: strings become char arrays, { type: 'float' } values a single float
+function encodeAttributes(attributes) {
+  const entries = Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined);
+  if (entries.length === 0) return Buffer.concat([int32(0), int32(0)]);
+
+  const parts = [int32(NC_ATTRIBUTE), int32(entries.length)];
+  entries.forEach(([name, value]) => {
+    let type = 'char';
+    let values = Buffer.from(String(value), 'utf-8');
+    let count = values.length;
+    if (typeof value === 'object') {
+      type = value.type;
+      values = Buffer.alloc(type === 'double' ? 8 : 4);
+      if (type === 'double') values.writeDoubleBE(value.value);
+      else values.writeFloatBE(value.value);
+      count = 1;
+    }
+    parts.push(encodeName(name), int32(NC_TYPES[type]), int32(count), values, Buffer.alloc(padding(values.length)));
+  });
+  return Buffer.concat(parts);
+}
+
+// Variable header entry; `begin` is patched in once the header size is known
+function encodeVariable(variable, begin) {
+  return Buffer.concat([
+    encodeName(variable.name),
+    int32(variable.dimensions.length),
+    ...variable.dimensions.map(() => int32(0)), // the only dimension is `time` (id 0)
+    encodeAttributes(variable.attributes),
+    int32(NC_TYPES[variable.type]),
+    int32(variable.size),
+    int32(begin)
+  ]);
+}
+
+function createNetcdfWriter(meta) {
+  const variables = [
+    { name: 'lat', dimensions: [], type: 'double', size: 8, attributes: { units: 'degrees_north', standard_name: 'latitude' } },
+    { name: 'lon', dimensions: [], type: 'double', size: 8, attributes: { units: 'degrees_east', standard_name: 'longitude' } },
+    {
+      name: 'time',
+      dimensions: ['time'],
+      type: 'double',
+      size: 8,
+      attributes: { units: 'days since 1970-01-01 00:00:00', calendar: 'standard', standard_name: 'time', axis: 'T' }
+    },
+    ...meta.variables.map(variable => ({
+      name: variable.name,
+      dimensions: ['time'],
+      type: 'float',
+      size: 4,
+      attributes: {
+        long_name: variable.long_name,
+        standard_name: variable.standard_name,
+        units: variable.cf_units,
+        _FillValue: { type: 'float', value: FILL_VALUE }
+      }
+    }))
+  ];
+
+  const header = () => {
+    const globalAttributes = encodeAttributes({
+      Conventions: 'CF-1.8',
+      title: `Daily weather at ${meta.lat}, ${meta.lon}`,
+      source: meta.summary.data_source,
+      units_system: meta.summary.units.system
+    });
+    const fixed = Buffer.concat([
+      Buffer.from('CDF\x01', 'latin1'),
+      int32(meta.count),
+      int32(NC_DIMENSION), int32(1), encodeName('time'), int32(0), // 0 = unlimited (record) dimension
+      globalAttributes,
+      int32(NC_VARIABLE), int32(variables.length)
+    ]);
+
+    // The header length does not depend on the begin values, so measure it with placeholders first
+    const headerSize = fixed.length + variables.reduce((sum, variable) => sum + encodeVariable(variable, 0).length, 0);
+    let offset = headerSize;
+    const entries = variables.map((variable) => {
+      const entry = encodeVariable(variable, offset);
+      offset += variable.size;
+      return entry;
+    });
+
+    const coordinates = Buffer.alloc(16);
+    coordinates.writeDoubleBE(meta.lat, 0);
+    coordinates.writeDoubleBE(meta.lon, 8);
+    return Buffer.concat([fixed, ...entries, coordinates]);
+  };
+
+  const row = (record) => {
+    const buffer = Buffer.alloc(8 + meta.variables.length * 4);
+    buffer.writeDoubleBE(Date.parse(`${record.date}T00:00:00Z`) / DAY_MS, 0);
+    meta.variables.forEach((variable, index) => {
+      const value = record[variable.name];
+      buffer.writeFloatBE(typeof value === 'number' && isFinite(value) ? value : FILL_VALUE, 8 + index * 4);
+    });
+    return buffer;
+  };
+
+  return { header, row, footer: () => Buffer.alloc(0) };
+}
+
+export default {
+  name: 'netcdf',
+  extension: 'nc',
+  contentType: 'application/x-netcdf',
+  numericOnly: true,
+  createWriter: createNetcdfWriter
+};
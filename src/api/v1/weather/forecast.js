@@ -0,0 +1,204 @@
+/**
+ * Deterministic Forecast Engine - Damped Anomaly Persistence Over NASA POWER Climatology
+ *
+ * Each variable's forecast is its day-of-year normal plus today's anomaly, damped by the
+ * lag correlation of anomalies measured in the stored history for this time of year:
+ *   value(day i) = normal(day i) + r(i) * (today - normal(today))
+ * r(i)² is also the method's historical skill (MSE skill score against climatology) and
+ * is reported as the per-day confidence.
+ */
+import { HISTORY_WINDOW_DAYS, toPowerDateKey } from "./history.js";
+import { getNASA_WeatherCode, getNASA_WeatherCondition, calculateNASA_FeelsLike } from "./climate.js";
+import { PROVENANCE } from "./provenance.js";
+import { currentDate } from "./clock.js";
+
+// VARIABLES //
+const DEFAULT_FORECAST_DAYS = 7;
+const MAX_FORECAST_DAYS = 16;
+const DAY_MS = 86400000;
+
+// Forecast field -> POWER parameter, the `current` field it starts from and the POWER -> API unit scale
+const FORECAST_VARIABLES = {
+  temperature: { parameter: 'T2M', current: 'temperature' },
+  max_temp: { parameter: 'T2M_MAX', current: 'temperature_max' },
+  min_temp: { parameter: 'T2M_MIN', current: 'temperature_min' },
+  humidity: { parameter: 'RH2M', current: 'humidity' },
+  wind_speed: { parameter: 'WS10M', current: 'wind_speed' },
+  precipitation: { parameter: 'PRECTOTCORR', current: 'precipitation' },
+  pressure: { parameter: 'PS', current: 'pressure', scale: 10 } // kPa -> hPa
+};
+
+// Climatologies are derived once per loaded history object
+const climatologyCache = new WeakMap();
+
+// Clamp the `days` query to 1..16, falling back to the 7-day default
+function resolveForecastDays(value) {
+  const days = parseInt(value, 10);
+  if (isNaN(days)) return DEFAULT_FORECAST_DAYS;
+  return Math.min(MAX_FORECAST_DAYS, Math.max(1, days));
+}
+
+function monthDayKey(date) {
+  return toPowerDateKey(date).slice(4);
+}
+
+function isValidValue(value) {
+  return value !== undefined && value !== null && value > -900;
+}
+
+// Smoothed day-of-year normals (±HISTORY_WINDOW_DAYS) and the anomaly of every stored day
+function buildClimatology(history, parameter) {
+  let perHistory = climatologyCache.get(history);
+  if (!perHistory) {
+    perHistory = {};
+    climatologyCache.set(history, perHistory);
+  }
+  if (perHistory[parameter]) return perHistory[parameter];
+
+  const series = history.parameter?.[parameter] || {};
+  const sums = new Map();
+  Object.entries(series).forEach(([dateKey, value]) => {
+    if (!isValidValue(value)) return;
+    const key = dateKey.slice(4);
+    const bucket = sums.get(key) || { sum: 0, count: 0 };
+    bucket.sum += value;
+    bucket.count++;
+    sums.set(key, bucket);
+  });
+
+  // Walk a leap year so Feb 29 gets its own normal
+  const normals = new Map();
+  for (let day = 0; day < 366; day++) {
+    const date = new Date(Date.UTC(2000, 0, 1 + day));
+    let sum = 0;
+    let count = 0;
+    for (let offset = -HISTORY_WINDOW_DAYS; offset <= HISTORY_WINDOW_DAYS; offset++) {
+      const bucket = sums.get(monthDayKey(new Date(date.getTime() + offset * DAY_MS)));
+      if (bucket) {
+        sum += bucket.sum;
+        count += bucket.count;
+      }
+    }
+    if (count > 0) normals.set(monthDayKey(date), sum / count);
+  }
+
+  const anomalies = new Map();
+  Object.entries(series).forEach(([dateKey, value]) => {
+    const normal = normals.get(dateKey.slice(4));
+    if (isValidValue(value) && normal !== undefined) anomalies.set(dateKey, value - normal);
+  });
+
+  perHistory[parameter] = { normals, anomalies };
+  return perHistory[parameter];
+}
+
+function normalFor(climatology, date, scale = 1) {
+  const normal = climatology.normals.get(monthDayKey(date));
+  return normal === undefined ? null : normal * scale;
+}
+
+// Correlation between anomalies `lag` days apart, for start days in this season across all years
+function lagCorrelation(history, climatology, targetDate, lag) {
+  if (lag === 0) return 1;
+
+  const xs = [];
+  const ys = [];
+  for (let year = history.start_year; year <= history.end_year; year++) {
+    for (let offset = -HISTORY_WINDOW_DAYS; offset <= HISTORY_WINDOW_DAYS; offset++) {
+      const start = new Date(Date.UTC(year, targetDate.getUTCMonth(), targetDate.getUTCDate() + offset));
+      const x = climatology.anomalies.get(toPowerDateKey(start));
+      const y = climatology.anomalies.get(toPowerDateKey(new Date(start.getTime() + lag * DAY_MS)));
+      if (x === undefined || y === undefined) continue;
+      xs.push(x);
+      ys.push(y);
+    }
+  }
+
+  if (xs.length < 10) return 0;
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return 0;
+  // Negative correlations carry no usable persistence, treat them as climatology
+  return Math.max(0, covariance / Math.sqrt(varianceX * varianceY));
+}
+
+function roundSkill(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// One variable's value and skill for a forecast day
+function forecastVariable(history, field, current, startDate, date, lag) {
+  const { parameter, current: currentField, scale = 1 } = FORECAST_VARIABLES[field];
+  const currentValue = current[currentField];
+  const observed = (current.provenance || {})[currentField] === PROVENANCE.OBSERVED && isValidValue(currentValue);
+
+  if (!history) {
+    // No history: plain persistence of today's value, skill unknown
+    return { value: currentValue ?? null, skill: null, provenance: observed ? PROVENANCE.FORECAST : PROVENANCE.GAP_FILLED };
+  }
+
+  const climatology = buildClimatology(history, parameter);
+  const normalToday = normalFor(climatology, startDate, scale);
+  const normal = normalFor(climatology, date, scale);
+  if (normal === null) {
+    return { value: currentValue ?? null, skill: null, provenance: observed ? PROVENANCE.FORECAST : PROVENANCE.GAP_FILLED };
+  }
+
+  // A gap-filled starting value carries no information, so only the climatological normal is used
+  const anomaly = observed && normalToday !== null ? currentValue - normalToday : 0;
+  const correlation = observed ? lagCorrelation(history, climatology, startDate, lag) : 0;
+
+  return {
+    value: normal + correlation * anomaly,
+    skill: roundSkill(correlation * correlation),
+    provenance: PROVENANCE.FORECAST
+  };
+}
+
+// Build `days` deterministic forecast days starting today from the `current` block and POWER history
+function buildForecast({ current, history, days = DEFAULT_FORECAST_DAYS, climateClass = null, startDate = currentDate() }) {
+  const start = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+  const forecast = [];
+
+  for (let i = 0; i < days; i++) {
+    const date = new Date(start.getTime() + i * DAY_MS);
+    const day = { date: date.toISOString().split('T')[0] };
+    const skill = {};
+    const provenance = {};
+
+    Object.keys(FORECAST_VARIABLES).forEach((field) => {
+      const result = forecastVariable(history, field, current, start, date, i);
+      day[field] = result.value;
+      skill[field] = result.skill;
+      provenance[field] = result.provenance;
+    });
+
+    day.precipitation = day.precipitation === null ? null : Math.max(0, day.precipitation);
+    day.humidity = day.humidity === null ? null : Math.min(100, Math.max(0, day.humidity));
+    day.wind_speed = day.wind_speed === null ? null : Math.max(0, day.wind_speed);
+
+    forecast.push({
+      ...day,
+      weather_code: getNASA_WeatherCode(day.precipitation, day.humidity),
+      conditions: getNASA_WeatherCondition(day.precipitation, day.humidity, climateClass),
+      feels_like: calculateNASA_FeelsLike(day.temperature, day.humidity, day.wind_speed),
+      data_based_on: history ? "NASA POWER Climatology & Damped Anomaly Persistence" : "Persistence Of Today's NASA POWER Values",
+      method: history ? "damped_anomaly_persistence" : "persistence",
+      confidence: skill.temperature,
+      skill,
+      provenance
+    });
+  }
+
+  return forecast;
+}
+
+export { DEFAULT_FORECAST_DAYS, MAX_FORECAST_DAYS, resolveForecastDays, buildForecast };
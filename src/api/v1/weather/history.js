@@ -0,0 +1,270 @@
+/**
+ * NASA POWER Multi-Year Daily History - Local Store Per Grid Cell
+ */
+import fs from "fs";
+import path from "path";
+import { roundCoordinate, buildCacheKey, cached } from "../cache/index.js";
+import { logger } from "../logging/index.js";
+import { NASA_APIS } from "../config/nasaApis.js";
+import { fetchJson } from "../http/index.js";
+import { currentDate } from "./clock.js";
+
+// VARIABLES //
+const POWER_FIRST_YEAR = 1981; // POWER daily meteorology starts in 1981
+const HISTORY_DIR = path.resolve(process.env.HISTORY_DIR || "./data/history");
+const HISTORY_YEARS = parseInt(process.env.HISTORY_YEARS, 10) || 20;
+const HISTORY_WINDOW_DAYS = parseInt(process.env.HISTORY_WINDOW_DAYS, 10) || 7;
+const DAY_MS = 86400000;
+
+// POWER meteorology comes from MERRA-2, which is gridded at 0.5° lat x 0.625° lon
+const GRID_LAT_STEP = 0.5;
+const GRID_LON_STEP = 0.625;
+
+const HISTORY_PARAMETERS = ['T2M', 'T2M_MAX', 'T2M_MIN', 'PRECTOTCORR', 'WS10M', 'RH2M', 'PS'];
+
+// Maps the probability variables onto the POWER parameter they are computed from
+const VARIABLE_PARAMETERS = {
+  temperature: 'T2M',
+  precipitation: 'PRECTOTCORR',
+  wind: 'WS10M',
+  humidity: 'RH2M'
+};
+
+// Concurrent requests for the same grid cell share one download
+const pendingDownloads = new Map();
+
+// Parsed histories kept in memory so each request does not re-read the store
+const loadedHistories = new Map();
+const MAX_LOADED_HISTORIES = 50;
+
+// Snap a coordinate onto the centre of its POWER grid cell
+function getPowerGridCell(lat, lon) {
+  const cellLat = Math.round(lat / GRID_LAT_STEP) * GRID_LAT_STEP;
+  const cellLon = Math.round(lon / GRID_LON_STEP) * GRID_LON_STEP;
+  return {
+    lat: cellLat,
+    lon: cellLon,
+    key: `${cellLat.toFixed(3)}_${cellLon.toFixed(3)}`
+  };
+}
+
+// Last N complete calendar years, clamped to the POWER archive
+function getHistoryRange(years = HISTORY_YEARS) {
+  const endYear = currentDate().getUTCFullYear() - 1;
+  const startYear = Math.max(POWER_FIRST_YEAR, endYear - years + 1);
+  return { startYear, endYear };
+}
+
+function getHistoryFile(cellKey) {
+  return path.join(HISTORY_DIR, `${cellKey}.json`);
+}
+
+function readStoredHistory(cellKey) {
+  try {
+    const file = getHistoryFile(cellKey);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    logger.warn(`History store unreadable for cell ${cellKey}: ${error.message}`);
+    return null;
+  }
+}
+
+function writeStoredHistory(history) {
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(getHistoryFile(history.cell.key), JSON.stringify(history));
+  } catch (error) {
+    logger.warn(`History store write failed for cell ${history.cell.key}: ${error.message}`);
+  }
+}
+
+async function downloadHistory(cell, startYear, endYear, budget) {
+  const powerUrl = `${NASA_APIS.POWER}?parameters=${HISTORY_PARAMETERS.join(',')}&community=AG&longitude=${cell.lon}&latitude=${cell.lat}&start=${startYear}0101&end=${endYear}1231&format=JSON`;
+
+  logger.debug(`NASA POWER history URL: ${powerUrl}`, { url: powerUrl });
+
+  const data = await fetchJson(powerUrl, { label: "NASA POWER history", budget });
+  if (!data.properties || !data.properties.parameter) {
+    throw new Error('NASA POWER history invalid data structure');
+  }
+
+  return {
+    cell,
+    start_year: startYear,
+    end_year: endYear,
+    parameters: HISTORY_PARAMETERS,
+    fetched_at: currentDate().toISOString(),
+    parameter: data.properties.parameter
+  };
+}
+
+function rememberHistory(history) {
+  loadedHistories.delete(history.cell.key);
+  loadedHistories.set(history.cell.key, history);
+  if (loadedHistories.size > MAX_LOADED_HISTORIES) {
+    loadedHistories.delete(loadedHistories.keys().next().value);
+  }
+}
+
+// Load the daily history for the grid cell containing lat/lon, downloading it once if not stored yet;
+// `budget` (see http/index.js) bounds the download when it runs inside a weather request
+async function loadHistory(lat, lon, { years = HISTORY_YEARS, budget } = {}) {
+  const cell = getPowerGridCell(lat, lon);
+  const { startYear, endYear } = getHistoryRange(years);
+
+  const covers = (history) => history && history.start_year <= startYear && history.end_year >= endYear &&
+    HISTORY_PARAMETERS.every(parameter => (history.parameters || []).includes(parameter));
+
+  const loaded = loadedHistories.get(cell.key);
+  if (covers(loaded)) return loaded;
+
+  const stored = readStoredHistory(cell.key);
+  if (covers(stored)) {
+    rememberHistory(stored);
+    return stored;
+  }
+
+  if (pendingDownloads.has(cell.key)) {
+    return pendingDownloads.get(cell.key);
+  }
+
+  const download = downloadHistory(cell, startYear, endYear, budget)
+    .then((history) => {
+      writeStoredHistory(history);
+      rememberHistory(history);
+      logger.success(`Stored NASA POWER history ${startYear}-${endYear} for cell ${cell.key}`);
+      return history;
+    })
+    .finally(() => pendingDownloads.delete(cell.key));
+
+  pendingDownloads.set(cell.key, download);
+  return download;
+}
+
+// Whatever history is already in memory or on disk for the cell, without downloading anything
+function peekHistory(lat, lon) {
+  const cell = getPowerGridCell(lat, lon);
+  const loaded = loadedHistories.get(cell.key);
+  if (loaded) return loaded;
+
+  const stored = readStoredHistory(cell.key);
+  if (stored) rememberHistory(stored);
+  return stored;
+}
+
+function toPowerDateKey(date) {
+  return date.toISOString().split('T')[0].replace(/-/g, '');
+}
+
+// Daily POWER values at a point for one date span, cached per rounded point, span and parameter set
+async function fetchDailyRange(lat, lon, startDate, endDate, parameters, { budget } = {}) {
+  const start = toPowerDateKey(startDate);
+  const end = toPowerDateKey(endDate);
+  const cacheKey = buildCacheKey("power_range", roundCoordinate(lat), roundCoordinate(lon), start, end, parameters.join(','));
+
+  return cached("power_range", cacheKey, async () => {
+    const powerUrl = `${NASA_APIS.POWER}?parameters=${parameters.join(',')}&community=AG&longitude=${lon}&latitude=${lat}&start=${start}&end=${end}&format=JSON`;
+
+    logger.debug(`NASA POWER range URL: ${powerUrl}`, { url: powerUrl });
+
+    const data = await fetchJson(powerUrl, { label: "NASA POWER range", budget });
+    if (!data.properties || !data.properties.parameter) {
+      throw new Error('NASA POWER range invalid data structure');
+    }
+
+    return data.properties.parameter;
+  });
+}
+
+// Long-term monthly means of a POWER grid cell (parameter -> JAN..DEC, ANN), cached per cell and parameter set
+async function fetchMonthlyClimatology(cell, parameters, { budget } = {}) {
+  const cacheKey = buildCacheKey("power_climatology", cell.key, parameters.join(','));
+  return cached("power_climatology", cacheKey, async () => {
+    const powerUrl = `${NASA_APIS.POWER_CLIMATOLOGY}?parameters=${parameters.join(',')}&community=AG&longitude=${cell.lon}&latitude=${cell.lat}&format=JSON`;
+
+    logger.debug(`NASA POWER climatology URL: ${powerUrl}`, { url: powerUrl });
+
+    const data = await fetchJson(powerUrl, { label: "NASA POWER climatology", budget });
+    if (!data.properties || !data.properties.parameter) {
+      throw new Error('NASA POWER climatology invalid data structure');
+    }
+
+    return data.properties.parameter;
+  });
+}
+
+// Every day from startDate to endDate with its POWER values (null where missing), fetched one
+// calendar year at a time so long ranges never sit in memory as a whole
+async function* iterateDailyRange(lat, lon, startDate, endDate, parameters, { budget } = {}) {
+  for (let year = startDate.getUTCFullYear(); year <= endDate.getUTCFullYear(); year++) {
+    const chunkStart = new Date(Math.max(startDate.getTime(), Date.UTC(year, 0, 1)));
+    const chunkEnd = new Date(Math.min(endDate.getTime(), Date.UTC(year, 11, 31)));
+    const series = await fetchDailyRange(lat, lon, chunkStart, chunkEnd, parameters, { budget });
+
+    for (let time = chunkStart.getTime(); time <= chunkEnd.getTime(); time += DAY_MS) {
+      const date = new Date(time);
+      const dateKey = toPowerDateKey(date);
+      const values = {};
+      parameters.forEach((parameter) => {
+        const value = series[parameter]?.[dateKey];
+        values[parameter] = value === undefined || value === null || value <= -900 ? null : value;
+      });
+      yield { date, values };
+    }
+  }
+}
+
+// Collect every valid value within ±windowDays of the target's day-of-year, across all stored years
+function getWindowSamples(history, variable, targetDate = currentDate(), windowDays = HISTORY_WINDOW_DAYS) {
+  const series = history?.parameter?.[VARIABLE_PARAMETERS[variable]];
+  const samples = [];
+  const years = new Set();
+  if (!series) return { samples, years: [] };
+
+  const month = targetDate.getUTCMonth();
+  const day = targetDate.getUTCDate();
+
+  for (let year = history.start_year; year <= history.end_year; year++) {
+    for (let offset = -windowDays; offset <= windowDays; offset++) {
+      const date = new Date(Date.UTC(year, month, day + offset));
+      const value = series[toPowerDateKey(date)];
+      if (value === undefined || value === null || value <= -900) continue;
+      samples.push(value);
+      years.add(date.getUTCFullYear());
+    }
+  }
+
+  return { samples, years: [...years].sort((a, b) => a - b) };
+}
+
+// Share of historical days in the seasonal window that exceeded the threshold
+function calculateExceedanceProbability(history, variable, threshold, targetDate = currentDate(), windowDays = HISTORY_WINDOW_DAYS) {
+  const { samples, years } = getWindowSamples(history, variable, targetDate, windowDays);
+
+  if (samples.length === 0) {
+    return { probability: null, sample_size: 0, years_covered: null };
+  }
+
+  const daysAboveThreshold = samples.filter(value => value > threshold).length;
+  return {
+    probability: Math.round((daysAboveThreshold / samples.length) * 100),
+    sample_size: samples.length,
+    years_covered: { first: years[0], last: years[years.length - 1], count: years.length }
+  };
+}
+
+export {
+  HISTORY_WINDOW_DAYS,
+  POWER_FIRST_YEAR,
+  GRID_LAT_STEP,
+  GRID_LON_STEP,
+  getPowerGridCell,
+  loadHistory,
+  peekHistory,
+  toPowerDateKey,
+  iterateDailyRange,
+  fetchMonthlyClimatology,
+  getWindowSamples,
+  calculateExceedanceProbability
+};
@@ -0,0 +1,172 @@
+/**
+ * NASA POWER Hourly Series - Fetching, Time-Zone Aware Timestamps & Latest Valid Hour
+ */
+import { isValidNASAValue } from "./climate.js";
+import { roundCoordinate, buildCacheKey, cached } from "../cache/index.js";
+import { logger } from "../logging/index.js";
+import { NASA_APIS } from "../config/nasaApis.js";
+import { fetchJson } from "../http/index.js";
+import { currentDate } from "./clock.js";
+
+// VARIABLES //
+
+const HOURLY_PARAMETERS = ['T2M', 'RH2M', 'WS10M', 'PRECTOTCORR', 'PS'];
+const MAX_HOURLY_RANGE_DAYS = 31;
+const DAY_MS = 86400000;
+
+// Hourly POWER parameter -> response field
+const HOURLY_FIELDS = {
+  T2M: 'temperature',
+  RH2M: 'humidity',
+  WS10M: 'wind_speed',
+  PRECTOTCORR: 'precipitation',
+  PS: 'pressure'
+};
+
+// POWER -> API unit scale (surface pressure kPa -> hPa)
+const HOURLY_SCALE = { PS: 10 };
+
+function readHourValue(params, parameter, key) {
+  const value = params[parameter]?.[key];
+  return isValidNASAValue(value) ? value * (HOURLY_SCALE[parameter] || 1) : null;
+}
+
+function toPowerDate(date) {
+  return date.toISOString().split('T')[0].replace(/-/g, '');
+}
+
+// YYYY-MM-DD query value -> UTC midnight, null when malformed
+function parseDateParam(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Parse YYYY-MM-DD start/end (defaults: the last two days), null when invalid or too long
+function resolveHourlyRange(start, end, now = currentDate()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const endDate = end !== undefined ? parseDateParam(end) : today;
+  const startDate = start !== undefined ? parseDateParam(start) : (endDate && new Date(endDate.getTime() - DAY_MS));
+
+  if (!startDate || !endDate || startDate > endDate) return null;
+  if ((endDate - startDate) / DAY_MS >= MAX_HOURLY_RANGE_DAYS) return null;
+  return { startDate, endDate };
+}
+
+// utc, local (offset from longitude, 15° per hour) or an IANA zone name; null when unknown
+function resolveTimeZone(tz, lon) {
+  const value = (tz || "utc").trim();
+
+  if (value.toLowerCase() === "utc") {
+    return { mode: "utc", name: "UTC", offsetMinutes: () => 0 };
+  }
+
+  if (value.toLowerCase() === "local") {
+    const hours = Math.round(lon / 15);
+    const name = `UTC${hours >= 0 ? '+' : '-'}${String(Math.abs(hours)).padStart(2, '0')}:00 (nautical, from longitude)`;
+    return { mode: "local", name, offsetMinutes: () => hours * 60 };
+  }
+
+  try {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: value,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+
+    // Offset at an instant = that instant's wall-clock time in the zone, read back as UTC, minus the instant
+    const offsetMinutes = (instant) => {
+      const parts = Object.fromEntries(formatter.formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+      const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      return Math.round((wall - instant) / 60000);
+    };
+    return { mode: "iana", name: formatter.resolvedOptions().timeZone, offsetMinutes };
+  } catch (error) {
+    return null;
+  }
+}
+
+// ISO 8601 timestamp in the zone, e.g. 2024-01-15T14:00:00+02:00
+function formatInTimeZone(instant, timeZone) {
+  const offset = timeZone.offsetMinutes(instant);
+  if (offset === 0 && timeZone.mode === "utc") {
+    return new Date(instant).toISOString().replace('.000Z', 'Z');
+  }
+  const local = new Date(instant + offset * 60000).toISOString().slice(0, 19);
+  const sign = offset >= 0 ? '+' : '-';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${local}${sign}${hours}:${minutes}`;
+}
+
+// Download hourly POWER values (UTC) for whole days, cached per rounded point and range
+async function fetchPowerHourly(lat, lon, startDate, endDate, { budget } = {}) {
+  const start = toPowerDate(startDate);
+  const end = toPowerDate(endDate);
+  const cacheKey = buildCacheKey("power_hourly", roundCoordinate(lat), roundCoordinate(lon), start, end, HOURLY_PARAMETERS.join(','));
+
+  return cached("power_hourly", cacheKey, async () => {
+    const powerUrl = `${NASA_APIS.POWER_HOURLY}?parameters=${HOURLY_PARAMETERS.join(',')}&community=RE&longitude=${lon}&latitude=${lat}&start=${start}&end=${end}&time-standard=UTC&format=JSON`;
+
+    logger.debug(`NASA POWER hourly URL: ${powerUrl}`, { url: powerUrl });
+
+    const data = await fetchJson(powerUrl, { label: "NASA POWER hourly", budget });
+    if (!data.properties || !data.properties.parameter) {
+      throw new Error('NASA POWER hourly invalid data structure');
+    }
+
+    return data.properties.parameter;
+  });
+}
+
+// POWER hourly keys look like YYYYMMDDHH
+function parseHourKey(key) {
+  return Date.UTC(+key.slice(0, 4), +key.slice(4, 6) - 1, +key.slice(6, 8), +key.slice(8, 10));
+}
+
+// Timestamped records, -999 gaps become null (never filled in)
+function toHourlySeries(params, timeZone) {
+  const hours = Object.keys(params.T2M || {}).sort();
+
+  return hours.map((key) => {
+    const instant = parseHourKey(key);
+    const record = { time: formatInTimeZone(instant, timeZone), time_utc: new Date(instant).toISOString() };
+    Object.entries(HOURLY_FIELDS).forEach(([parameter, field]) => {
+      record[field] = readHourValue(params, parameter, key);
+    });
+    return record;
+  });
+}
+
+// Most recent hour with a valid temperature, plus precipitation summed over the 24 hours up to it
+function getLatestValidHour(params) {
+  const hours = Object.keys(params.T2M || {}).sort();
+  const latestIndex = hours.map(key => isValidNASAValue(params.T2M[key])).lastIndexOf(true);
+  if (latestIndex === -1) return null;
+
+  const key = hours[latestIndex];
+  const values = {};
+  Object.entries(HOURLY_FIELDS).forEach(([parameter, field]) => {
+    values[field] = readHourValue(params, parameter, key);
+  });
+
+  const lastDay = hours.slice(Math.max(0, latestIndex - 23), latestIndex + 1)
+    .map(hour => params.PRECTOTCORR?.[hour])
+    .filter(isValidNASAValue);
+  values.precipitation = lastDay.length ? lastDay.reduce((sum, value) => sum + value, 0) : null;
+
+  return { observed_at: new Date(parseHourKey(key)).toISOString(), values };
+}
+
+export {
+  HOURLY_PARAMETERS,
+  MAX_HOURLY_RANGE_DAYS,
+  parseDateParam,
+  resolveHourlyRange,
+  resolveTimeZone,
+  formatInTimeZone,
+  fetchPowerHourly,
+  toHourlySeries,
+  getLatestValidHour
+};
@@ -0,0 +1,219 @@
+/**
+ * Köppen–Geiger Climate Classification - Computed From NASA POWER Monthly Climatology
+ *
+ * Rules follow Peel, Finlayson & McMahon (2007): E is decided first, then B (arid) takes
+ * precedence over the temperature groups A, C and D.
+ *
+ * Monthly normals come from the stored daily history of the grid cell when it is already on
+ * disk, otherwise from the POWER climatology endpoint (one small request per grid cell).
+ */
+import { getPowerGridCell, peekHistory, fetchMonthlyClimatology } from "./history.js";
+import { logger } from "../logging/index.js";
+
+// VARIABLES //
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS_IN_MONTH = [31, 28.25, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const MAX_CLASSIFIED_CELLS = 500;
+
+const CLIMATE_CLASSES = {
+  Af: "Tropical Rainforest",
+  Am: "Tropical Monsoon",
+  Aw: "Tropical Savanna",
+  BWh: "Hot Desert",
+  BWk: "Cold Desert",
+  BSh: "Hot Semi-Arid",
+  BSk: "Cold Semi-Arid",
+  Csa: "Hot-Summer Mediterranean",
+  Csb: "Warm-Summer Mediterranean",
+  Csc: "Cold-Summer Mediterranean",
+  Cwa: "Monsoon-Influenced Humid Subtropical",
+  Cwb: "Subtropical Highland",
+  Cwc: "Cold Subtropical Highland",
+  Cfa: "Humid Subtropical",
+  Cfb: "Temperate Oceanic",
+  Cfc: "Subpolar Oceanic",
+  Dsa: "Hot-Summer Mediterranean Continental",
+  Dsb: "Warm-Summer Mediterranean Continental",
+  Dsc: "Mediterranean Subarctic",
+  Dsd: "Extremely Cold Mediterranean Subarctic",
+  Dwa: "Monsoon-Influenced Hot-Summer Continental",
+  Dwb: "Monsoon-Influenced Warm-Summer Continental",
+  Dwc: "Monsoon-Influenced Subarctic",
+  Dwd: "Monsoon-Influenced Extremely Cold Subarctic",
+  Dfa: "Hot-Summer Humid Continental",
+  Dfb: "Warm-Summer Humid Continental",
+  Dfc: "Subarctic",
+  Dfd: "Extremely Cold Subarctic",
+  ET: "Tundra",
+  EF: "Ice Cap"
+};
+
+const CLIMATE_GROUPS = { A: "Tropical", B: "Arid", C: "Temperate", D: "Continental", E: "Polar" };
+
+// Classifications per grid cell; they only change when the climatology does
+const classifiedCells = new Map();
+
+// Köppen–Geiger code from 12 monthly mean temperatures (°C) and precipitation totals (mm)
+function classifyKoppen(temperatures, precipitation, lat) {
+  const meanTemperature = temperatures.reduce((sum, value) => sum + value, 0) / 12;
+  const annualPrecipitation = precipitation.reduce((sum, value) => sum + value, 0);
+  const hottest = Math.max(...temperatures);
+  const coldest = Math.min(...temperatures);
+  const warmMonths = temperatures.filter(value => value > 10).length;
+
+  // Summer is April–September north of the equator, October–March south of it
+  const isSummer = month => (lat >= 0 ? month >= 3 && month <= 8 : month <= 2 || month >= 9);
+  const summer = precipitation.filter((_, month) => isSummer(month));
+  const winter = precipitation.filter((_, month) => !isSummer(month));
+  const summerTotal = summer.reduce((sum, value) => sum + value, 0);
+  const winterTotal = winter.reduce((sum, value) => sum + value, 0);
+
+  if (hottest < 10) return hottest > 0 ? "ET" : "EF";
+
+  let threshold = 2 * meanTemperature + 14;
+  if (annualPrecipitation > 0 && winterTotal >= 0.7 * annualPrecipitation) threshold = 2 * meanTemperature;
+  else if (annualPrecipitation > 0 && summerTotal >= 0.7 * annualPrecipitation) threshold = 2 * meanTemperature + 28;
+
+  if (annualPrecipitation < 10 * threshold) {
+    const kind = annualPrecipitation < 5 * threshold ? "W" : "S";
+    return `B${kind}${meanTemperature >= 18 ? "h" : "k"}`;
+  }
+
+  if (coldest >= 18) {
+    const driest = Math.min(...precipitation);
+    if (driest >= 60) return "Af";
+    return driest >= 100 - annualPrecipitation / 25 ? "Am" : "Aw";
+  }
+
+  const group = coldest > 0 ? "C" : "D";
+  let season = "f";
+  if (Math.min(...summer) < 40 && Math.min(...summer) < Math.max(...winter) / 3) season = "s";
+  else if (Math.min(...winter) < Math.max(...summer) / 10) season = "w";
+
+  let summerType = "c";
+  if (hottest >= 22) summerType = "a";
+  else if (warmMonths >= 4) summerType = "b";
+  else if (group === "D" && coldest < -38) summerType = "d";
+
+  return `${group}${season}${summerType}`;
+}
+
+// Monthly normals from a stored daily history (T2M and PRECTOTCORR in mm/day)
+function monthlyNormalsFromHistory(history) {
+  const temperature = history?.parameter?.T2M;
+  const rain = history?.parameter?.PRECTOTCORR;
+  if (!temperature || !rain) return null;
+
+  const sums = MONTHS.map(() => ({ temperature: 0, temperatureDays: 0, rain: 0, rainDays: 0 }));
+  Object.keys(temperature).forEach((dateKey) => {
+    const month = sums[parseInt(dateKey.slice(4, 6), 10) - 1];
+    if (!month) return;
+    if (temperature[dateKey] > -900) {
+      month.temperature += temperature[dateKey];
+      month.temperatureDays++;
+    }
+    if (rain[dateKey] !== undefined && rain[dateKey] > -900) {
+      month.rain += rain[dateKey];
+      month.rainDays++;
+    }
+  });
+
+  if (sums.some(month => month.temperatureDays === 0 || month.rainDays === 0)) return null;
+  return {
+    temperatures: sums.map(month => month.temperature / month.temperatureDays),
+    precipitation: sums.map((month, index) => (month.rain / month.rainDays) * DAYS_IN_MONTH[index]),
+    source: "NASA POWER Daily History",
+    period: `${history.start_year}-${history.end_year}`
+  };
+}
+
+async function fetchClimatologyNormals(cell, budget) {
+  const parameter = await fetchMonthlyClimatology(cell, ['T2M', 'PRECTOTCORR'], { budget });
+
+  const temperatures = MONTHS.map(month => parameter.T2M?.[month]);
+  const rainRates = MONTHS.map(month => parameter.PRECTOTCORR?.[month]);
+  if ([...temperatures, ...rainRates].some(value => typeof value !== 'number' || value <= -900)) {
+    throw new Error('NASA POWER climatology has missing months');
+  }
+
+  return {
+    temperatures,
+    precipitation: rainRates.map((rate, index) => rate * DAYS_IN_MONTH[index]),
+    source: "NASA POWER Climatology",
+    period: null
+  };
+}
+
+async function loadMonthlyNormals(lat, lon, budget) {
+  const fromHistory = monthlyNormalsFromHistory(peekHistory(lat, lon));
+  if (fromHistory) return fromHistory;
+  return fetchClimatologyNormals(getPowerGridCell(lat, lon), budget);
+}
+
+// Climate class of the POWER grid cell containing lat/lon, null when no climatology is reachable
+// (within `budget` when given, see http/index.js)
+async function classifyClimate(lat, lon, { budget } = {}) {
+  const cell = getPowerGridCell(lat, lon);
+  if (classifiedCells.has(cell.key)) return classifiedCells.get(cell.key);
+
+  let normals;
+  try {
+    normals = await loadMonthlyNormals(lat, lon, budget);
+  } catch (error) {
+    logger.warn(`Climate classification unavailable for cell ${cell.key}: ${error.message}`);
+    return null;
+  }
+
+  const code = classifyKoppen(normals.temperatures, normals.precipitation, cell.lat);
+  const climate = {
+    code,
+    name: CLIMATE_CLASSES[code],
+    group: CLIMATE_GROUPS[code[0]],
+    source: normals.source,
+    period: normals.period,
+    grid_cell: { lat: cell.lat, lon: cell.lon },
+    annual_mean_temperature: Math.round(normals.temperatures.reduce((sum, value) => sum + value, 0) / 12 * 10) / 10,
+    annual_precipitation: Math.round(normals.precipitation.reduce((sum, value) => sum + value, 0))
+  };
+
+  classifiedCells.set(cell.key, climate);
+  if (classifiedCells.size > MAX_CLASSIFIED_CELLS) {
+    classifiedCells.delete(classifiedCells.keys().next().value);
+  }
+  return climate;
+}
+
+// Class code helpers; every one of them treats an unknown (null) class as "not that kind"
+function isAridClass(code) {
+  return typeof code === 'string' && code[0] === 'B';
+}
+
+function isDesertClass(code) {
+  return typeof code === 'string' && code.startsWith('BW');
+}
+
+function isHotAridClass(code) {
+  return isAridClass(code) && code[2] === 'h';
+}
+
+function getClimateGroup(code) {
+  return typeof code === 'string' ? code[0] : null;
+}
+
+// "Köppen BWh: Hot Desert", used as the climate_note of responses
+function describeClimateClass(code) {
+  if (!CLIMATE_CLASSES[code]) return "Unclassified Climate";
+  return `Köppen ${code}: ${CLIMATE_CLASSES[code]}`;
+}
+
+export {
+  CLIMATE_CLASSES,
+  classifyKoppen,
+  monthlyNormalsFromHistory,
+  classifyClimate,
+  isAridClass,
+  isDesertClass,
+  isHotAridClass,
+  getClimateGroup,
+  describeClimateClass
+};
@@ -0,0 +1,94 @@
+/**
+ * Data Provenance - Tracks Whether Each Value Was Observed, Gap-Filled Or Simulated
+ */
+import { isValidNASAValue } from "./climate.js";
+
+// VARIABLES //
+const PROVENANCE = {
+  OBSERVED: "observed",     // value came straight from the upstream source
+  GAP_FILLED: "gap_filled", // upstream returned -999/missing, a realistic default was used
+  SIMULATED: "simulated",   // value was generated locally, no upstream value behind it
+  FORECAST: "forecast"      // value was projected deterministically from observed data and its history
+};
+
+// Kinds that are backed by real observations and survive strict mode
+const TRUSTED = [PROVENANCE.OBSERVED, PROVENANCE.FORECAST];
+
+// Measured fields whose origin is reported; derived values (conditions, feels_like) follow their inputs
+const TRACKED_FIELDS = [
+  'temperature', 'temperature_max', 'temperature_min', 'max_temp', 'min_temp',
+  'humidity', 'wind_speed', 'wind_speed_50m', 'precipitation', 'pressure',
+  'solar_radiation', 'cloud_cover'
+];
+
+// Same as getValidNASAValue, but records in `provenance` whether the default had to be used
+function pickNASAValue(value, defaultValue, provenance, field) {
+  const valid = isValidNASAValue(value);
+  provenance[field] = valid ? PROVENANCE.OBSERVED : PROVENANCE.GAP_FILLED;
+  return valid ? value : defaultValue;
+}
+
+// Tag every tracked field present on a record as simulated
+function markSimulated(record) {
+  const provenance = {};
+  TRACKED_FIELDS.forEach((field) => {
+    if (record[field] !== undefined) provenance[field] = PROVENANCE.SIMULATED;
+  });
+  return { ...record, provenance };
+}
+
+function hasObservedField(record) {
+  return Object.values(record?.provenance || {}).some(kind => TRUSTED.includes(kind));
+}
+
+// Overall label for a response: observed, partially_gap_filled or simulated
+function summarizeProvenance(weatherData) {
+  const records = [weatherData.current, ...(weatherData.forecast || [])].filter(Boolean);
+  const kinds = new Set(records.flatMap(record => Object.values(record.provenance || {})));
+
+  if (kinds.size === 0 || ![...kinds].some(kind => TRUSTED.includes(kind))) return PROVENANCE.SIMULATED;
+  if ([...kinds].every(kind => TRUSTED.includes(kind))) return PROVENANCE.OBSERVED;
+  return "partially_gap_filled";
+}
+
+// Strict mode: blank out anything not backed by observations and drop forecast days with nothing left
+function stripUnobserved(weatherData) {
+  const stripRecord = (record) => {
+    const stripped = { ...record };
+    Object.entries(record.provenance || {}).forEach(([field, kind]) => {
+      if (!TRUSTED.includes(kind)) stripped[field] = null;
+    });
+    if (stripped.feels_like !== undefined && stripped.temperature === null) stripped.feels_like = null;
+    if (stripped.comfort && ['temperature', 'humidity', 'wind_speed'].some(field => stripped[field] === null)) {
+      stripped.comfort = null;
+    }
+    // A UV index scaled by simulated cloud cover falls back to the clear-sky value, flagged as such
+    if (stripped.astronomy && stripped.cloud_cover === null && stripped.astronomy.uv_cloud_adjusted) {
+      const uvField = stripped.astronomy.uv_index !== undefined ? 'uv_index' : 'uv_index_max';
+      stripped.astronomy = { ...stripped.astronomy, [uvField]: stripped.astronomy.uv_index_clear_sky, uv_cloud_adjusted: false };
+    }
+    return stripped;
+  };
+
+  return {
+    ...weatherData,
+    current: stripRecord(weatherData.current),
+    forecast: (weatherData.forecast || []).filter(hasObservedField).map(stripRecord)
+  };
+}
+
+// `strict` query value wins, otherwise the STRICT_MODE server default applies
+function resolveStrictMode(queryValue) {
+  if (queryValue !== undefined) return String(queryValue).toLowerCase() === "true";
+  return String(process.env.STRICT_MODE).toLowerCase() === "true";
+}
+
+export {
+  PROVENANCE,
+  pickNASAValue,
+  markSimulated,
+  hasObservedField,
+  summarizeProvenance,
+  stripUnobserved,
+  resolveStrictMode
+};
@@ -0,0 +1,102 @@
+/**
+ * NASA GMAO Provider - GEOS Forecast Model Output
+ */
+import {
+  readNASAValue,
+  getRealisticTemperature,
+  getRealisticMaxTemperature,
+  getRealisticMinTemperature,
+  getRealisticHumidity,
+  getRealisticWindSpeed,
+  getRealisticPrecipitation,
+  getRealisticPressure,
+  getNASA_WeatherCode,
+  getNASA_WeatherCondition,
+  calculateNASA_FeelsLike,
+  generateNASA_Current
+} from "../climate.js";
+import { pickNASAValue, markSimulated } from "../provenance.js";
+import { roundCoordinate, buildCacheKey } from "../../cache/index.js";
+import { logger } from "../../logging/index.js";
+import { NASA_APIS } from "../../config/nasaApis.js";
+import { fetchJson } from "../../http/index.js";
+import { currentDate } from "../clock.js";
+
+async function fetchGMAO({ lat, lon, budget }) {
+  const gmaoUrl = `${NASA_APIS.GMAO}?lat=${lat}&lon=${lon}&type=json`;
+  
+  logger.debug(`NASA GMAO URL: ${gmaoUrl}`, { url: gmaoUrl });
+  
+  const data = await fetchJson(gmaoUrl, { label: "NASA GMAO", budget });
+  
+  if (!data || !data.forecast) {
+    throw new Error('No forecast in response');
+  }
+
+  return data;
+}
+
+// GMAO decides its own horizon, we only trim it to the requested number of days
+function normalizeGMAO(gmaoData, { lat, lon, climateClass = null, days = 7, now, random }) {
+  const weatherData = processGMAO_Data(gmaoData, lat, lon, climateClass, { now, random });
+  return { ...weatherData, forecast: weatherData.forecast.slice(0, days) };
+}
+
+function processGMAO_Data(gmaoData, lat, lon, climateClass = null, sim = {}) {
+  const forecast = [];
+  const now = sim.now || currentDate();
+
+  gmaoData.forecast.forEach((day, index) => {
+    const date = new Date(now);
+    date.setDate(now.getDate() + index);
+    
+    const provenance = {};
+    const temperature = pickNASAValue(readNASAValue(day.temperature), getRealisticTemperature(lat, climateClass, sim), provenance, 'temperature');
+    const humidity = pickNASAValue(readNASAValue(day.humidity), getRealisticHumidity(lat, climateClass, sim), provenance, 'humidity');
+    const windSpeed = pickNASAValue(readNASAValue(day.wind_speed), getRealisticWindSpeed(lat, climateClass, sim), provenance, 'wind_speed');
+    const precipitation = pickNASAValue(readNASAValue(day.precipitation), getRealisticPrecipitation(climateClass, sim), provenance, 'precipitation');
+    const pressure = pickNASAValue(readNASAValue(day.pressure), getRealisticPressure(lat, sim), provenance, 'pressure');
+    
+    forecast.push({
+      date: date.toISOString().split('T')[0],
+      temperature: temperature,
+      max_temp: pickNASAValue(readNASAValue(day.temp_max), getRealisticMaxTemperature(lat, climateClass, sim), provenance, 'max_temp'),
+      min_temp: pickNASAValue(readNASAValue(day.temp_min), getRealisticMinTemperature(lat, climateClass, sim), provenance, 'min_temp'),
+      precipitation: precipitation,
+      wind_speed: windSpeed,
+      humidity: humidity,
+      pressure: pressure,
+      weather_code: getNASA_WeatherCode(precipitation, humidity),
+      conditions: getNASA_WeatherCondition(precipitation, humidity, climateClass),
+      feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed),
+      provenance
+    });
+  });
+
+  const current = forecast[0] ? {
+    temperature: forecast[0].temperature,
+    feels_like: forecast[0].feels_like,
+    humidity: forecast[0].humidity,
+    wind_speed: forecast[0].wind_speed,
+    pressure: forecast[0].pressure,
+    conditions: forecast[0].conditions,
+    weather_code: forecast[0].weather_code,
+    data_quality: "NASA GEOS Forecast Model",
+    model_resolution: "0.25° grid spacing",
+    provenance: forecast[0].provenance
+  } : markSimulated(generateNASA_Current(lat, lon, climateClass, sim));
+
+  return { current, forecast };
+}
+
+export default {
+  name: "gmao",
+  label: "NASA GMAO Forecast API",
+  mission: "Global Modeling and Assimilation Office",
+  priority: 20,
+  capabilities: { current: true, forecast: true },
+  probeUrl: NASA_APIS.GMAO,
+  cacheKey: ({ lat, lon, now = currentDate() }) => buildCacheKey("gmao", roundCoordinate(lat), roundCoordinate(lon), now.toISOString().split('T')[0]),
+  fetch: fetchGMAO,
+  normalize: normalizeGMAO
+};
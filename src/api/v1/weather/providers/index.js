@@ -0,0 +1,181 @@
+/**
+ * Weather Provider Registry - Ordered Fallback Chain Shared By Every Weather Route
+ *
+ * A provider is a plain object:
+ *   name          unique id used in configuration ("power", "gmao", ...)
+ *   label         human readable source name, returned as `data_source`
+ *   mission       NASA mission/programme, returned as `nasa_mission`
+ *   priority      lower runs first when no explicit order is configured
+ *   capabilities  flags such as { current: true, forecast: true }; `synthetic: true`
+ *                 marks providers that fabricate values and are skipped in strict mode
+ *   pressureLevel optional, "surface" when observed `pressure` is at the grid-cell surface rather
+ *                 than sea level (see elevation.js)
+ *   isConfigured()  optional, providers answering false are left out of the chain
+ *   probeUrl      optional, URL /readyz requests to check the upstream is reachable
+ *   probe()       optional, async readiness check for non-HTTP sources; throws when unavailable
+ *   gridCell(lat, lon)  optional, for gridded sources whose values belong to a fixed cell: returns
+ *                 { lat, lon, key }; fetch and normalize then run at the cell centre, while the
+ *                 thermal comfort and astronomy blocks are still computed for the requested point
+ *   cacheKey(ctx)   optional, raw fetch results are cached under this key with the provider's TTL
+ *   fetch(ctx)    downloads raw data, throws on failure
+ *   normalize(raw, ctx)  turns raw data into { current, forecast, grid_elevation?, pressure_level? },
+ *                        may be async; the thermal comfort and astronomy blocks are added to every
+ *                        record afterwards. grid_elevation is the elevation (m) the gridded values
+ *                        describe, pressure_level overrides pressureLevel for this result
+ *
+ * ctx is { lat, lon, climateClass, days, now, random, budget } where climateClass is the Köppen
+ * code (null when unknown), days is the forecast horizon, now the request's clock reading
+ * (see clock.js), random the generator simulated values must draw from (see random.js) and budget
+ * the time left for upstream calls (see http/index.js), to be passed on to fetchUpstream/fetchJson.
+ *
+ * Providers that call an upstream (those with a probeUrl) sit behind a circuit breaker
+ * (http/circuitBreaker.js) and are skipped while it is open or once the budget is spent; the
+ * breaker state is reported in each of their attempts as `circuit`.
+ */
+import { cached, roundCoordinate } from "../../cache/index.js";
+import { attachComfort } from "../comfort.js";
+import { attachAstronomy } from "../astronomy.js";
+import { recordUpstreamAttempt, recordSimulationFallback } from "../../monitoring/metrics.js";
+import { createBudget } from "../../http/index.js";
+import { getCircuit } from "../../http/circuitBreaker.js";
+import { currentDate } from "../clock.js";
+import { simulationRandom } from "../random.js";
+
+import powerProvider from "./power.js";
+import gmaoProvider from "./gmao.js";
+import worldviewProvider from "./worldview.js";
+import simulationProvider from "./simulation.js";
+import netcdfProvider from "./netcdf.js";
+import { logger } from "../../logging/index.js";
+
+// VARIABLES //
+const providers = new Map();
+const MIN_ATTEMPT_MS = 100; // less budget than this left is not worth starting a request for
+
+// WEATHER_PROVIDERS="power,gmao" sets both the order and which providers run
+// WEATHER_PROVIDERS_DISABLED="worldview" removes providers from the default order
+function parseProviderList(value) {
+  return (value || "")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.fetch !== "function" || typeof provider.normalize !== "function") {
+    throw new Error("Weather provider needs a name, fetch() and normalize()");
+  }
+  providers.set(provider.name, {
+    priority: 50,
+    capabilities: {},
+    ...provider
+  });
+}
+
+// Resolve the configured chain, keeping only providers that offer every required capability
+function getProviderChain({ requires = [] } = {}) {
+  const configuredOrder = parseProviderList(process.env.WEATHER_PROVIDERS);
+  const disabled = parseProviderList(process.env.WEATHER_PROVIDERS_DISABLED);
+
+  let chain;
+  if (configuredOrder.length > 0) {
+    chain = configuredOrder.map(name => providers.get(name)).filter(Boolean);
+  } else {
+    chain = [...providers.values()].sort((a, b) => a.priority - b.priority);
+  }
+
+  return chain
+    .filter(provider => !disabled.includes(provider.name))
+    .filter(provider => !provider.isConfigured || provider.isConfigured())
+    .filter(provider => requires.every(capability => provider.capabilities[capability]));
+}
+
+// Fetch and normalize one provider; gridded providers run at their cell centre, and with
+// options.shared (a Map, see batch.js) every point of the same cell reuses one result
+function loadProviderData(provider, attemptCtx, options) {
+  const load = async (loadCtx) => {
+    const raw = provider.cacheKey
+      ? await cached(provider.name, provider.cacheKey(loadCtx), () => provider.fetch(loadCtx))
+      : await provider.fetch(loadCtx);
+    return provider.normalize(raw, loadCtx);
+  };
+  if (!provider.gridCell) return load(attemptCtx);
+
+  const cell = provider.gridCell(attemptCtx.lat, attemptCtx.lon);
+  const cellCtx = { ...attemptCtx, lat: cell.lat, lon: cell.lon };
+  if (!options.shared) return load(cellCtx);
+
+  const key = `${provider.name}|${cell.key}|${attemptCtx.climateClass}`;
+  if (!options.shared.has(key)) options.shared.set(key, load(cellCtx));
+  return options.shared.get(key);
+}
+
+// Walk the chain until a provider answers, recording every attempt for the response metadata and /metrics
+async function fetchWeather(ctx, options = {}) {
+  const now = ctx.now || currentDate();
+  const runCtx = { ...ctx, now, budget: ctx.budget || createBudget() };
+  const attempts = [];
+  const record = (attempt) => {
+    attempts.push(attempt);
+    recordUpstreamAttempt("weather", attempt.provider, attempt.status, attempt.duration_ms);
+  };
+
+  for (const provider of getProviderChain(options)) {
+    if (options.strict && provider.capabilities.synthetic) {
+      record({ provider: provider.name, status: "skipped", duration_ms: 0, reason: "Synthetic data not allowed in strict mode" });
+      continue;
+    }
+
+    const circuit = provider.probeUrl ? getCircuit(provider.name) : null;
+    // The budget goes first: allowRequest() claims the half-open trial, which only an attempt gives back
+    if (circuit && runCtx.budget.remaining() < MIN_ATTEMPT_MS) {
+      const reason = `Request budget of ${runCtx.budget.total_ms} ms exhausted`;
+      record({ provider: provider.name, status: "skipped", duration_ms: 0, reason, circuit: circuit.state() });
+      logger.warn(`${provider.label} skipped: ${reason}`, { provider: provider.name });
+      continue;
+    }
+    if (circuit && !circuit.allowRequest()) {
+      const { retry_at: retryAt } = circuit.snapshot();
+      const reason = retryAt ? `Circuit open until ${retryAt}` : "Circuit half-open, trial request in flight";
+      record({ provider: provider.name, status: "skipped", duration_ms: 0, reason, circuit: circuit.state() });
+      logger.warn(`${provider.label} skipped: ${reason}`, { provider: provider.name, circuit: circuit.state() });
+      continue;
+    }
+
+    // Same point (grid cell for gridded providers) and day -> same simulated values when SIMULATION_SEED is set
+    const seedPoint = provider.gridCell ? provider.gridCell(ctx.lat, ctx.lon) : ctx;
+    const attemptCtx = {
+      ...runCtx,
+      random: ctx.random || simulationRandom(provider.name, roundCoordinate(seedPoint.lat), roundCoordinate(seedPoint.lon), now.toISOString().slice(0, 10))
+    };
+    const startedAt = Date.now();
+    logger.debug(`Trying ${provider.label}`, { provider: provider.name, circuit: circuit?.state() });
+
+    try {
+      const weatherData = attachAstronomy(attachComfort(await loadProviderData(provider, attemptCtx, options)), attemptCtx);
+
+      circuit?.recordSuccess();
+      record({ provider: provider.name, status: "success", duration_ms: Date.now() - startedAt, ...(circuit && { circuit: circuit.state() }) });
+      const failed = attempts.filter(attempt => attempt.status === "failed").map(attempt => attempt.provider);
+      if (provider.capabilities.synthetic && failed.length > 0) recordSimulationFallback(provider.name);
+      logger.success(`${provider.label} answered${failed.length > 0 ? ` after ${failed.join(", ")} failed` : ""}`, {
+        provider: provider.name,
+        fallback: failed.length > 0,
+        failed_providers: failed,
+        synthetic: Boolean(provider.capabilities.synthetic)
+      });
+      return { weatherData, provider, attempts };
+    } catch (error) {
+      circuit?.recordFailure(error);
+      record({ provider: provider.name, status: "failed", duration_ms: Date.now() - startedAt, reason: error.message, ...(circuit && { circuit: circuit.state() }) });
+      logger.warn(`${provider.label} failed: ${error.message}`, { provider: provider.name, error, circuit: circuit?.state() });
+    }
+  }
+
+  return { weatherData: null, provider: null, attempts };
+}
+
+// Built-in providers //
+[netcdfProvider, powerProvider, gmaoProvider, worldviewProvider, simulationProvider].forEach(registerProvider);
+
+export { registerProvider, getProviderChain, fetchWeather };
@@ -0,0 +1,413 @@
+/**
+ * Local NetCDF Provider - GEOS/MERRA-2 Style Model Files Read Offline Through netcdfjs
+ *
+ * Reads every *.nc file in NETCDF_DIR (classic NetCDF-3 / 64-bit offset; convert NetCDF-4
+ * downloads with `nccopy -k classic`). Surface fields are expected as [time, lat, lon].
+ * The forecast covers as many of the requested days as the files contain.
+ *
+ * Pressure is the sea-level field (SLP/psl) when any file has one; files with only the surface
+ * field (PS) then leave gaps. When no file has a sea-level field the surface pressure is returned
+ * with `pressure_level: "surface"`, for elevation.js to reduce to sea level.
+ */
+import fs from "fs";
+import path from "path";
+import { NetCDFReader } from "netcdfjs";
+import {
+  getRealisticTemperature,
+  getRealisticHumidity,
+  getRealisticWindSpeed,
+  getRealisticPrecipitation,
+  getRealisticPressure,
+  getNASA_WeatherCode,
+  getNASA_WeatherCondition,
+  calculateNASA_FeelsLike
+} from "../climate.js";
+import { pickNASAValue } from "../provenance.js";
+import { logger } from "../../logging/index.js";
+import { currentDate } from "../clock.js";
+
+// VARIABLES //
+const NETCDF_DIR = process.env.NETCDF_DIR ? path.resolve(process.env.NETCDF_DIR) : null;
+const NETCDF_INTERPOLATION = (process.env.NETCDF_INTERPOLATION || "bilinear").toLowerCase();
+const MISSING = -999;
+
+// Accepted names for each field, first match wins
+const VARIABLE_ALIASES = {
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'longitude'],
+  time: ['time'],
+  temperature: ['T2M', 't2m', 'tas'],
+  humidity: ['RH2M', 'rh2m', 'RH', 'hurs'],
+  specificHumidity: ['QV2M', 'qv2m', 'huss'],
+  windU: ['U10M', 'u10m', 'U2M', 'uas'],
+  windV: ['V10M', 'v10m', 'V2M', 'vas'],
+  precipitation: ['PRECTOTCORR', 'PRECTOT', 'PRECTOTLAND', 'pr', 'tp'],
+  surfacePressure: ['PS', 'ps', 'sp'],
+  seaLevelPressure: ['SLP', 'slp', 'psl', 'msl']
+};
+
+// Parsed files keyed by path, reloaded when the file changes on disk
+const datasetCache = new Map();
+
+function findVariable(reader, field) {
+  const names = reader.variables.map(variable => variable.name);
+  return VARIABLE_ALIASES[field].find(name => names.includes(name)) || null;
+}
+
+function getVariableAttribute(reader, name, attribute) {
+  const variable = reader.variables.find(v => v.name === name);
+  const found = variable?.attributes?.find(attr => attr.name === attribute);
+  return found ? found.value : null;
+}
+
+// netcdfjs returns record variables as one array per record, flatten them to a single array
+function readFlat(reader, name) {
+  const data = reader.getDataVariable(name);
+  return Array.isArray(data[0]) ? data.flat() : data;
+}
+
+// CF time units such as "minutes since 2024-01-01 00:30:00"
+function parseTimeAxis(values, units) {
+  const match = /^(\w+)\s+since\s+(.+)$/i.exec(String(units || "").trim());
+  if (!match) throw new Error(`Unsupported time units: ${units}`);
+
+  const unitMs = {
+    seconds: 1000, second: 1000, s: 1000,
+    minutes: 60000, minute: 60000, min: 60000,
+    hours: 3600000, hour: 3600000, h: 3600000,
+    days: 86400000, day: 86400000, d: 86400000
+  }[match[1].toLowerCase()];
+  if (!unitMs) throw new Error(`Unsupported time units: ${units}`);
+
+  const origin = Date.parse(match[2].trim().replace(' ', 'T').replace(/(T\d{2}:\d{2}(:\d{2})?)$/, '$1Z'));
+  if (isNaN(origin)) throw new Error(`Unsupported time origin: ${match[2]}`);
+
+  return values.map(value => origin + value * unitMs);
+}
+
+function openDataset(file) {
+  const { mtimeMs } = fs.statSync(file);
+  const cached = datasetCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+  const reader = new NetCDFReader(fs.readFileSync(file));
+  const latName = findVariable(reader, 'lat');
+  const lonName = findVariable(reader, 'lon');
+  const timeName = findVariable(reader, 'time');
+  if (!latName || !lonName || !timeName) {
+    throw new Error(`${path.basename(file)} has no lat/lon/time coordinates`);
+  }
+
+  const dataset = {
+    file,
+    mtimeMs,
+    reader,
+    lats: readFlat(reader, latName),
+    lons: readFlat(reader, lonName),
+    times: parseTimeAxis(readFlat(reader, timeName), getVariableAttribute(reader, timeName, 'units')),
+    hasSeaLevelPressure: Boolean(findVariable(reader, 'seaLevelPressure')),
+    fields: {}
+  };
+
+  datasetCache.set(file, dataset);
+  return dataset;
+}
+
+function listDatasets() {
+  if (!NETCDF_DIR || !fs.existsSync(NETCDF_DIR)) return [];
+
+  return fs.readdirSync(NETCDF_DIR)
+    .filter(name => name.toLowerCase().endsWith('.nc'))
+    .map((name) => {
+      try {
+        return openDataset(path.join(NETCDF_DIR, name));
+      } catch (error) {
+        logger.warn(`Skipping NetCDF file ${name}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.times[0] - b.times[0]);
+}
+
+// Lazily read a field, returning its values, units and fill value
+function getField(dataset, field) {
+  if (dataset.fields[field] !== undefined) return dataset.fields[field];
+
+  const name = findVariable(dataset.reader, field);
+  dataset.fields[field] = name ? {
+    values: readFlat(dataset.reader, name),
+    units: String(getVariableAttribute(dataset.reader, name, 'units') || ""),
+    fillValue: getVariableAttribute(dataset.reader, name, '_FillValue') ?? getVariableAttribute(dataset.reader, name, 'missing_value')
+  } : null;
+
+  return dataset.fields[field];
+}
+
+// Index of the grid point at or below `value` on an ascending or descending axis, plus the fractional offset
+function bracket(axis, value) {
+  const ascending = axis[axis.length - 1] >= axis[0];
+  for (let i = 0; i < axis.length - 1; i++) {
+    const a = axis[i];
+    const b = axis[i + 1];
+    if ((ascending && value >= a && value <= b) || (!ascending && value <= a && value >= b)) {
+      return { index: i, fraction: b === a ? 0 : (value - a) / (b - a) };
+    }
+  }
+  // Outside the grid: clamp to the nearest edge
+  const nearFirst = Math.abs(value - axis[0]) <= Math.abs(value - axis[axis.length - 1]);
+  return { index: nearFirst ? 0 : Math.max(0, axis.length - 2), fraction: nearFirst ? 0 : 1 };
+}
+
+// Bring the requested longitude into the file's convention (-180..180 or 0..360)
+function alignLongitude(lons, lon) {
+  const usesPositive = Math.max(...lons) > 180;
+  if (usesPositive && lon < 0) return lon + 360;
+  if (!usesPositive && lon > 180) return lon - 360;
+  return lon;
+}
+
+function isMissing(value, fillValue) {
+  return value === undefined || value === null || isNaN(value) ||
+    (fillValue !== null && fillValue !== undefined && value === fillValue) || Math.abs(value) >= 1e15;
+}
+
+// Spatial interpolation of one time step, ignoring missing corners
+function sampleSpatial(dataset, fieldData, timeIndex, lat, lon) {
+  const nLat = dataset.lats.length;
+  const nLon = dataset.lons.length;
+  const alignedLon = alignLongitude(dataset.lons, lon);
+  const latPos = bracket(dataset.lats, lat);
+  const lonPos = nLon > 1 ? bracket(dataset.lons, alignedLon) : { index: 0, fraction: 0 };
+
+  const valueAt = (i, j) => {
+    const latIndex = Math.min(i, nLat - 1);
+    const lonIndex = Math.min(j, nLon - 1);
+    const value = fieldData.values[(timeIndex * nLat + latIndex) * nLon + lonIndex];
+    return isMissing(value, fieldData.fillValue) ? null : value;
+  };
+
+  if (NETCDF_INTERPOLATION === "nearest") {
+    return valueAt(latPos.index + Math.round(latPos.fraction), lonPos.index + Math.round(lonPos.fraction));
+  }
+
+  const corners = [
+    { value: valueAt(latPos.index, lonPos.index), weight: (1 - latPos.fraction) * (1 - lonPos.fraction) },
+    { value: valueAt(latPos.index, lonPos.index + 1), weight: (1 - latPos.fraction) * lonPos.fraction },
+    { value: valueAt(latPos.index + 1, lonPos.index), weight: latPos.fraction * (1 - lonPos.fraction) },
+    { value: valueAt(latPos.index + 1, lonPos.index + 1), weight: latPos.fraction * lonPos.fraction }
+  ].filter(corner => corner.value !== null && corner.weight > 0);
+
+  const totalWeight = corners.reduce((sum, corner) => sum + corner.weight, 0);
+  if (totalWeight === 0) return null;
+  return corners.reduce((sum, corner) => sum + corner.value * corner.weight, 0) / totalWeight;
+}
+
+// Every time step across all files, each with a sampler for the requested point
+function buildTimeline(datasets, lat, lon) {
+  return datasets.flatMap(dataset => dataset.times.map((time, timeIndex) => ({
+    time,
+    sample: (field) => {
+      const fieldData = getField(dataset, field);
+      return fieldData ? { value: sampleSpatial(dataset, fieldData, timeIndex, lat, lon), units: fieldData.units } : null;
+    }
+  }))).sort((a, b) => a.time - b.time);
+}
+
+function toCelsius(sample) {
+  if (!sample || sample.value === null) return null;
+  return /^k/i.test(sample.units) || sample.value > 150 ? sample.value - 273.15 : sample.value;
+}
+
+function toHectopascal(sample) {
+  if (!sample || sample.value === null) return null;
+  if (/kpa/i.test(sample.units)) return sample.value * 10;
+  return /^pa$/i.test(sample.units) || sample.value > 2000 ? sample.value / 100 : sample.value;
+}
+
+// Relative humidity in %, derived from specific humidity when RH is not in the file
+function toRelativeHumidity(step, temperature, pressure) {
+  const rh = step.sample('humidity');
+  if (rh && rh.value !== null) {
+    return rh.units === "1" || rh.value <= 1.5 ? rh.value * 100 : rh.value;
+  }
+
+  const q = step.sample('specificHumidity');
+  if (!q || q.value === null || temperature === null || pressure === null) return null;
+  const vapourPressure = (q.value * pressure) / (0.622 + 0.378 * q.value);
+  const saturation = 6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5));
+  return Math.max(0, Math.min(100, (vapourPressure / saturation) * 100));
+}
+
+function toWindSpeed(step) {
+  const u = step.sample('windU');
+  const v = step.sample('windV');
+  if (!u || !v || u.value === null || v.value === null) return null;
+  return Math.sqrt(u.value * u.value + v.value * v.value);
+}
+
+// `pressureLevel` picks the pressure field returned; humidity is derived with the surface one when present
+function readStep(step, pressureLevel) {
+  const temperature = toCelsius(step.sample('temperature'));
+  const surfacePressure = toHectopascal(step.sample('surfacePressure'));
+  const seaLevelPressure = toHectopascal(step.sample('seaLevelPressure'));
+  const precipitation = step.sample('precipitation');
+  return {
+    time: step.time,
+    temperature,
+    pressure: pressureLevel === "surface" ? surfacePressure : seaLevelPressure,
+    humidity: toRelativeHumidity(step, temperature, surfacePressure ?? seaLevelPressure),
+    wind_speed: toWindSpeed(step),
+    precipitation: precipitation && precipitation.value !== null ? precipitation : null
+  };
+}
+
+function mean(values) {
+  const valid = values.filter(value => value !== null);
+  return valid.length ? valid.reduce((sum, value) => sum + value, 0) / valid.length : MISSING;
+}
+
+// Daily precipitation in mm: rates (kg m-2 s-1, mm/s) are averaged and scaled, accumulations are summed
+function dailyPrecipitation(samples) {
+  const valid = samples.filter(Boolean);
+  if (valid.length === 0) return MISSING;
+  if (/s-1|\/s/.test(valid[0].units)) return mean(valid.map(s => s.value)) * 86400;
+  const scale = /^m$/i.test(valid[0].units) ? 1000 : 1;
+  return valid.reduce((sum, s) => sum + s.value * scale, 0);
+}
+
+function aggregateDay(steps) {
+  const temperatures = steps.map(step => step.temperature).filter(value => value !== null);
+  return {
+    temperature: mean(temperatures),
+    max_temp: temperatures.length ? Math.max(...temperatures) : MISSING,
+    min_temp: temperatures.length ? Math.min(...temperatures) : MISSING,
+    humidity: mean(steps.map(step => step.humidity)),
+    wind_speed: mean(steps.map(step => step.wind_speed)),
+    precipitation: dailyPrecipitation(steps.map(step => step.precipitation)),
+    pressure: mean(steps.map(step => step.pressure))
+  };
+}
+
+// Linear interpolation of every field between the two steps around `time`
+function interpolateInTime(steps, time) {
+  const after = steps.findIndex(step => step.time >= time);
+  if (after <= 0) return steps[after === 0 ? 0 : steps.length - 1];
+
+  const a = steps[after - 1];
+  const b = steps[after];
+  const fraction = (time - a.time) / (b.time - a.time);
+  const lerp = (x, y) => (x === null || y === null ? (fraction < 0.5 ? x : y) : x + (y - x) * fraction);
+
+  return {
+    time,
+    temperature: lerp(a.temperature, b.temperature),
+    pressure: lerp(a.pressure, b.pressure),
+    humidity: lerp(a.humidity, b.humidity),
+    wind_speed: lerp(a.wind_speed, b.wind_speed)
+  };
+}
+
+async function fetchNetCDF({ lat, lon, date, now = currentDate() }) {
+  const datasets = listDatasets();
+  if (datasets.length === 0) {
+    throw new Error(`No readable .nc files in ${NETCDF_DIR}`);
+  }
+
+  const target = date ? new Date(date).getTime() : now.getTime();
+  const timeline = buildTimeline(datasets, lat, lon);
+  const first = timeline[0].time;
+  const last = timeline[timeline.length - 1].time;
+
+  if (target < first - 86400000 || target > last + 86400000) {
+    throw new Error(`NetCDF files cover ${new Date(first).toISOString()} to ${new Date(last).toISOString()}, not the requested time`);
+  }
+
+  const pressureLevel = datasets.some(dataset => dataset.hasSeaLevelPressure) ? "sea_level" : "surface";
+  logger.info(`NetCDF sampling ${timeline.length} time steps from ${datasets.length} file(s) (${NETCDF_INTERPOLATION})`);
+
+  return {
+    target,
+    pressureLevel,
+    steps: timeline.map(step => readStep(step, pressureLevel)),
+    files: datasets.map(dataset => path.basename(dataset.file))
+  };
+}
+
+function normalizeNetCDF({ target, pressureLevel, steps, files }, { lat, climateClass = null, days = 7, random }) {
+  const sim = { now: new Date(target), random };
+  const startOfDay = new Date(target);
+  startOfDay.setUTCHours(0, 0, 0, 0);
+
+  const forecast = [];
+  for (let i = 0; i < days; i++) {
+    const dayStart = startOfDay.getTime() + i * 86400000;
+    const daySteps = steps.filter(step => step.time >= dayStart && step.time < dayStart + 86400000);
+    if (daySteps.length === 0) break;
+
+    const day = aggregateDay(daySteps);
+    const provenance = {};
+    const temperature = pickNASAValue(day.temperature, getRealisticTemperature(lat, climateClass, sim), provenance, 'temperature');
+    const humidity = pickNASAValue(day.humidity, getRealisticHumidity(lat, climateClass, sim), provenance, 'humidity');
+    const windSpeed = pickNASAValue(day.wind_speed, getRealisticWindSpeed(lat, climateClass, sim), provenance, 'wind_speed');
+    const precipitation = pickNASAValue(day.precipitation, getRealisticPrecipitation(climateClass, sim), provenance, 'precipitation');
+
+    forecast.push({
+      date: new Date(dayStart).toISOString().split('T')[0],
+      temperature: temperature,
+      max_temp: pickNASAValue(day.max_temp, temperature, provenance, 'max_temp'),
+      min_temp: pickNASAValue(day.min_temp, temperature, provenance, 'min_temp'),
+      precipitation: precipitation,
+      wind_speed: windSpeed,
+      humidity: humidity,
+      pressure: pickNASAValue(day.pressure, getRealisticPressure(lat, sim), provenance, 'pressure'),
+      weather_code: getNASA_WeatherCode(precipitation, humidity),
+      conditions: getNASA_WeatherCondition(precipitation, humidity, climateClass),
+      feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed),
+      provenance
+    });
+  }
+
+  const now = interpolateInTime(steps, target);
+  const today = forecast[0];
+  const provenance = {};
+  const temperature = pickNASAValue(now.temperature ?? MISSING, getRealisticTemperature(lat, climateClass, sim), provenance, 'temperature');
+  const humidity = pickNASAValue(now.humidity ?? MISSING, getRealisticHumidity(lat, climateClass, sim), provenance, 'humidity');
+  const windSpeed = pickNASAValue(now.wind_speed ?? MISSING, getRealisticWindSpeed(lat, climateClass, sim), provenance, 'wind_speed');
+
+  const current = {
+    temperature: temperature,
+    temperature_max: today ? today.max_temp : temperature,
+    temperature_min: today ? today.min_temp : temperature,
+    humidity: humidity,
+    wind_speed: windSpeed,
+    precipitation: today ? today.precipitation : getRealisticPrecipitation(climateClass, sim),
+    pressure: pickNASAValue(now.pressure ?? MISSING, getRealisticPressure(lat, sim), provenance, 'pressure'),
+    conditions: today ? today.conditions : getNASA_WeatherCondition(0, humidity, climateClass),
+    weather_code: today ? today.weather_code : getNASA_WeatherCode(0, humidity),
+    feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed),
+    data_quality: "Local GEOS/MERRA-2 NetCDF Model Output",
+    interpolation: NETCDF_INTERPOLATION,
+    source_files: files,
+    provenance: {
+      ...provenance,
+      ...(today ? { temperature_max: today.provenance.max_temp, temperature_min: today.provenance.min_temp, precipitation: today.provenance.precipitation } : {})
+    }
+  };
+
+  return { current, forecast, pressure_level: pressureLevel };
+}
+
+export default {
+  name: "netcdf",
+  label: "Local NetCDF Model Files",
+  mission: "GEOS / MERRA-2",
+  priority: 5,
+  capabilities: { current: true, forecast: true },
+  isConfigured: () => Boolean(NETCDF_DIR),
+  probe: async () => {
+    if (listDatasets().length === 0) throw new Error(`No readable .nc files in ${NETCDF_DIR}`);
+  },
+  fetch: fetchNetCDF,
+  normalize: normalizeNetCDF
+};
@@ -0,0 +1,180 @@
+/**
+ * NASA POWER Provider - Daily Satellite & Model Data (Primary Source)
+ */
+import {
+  isValidNASAValue,
+  readNASAValue,
+  getValidNASAValue,
+  getRealisticTemperature,
+  getRealisticMaxTemperature,
+  getRealisticMinTemperature,
+  getRealisticHumidity,
+  getRealisticWindSpeed,
+  getRealisticPrecipitation,
+  getRealisticCloudCover,
+  getRealisticPressure,
+  calculateNASA_FeelsLike
+} from "../climate.js";
+import { PROVENANCE, pickNASAValue } from "../provenance.js";
+import { fetchPowerHourly, getLatestValidHour } from "../hourly.js";
+import { loadHistory, getPowerGridCell } from "../history.js";
+import { isAridClass } from "../koppen.js";
+import { DEFAULT_FORECAST_DAYS, buildForecast } from "../forecast.js";
+import { roundCoordinate, buildCacheKey } from "../../cache/index.js";
+import { logger } from "../../logging/index.js";
+import { NASA_APIS } from "../../config/nasaApis.js";
+import { fetchJson } from "../../http/index.js";
+import { currentDate } from "../clock.js";
+
+const POWER_PARAMETERS = [
+  'T2M', 'T2M_MAX', 'T2M_MIN', 'RH2M', 'WS10M', 'WS50M', 
+  'PRECTOTCORR', 'PS', 'ALLSKY_SFC_SW_DWN', 'CLOUD_AMT'
+].join(',');
+
+async function fetchPOWER({ lat, lon, now = currentDate(), budget }) {
+  const startDate = now.toISOString().split('T')[0].replace(/-/g, '');
+
+  const powerUrl = `${NASA_APIS.POWER}?parameters=${POWER_PARAMETERS}&community=RE&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${startDate}&format=JSON`;
+  
+  logger.debug(`NASA POWER URL: ${powerUrl}`, { url: powerUrl });
+  
+  const data = await fetchJson(powerUrl, { label: "NASA POWER", budget });
+  
+  if (!data.properties || !data.properties.parameter) {
+    throw new Error('Invalid data structure');
+  }
+
+  const params = data.properties.parameter;
+  const dates = Object.keys(params.T2M || {});
+  
+  if (dates.length === 0) {
+    throw new Error('No data available');
+  }
+
+  // Hourly data lags a few days behind, so look back a week for the most recent valid hour
+  let latestHour = null;
+  try {
+    const hourly = await fetchPowerHourly(lat, lon, new Date(now.getTime() - 7 * 86400000), now, { budget });
+    latestHour = getLatestValidHour(hourly);
+  } catch (hourlyErr) {
+    logger.warn(`NASA POWER hourly unavailable, using daily values: ${hourlyErr.message}`);
+  }
+
+  // The point geometry carries the elevation POWER's grid cell is modelled at
+  const gridElevation = data.geometry?.coordinates?.[2] ?? null;
+
+  return { params, currentDateStr: dates[0], latestHour, gridElevation };
+}
+
+async function normalizePOWER({ params, currentDateStr, latestHour, gridElevation = null }, { lat, lon, climateClass = null, days = DEFAULT_FORECAST_DAYS, now = currentDate(), random, budget }) {
+  const sim = { now, random };
+  // Get values with NASA -999 validation
+  const rawTemperature = readNASAValue(params.T2M[currentDateStr]);
+  const rawHumidity = readNASAValue(params.RH2M[currentDateStr]);
+  const rawWindSpeed = readNASAValue(params.WS10M[currentDateStr]);
+  const rawPrecipitation = readNASAValue(params.PRECTOTCORR[currentDateStr]);
+  // POWER reports surface pressure in kPa, the API answers in hPa
+  const surfacePressure = readNASAValue(params.PS[currentDateStr]);
+  const rawPressure = isValidNASAValue(surfacePressure) ? surfacePressure * 10 : -999;
+  
+  // Use valid values or realistic defaults based on location and desert status
+  const provenance = {};
+  const temperature = pickNASAValue(rawTemperature, getRealisticTemperature(lat, climateClass, sim), provenance, 'temperature');
+  const humidity = pickNASAValue(rawHumidity, getRealisticHumidity(lat, climateClass, sim), provenance, 'humidity');
+  const windSpeed = pickNASAValue(rawWindSpeed, getRealisticWindSpeed(lat, climateClass, sim), provenance, 'wind_speed');
+  const precipitation = pickNASAValue(rawPrecipitation, getRealisticPrecipitation(climateClass, sim), provenance, 'precipitation');
+  const pressure = pickNASAValue(rawPressure, getRealisticPressure(lat, sim), provenance, 'pressure');
+  
+  const current = {
+    temperature: temperature,
+    temperature_max: pickNASAValue(readNASAValue(params.T2M_MAX[currentDateStr]), getRealisticMaxTemperature(lat, climateClass, sim), provenance, 'temperature_max'),
+    temperature_min: pickNASAValue(readNASAValue(params.T2M_MIN[currentDateStr]), getRealisticMinTemperature(lat, climateClass, sim), provenance, 'temperature_min'),
+    humidity: humidity,
+    wind_speed: windSpeed,
+    wind_speed_50m: pickNASAValue(readNASAValue(params.WS50M[currentDateStr]), windSpeed * 1.2, provenance, 'wind_speed_50m'),
+    precipitation: precipitation,
+    pressure: pressure,
+    solar_radiation: pickNASAValue(readNASAValue(params.ALLSKY_SFC_SW_DWN[currentDateStr]), null, provenance, 'solar_radiation'),
+    cloud_cover: pickNASAValue(readNASAValue(params.CLOUD_AMT[currentDateStr]), getRealisticCloudCover(climateClass, sim), provenance, 'cloud_cover'),
+    conditions: getNASA_ConditionsFromPOWER(params, currentDateStr, climateClass, sim),
+    weather_code: getNASA_WeatherCodeFromPOWER(params, currentDateStr),
+    feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed),
+    data_quality: "NASA Satellite & Model Data",
+    measurement_height: "2m above surface",
+    provenance
+  };
+
+  // The forecast projects today's daily means over the grid cell's daily history (plain persistence
+  // without it). It is built before the hourly override, so it never starts from a days-old single hour
+  let history = null;
+  try {
+    history = await loadHistory(lat, lon, { budget });
+  } catch (historyErr) {
+    logger.warn(`NASA POWER history unavailable, forecasting by persistence: ${historyErr.message}`);
+  }
+  const forecast = buildForecast({ current, history, days, climateClass, startDate: now });
+
+  // Instantaneous fields come from the latest valid hour rather than the daily mean when available
+  if (latestHour) {
+    Object.entries(latestHour.values).forEach(([field, value]) => {
+      if (value === null) return;
+      current[field] = value;
+      current.provenance[field] = PROVENANCE.OBSERVED;
+    });
+    current.feels_like = calculateNASA_FeelsLike(current.temperature, current.humidity, current.wind_speed);
+    current.observed_at = latestHour.observed_at;
+    current.data_quality = "NASA POWER Hourly (Latest Valid Hour)";
+  }
+
+  return { current, forecast, grid_elevation: gridElevation };
+}
+
+function getNASA_ConditionsFromPOWER(params, dateStr, climateClass = null, sim = {}) {
+  const rawCloudCover = readNASAValue(params.CLOUD_AMT[dateStr]);
+  const rawPrecipitation = readNASAValue(params.PRECTOTCORR[dateStr]);
+  
+  const cloudCover = getValidNASAValue(rawCloudCover, getRealisticCloudCover(climateClass, sim));
+  const precipitation = getValidNASAValue(rawPrecipitation, getRealisticPrecipitation(climateClass, sim));
+  
+  if (precipitation > 10) return "Heavy Rain";
+  if (precipitation > 5) return "Rain";
+  if (precipitation > 2) return "Light Rain";
+  if (precipitation > 0) return "Drizzle";
+  if (cloudCover > 80) return "Overcast";
+  if (cloudCover > 50) return "Partly Cloudy";
+  if (cloudCover > 20) return "Mostly Clear";
+  
+  // Default for arid climates is usually clear
+  return isAridClass(climateClass) ? "Clear and Dry" : "Clear Sky";
+}
+
+function getNASA_WeatherCodeFromPOWER(params, dateStr) {
+  const rawPrecipitation = readNASAValue(params.PRECTOTCORR[dateStr]);
+  const rawCloudCover = readNASAValue(params.CLOUD_AMT[dateStr]);
+  
+  const precipitation = getValidNASAValue(rawPrecipitation, 0);
+  const cloudCover = getValidNASAValue(rawCloudCover, 20);
+  
+  if (precipitation > 10) return "11";
+  if (precipitation > 5) return "10";
+  if (precipitation > 2) return "09";
+  if (precipitation > 0) return "09";
+  if (cloudCover > 80) return "04";
+  if (cloudCover > 50) return "03";
+  if (cloudCover > 20) return "02";
+  return "01";
+}
+
+export default {
+  name: "power",
+  label: "NASA POWER API",
+  mission: "NASA Prediction Of Worldwide Energy Resources",
+  priority: 10,
+  capabilities: { current: true, forecast: true },
+  pressureLevel: "surface",
+  probeUrl: NASA_APIS.POWER,
+  gridCell: getPowerGridCell,
+  cacheKey: ({ lat, lon, now = currentDate() }) => buildCacheKey("power", roundCoordinate(lat), roundCoordinate(lon), now.toISOString().split('T')[0], POWER_PARAMETERS),
+  fetch: fetchPOWER,
+  normalize: normalizePOWER
+};
@@ -0,0 +1,62 @@
+/**
+ * NASA Worldview Provider - Terra/MODIS Snapshot Check Backed By Climatology
+ *
+ * A reachable snapshot only tells us imagery exists for today, no values are read
+ * from it. Everything this provider returns is simulated climatology and is labelled so.
+ */
+import { generateNASA_ClimateForecast } from "../climate.js";
+import { markSimulated } from "../provenance.js";
+import { roundCoordinate, buildCacheKey } from "../../cache/index.js";
+import { NASA_APIS } from "../../config/nasaApis.js";
+import { fetchUpstream } from "../../http/index.js";
+import { currentDate } from "../clock.js";
+
+async function fetchWorldview({ lat, lon, now = currentDate(), budget }) {
+  const dateStr = now.toISOString().split('T')[0];
+  
+  const worldviewUrl = `${NASA_APIS.WORLDVIEW}?REQUEST=GetSnapshot&LAYERS=MODIS_Terra_CorrectedReflectance_TrueColor&CRS=EPSG:4326&TIME=${dateStr}&WRAP=DAY&BBOX=${lon-0.1},${lat-0.1},${lon+0.1},${lat+0.1}&FORMAT=image/jpeg&WIDTH=256&HEIGHT=256`;
+  
+  // Only reachability matters, the image itself is discarded
+  const response = await fetchUpstream(worldviewUrl, { label: "NASA Worldview", timeoutMs: 10000, budget });
+  await response.arrayBuffer();
+
+  return { date: dateStr };
+}
+
+function normalizeWorldview(snapshot, { lat, lon, climateClass = null, days = 7, now, random }) {
+  return generateNASA_FromSatellite(lat, lon, climateClass, snapshot.date, days, { now, random });
+}
+
+function generateNASA_FromSatellite(lat, lon, climateClass = null, imageryDate = null, days = 7, sim = {}) {
+  const forecast = generateNASA_ClimateForecast(lat, lon, climateClass, days, sim).map(markSimulated);
+  
+  const current = markSimulated({
+    temperature: forecast[0].temperature,
+    feels_like: forecast[0].feels_like,
+    humidity: forecast[0].humidity,
+    wind_speed: forecast[0].wind_speed,
+    pressure: forecast[0].pressure,
+    conditions: forecast[0].conditions,
+    weather_code: forecast[0].weather_code,
+    data_quality: "Climatology Estimate",
+    satellite_imagery: `Terra/MODIS true color available for ${imageryDate}`
+  });
+
+  return {
+    current,
+    forecast,
+    disclaimer: "Values are climatology estimates, the Worldview snapshot is not used to derive them"
+  };
+}
+
+export default {
+  name: "worldview",
+  label: "Climatology Estimate (NASA Worldview Imagery Check)",
+  mission: "Terra/MODIS",
+  priority: 30,
+  capabilities: { current: true, forecast: true, synthetic: true },
+  probeUrl: NASA_APIS.WORLDVIEW,
+  cacheKey: ({ lat, lon, now = currentDate() }) => buildCacheKey("worldview", roundCoordinate(lat, 1), roundCoordinate(lon, 1), now.toISOString().split('T')[0]),
+  fetch: fetchWorldview,
+  normalize: normalizeWorldview
+};
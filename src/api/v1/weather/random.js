@@ -0,0 +1,37 @@
+/**
+ * Random Numbers - Seeded Generators For The Simulated Values, Math.random Otherwise
+ *
+ * SIMULATION_SEED=42   (simulated values then depend only on the seed, the provider, the point and the date)
+ */
+
+// VARIABLES //
+const SIMULATION_SEED = process.env.SIMULATION_SEED || null;
+
+// FNV-1a, to turn any seed text into 32 bits
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for simulated weather; returns a Math.random-like function
+function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Generator for one simulation run: seeded from SIMULATION_SEED and `parts` when a seed is set
+function simulationRandom(...parts) {
+  return SIMULATION_SEED ? createRandom([SIMULATION_SEED, ...parts].join("|")) : Math.random;
+}
+
+export { SIMULATION_SEED, createRandom, simulationRandom };
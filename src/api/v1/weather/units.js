@@ -0,0 +1,249 @@
+/**
+ * Unit Systems - Metric, Imperial & Custom Conversions For Weather Responses
+ *
+ * Everything inside the API is metric (°C, m/s, mm, hPa); values are converted only
+ * when a response is built, and user thresholds are converted back before use.
+ */
+
+// VARIABLES //
+// Per quantity: unit name -> label, CSV header suffix, UDUNITS name, decimals, conversion from the metric value
+const QUANTITIES = {
+  temperature: {
+    celsius: { label: "°C", csv: "C", cf: "degC", decimals: null, fromMetric: v => v, toMetric: v => v },
+    fahrenheit: { label: "°F", csv: "F", cf: "degF", decimals: null, fromMetric: v => Math.round((v * 9 / 5 + 32) * 100) / 100, toMetric: v => (v - 32) * 5 / 9 }
+  },
+  wind_speed: {
+    ms: { label: "m/s", csv: "m/s", cf: "m s-1", decimals: 1, fromMetric: v => v, toMetric: v => v },
+    kmh: { label: "km/h", csv: "km/h", cf: "km h-1", decimals: 1, fromMetric: v => v * 3.6, toMetric: v => v / 3.6 },
+    mph: { label: "mph", csv: "mph", cf: "mile h-1", decimals: 1, fromMetric: v => v / 0.44704, toMetric: v => v * 0.44704 },
+    knots: { label: "kn", csv: "kn", cf: "knot", decimals: 1, fromMetric: v => v / 0.514444, toMetric: v => v * 0.514444 }
+  },
+  precipitation: {
+    mm: { label: "mm", csv: "mm", cf: "mm", decimals: 1, fromMetric: v => v, toMetric: v => v },
+    inch: { label: "in", csv: "in", cf: "in", decimals: 2, fromMetric: v => v / 25.4, toMetric: v => v * 25.4 }
+  },
+  pressure: {
+    hpa: { label: "hPa", csv: "hPa", cf: "hPa", decimals: 1, fromMetric: v => v, toMetric: v => v },
+    inhg: { label: "inHg", csv: "inHg", cf: "inch_Hg", decimals: 2, fromMetric: v => v / 33.8639, toMetric: v => v * 33.8639 }
+  },
+  // Temperature differences summed over days: scaled, never offset
+  degree_days: {
+    celsius: { label: "°C·d", csv: "Cd", cf: "degC d", decimals: 1, fromMetric: v => v, toMetric: v => v },
+    fahrenheit: { label: "°F·d", csv: "Fd", cf: "degF d", decimals: 1, fromMetric: v => v * 1.8, toMetric: v => v / 1.8 }
+  },
+  // Temperature differences between two heights: scaled, never offset
+  temperature_difference: {
+    celsius: { label: "°C", csv: "C", cf: "K", decimals: 2, fromMetric: v => v, toMetric: v => v },
+    fahrenheit: { label: "°F", csv: "F", cf: "degR", decimals: 2, fromMetric: v => v * 1.8, toMetric: v => v / 1.8 }
+  },
+  // Keyed by the precipitation unit it follows; `perThousand` labels lapse rates
+  elevation: {
+    mm: { label: "m", csv: "m", cf: "m", decimals: 1, perThousand: "km", fromMetric: v => v, toMetric: v => v },
+    inch: { label: "ft", csv: "ft", cf: "ft", decimals: 0, perThousand: "1000 ft", fromMetric: v => v / 0.3048, toMetric: v => v * 0.3048 }
+  }
+};
+
+// Quantities without a unit choice of their own follow another one
+const LINKED_QUANTITIES = {
+  degree_days: "temperature",
+  temperature_difference: "temperature",
+  elevation: "precipitation"
+};
+
+const UNIT_SYSTEMS = {
+  metric: { temperature: "celsius", wind_speed: "ms", precipitation: "mm", pressure: "hpa" },
+  imperial: { temperature: "fahrenheit", wind_speed: "mph", precipitation: "inch", pressure: "inhg" }
+};
+
+// Query parameter read for each quantity when units=custom
+const CUSTOM_PARAMETERS = {
+  temperature: "temperature_unit",
+  wind_speed: "wind_speed_unit",
+  precipitation: "precipitation_unit",
+  pressure: "pressure_unit"
+};
+
+// Response field -> quantity it measures
+const FIELD_QUANTITIES = {
+  temperature: "temperature",
+  temperature_max: "temperature",
+  temperature_min: "temperature",
+  max_temp: "temperature",
+  min_temp: "temperature",
+  feels_like: "temperature",
+  wind_speed: "wind_speed",
+  wind_speed_50m: "wind_speed",
+  precipitation: "precipitation",
+  pressure: "pressure",
+  et0: "precipitation",
+  et0_total: "precipitation",
+  precipitation_total: "precipitation",
+  water_balance: "precipitation",
+  water_balance_cumulative: "precipitation",
+  gdd: "degree_days",
+  gdd_cumulative: "degree_days",
+  gdd_total: "degree_days"
+};
+
+// Temperatures inside the thermal comfort block
+const COMFORT_FIELDS = ['feels_like', 'heat_index', 'wind_chill', 'apparent_temperature', 'wbgt'];
+
+// `thresholds` key -> quantity
+const THRESHOLD_QUANTITIES = {
+  temperature: "temperature",
+  precipitation: "precipitation",
+  windSpeed: "wind_speed"
+};
+
+// units=metric|imperial|custom (+ *_unit parameters for custom, metric for any left out); null when invalid
+function resolveUnits(query = {}) {
+  const name = String(query.units || "metric").toLowerCase();
+
+  if (UNIT_SYSTEMS[name]) {
+    return { name, selected: { ...UNIT_SYSTEMS[name] } };
+  }
+
+  if (name !== "custom") return null;
+
+  const selected = {};
+  for (const [quantity, parameter] of Object.entries(CUSTOM_PARAMETERS)) {
+    const unit = String(query[parameter] || UNIT_SYSTEMS.metric[quantity]).toLowerCase();
+    if (!QUANTITIES[quantity][unit]) return null;
+    selected[quantity] = unit;
+  }
+  return { name, selected };
+}
+
+function getUnit(quantity, unitSystem) {
+  return QUANTITIES[quantity][unitSystem.selected[quantity] || unitSystem.selected[LINKED_QUANTITIES[quantity]]];
+}
+
+function fromMetric(quantity, value, unitSystem) {
+  if (value === null || value === undefined || typeof value !== "number") return value;
+  return getUnit(quantity, unitSystem).fromMetric(value);
+}
+
+function toMetric(quantity, value, unitSystem) {
+  if (value === null || value === undefined || typeof value !== "number") return value;
+  return getUnit(quantity, unitSystem).toMetric(value);
+}
+
+function convertRecord(record, unitSystem) {
+  if (!record) return record;
+  const converted = { ...record };
+  Object.entries(FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    if (converted[field] !== undefined) converted[field] = fromMetric(quantity, converted[field], unitSystem);
+  });
+  if (converted.comfort) {
+    converted.comfort = { ...converted.comfort };
+    COMFORT_FIELDS.forEach((field) => {
+      converted.comfort[field] = fromMetric("temperature", converted.comfort[field], unitSystem);
+    });
+  }
+  return converted;
+}
+
+// The `elevation` block (see elevation.js) out of metric; the lapse rate is per km or per 1000 ft
+function convertElevation(elevation, unitSystem) {
+  if (!elevation) return elevation;
+  const round = (quantity, value) => {
+    if (typeof value !== "number") return value;
+    const decimals = getDecimals(quantity, unitSystem);
+    return Math.round(fromMetric(quantity, value, unitSystem) * 10 ** decimals) / 10 ** decimals;
+  };
+  const perThousand = fromMetric("elevation", 1000, unitSystem) / 1000;
+  return {
+    ...elevation,
+    point: round("elevation", elevation.point),
+    grid_cell: round("elevation", elevation.grid_cell),
+    lapse_rate: Math.round(fromMetric("temperature_difference", elevation.lapse_rate, unitSystem) / perThousand * 100) / 100,
+    temperature_offset: round("temperature_difference", elevation.temperature_offset)
+  };
+}
+
+// Convert current, every forecast day and the elevation block out of metric
+function convertWeatherData(weatherData, unitSystem) {
+  return {
+    ...weatherData,
+    current: convertRecord(weatherData.current, unitSystem),
+    forecast: (weatherData.forecast || []).map(day => convertRecord(day, unitSystem)),
+    ...(weatherData.elevation && { elevation: convertElevation(weatherData.elevation, unitSystem) })
+  };
+}
+
+// User thresholds are given in the requested units, probabilities are computed in metric
+function thresholdsToMetric(thresholds, unitSystem) {
+  const converted = { ...thresholds };
+  Object.entries(THRESHOLD_QUANTITIES).forEach(([key, quantity]) => {
+    if (converted[key] !== undefined) converted[key] = toMetric(quantity, Number(converted[key]), unitSystem);
+  });
+  return converted;
+}
+
+// Round every converted field to the decimals of its unit (quantities without fixed decimals are left as they are)
+function roundRecord(record, unitSystem) {
+  if (!record) return record;
+  const rounded = { ...record };
+  Object.entries(FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    const decimals = getDecimals(quantity, unitSystem);
+    if (typeof rounded[field] === "number" && decimals !== null) {
+      rounded[field] = Math.round(rounded[field] * 10 ** decimals) / 10 ** decimals;
+    }
+  });
+  return rounded;
+}
+
+// Decimal places a rounded field should keep in the selected unit
+function getDecimals(quantity, unitSystem) {
+  return getUnit(quantity, unitSystem).decimals;
+}
+
+function getCsvLabel(quantity, unitSystem) {
+  return getUnit(quantity, unitSystem).csv;
+}
+
+// UDUNITS spelling for NetCDF `units` attributes
+function getCfUnits(quantity, unitSystem) {
+  return getUnit(quantity, unitSystem).cf;
+}
+
+function getUnitLabel(quantity, unitSystem) {
+  return getUnit(quantity, unitSystem).label;
+}
+
+// The `units` block of a response; `perHour` labels precipitation as a rate, `elevation` adds the
+// labels of the elevation block
+function describeUnits(unitSystem, { perHour = false, elevation = false } = {}) {
+  const length = getUnit("elevation", unitSystem);
+  return {
+    system: unitSystem.name,
+    temperature: getUnit("temperature", unitSystem).label,
+    humidity: "%",
+    wind_speed: getUnit("wind_speed", unitSystem).label,
+    precipitation: `${getUnit("precipitation", unitSystem).label}${perHour ? "/h" : ""}`,
+    pressure: getUnit("pressure", unitSystem).label,
+    ...(elevation && {
+      elevation: length.label,
+      lapse_rate: `${getUnit("temperature_difference", unitSystem).label}/${length.perThousand}`
+    })
+  };
+}
+
+export {
+  QUANTITIES,
+  UNIT_SYSTEMS,
+  CUSTOM_PARAMETERS,
+  THRESHOLD_QUANTITIES,
+  resolveUnits,
+  fromMetric,
+  toMetric,
+  convertRecord,
+  roundRecord,
+  convertWeatherData,
+  thresholdsToMetric,
+  getDecimals,
+  getCsvLabel,
+  getCfUnits,
+  getUnitLabel,
+  describeUnits
+};
@@ -1,38 +1,42 @@
 /**
- * Weather Forecast Endpoint with Real NASA Data Sources - Fixed Desert Temperatures
+ * Weather Forecast Endpoint with Real NASA Data Sources - Köppen-Aware Climate Defaults
  */
 import express from "express";
-import fs from "fs";
-import path from "path";
-import chalk from "chalk";
+import { HISTORY_WINDOW_DAYS, loadHistory, calculateExceedanceProbability, iterateDailyRange } from "./history.js";
+import { classifyClimate, isDesertClass, describeClimateClass } from "./koppen.js";
+import { fetchPowerHourly, toHourlySeries } from "./hourly.js";
+import { AGRO_PARAMETERS, AGRO_METHODS, CHILL_RANGE, createAgroAccumulator } from "./agro.js";
+import { fetchWeather } from "./providers/index.js";
+import { applyElevation } from "./elevation.js";
+import { BATCH_CONCURRENCY, mapWithConcurrency, createCellSharedFetch } from "./batch.js";
+import { applyCacheHeaders } from "../cache/index.js";
+import { reverseGeocode } from "../geocoding/index.js";
+import { hasObservedField, summarizeProvenance, stripUnobserved, resolveStrictMode } from "./provenance.js";
+import { fromMetric, convertRecord, roundRecord, convertWeatherData, thresholdsToMetric, getDecimals, getUnitLabel, describeUnits } from "./units.js";
+import { localizeWeatherData } from "../i18n/index.js";
+import { buildError, sendError, logError } from "../errors/index.js";
+import { requireScope } from "../access/index.js";
+import { validate, validateSchema, parseJsonBody } from "../validation/index.js";
+import { WEATHER_QUERY, BATCH_BODY, BATCH_POINT, DOWNLOAD_QUERY, AGRO_QUERY, HOURLY_QUERY } from "../validation/schemas.js";
+import {
+  describeVariables,
+  forecastRows,
+  rangeRows,
+  primeRows,
+  renderExport,
+  streamExport
+} from "./export/index.js";
+import { logger } from "../logging/index.js";
+import { createBudget } from "../http/index.js";
+import { currentDate } from "./clock.js";
 
 const rt = express.Router();
-const ERR = JSON.parse(
-  fs.readFileSync(path.resolve("./src/api/v1/config/ErrorType.json"), "utf-8")
-);
-
-// NASA Data APIs
-const NASA_APIS = {
-  POWER: "https://power.larc.nasa.gov/api/temporal/daily/point",
-  WORLDVIEW: "https://wvs.earthdata.nasa.gov/api/v1/snapshot",
-  GIBS: "https://gibs.earthdata.nasa.gov/wms/epsg4326/best/wms.cgi",
-  GMAO: "https://gmao.gsfc.nasa.gov/cgi-bin/weather_api/forecast_plot.py"
-};
-
-// Helper function to check if value is valid (NASA POWER uses -999 for missing data)
-function isValidNASAValue(value) {
-  return value !== undefined && value !== null && value !== -999 && value > -900;
-}
-
-// Helper function to get valid NASA value or default
-function getValidNASAValue(value, defaultValue = 0) {
-  return isValidNASAValue(value) ? value : defaultValue;
-}
 
-// Helper function to format values to 1 decimal place
-function formatToOneDecimal(value) {
+// Helper function to format values to a number of decimal places (1 by default)
+function formatToDecimals(value, decimals = 1) {
   if (value === null || value === undefined) return value;
-  return Math.round(value * 10) / 10;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
 }
 
 // Helper function to format percentage values
@@ -41,33 +45,47 @@ function formatPercentage(value) {
   return `${Math.round(value)}%`;
 }
 
-// Helper function to format all weather data
-function formatWeatherData(weatherObj) {
+// Helper function to round the temperatures of a thermal comfort block
+function formatComfort(comfort) {
+  if (!comfort) return comfort;
+  const formatted = { ...comfort };
+  ['feels_like', 'heat_index', 'wind_chill', 'apparent_temperature', 'wbgt'].forEach((field) => {
+    formatted[field] = formatToDecimals(formatted[field]);
+  });
+  return formatted;
+}
+
+// Helper function to format all weather data (precision follows the selected units)
+function formatWeatherData(weatherObj, unitSystem) {
   if (!weatherObj) return weatherObj;
   
   const formatted = { ...weatherObj };
+  const windDecimals = getDecimals('wind_speed', unitSystem);
+  const precipitationDecimals = getDecimals('precipitation', unitSystem);
+  const pressureDecimals = getDecimals('pressure', unitSystem);
   
   // Format current weather data - REMOVED TEMPERATURE FORMATTING
   if (formatted.current) {
     formatted.current.humidity = formatPercentage(formatted.current.humidity);
     // Temperature values now keep their original precision
-    // formatted.current.temperature = formatToOneDecimal(formatted.current.temperature);
-    // formatted.current.temperature_max = formatToOneDecimal(formatted.current.temperature_max);
-    // formatted.current.temperature_min = formatToOneDecimal(formatted.current.temperature_min);
+    // formatted.current.temperature = formatToDecimals(formatted.current.temperature);
+    // formatted.current.temperature_max = formatToDecimals(formatted.current.temperature_max);
+    // formatted.current.temperature_min = formatToDecimals(formatted.current.temperature_min);
     
-    formatted.current.wind_speed = formatToOneDecimal(formatted.current.wind_speed);
+    formatted.current.wind_speed = formatToDecimals(formatted.current.wind_speed, windDecimals);
     if (formatted.current.wind_speed_50m !== undefined) {
-      formatted.current.wind_speed_50m = formatToOneDecimal(formatted.current.wind_speed_50m);
+      formatted.current.wind_speed_50m = formatToDecimals(formatted.current.wind_speed_50m, windDecimals);
     }
-    formatted.current.precipitation = formatToOneDecimal(formatted.current.precipitation);
-    formatted.current.pressure = formatToOneDecimal(formatted.current.pressure);
+    formatted.current.precipitation = formatToDecimals(formatted.current.precipitation, precipitationDecimals);
+    formatted.current.pressure = formatToDecimals(formatted.current.pressure, pressureDecimals);
     if (formatted.current.solar_radiation !== undefined) {
-      formatted.current.solar_radiation = formatToOneDecimal(formatted.current.solar_radiation);
+      formatted.current.solar_radiation = formatToDecimals(formatted.current.solar_radiation);
     }
     if (formatted.current.cloud_cover !== undefined) {
       formatted.current.cloud_cover = formatPercentage(formatted.current.cloud_cover);
     }
-    formatted.current.feels_like = formatToOneDecimal(formatted.current.feels_like);
+    formatted.current.feels_like = formatToDecimals(formatted.current.feels_like);
+    formatted.current.comfort = formatComfort(formatted.current.comfort);
   }
   
   // Format forecast data - REMOVED TEMPERATURE FORMATTING
@@ -75,834 +93,418 @@ function formatWeatherData(weatherObj) {
     formatted.forecast = formatted.forecast.map(day => ({
       ...day,
       // Temperature values now keep their original precision
-      // temperature: formatToOneDecimal(day.temperature),
-      // max_temp: formatToOneDecimal(day.max_temp),
-      // min_temp: formatToOneDecimal(day.min_temp),
+      // temperature: formatToDecimals(day.temperature),
+      // max_temp: formatToDecimals(day.max_temp),
+      // min_temp: formatToDecimals(day.min_temp),
       
-      precipitation: formatToOneDecimal(day.precipitation),
-      wind_speed: formatToOneDecimal(day.wind_speed),
+      precipitation: formatToDecimals(day.precipitation, precipitationDecimals),
+      wind_speed: formatToDecimals(day.wind_speed, windDecimals),
       humidity: formatPercentage(day.humidity),
-      pressure: formatToOneDecimal(day.pressure),
-      feels_like: formatToOneDecimal(day.feels_like)
+      pressure: formatToDecimals(day.pressure, pressureDecimals),
+      feels_like: formatToDecimals(day.feels_like),
+      comfort: formatComfort(day.comfort)
     }));
   }
   
   return formatted;
 }
 
-// Probability calculation functions
-function calculateTemperatureProbability(temperature, threshold, historicalData) {
-  if (!historicalData || historicalData.length === 0) return 50;
-  
-  const daysAboveThreshold = historicalData.filter(temp => temp > threshold).length;
-  return Math.round((daysAboveThreshold / historicalData.length) * 100);
+// Probability calculation functions (seasonal window over NASA POWER daily history)
+function calculateTemperatureProbability(threshold, history, targetDate) {
+  return calculateExceedanceProbability(history, 'temperature', threshold, targetDate);
 }
 
-function calculatePrecipitationProbability(precipitation, threshold, historicalData) {
-  if (!historicalData || historicalData.length === 0) return 20;
-  
-  const daysAboveThreshold = historicalData.filter(precip => precip > threshold).length;
-  return Math.round((daysAboveThreshold / historicalData.length) * 100);
+function calculatePrecipitationProbability(threshold, history, targetDate) {
+  return calculateExceedanceProbability(history, 'precipitation', threshold, targetDate);
 }
 
-function calculateWindProbability(windSpeed, threshold, historicalData) {
-  if (!historicalData || historicalData.length === 0) return 30;
-  
-  const daysAboveThreshold = historicalData.filter(wind => wind > threshold).length;
-  return Math.round((daysAboveThreshold / historicalData.length) * 100);
-}
-
-// Generate mock historical data for probability calculations
-function generateHistoricalData(lat, lon, isDesert, dataType, days = 365) {
-  const data = [];
-  const baseValues = {
-    temperature: getRealisticTemperature(lat, isDesert),
-    precipitation: getRealisticPrecipitation(isDesert),
-    wind: getRealisticWindSpeed(lat, isDesert),
-    humidity: getRealisticHumidity(lat, isDesert)
-  };
-
-  for (let i = 0; i < days; i++) {
-    const variation = (Math.random() - 0.5) * 2;
-    switch (dataType) {
-      case 'temperature':
-        data.push(baseValues.temperature + variation * 8);
-        break;
-      case 'precipitation':
-        const precip = Math.max(0, baseValues.precipitation + variation * 3);
-        data.push(precip);
-        break;
-      case 'wind':
-        const wind = Math.max(0, baseValues.wind + variation * 2);
-        data.push(wind);
-        break;
-      case 'humidity':
-        const humidity = Math.max(10, Math.min(100, baseValues.humidity + variation * 15));
-        data.push(humidity);
-        break;
-    }
-  }
-  return data;
+function calculateWindProbability(threshold, history, targetDate) {
+  return calculateExceedanceProbability(history, 'wind', threshold, targetDate);
 }
 
 // Calculate probabilities based on user thresholds
-function calculateProbabilities(weatherData, thresholds, historicalData) {
+function calculateProbabilities(thresholds, history, targetDate = currentDate()) {
   const probabilities = {};
-  
+  const sampleSize = {};
+  let yearsCovered = null;
+
+  const record = (key, variable, result) => {
+    probabilities[key] = result.probability;
+    sampleSize[variable] = result.sample_size;
+    yearsCovered = yearsCovered || result.years_covered;
+  };
+
   if (thresholds.temperature !== undefined) {
-    const tempHistorical = historicalData?.temperature || generateHistoricalData(
-      weatherData.lat, weatherData.lon, weatherData.isDesert, 'temperature'
-    );
-    probabilities.temperature_above = calculateTemperatureProbability(
-      weatherData.current.temperature, 
-      thresholds.temperature, 
-      tempHistorical
-    );
+    record('temperature_above', 'temperature', calculateTemperatureProbability(thresholds.temperature, history, targetDate));
   }
-  
+
   if (thresholds.precipitation !== undefined) {
-    const precipHistorical = historicalData?.precipitation || generateHistoricalData(
-      weatherData.lat, weatherData.lon, weatherData.isDesert, 'precipitation'
-    );
-    probabilities.precipitation_above = calculatePrecipitationProbability(
-      weatherData.current.precipitation, 
-      thresholds.precipitation, 
-      precipHistorical
-    );
+    record('precipitation_above', 'precipitation', calculatePrecipitationProbability(thresholds.precipitation, history, targetDate));
   }
-  
+
   if (thresholds.windSpeed !== undefined) {
-    const windHistorical = historicalData?.wind || generateHistoricalData(
-      weatherData.lat, weatherData.lon, weatherData.isDesert, 'wind'
-    );
-    probabilities.windspeed_above = calculateWindProbability(
-      weatherData.current.wind_speed, 
-      thresholds.windSpeed, 
-      windHistorical
-    );
+    record('windspeed_above', 'wind', calculateWindProbability(thresholds.windSpeed, history, targetDate));
   }
 
-  return probabilities;
-}
-
-// Helper function to convert weather data to CSV
-function convertToCSV(weatherData) {
-  const headers = ['Date', 'Temperature_C', 'Max_Temp_C', 'Min_Temp_C', 'Precipitation_mm', 'Wind_Speed_m/s', 'Humidity_%', 'Pressure_hPa', 'Conditions'];
-  
-  const rows = weatherData.forecast.map(day => [
-    day.date,
-    day.temperature || '',
-    day.max_temp || '',
-    day.min_temp || '',
-    day.precipitation || '',
-    day.wind_speed || '',
-    typeof day.humidity === 'string' ? day.humidity.replace('%', '') : day.humidity || '',
-    day.pressure || '',
-    day.conditions || ''
-  ]);
-
-  const csvContent = [headers, ...rows].map(row => row.join(',')).join('\n');
-  return csvContent;
-}
+  const basis = {
+    source: history ? "NASA POWER Daily History" : "Unavailable",
+    grid_cell: history ? { lat: history.cell.lat, lon: history.cell.lon } : null,
+    target_date: targetDate.toISOString().split('T')[0],
+    window_days: HISTORY_WINDOW_DAYS,
+    sample_size: sampleSize,
+    years_covered: yearsCovered
+  };
 
-// Major desert regions coordinates (lat, lon bounds)
-const DESERT_REGIONS = [
-  // Sahara Desert
-  { name: "Sahara", latMin: 15, latMax: 30, lonMin: -20, lonMax: 50 },
-  // Arabian Desert
-  { name: "Arabian", latMin: 15, latMax: 30, lonMin: 35, lonMax: 60 },
-  // Gobi Desert
-  { name: "Gobi", latMin: 35, latMax: 50, lonMin: 85, lonMax: 120 },
-  // Australian Deserts
-  { name: "Australian", latMin: -30, latMax: -20, lonMin: 120, lonMax: 150 },
-  // Mojave/Sonoran Deserts
-  { name: "North American", latMin: 25, latMax: 40, lonMin: -120, lonMax: -100 },
-  // Kalahari Desert
-  { name: "Kalahari", latMin: -25, latMax: -15, lonMin: 15, lonMax: 25 },
-  // Thar Desert (India/Pakistan)
-  { name: "Thar", latMin: 20, latMax: 30, lonMin: 65, lonMax: 75 },
-  // Syrian Desert
-  { name: "Syrian", latMin: 30, latMax: 35, lonMin: 35, lonMax: 45 }
-];
-
-// Check if location is in a desert region
-function isDesertRegion(lat, lon) {
-  return DESERT_REGIONS.some(desert => 
-    lat >= desert.latMin && lat <= desert.latMax && 
-    lon >= desert.lonMin && lon <= desert.lonMax
-  );
+  return { probabilities, basis };
 }
 
-rt.get("/", async (req, res) => {
-  const { lat, lon, thresholds } = req.query;
+// Build the /weather response for one validated point; `loadWeather` lets the batch endpoint
+// share one provider fetch between points in the same POWER grid cell
+async function buildWeatherResponse({ lat, lon, userThresholds }, { strictMode, days, unitSystem, language, requestId }, loadWeather = fetchWeather) {
+  // One upstream budget for the classification, the provider chain and the threshold history
+  const budget = createBudget();
 
-  if (!lat || !lon) {
-    const { HTTP_ERR_CODE, ERR_MESSAGE } = ERR.QUERY_MISSING_ERR;
-    res.status(HTTP_ERR_CODE).json({ HTTP_ERR_CODE, ERR_MESSAGE });
-    console.log(
-      chalk.red(
-        `[-] Weather Forecast Endpoint: HTTP_Code: ${HTTP_ERR_CODE}, ERR_MSG: ${ERR_MESSAGE}`
-      )
-    );
-    return;
+  // Classify the location's climate; simulated defaults and derived values depend on it
+  const climate = await classifyClimate(lat, lon, { budget });
+  const climateClass = climate ? climate.code : null;
+  if (climate) {
+    logger.info(`Location classified as ${describeClimateClass(climateClass)}`);
   }
 
-  try {
-    console.log(chalk.blue(`[~] Fetching NASA data for lat: ${lat}, lon: ${lon}`));
-    
-    const validatedLat = validateCoordinate(parseFloat(lat), 'lat');
-    const validatedLon = validateCoordinate(parseFloat(lon), 'lon');
-    
-    if (!validatedLat || !validatedLon) {
-      throw new Error('Invalid coordinates provided');
-    }
+  const fetched = await loadWeather({ lat, lon, climateClass, days, budget }, { strict: strictMode });
+  const { provider, attempts } = fetched;
+  // Corrected for this point's elevation, the fetch may be shared with other points of the cell
+  const located = applyElevation(fetched.weatherData, { lat, lon, provider });
+  const weatherData = strictMode && located ? stripUnobserved(located) : located;
 
-    // Check if location is in desert region
-    const isDesert = isDesertRegion(validatedLat, validatedLon);
-    if (isDesert) {
-      console.log(chalk.yellow(`[~] Location identified as desert region`));
-    }
+  if (!weatherData || (strictMode && !hasObservedField(weatherData.current))) {
+    return { error: buildObservedDataUnavailable(strictMode, attempts, requestId) };
+  }
 
-    // Parse user thresholds
-    let userThresholds = {};
-    if (thresholds) {
-      try {
-        userThresholds = JSON.parse(thresholds);
-      } catch (e) {
-        console.log(chalk.yellow(`[~] Invalid thresholds format: ${e.message}`));
-      }
+  // Convert to the requested units and language, then add location info
+  const presentedData = localizeWeatherData(convertWeatherData(weatherData, unitSystem), language);
+  presentedData.lat = lat;
+  presentedData.lon = lon;
+  presentedData.isDesert = isDesertClass(climateClass);
+
+  // Format all the data before sending response
+  const formattedData = formatWeatherData(presentedData, unitSystem);
+
+  // Add probability calculations if user thresholds are provided
+  if (Object.keys(userThresholds).length > 0) {
+    let history = null;
+    try {
+      history = await loadHistory(lat, lon, { budget });
+    } catch (historyErr) {
+      logger.warn(`NASA POWER history unavailable: ${historyErr.message}`);
     }
+    const { probabilities, basis } = calculateProbabilities(thresholdsToMetric(userThresholds, unitSystem), history);
+    formattedData.probabilities = probabilities;
+    formattedData.probability_basis = basis;
+  }
 
-    let weatherData = null;
-    
-    console.log(chalk.blue(`[~] Trying NASA POWER API`));
-    weatherData = await tryNASA_POWER(validatedLat, validatedLon, isDesert);
-    
-    if (!weatherData) {
-      console.log(chalk.blue(`[~] Trying NASA GMAO Forecast API`));
-      weatherData = await tryNASA_GMAO(validatedLat, validatedLon, isDesert);
-    }
-    
-    if (!weatherData) {
-      console.log(chalk.blue(`[~] Trying NASA Worldview Satellite Data`));
-      weatherData = await tryNASA_Worldview(validatedLat, validatedLon, isDesert);
-    }
-    
-    if (!weatherData) {
-      console.log(chalk.yellow(`[~] Using NASA Climate Model Simulation`));
-      weatherData = generateNASA_Model_Data(validatedLat, validatedLon, isDesert);
+  // Add location and metadata
+  const locationName = await getLocationName(lat, lon, { budget });
+  return {
+    data: {
+      ...formattedData,
+      location: locationName || `Lat: ${lat}, Lon: ${lon}`,
+      coordinates: { lat, lon },
+      data_source: provider.label,
+      nasa_mission: provider.mission,
+      provider_attempts: attempts,
+      data_provenance: summarizeProvenance(weatherData),
+      strict_mode: strictMode,
+      climate_class: climate,
+      climate_note: describeClimateClass(climateClass),
+      units: describeUnits(unitSystem, { elevation: true }),
+      lang: language,
+      user_thresholds: userThresholds,
+      timestamp: currentDate().toISOString()
     }
+  };
+}
 
-    // Add historical data for probability calculations
-    weatherData.historicalData = {
-      temperature: generateHistoricalData(validatedLat, validatedLon, isDesert, 'temperature'),
-      precipitation: generateHistoricalData(validatedLat, validatedLon, isDesert, 'precipitation'),
-      wind: generateHistoricalData(validatedLat, validatedLon, isDesert, 'wind'),
-      humidity: generateHistoricalData(validatedLat, validatedLon, isDesert, 'humidity')
-    };
+rt.get("/", requireScope("weather:read"), validate({ query: WEATHER_QUERY }), async (req, res) => {
+  const { lat, lon, thresholds, strict, days, units: unitSystem, lang: language } = req.validated.query;
 
-    // Add location info for probability calculations
-    weatherData.lat = validatedLat;
-    weatherData.lon = validatedLon;
-    weatherData.isDesert = isDesert;
+  try {
+    logger.info(`Fetching NASA data for lat: ${lat}, lon: ${lon}`);
 
-    // Format all the data before sending response
-    const formattedData = formatWeatherData(weatherData);
-    
-    // Add probability calculations if user thresholds are provided
-    if (Object.keys(userThresholds).length > 0) {
-      formattedData.probabilities = calculateProbabilities(formattedData, userThresholds, weatherData.historicalData);
-    }
+    const { data, error } = await buildWeatherResponse(
+      { lat, lon, userThresholds: thresholds },
+      { strictMode: resolveStrictMode(strict), days, unitSystem, language, requestId: res.locals.requestId }
+    );
 
-    // Add location and metadata
-    const locationName = await getLocationName(validatedLat, validatedLon);
-    const responseData = {
-      ...formattedData,
-      location: locationName || `Lat: ${validatedLat}, Lon: ${validatedLon}`,
-      coordinates: { lat: validatedLat, lon: validatedLon },
-      data_source: weatherData.data_source || "NASA Climate Simulation",
-      nasa_mission: weatherData.nasa_mission || "Global Modeling and Assimilation Office",
-      climate_note: isDesert ? "Desert Climate Region" : "Standard Climate Region",
-      units: {
-        temperature: "°C",
-        humidity: "%",
-        wind_speed: "m/s",
-        precipitation: "mm",
-        pressure: "hPa"
-      },
-      user_thresholds: userThresholds,
-      timestamp: new Date().toISOString()
-    };
+    if (error) {
+      sendObservedDataUnavailable(res, error);
+      return;
+    }
 
-    res.status(200).json(responseData);
-    console.log(chalk.green(`[+] Successfully fetched and formatted NASA data`));
+    applyCacheHeaders(res, "weather", data);
+    res.status(200).json(data);
+    logger.success(`Successfully fetched and formatted NASA data`);
     
   } catch (error) {
-    console.log(chalk.red(`[-] NASA data sources failed: ${error.message}`));
-    const isDesert = isDesertRegion(parseFloat(lat), parseFloat(lon));
-    const weatherData = generateNASA_Model_Data(parseFloat(lat), parseFloat(lon), isDesert);
-    const formattedData = formatWeatherData(weatherData);
-    res.status(200).json(formattedData);
+    sendError(res, "API_FETCH_FAILED", { reason: error.message });
   }
 });
 
-// New endpoint for data download
-rt.get("/download", async (req, res) => {
-  const { lat, lon, format = 'csv' } = req.query;
-
-  if (!lat || !lon) {
-    const { HTTP_ERR_CODE, ERR_MESSAGE } = ERR.QUERY_MISSING_ERR;
-    res.status(HTTP_ERR_CODE).json({ HTTP_ERR_CODE, ERR_MESSAGE });
+// Many points in one request: per-point results or errors, shared fetches per POWER grid cell
+rt.post("/batch", requireScope("weather:read"), parseJsonBody("256kb"), async (req, res) => {
+  // A bare array of points is accepted as shorthand for { points: [...] }
+  const body = Array.isArray(req.body) ? { points: req.body } : req.body;
+  const { values, details, code } = validateSchema(BATCH_BODY, body, "body");
+  if (code) {
+    sendError(res, code, { details });
     return;
   }
 
-  try {
-    const validatedLat = validateCoordinate(parseFloat(lat), 'lat');
-    const validatedLon = validateCoordinate(parseFloat(lon), 'lon');
-    
-    if (!validatedLat || !validatedLon) {
-      throw new Error('Invalid coordinates provided');
+  const { points, units: unitSystem, lang: language } = values;
+  const requestId = res.locals.requestId;
+  const options = { strictMode: resolveStrictMode(values.strict), days: values.days, unitSystem, language, requestId };
+  const sharedFetch = createCellSharedFetch(fetchWeather);
+  logger.info(`Batch weather request for ${points.length} points`);
+
+  const results = await mapWithConcurrency(points, BATCH_CONCURRENCY, async (point, index) => {
+    const id = point?.id ?? null;
+    const checked = validateSchema(BATCH_POINT, point, `body.points[${index}]`);
+
+    if (checked.code) {
+      const error = buildError(checked.code, { details: checked.details, requestId });
+      return { index, id, status: error.HTTP_ERR_CODE, error };
     }
 
-    const isDesert = isDesertRegion(validatedLat, validatedLon);
-    const weatherData = await tryNASA_POWER(validatedLat, validatedLon, isDesert) || 
-                       generateNASA_Model_Data(validatedLat, validatedLon, isDesert);
-
-    if (format === 'csv') {
-      const csvData = convertToCSV(weatherData);
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="nasa_weather_${validatedLat}_${validatedLon}.csv"`);
-      res.status(200).send(csvData);
-    } else if (format === 'json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="nasa_weather_${validatedLat}_${validatedLon}.json"`);
-      res.status(200).json(weatherData);
-    } else {
-      res.status(400).json({ error: 'Unsupported format. Use csv or json.' });
+    try {
+      const { lat, lon, thresholds } = checked.values;
+      const { data, error } = await buildWeatherResponse(
+        { lat, lon, userThresholds: thresholds },
+        options,
+        sharedFetch.load
+      );
+      return error
+        ? { index, id, status: error.HTTP_ERR_CODE, error }
+        : { index, id, status: 200, data };
+    } catch (error) {
+      const failure = buildError("API_FETCH_FAILED", { reason: error.message, requestId });
+      return { index, id, status: failure.HTTP_ERR_CODE, error: failure };
     }
+  });
 
-  } catch (error) {
-    console.log(chalk.red(`[-] Download failed: ${error.message}`));
-    res.status(500).json({ error: 'Download failed' });
-  }
+  const succeeded = results.filter(result => result.status === 200).length;
+  res.status(200).json({
+    results,
+    summary: {
+      requested: points.length,
+      succeeded,
+      failed: points.length - succeeded,
+      grid_cells: sharedFetch.cells(),
+      concurrency: BATCH_CONCURRENCY
+    },
+    timestamp: currentDate().toISOString()
+  });
+  logger.success(`Batch weather: ${succeeded}/${points.length} points over ${sharedFetch.cells()} grid cells`);
 });
 
-async function tryNASA_POWER(lat, lon, isDesert = false) {
-  try {
-    const currentDate = new Date();
-    const startDate = currentDate.toISOString().split('T')[0].replace(/-/g, '');
-    const endDate = startDate;
-    
-    const parameters = [
-      'T2M', 'T2M_MAX', 'T2M_MIN', 'RH2M', 'WS10M', 'WS50M', 
-      'PRECTOTCORR', 'PS', 'ALLSKY_SFC_SW_DWN', 'CLOUD_AMT'
-    ].join(',');
+// New endpoint for data download
+rt.get("/download", requireScope("download"), validate({ query: DOWNLOAD_QUERY }), async (req, res) => {
+  const {
+    lat: validatedLat,
+    lon: validatedLon,
+    format: exportFormat,
+    variables: variableNames,
+    range = null,
+    strict,
+    days,
+    units: unitSystem,
+    gdd,
+    lang: language
+  } = req.validated.query;
 
-    const powerUrl = `${NASA_APIS.POWER}?parameters=${parameters}&community=RE&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${startDate}&format=JSON`;
-    
-    console.log(chalk.blue(`[~] NASA POWER URL: ${powerUrl}`));
-    
-    const response = await fetch(powerUrl, { 
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'NASA-Weather-App/1.0',
-        'Accept': 'application/json'
+  try {
+    // One upstream budget for the classification and the provider chain; range streams run as long as they need
+    const budget = createBudget();
+    const climate = await classifyClimate(validatedLat, validatedLon, { budget });
+    const climateClass = climate ? climate.code : null;
+    const meta = {
+      lat: validatedLat,
+      lon: validatedLon,
+      variables: describeVariables(variableNames, unitSystem),
+      summary: {
+        coordinates: { lat: validatedLat, lon: validatedLon },
+        variables: variableNames,
+        units: describeUnits(unitSystem),
+        lang: language
       }
-    });
-    
-    if (!response.ok) {
-      console.log(chalk.yellow(`[~] NASA POWER HTTP error: ${response.status}`));
-      return null;
-    }
-    
-    const data = await response.json();
-    
-    if (!data.properties || !data.properties.parameter) {
-      console.log(chalk.yellow(`[~] NASA POWER invalid data structure`));
-      return null;
-    }
-
-    const params = data.properties.parameter;
-    const dates = Object.keys(params.T2M || {});
-    
-    if (dates.length === 0) {
-      console.log(chalk.yellow(`[~] NASA POWER no data available`));
-      return null;
-    }
-
-    const currentDateStr = dates[0];
-    
-    // Get values with NASA -999 validation
-    const rawTemperature = params.T2M[currentDateStr] ? parseFloat(params.T2M[currentDateStr]) : -999;
-    const rawHumidity = params.RH2M[currentDateStr] ? parseFloat(params.RH2M[currentDateStr]) : -999;
-    const rawWindSpeed = params.WS10M[currentDateStr] ? parseFloat(params.WS10M[currentDateStr]) : -999;
-    const rawPrecipitation = params.PRECTOTCORR[currentDateStr] ? parseFloat(params.PRECTOTCORR[currentDateStr]) : -999;
-    const rawPressure = params.PS[currentDateStr] ? parseFloat(params.PS[currentDateStr]) : -999;
-    
-    // Use valid values or realistic defaults based on location and desert status
-    const temperature = getValidNASAValue(rawTemperature, getRealisticTemperature(lat, isDesert));
-    const humidity = getValidNASAValue(rawHumidity, getRealisticHumidity(lat, isDesert));
-    const windSpeed = getValidNASAValue(rawWindSpeed, getRealisticWindSpeed(lat, isDesert));
-    const precipitation = getValidNASAValue(rawPrecipitation, getRealisticPrecipitation(isDesert));
-    const pressure = getValidNASAValue(rawPressure, getRealisticPressure(lat));
-    
-    const current = {
-      temperature: temperature,
-      temperature_max: getValidNASAValue(params.T2M_MAX[currentDateStr] ? parseFloat(params.T2M_MAX[currentDateStr]) : -999, getRealisticMaxTemperature(lat, isDesert)),
-      temperature_min: getValidNASAValue(params.T2M_MIN[currentDateStr] ? parseFloat(params.T2M_MIN[currentDateStr]) : -999, getRealisticMinTemperature(lat, isDesert)),
-      humidity: humidity,
-      wind_speed: windSpeed,
-      wind_speed_50m: getValidNASAValue(params.WS50M[currentDateStr] ? parseFloat(params.WS50M[currentDateStr]) : -999, windSpeed * 1.2),
-      precipitation: precipitation,
-      pressure: pressure,
-      solar_radiation: getValidNASAValue(params.ALLSKY_SFC_SW_DWN[currentDateStr] ? parseFloat(params.ALLSKY_SFC_SW_DWN[currentDateStr]) : -999, null),
-      cloud_cover: getValidNASAValue(params.CLOUD_AMT[currentDateStr] ? parseFloat(params.CLOUD_AMT[currentDateStr]) : -999, getRealisticCloudCover(isDesert)),
-      conditions: getNASA_ConditionsFromPOWER(params, currentDateStr, isDesert),
-      weather_code: getNASA_WeatherCodeFromPOWER(params, currentDateStr),
-      feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed, isDesert),
-      data_quality: "NASA Satellite & Model Data",
-      measurement_height: "2m above surface"
     };
 
-    const forecast = generateNASA_ForecastFromPOWER(current, lat, lon, isDesert);
-
-    return { current, forecast };
-    
-  } catch (error) {
-    console.log(chalk.yellow(`[~] NASA POWER failed: ${error.message}`));
-    return null;
-  }
-}
-
-// Realistic default values based on geographic location and desert status
-function getRealisticTemperature(lat, isDesert = false) {
-  const absLat = Math.abs(lat);
-  const month = new Date().getMonth();
-  const currentHour = new Date().getHours();
-  
-  if (isDesert) {
-    // Desert temperatures: Very hot in daytime, cooler at night
-    const baseTemp = absLat < 25 ? 35 : 30; // Hotter near equator
-    const seasonalVariation = Math.sin((month - 6) * Math.PI / 6) * 8;
-    const diurnalVariation = Math.sin((currentHour - 12) * Math.PI / 12) * 10;
-    return baseTemp + seasonalVariation + diurnalVariation;
-  } else {
-    // Non-desert temperatures
-    if (absLat < 15) return 28 + Math.sin((month - 6) * Math.PI / 6) * 2;
-    if (absLat < 35) return 22 + Math.sin((month - 6) * Math.PI / 6) * 6;
-    if (absLat < 55) return 15 + Math.sin((month - 6) * Math.PI / 6) * 10;
-    return 5 + Math.sin((month - 6) * Math.PI / 6) * 8;
-  }
-}
-
-function getRealisticMaxTemperature(lat, isDesert = false) {
-  const baseTemp = getRealisticTemperature(lat, isDesert);
-  if (isDesert) {
-    return baseTemp + 12 + Math.random() * 5; // Desert: Very hot peak temperatures
-  }
-  return baseTemp + 5 + Math.random() * 3; // Standard: +5-8°C
-}
-
-function getRealisticMinTemperature(lat, isDesert = false) {
-  const baseTemp = getRealisticTemperature(lat, isDesert);
-  if (isDesert) {
-    return baseTemp - 15 - Math.random() * 5; // Desert: Large diurnal variation, cold nights
-  }
-  return baseTemp - 3 - Math.random() * 2; // Standard: -3-5°C
-}
-
-function getRealisticHumidity(lat, isDesert = false) {
-  if (isDesert) {
-    return 20 + Math.random() * 25; // Desert: Very low humidity (20-45%)
-  }
-  
-  const absLat = Math.abs(lat);
-  if (absLat < 15) return 75 + Math.random() * 10;
-  if (absLat < 35) return 65 + Math.random() * 15;
-  return 60 + Math.random() * 20;
-}
-
-function getRealisticWindSpeed(lat, isDesert = false) {
-  if (isDesert) {
-    return 3.5 + Math.random() * 3; // Desert: Often windy, especially in sandstorms
-  }
-  
-  const absLat = Math.abs(lat);
-  if (absLat < 15) return 3.0 + Math.random() * 2;
-  if (absLat < 35) return 2.5 + Math.random() * 1.5;
-  return 2.0 + Math.random() * 1;
-}
-
-function getRealisticPrecipitation(isDesert = false) {
-  if (isDesert) {
-    return Math.random() < 0.03 ? Math.random() * 1 : 0; // Desert: Very rare, very light rain
-  }
-  return Math.random() < 0.3 ? Math.random() * 8 : 0;
-}
-
-function getRealisticCloudCover(isDesert = false) {
-  if (isDesert) {
-    return 5 + Math.random() * 20; // Desert: Mostly clear skies (5-25%)
-  }
-  return 30 + Math.random() * 50;
-}
+    // Date range: stream POWER daily history, one year per upstream request
+    if (range) {
+      const rows = await primeRows(rangeRows({
+        lat: validatedLat,
+        lon: validatedLon,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        names: variableNames,
+        unitSystem,
+        language,
+        climateClass,
+        gdd
+      }));
+      const startDay = range.startDate.toISOString().split('T')[0];
+      const endDay = range.endDate.toISOString().split('T')[0];
+
+      meta.count = range.days;
+      Object.assign(meta.summary, { start: startDay, end: endDay, data_source: "NASA POWER API (Daily)" });
+
+      applyCacheHeaders(res, "download");
+      res.setHeader('Content-Type', exportFormat.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="nasa_weather_${validatedLat}_${validatedLon}_${startDay}_${endDay}.${exportFormat.extension}"`);
+      res.status(200);
+      await streamExport(res, exportFormat, meta, rows);
+      logger.success(`Streamed ${range.days} days as ${exportFormat.name} for lat: ${validatedLat}, lon: ${validatedLon}`);
+      return;
+    }
 
-function getRealisticPressure(lat) {
-  const absLat = Math.abs(lat);
-  if (absLat < 15) return 1010 + Math.random() * 5;
-  if (absLat < 35) return 1013 + Math.random() * 5;
-  return 1015 + Math.random() * 5;
-}
+    const strictMode = resolveStrictMode(strict);
+    const fetched = await fetchWeather(
+      { lat: validatedLat, lon: validatedLon, climateClass, days, budget },
+      { requires: ['forecast'], strict: strictMode }
+    );
+    const { provider, attempts } = fetched;
+    const located = applyElevation(fetched.weatherData, { lat: validatedLat, lon: validatedLon, provider });
+    const weatherData = strictMode && located ? stripUnobserved(located) : located;
 
-async function tryNASA_GMAO(lat, lon, isDesert = false) {
-  try {
-    const gmaoUrl = `${NASA_APIS.GMAO}?lat=${lat}&lon=${lon}&type=json`;
-    
-    console.log(chalk.blue(`[~] NASA GMAO URL: ${gmaoUrl}`));
-    
-    const response = await fetch(gmaoUrl, { 
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'NASA-Weather-App/1.0'
-      }
-    });
-    
-    if (!response.ok) {
-      console.log(chalk.yellow(`[~] NASA GMAO HTTP error: ${response.status}`));
-      return null;
-    }
-    
-    const data = await response.json();
-    
-    if (data && data.forecast) {
-      return processGMAO_Data(data, lat, lon, isDesert);
+    if (!weatherData || (strictMode && !hasObservedField(weatherData.current))) {
+      sendObservedDataUnavailable(res, buildObservedDataUnavailable(strictMode, attempts, res.locals.requestId));
+      return;
     }
-    
-    return null;
-    
-  } catch (error) {
-    console.log(chalk.yellow(`[~] NASA GMAO failed: ${error.message}`));
-    return null;
-  }
-}
 
-function processGMAO_Data(gmaoData, lat, lon, isDesert = false) {
-  const forecast = [];
-  const currentDate = new Date();
+    const presentedData = localizeWeatherData(convertWeatherData(weatherData, unitSystem), language);
+    res.setHeader('Content-Disposition', `attachment; filename="nasa_weather_${validatedLat}_${validatedLon}.${exportFormat.extension}"`);
+
+    // JSON keeps the full forecast response shape it always had
+    if (exportFormat.name === 'json') {
+      const jsonData = {
+        ...presentedData,
+        units: describeUnits(unitSystem, { elevation: true }),
+        lang: language,
+        data_source: provider.label,
+        provider_attempts: attempts,
+        data_provenance: summarizeProvenance(weatherData),
+        strict_mode: strictMode
+      };
+      applyCacheHeaders(res, "download", jsonData);
+      res.status(200).json(jsonData);
+      return;
+    }
 
-  gmaoData.forecast.forEach((day, index) => {
-    const date = new Date(currentDate);
-    date.setDate(currentDate.getDate() + index);
-    
-    const temperature = getValidNASAValue(day.temperature ? parseFloat(day.temperature) : -999, getRealisticTemperature(lat, isDesert));
-    const humidity = getValidNASAValue(day.humidity ? parseFloat(day.humidity) : -999, getRealisticHumidity(lat, isDesert));
-    const windSpeed = getValidNASAValue(day.wind_speed ? parseFloat(day.wind_speed) : -999, getRealisticWindSpeed(lat, isDesert));
-    const precipitation = getValidNASAValue(day.precipitation ? parseFloat(day.precipitation) : -999, getRealisticPrecipitation(isDesert));
-    const pressure = getValidNASAValue(day.pressure ? parseFloat(day.pressure) : -999, getRealisticPressure(lat));
-    
-    forecast.push({
-      date: date.toISOString().split('T')[0],
-      temperature: temperature,
-      max_temp: getValidNASAValue(day.temp_max ? parseFloat(day.temp_max) : -999, getRealisticMaxTemperature(lat, isDesert)),
-      min_temp: getValidNASAValue(day.temp_min ? parseFloat(day.temp_min) : -999, getRealisticMinTemperature(lat, isDesert)),
-      precipitation: precipitation,
-      wind_speed: windSpeed,
-      humidity: humidity,
-      pressure: pressure,
-      weather_code: getNASA_WeatherCode(precipitation, humidity),
-      conditions: getNASA_WeatherCondition(precipitation, humidity, isDesert),
-      feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed, isDesert)
+    meta.count = presentedData.forecast.length;
+    Object.assign(meta.summary, {
+      data_source: provider.label,
+      data_provenance: summarizeProvenance(weatherData),
+      strict_mode: strictMode
     });
-  });
-
-  const current = forecast[0] ? {
-    temperature: forecast[0].temperature,
-    feels_like: forecast[0].feels_like,
-    humidity: forecast[0].humidity,
-    wind_speed: forecast[0].wind_speed,
-    pressure: forecast[0].pressure,
-    conditions: forecast[0].conditions,
-    weather_code: forecast[0].weather_code,
-    data_quality: "NASA GEOS Forecast Model",
-    model_resolution: "0.25° grid spacing"
-  } : generateNASA_Current(lat, lon, isDesert);
-
-  return { current, forecast };
-}
+    const body = await renderExport(exportFormat, meta, forecastRows(presentedData.forecast, variableNames));
+    applyCacheHeaders(res, "download", body.toString("base64"));
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.status(200).send(body);
 
-async function tryNASA_Worldview(lat, lon, isDesert = false) {
-  try {
-    const currentDate = new Date();
-    const dateStr = currentDate.toISOString().split('T')[0];
-    
-    const worldviewUrl = `${NASA_APIS.WORLDVIEW}?REQUEST=GetSnapshot&LAYERS=MODIS_Terra_CorrectedReflectance_TrueColor&CRS=EPSG:4326&TIME=${dateStr}&WRAP=DAY&BBOX=${lon-0.1},${lat-0.1},${lon+0.1},${lat+0.1}&FORMAT=image/jpeg&WIDTH=256&HEIGHT=256`;
-    
-    const response = await fetch(worldviewUrl, { timeout: 10000 });
-    
-    if (response.ok) {
-      const satelliteData = generateNASA_FromSatellite(lat, lon, isDesert);
-      return satelliteData;
-    }
-    
-    return null;
-    
   } catch (error) {
-    console.log(chalk.yellow(`[~] NASA Worldview failed: ${error.message}`));
-    return null;
+    logger.error(`Download failed: ${error.message}`);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    sendError(res, "API_FETCH_FAILED", { reason: error.message });
   }
-}
-
-function generateNASA_FromSatellite(lat, lon, isDesert = false) {
-  const forecast = generateNASA_ClimateForecast(lat, lon, isDesert);
-  
-  const current = {
-    temperature: forecast[0].temperature,
-    feels_like: forecast[0].feels_like,
-    humidity: forecast[0].humidity,
-    wind_speed: forecast[0].wind_speed,
-    pressure: forecast[0].pressure,
-    conditions: forecast[0].conditions,
-    weather_code: forecast[0].weather_code,
-    data_quality: "NASA Satellite Derived",
-    satellite: "Terra/MODIS",
-    resolution: "250m resolution"
-  };
-
-  return { current, forecast };
-}
-
-function generateNASA_Model_Data(lat, lon, isDesert = false) {
-  const forecast = generateNASA_ClimateForecast(lat, lon, isDesert);
-  
-  const current = {
-    temperature: forecast[0].temperature,
-    feels_like: forecast[0].feels_like,
-    humidity: forecast[0].humidity,
-    wind_speed: forecast[0].wind_speed,
-    pressure: forecast[0].pressure,
-    conditions: forecast[0].conditions,
-    weather_code: forecast[0].weather_code,
-    data_quality: "NASA Climate Model Simulation",
-    model: "GEOS-5 Atmospheric Model",
-    simulation_type: "Numerical Weather Prediction"
-  };
+});
 
-  const locationName = getLocationName(lat, lon) || `Lat: ${lat}, Lon: ${lon}`;
+// Agricultural indices (ET0, growing degree days, water balance, frost days, chill hours) over a date range
+rt.get("/agro", requireScope("weather:read"), validate({ query: AGRO_QUERY }), async (req, res) => {
+  const { lat: validatedLat, lon: validatedLon, range, units: unitSystem, gdd } = req.validated.query;
 
-  return {
-    current,
-    forecast,
-    location: locationName,
-    data_source: "NASA Climate Simulation",
-    nasa_mission: "Global Modeling and Assimilation Office",
-    climate_note: isDesert ? "Desert Climate Region" : "Standard Climate Region",
-    disclaimer: "Data simulated using NASA climate models and historical patterns"
-  };
-}
-
-function generateNASA_ClimateForecast(lat, lon, isDesert = false) {
-  const forecast = [];
-  const currentDate = new Date();
-  
-  for (let i = 0; i < 7; i++) {
-    const date = new Date(currentDate);
-    date.setDate(currentDate.getDate() + i);
-    const month = date.getMonth();
-    
-    const baseTemp = getRealisticTemperature(lat, isDesert);
-    const maxTemp = getRealisticMaxTemperature(lat, isDesert);
-    const minTemp = getRealisticMinTemperature(lat, isDesert);
-    const precipitation = getRealisticPrecipitation(isDesert);
-    const humidity = getRealisticHumidity(lat, isDesert);
-    const windSpeed = getRealisticWindSpeed(lat, isDesert);
-    const pressure = getRealisticPressure(lat);
-    
-    forecast.push({
-      date: date.toISOString().split('T')[0],
-      temperature: baseTemp,
-      max_temp: maxTemp,
-      min_temp: minTemp,
-      precipitation: precipitation,
-      wind_speed: windSpeed,
-      humidity: humidity,
-      pressure: pressure,
-      weather_code: getNASA_WeatherCode(precipitation, humidity),
-      conditions: getNASA_WeatherCondition(precipitation, humidity, isDesert),
-      feels_like: calculateNASA_FeelsLike(baseTemp, humidity, windSpeed, isDesert),
-      climate_note: isDesert ? "Desert Climate" : "Standard Climate",
-      model_confidence: 0.85 + Math.random() * 0.1
-    });
-  }
+  try {
+    const accumulator = createAgroAccumulator({ lat: validatedLat, gddBase: gdd.base, gddCap: gdd.cap });
+    const days = [];
+    for await (const { date, values } of iterateDailyRange(validatedLat, validatedLon, range.startDate, range.endDate, AGRO_PARAMETERS)) {
+      days.push(roundRecord(convertRecord(accumulator.add(date, values), unitSystem), unitSystem));
+    }
+    const toTemperature = value => fromMetric("temperature", value, unitSystem);
 
-  return forecast;
-}
+    const responseData = {
+      coordinates: { lat: validatedLat, lon: validatedLon },
+      start: range.startDate.toISOString().split('T')[0],
+      end: range.endDate.toISOString().split('T')[0],
+      parameters: {
+        gdd_base: toTemperature(gdd.base),
+        gdd_cap: toTemperature(gdd.cap),
+        chill_range: CHILL_RANGE.map(toTemperature)
+      },
+      days,
+      summary: roundRecord(convertRecord(accumulator.summary(), unitSystem), unitSystem),
+      methods: AGRO_METHODS,
+      data_source: "NASA POWER API (Daily)",
+      units: {
+        ...describeUnits(unitSystem),
+        evapotranspiration: `${getUnitLabel("precipitation", unitSystem)}/day`,
+        degree_days: getUnitLabel("degree_days", unitSystem),
+        chill_hours: "h"
+      },
+      timestamp: currentDate().toISOString()
+    };
 
-function generateNASA_ForecastFromPOWER(current, lat, lon, isDesert = false) {
-  const forecast = [];
-  const currentDate = new Date();
-  
-  for (let i = 0; i < 7; i++) {
-    const date = new Date(currentDate);
-    date.setDate(currentDate.getDate() + i);
-    
-    const baseTemp = current.temperature || getRealisticTemperature(lat, isDesert);
-    const tempVariation = Math.sin(i * 0.8) * 2 + (Math.random() - 0.5) * 3;
-    const windSpeed = current.wind_speed || getRealisticWindSpeed(lat, isDesert);
-    const humidity = current.humidity || getRealisticHumidity(lat, isDesert);
-    const precipitation = current.precipitation || getRealisticPrecipitation(isDesert);
-    
-    forecast.push({
-      date: date.toISOString().split('T')[0],
-      temperature: baseTemp + tempVariation,
-      max_temp: baseTemp + tempVariation + 2 + Math.random() * 2,
-      min_temp: baseTemp + tempVariation - 2 - Math.random() * 2,
-      precipitation: precipitation * (0.8 + Math.random() * 0.4),
-      wind_speed: windSpeed * (0.9 + Math.random() * 0.2),
-      humidity: humidity * (0.95 + Math.random() * 0.1),
-      pressure: (current.pressure || getRealisticPressure(lat)) * (0.99 + Math.random() * 0.02),
-      weather_code: getNASA_WeatherCode(precipitation, humidity),
-      conditions: getNASA_WeatherCondition(precipitation, humidity, isDesert),
-      feels_like: calculateNASA_FeelsLike(baseTemp + tempVariation, humidity, windSpeed, isDesert),
-      data_based_on: "NASA POWER Historical Patterns",
-      confidence: 0.75 + Math.random() * 0.2
-    });
+    applyCacheHeaders(res, "weather", responseData);
+    res.status(200).json(responseData);
+    logger.success(`Agro indices: ${range.days} days for lat: ${validatedLat}, lon: ${validatedLon}`);
+  } catch (error) {
+    sendError(res, "API_FETCH_FAILED", { reason: error.message });
   }
+});
 
-  return forecast;
-}
-
-function getNASA_ConditionsFromPOWER(params, dateStr, isDesert = false) {
-  const rawCloudCover = params.CLOUD_AMT[dateStr] ? parseFloat(params.CLOUD_AMT[dateStr]) : -999;
-  const rawPrecipitation = params.PRECTOTCORR[dateStr] ? parseFloat(params.PRECTOTCORR[dateStr]) : -999;
-  
-  const cloudCover = getValidNASAValue(rawCloudCover, getRealisticCloudCover(isDesert));
-  const precipitation = getValidNASAValue(rawPrecipitation, getRealisticPrecipitation(isDesert));
-  
-  if (precipitation > 10) return "Heavy Rain";
-  if (precipitation > 5) return "Rain";
-  if (precipitation > 2) return "Light Rain";
-  if (precipitation > 0) return "Drizzle";
-  if (cloudCover > 80) return "Overcast";
-  if (cloudCover > 50) return "Partly Cloudy";
-  if (cloudCover > 20) return "Mostly Clear";
-  
-  // Default for deserts is usually clear
-  return isDesert ? "Clear and Dry" : "Clear Sky";
-}
-
-function getNASA_WeatherCodeFromPOWER(params, dateStr) {
-  const rawPrecipitation = params.PRECTOTCORR[dateStr] ? parseFloat(params.PRECTOTCORR[dateStr]) : -999;
-  const rawCloudCover = params.CLOUD_AMT[dateStr] ? parseFloat(params.CLOUD_AMT[dateStr]) : -999;
-  
-  const precipitation = getValidNASAValue(rawPrecipitation, 0);
-  const cloudCover = getValidNASAValue(rawCloudCover, 20);
-  
-  if (precipitation > 10) return "11";
-  if (precipitation > 5) return "10";
-  if (precipitation > 2) return "09";
-  if (precipitation > 0) return "09";
-  if (cloudCover > 80) return "04";
-  if (cloudCover > 50) return "03";
-  if (cloudCover > 20) return "02";
-  return "01";
-}
+// Hourly series from the POWER hourly endpoint
+rt.get("/hourly", requireScope("weather:read"), validate({ query: HOURLY_QUERY }), async (req, res) => {
+  const { lat: validatedLat, lon: validatedLon, units: unitSystem, range, tz: timeZone } = req.validated.query;
 
-function getNASA_WeatherCode(precipitation, humidity) {
-  if (precipitation > 12) return "11";
-  if (precipitation > 6) return "10";
-  if (precipitation > 2) return "09";
-  if (precipitation > 0) return "09";
-  if (humidity > 85) return "04";
-  if (humidity > 70) return "03";
-  if (humidity > 60) return "02";
-  return "01";
-}
+  try {
+    const params = await fetchPowerHourly(validatedLat, validatedLon, range.startDate, range.endDate, { budget: createBudget() });
+    const hourly = toHourlySeries(params, timeZone).map(hour => convertRecord(hour, unitSystem));
 
-function getNASA_WeatherCondition(precipitation, humidity, isDesert = false) {
-  if (precipitation > 12) return "Thunderstorm";
-  if (precipitation > 6) return "Heavy Rain";
-  if (precipitation > 2) return "Rain";
-  if (precipitation > 0) return "Light Rain";
-  if (humidity > 85) return "Overcast";
-  if (humidity > 70) return "Mostly Cloudy";
-  if (humidity > 60) return "Partly Cloudy";
-  
-  // Desert-specific conditions
-  if (isDesert && humidity < 25) return "Clear and Dry";
-  if (isDesert && humidity < 35) return "Clear Sky";
-  if (isDesert) return "Mostly Clear";
-  
-  return "Clear Sky";
-}
+    const responseData = {
+      coordinates: { lat: validatedLat, lon: validatedLon },
+      start: range.startDate.toISOString().split('T')[0],
+      end: range.endDate.toISOString().split('T')[0],
+      time_zone: { mode: timeZone.mode, name: timeZone.name },
+      hourly,
+      missing_hours: hourly.filter(hour => hour.temperature === null).length,
+      data_source: "NASA POWER API (Hourly)",
+      units: describeUnits(unitSystem, { perHour: true }),
+      timestamp: currentDate().toISOString()
+    };
 
-function calculateNASA_FeelsLike(temp, humidity, windSpeed, isDesert = false) {
-  if (isDesert) {
-    // Desert feels-like: Dry heat feels different than humid heat
-    if (temp >= 30) {
-      const dryHeatEffect = temp + (temp - 25) * 0.1; // Dry heat feels slightly hotter
-      return dryHeatEffect;
-    } else if (temp <= 15 && windSpeed > 2) {
-      // Desert nights can feel chilly with wind
-      const windChill = 13.12 + 0.6215 * temp - 11.37 * Math.pow(windSpeed * 3.6, 0.16) + 
-                        0.3965 * temp * Math.pow(windSpeed * 3.6, 0.16);
-      return windChill;
-    }
-  } else {
-    if (temp >= 27) {
-      const heatIndex = temp + 0.5 * (humidity / 100) * (temp - 20);
-      return heatIndex;
-    } else if (temp <= 10 && windSpeed > 1.34) {
-      const windChill = 13.12 + 0.6215 * temp - 11.37 * Math.pow(windSpeed * 3.6, 0.16) + 
-                        0.3965 * temp * Math.pow(windSpeed * 3.6, 0.16);
-      return windChill;
-    }
+    applyCacheHeaders(res, "weather", responseData);
+    res.status(200).json(responseData);
+    logger.success(`Hourly series: ${hourly.length} hours for lat: ${validatedLat}, lon: ${validatedLon}`);
+  } catch (error) {
+    sendError(res, "API_FETCH_FAILED", { reason: error.message });
   }
-  return temp;
-}
+});
 
-function generateNASA_Current(lat, lon, isDesert = false) {
-  const temperature = getRealisticTemperature(lat, isDesert);
-  const humidity = getRealisticHumidity(lat, isDesert);
-  const windSpeed = getRealisticWindSpeed(lat, isDesert);
-  
-  return {
-    temperature: temperature,
-    feels_like: calculateNASA_FeelsLike(temperature, humidity, windSpeed, isDesert),
-    humidity: humidity,
-    wind_speed: windSpeed,
-    pressure: getRealisticPressure(lat),
-    conditions: isDesert ? "Clear and Dry" : "Clear Sky",
-    weather_code: "01",
-    data_quality: "NASA Climate Model"
-  };
+// Structured 503 for when no provider produced usable data (always the case in strict mode without observations)
+function buildObservedDataUnavailable(strictMode, attempts, requestId) {
+  return buildError("OBSERVED_DATA_UNAVAILABLE", { strict_mode: strictMode, provider_attempts: attempts, requestId });
 }
 
-function validateCoordinate(coord, type) {
-  if (isNaN(coord)) return null;
-  
-  if (type === 'lat') {
-    return coord >= -90 && coord <= 90 ? coord : null;
-  } else if (type === 'lon') {
-    let normalized = coord;
-    while (normalized > 180) normalized -= 360;
-    while (normalized < -180) normalized += 360;
-    return normalized;
-  }
-  return null;
+function sendObservedDataUnavailable(res, error) {
+  res.status(error.HTTP_ERR_CODE).json(error);
+  logError(res, error);
 }
 
-async function getLocationName(lat, lon) {
+async function getLocationName(lat, lon, { budget } = {}) {
   try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10`
-    );
-    
-    if (response.ok) {
-      const data = await response.json();
-      return data.display_name || null;
-    }
+    return await reverseGeocode(lat, lon, { budget });
   } catch (error) {
-    console.log(chalk.yellow(`[~] Reverse geocoding failed: ${error.message}`));
+    logger.warn(`Reverse geocoding failed: ${error.message}`);
   }
   return null;
 }
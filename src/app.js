@@ -0,0 +1,53 @@
+/**
+ * Express App - Middleware, Routers & Error Handlers (started by backend.js, imported as-is by tests)
+ */
+// REQUIRED DEPENDENCY //
+import express from "express";
+
+// VARIABLES //
+const app = express();
+
+// EXPRESS CONFIGURATION //
+import { assignRequestId, handleNotFound, handleUnexpectedError } from "./api/v1/errors/index.js";
+import { authenticate, rateLimit, createCors, resolveTrustProxy } from "./api/v1/access/index.js";
+import { recordHttpMetrics } from "./api/v1/monitoring/metrics.js";
+import { logRequests } from "./api/v1/logging/index.js";
+app.set("trust proxy", resolveTrustProxy()); // req.ip is the client behind TRUST_PROXY hops
+app.use(createCors()); // Cross-Origin for CORS_ORIGINS only
+app.use(assignRequestId); // X-Request-Id on every answer, REQUEST_ID in every error body
+app.use(logRequests); // Request ID on every log line written for the request, one access line per answer
+app.use(recordHttpMetrics); // Request counts & latency per route for /metrics
+
+/**
+ * ROUTERS ENDPOINT
+ */
+import weatherObserveRouter from "./api/v1/weather/weatherObserve.js";
+import energyRouter from "./api/v1/energy/index.js";
+import imageryRouter from "./api/v1/imagery/index.js";
+import searchUtilRouter from "./api/v1/utils/search.js";
+import alertsRouter from "./api/v1/alerts/index.js";
+import openApiRouter from "./api/v1/openapi/index.js";
+import monitoringRouter from "./api/v1/monitoring/index.js";
+
+// DEFINE ENDPOINTS TO EACH ROUTERS //
+// Data routes check the caller's API key, then its rate limit; each route checks its scope
+app.use('/api/v1/weather', authenticate, rateLimit, weatherObserveRouter);
+app.use('/api/v1/energy', authenticate, rateLimit, energyRouter);
+app.use('/api/v1/imagery', authenticate, rateLimit, imageryRouter);
+app.use('/api/v1/utils/search', authenticate, rateLimit, searchUtilRouter);
+app.use('/api/v1/alerts', authenticate, rateLimit, alertsRouter);
+app.use('/api/v1', openApiRouter); // openapi.json & docs
+
+// Monitor //
+app.use(monitoringRouter); // /healthz, /readyz & /metrics
+app.get('/api/v1/healthCheck', (req, res) => {
+  res.sendStatus(200)
+}); // kept for existing clients, same as /healthz
+
+// RETURN 404 TO NON-EXISTENT ROUTES //
+app.use(handleNotFound);
+
+// MALFORMED BODIES & UNCAUGHT ROUTE ERRORS //
+app.use(handleUnexpectedError);
+
+export default app;
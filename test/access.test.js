@@ -0,0 +1,147 @@
+/**
+ * Access Control Tests - API Keys, Scopes, Rate Limits & CORS (with keys configured)
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startTestServer } from "./helpers.js";
+
+// VARIABLES //
+const KEYS = {
+  reader: "reader-key-0123456789",
+  writer: "writer-key-0123456789",
+  alice: "alice-key-0123456789",
+  bob: "bob-key-0123456789",
+  tiny: "tiny-key-0123456789"
+};
+
+let server;
+let request;
+let expectContract;
+
+before(async () => {
+  server = await startTestServer((tmpDir) => {
+    const file = path.join(tmpDir, "api-keys.json");
+    fs.writeFileSync(file, JSON.stringify({
+      keys: [
+        { id: "reader", key: KEYS.reader, scopes: ["weather:read"] },
+        { id: "writer", key: KEYS.writer, scopes: ["*"] },
+        { id: "alice", key: KEYS.alice, scopes: ["alerts:read", "alerts:write"] },
+        { id: "bob", key: KEYS.bob, scopes: ["alerts:read", "alerts:write"] },
+        { id: "tiny", key: KEYS.tiny, scopes: ["weather:read"], rate_limit: { per_minute: 1, burst: 2 } }
+      ]
+    }));
+    return {
+      API_KEYS_FILE: file,
+      RATE_LIMIT_IP_PER_MINUTE: "60",
+      RATE_LIMIT_IP_BURST: "100",
+      CORS_ORIGINS: "https://app.example.com,http://localhost:*"
+    };
+  });
+  ({ request, expectContract } = server);
+});
+
+after(() => server.close());
+
+// API KEYS & SCOPES //
+test("anonymous callers keep the default ANONYMOUS_SCOPES and need a key for alerts", async () => {
+  await expectContract(await request("GET", "/api/v1/weather?lat=10&lon=10"), "/api/v1/weather", "get");
+  assert.equal((await request("GET", "/api/v1/utils/search?citySrch=paris")).status, 200);
+
+  const list = await request("GET", "/api/v1/alerts");
+  assert.equal(list.status, 401);
+  assert.equal((await expectContract(list, "/api/v1/alerts", "get")).ERR_CODE, "API_KEY_REQUIRED");
+  const create = await expectContract(await request("POST", "/api/v1/alerts", { body: {} }), "/api/v1/alerts", "post");
+  assert.equal(create.ERR_CODE, "API_KEY_REQUIRED");
+});
+
+test("unknown keys are refused", async () => {
+  const response = await request("GET", "/api/v1/weather?lat=10&lon=10", { headers: { "X-API-Key": "nope" } });
+  const body = await expectContract(response, "/api/v1/weather", "get");
+  assert.equal(body.ERR_CODE, "INVALID_API_KEY");
+});
+
+test("keys only reach the routes their scopes allow", async () => {
+  const headers = { "X-API-Key": KEYS.reader };
+  assert.equal((await request("GET", "/api/v1/weather?lat=10&lon=10", { headers })).status, 200);
+
+  const body = await expectContract(await request("GET", "/api/v1/alerts", { headers }), "/api/v1/alerts", "get");
+  assert.equal(body.ERR_CODE, "INSUFFICIENT_SCOPE");
+
+  const bearer = await request("GET", "/api/v1/alerts", { headers: { Authorization: `Bearer ${KEYS.writer}` } });
+  await expectContract(bearer, "/api/v1/alerts", "get");
+  assert.equal(bearer.status, 200);
+});
+
+test("alert subscriptions are only visible to the key that created them", async () => {
+  const as = name => ({ headers: { "X-API-Key": KEYS[name] } });
+  const created = await expectContract(await request("POST", "/api/v1/alerts", {
+    ...as("alice"),
+    body: { lat: 10, lon: 10, variable: "temperature", operator: "gt", threshold: 35, webhook_url: "https://hooks.example.com/alice" }
+  }), "/api/v1/alerts", "post");
+  const { id, owner } = created.subscription;
+  assert.equal(owner, "alice");
+
+  const mine = await expectContract(await request("GET", "/api/v1/alerts", as("alice")), "/api/v1/alerts", "get");
+  assert.deepEqual(mine.subscriptions.map(subscription => subscription.id), [id]);
+
+  // Another key sees nothing and cannot read or delete it
+  const theirs = await expectContract(await request("GET", "/api/v1/alerts", as("bob")), "/api/v1/alerts", "get");
+  assert.equal(theirs.count, 0);
+  const hidden = await expectContract(await request("GET", `/api/v1/alerts/${id}`, as("bob")), "/api/v1/alerts/{id}", "get");
+  assert.equal(hidden.ERR_CODE, "ALERT_NOT_FOUND");
+  const kept = await request("DELETE", `/api/v1/alerts/${id}`, as("bob"));
+  assert.equal(kept.status, 404);
+  assert.equal((await request("GET", `/api/v1/alerts/${id}`, as("alice"))).status, 200);
+
+  // "*" (like alerts:admin) reaches every subscription
+  const all = await expectContract(await request("GET", "/api/v1/alerts", as("writer")), "/api/v1/alerts", "get");
+  assert.ok(all.subscriptions.some(subscription => subscription.id === id));
+  assert.equal((await request("DELETE", `/api/v1/alerts/${id}`, as("writer"))).status, 204);
+});
+
+test("answers to keyed requests are only cacheable privately", async () => {
+  const keyed = await request("GET", "/api/v1/weather?lat=10&lon=10", { headers: { "X-API-Key": KEYS.reader } });
+  assert.equal(keyed.status, 200);
+  assert.match(keyed.headers.get("cache-control"), /^private, max-age=\d+/);
+
+  const anonymous = await request("GET", "/api/v1/weather?lat=10&lon=10");
+  assert.match(anonymous.headers.get("cache-control"), /^public, max-age=\d+/);
+});
+
+// RATE LIMITS //
+test("each key has its own token bucket and answers 429 when it is empty", async () => {
+  const headers = { "X-API-Key": KEYS.tiny };
+  const first = await request("GET", "/api/v1/weather?lat=10&lon=10", { headers });
+  assert.equal(first.headers.get("x-ratelimit-limit"), "2");
+  assert.equal(first.headers.get("x-ratelimit-remaining"), "1");
+  await request("GET", "/api/v1/weather?lat=10&lon=10", { headers });
+
+  const limited = await request("GET", "/api/v1/weather?lat=10&lon=10", { headers });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+  const body = await expectContract(limited, "/api/v1/weather", "get");
+  assert.equal(body.ERR_CODE, "RATE_LIMITED");
+
+  // Other callers are unaffected
+  assert.equal((await request("GET", "/api/v1/weather?lat=10&lon=10", { headers: { "X-API-Key": KEYS.reader } })).status, 200);
+});
+
+test("public routes are not rate limited", async () => {
+  const response = await request("GET", "/api/v1/healthCheck");
+  assert.equal(response.headers.get("x-ratelimit-limit"), null);
+});
+
+// CORS //
+test("only allow-listed origins get CORS headers", async () => {
+  const allowed = await request("GET", "/api/v1/healthCheck", { headers: { Origin: "https://app.example.com" } });
+  assert.equal(allowed.headers.get("access-control-allow-origin"), "https://app.example.com");
+  assert.match(allowed.headers.get("access-control-expose-headers"), /X-RateLimit-Remaining/);
+
+  const localhost = await request("GET", "/api/v1/healthCheck", { headers: { Origin: "http://localhost:5173" } });
+  assert.equal(localhost.headers.get("access-control-allow-origin"), "http://localhost:5173");
+
+  const other = await request("GET", "/api/v1/healthCheck", { headers: { Origin: "https://evil.example.net" } });
+  assert.equal(other.headers.get("access-control-allow-origin"), null);
+});
@@ -0,0 +1,120 @@
+/**
+ * Alert Tests - Webhook Targets On Private Networks, Redirects, Delivery Logs & Forecast Horizons
+ *
+ * Only the upstream.js stand-in is on ALERTS_WEBHOOK_ALLOW_HOSTS; every other loopback, private or
+ * link-local target is refused. Conditions are evaluated against the seeded simulation provider.
+ */
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+import { startUpstream } from "./upstream.js";
+
+let upstream;
+let server;
+let request;
+let expectContract;
+let runAlertChecks;
+let evaluateSubscription;
+let addSubscription;
+
+before(async () => {
+  upstream = await startUpstream();
+  server = await startTestServer({
+    FIXED_CLOCK: "2024-06-15T12:00:00.000Z",
+    SIMULATION_SEED: "alerts",
+    ALERTS_MAX_ATTEMPTS: "3",
+    ALERTS_RETRY_BASE_MS: "1",
+    ALERTS_WEBHOOK_ALLOW_HOSTS: new URL(upstream.baseUrl).host
+  });
+  ({ request, expectContract } = server);
+  ({ runAlertChecks, evaluateSubscription } = await import("../src/api/v1/alerts/scheduler.js"));
+  ({ addSubscription } = await import("../src/api/v1/alerts/store.js"));
+});
+
+after(async () => {
+  server.close();
+  await upstream.close();
+});
+
+beforeEach(() => upstream.reset());
+
+// A condition that holds at once, so the next check delivers
+const ALWAYS = { lat: 35.1, lon: 15.1, variable: "temperature", operator: "gt", threshold: -50, horizon: 0 };
+
+const createAlert = async webhookUrl => expectContract(
+  await request("POST", "/api/v1/alerts", { body: { ...ALWAYS, webhook_url: webhookUrl } }),
+  "/api/v1/alerts",
+  "post"
+);
+
+const deliveriesOf = async id => (await expectContract(await request("GET", `/api/v1/alerts/${id}`), "/api/v1/alerts/{id}", "get")).deliveries;
+
+// WEBHOOK TARGETS //
+test("POST /alerts refuses loopback, private, link-local and internal webhook targets", async () => {
+  const targets = [
+    "http://127.0.0.1/", "http://10.0.0.1/", "http://[::1]/", "http://169.254.169.254/latest/meta-data/",
+    "http://[::ffff:192.168.1.1]/", "http://2130706433/", "http://localhost:8080/", "http://metadata.google.internal/", "http://router/"
+  ];
+  for (const target of targets) {
+    const body = await createAlert(target);
+    assert.equal(body.ERR_CODE, "INVALID_ALERT", target);
+    assert.equal(body.ERR_DETAILS[0].field, "webhook_url");
+  }
+
+  const allowed = await createAlert("https://hooks.example.com/weather");
+  assert.equal(allowed.subscription.webhook_url, "https://hooks.example.com/weather");
+  assert.equal((await request("DELETE", `/api/v1/alerts/${allowed.subscription.id}`)).status, 204);
+});
+
+test("deliveries re-check the target and refuse private addresses without retrying", async () => {
+  // Stored before targets were checked, or edited on disk
+  addSubscription({ ...ALWAYS, id: "legacy-private", strict: false, webhook_url: "http://10.0.0.1/hook", secret: "s".repeat(32), created_at: new Date().toISOString() });
+  await runAlertChecks();
+
+  const [delivery] = await deliveriesOf("legacy-private");
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /private, loopback or link-local/);
+});
+
+test("redirects from the webhook are not followed, not even to a private host", async () => {
+  const created = await createAlert(`${upstream.baseUrl}/webhook/redirect?to=${encodeURIComponent("http://169.254.169.254/latest/meta-data/")}`);
+  await runAlertChecks();
+
+  const [delivery] = await deliveriesOf(created.subscription.id);
+  assert.equal(delivery.status, "failed");
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.status), [302]);
+  assert.equal(delivery.attempts[0].error, "Redirects are not followed");
+  assert.deepEqual(upstream.requests.map(entry => entry.path), ["/webhook/redirect"]);
+});
+
+test("allowed hosts still receive signed deliveries", async () => {
+  const created = await createAlert(upstream.webhookUrl);
+  await runAlertChecks();
+
+  const [delivery] = await deliveriesOf(created.subscription.id);
+  assert.equal(delivery.status, "delivered");
+  assert.equal(upstream.requests.filter(entry => entry.path === "/webhook").length, 1);
+});
+
+// FORECAST HORIZONS //
+test("strict subscriptions pick the forecast day by date when strict mode drops a day", async () => {
+  const day = (date, temperature, kind) => ({ date, temperature, provenance: { temperature: kind } });
+  // 2024-06-16 is simulated only, so strict mode removes it and 2024-06-17 moves up to index 1
+  const loadWeather = async () => ({
+    provider: { label: "Recorded" },
+    weatherData: {
+      current: { temperature: 20, provenance: { temperature: "observed" } },
+      forecast: [day("2024-06-15", 20, "observed"), day("2024-06-16", 30, "simulated"), day("2024-06-17", 40, "observed")]
+    }
+  });
+  const subscription = { ...ALWAYS, strict: true, variable: "temperature" };
+
+  const inTwoDays = await evaluateSubscription({ ...subscription, horizon: 2 }, loadWeather);
+  assert.equal(inTwoDays.value, 40);
+  assert.equal(inTwoDays.date, "2024-06-17");
+  await assert.rejects(evaluateSubscription({ ...subscription, horizon: 1 }, loadWeather), /No temperature value for horizon 1/);
+
+  const lenient = await evaluateSubscription({ ...subscription, strict: false, horizon: 1 }, loadWeather);
+  assert.equal(lenient.value, 30);
+});
@@ -0,0 +1,102 @@
+/**
+ * File Cache Tests - CACHE_BACKEND=file Entries On Disk, Hits, Restarts, Readiness & Pruning
+ *
+ * The cache is driven directly through cached(); a second store opened on the same CACHE_DIR stands in
+ * for a restarted process.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let request;
+let expectContract;
+let cache;
+let createFileStore;
+let cacheDir;
+
+before(async () => {
+  server = await startTestServer(tmpDir => ({
+    CACHE_BACKEND: "file",
+    CACHE_DIR: path.join(tmpDir, "cache"),
+    READYZ_REQUIRED: "cache"
+  }));
+  ({ request, expectContract } = server);
+  cache = await import("../src/api/v1/cache/index.js");
+  ({ createFileStore } = await import("../src/api/v1/cache/fileStore.js"));
+  cacheDir = process.env.CACHE_DIR;
+});
+
+after(() => server.close());
+
+const jsonFiles = () => fs.readdirSync(cacheDir).filter(name => name.endsWith(".json"));
+
+test("cached() stores loader results as files and answers hits from them", async () => {
+  let loads = 0;
+  const loader = async () => ({ loads: ++loads, values: [1, 2, 3] });
+  const key = cache.buildCacheKey("power", "10.00", "20.00", "2024-06-15");
+
+  assert.deepEqual(await cache.cached("power", key, loader), { loads: 1, values: [1, 2, 3] });
+  assert.deepEqual(await cache.cached("power", key, loader), { loads: 1, values: [1, 2, 3] });
+  assert.equal(loads, 1);
+  assert.equal(jsonFiles().length, 1);
+
+  const stats = cache.getCacheStats();
+  assert.equal(stats.backend, "file");
+  assert.ok(stats.hits >= 1);
+});
+
+test("file cache entries survive a restart", async () => {
+  const key = cache.buildCacheKey("gmao", "11.00", "21.00");
+  await cache.cached("gmao", key, async () => "kept");
+
+  const reopened = createFileStore({ dir: cacheDir });
+  const entry = await reopened.get(key);
+  assert.equal(entry.value, "kept");
+  assert.ok(entry.expiresAt > entry.storedAt);
+  assert.equal(await reopened.get("never stored"), null);
+});
+
+test("failed loads are not cached", async () => {
+  const key = cache.buildCacheKey("power", "12.00", "22.00", "2024-06-15");
+  await assert.rejects(cache.cached("power", key, async () => { throw new Error("upstream down"); }), /upstream down/);
+  assert.equal(await cache.cached("power", key, async () => "recovered"), "recovered");
+});
+
+test("GET /readyz writes and reads back through the file store", async () => {
+  const count = jsonFiles().length;
+  const body = await expectContract(await request("GET", "/readyz"), "/readyz", "get");
+  const check = body.checks.find(entry => entry.name === "cache");
+  assert.equal(check.status, "up");
+  assert.equal(jsonFiles().length, count); // the probe entry is deleted again
+});
+
+test("the file store trims its directory every few writes, oldest first", async () => {
+  const dir = path.join(server.tmpDir, "pruned");
+  const store = createFileStore({ dir, maxEntries: 3 });
+  for (let i = 0; i < 10; i++) await store.set(`key-${i}`, { value: i });
+
+  // Passes after writes 3, 6 and 9 keep three files; the tenth write waits for the next pass
+  assert.equal(store.size(), 4);
+  assert.equal((await store.get("key-9")).value, 9);
+});
+
+test("file store readers see the old or the new entry, never a partial one", async () => {
+  const store = createFileStore({ dir: path.join(server.tmpDir, "atomic") });
+  await store.set("big", { value: "old" });
+
+  const big = { value: "x".repeat(4 * 1024 * 1024) };
+  let done = false;
+  const writing = store.set("big", big).finally(() => {
+    done = true;
+  });
+  const seen = [];
+  while (!done) seen.push((await store.get("big"))?.value.length ?? null);
+  await writing;
+
+  assert.ok(seen.every(length => length === 3 || length === big.value.length), `reads saw ${[...new Set(seen)].map(String).join(", ")}`);
+  assert.equal((await store.get("big")).value.length, big.value.length);
+  assert.deepEqual(fs.readdirSync(path.join(server.tmpDir, "atomic")).filter(name => name.endsWith(".tmp")), []);
+});
@@ -0,0 +1,204 @@
+/**
+ * Contract Tests - Every Answer Must Match Its Operation In /api/v1/openapi.json
+ *
+ * Runs the app offline (see helpers.js): the global fetch always fails, so NASA POWER lookups
+ * (climate class, history, hourly) take their error paths.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+// VARIABLES //
+let server;
+let request;
+let expectContract;
+let spec;
+
+before(async () => {
+  server = await startTestServer();
+  ({ request, expectContract, spec } = server);
+});
+
+after(() => server.close());
+
+// SPEC //
+test("serves an OpenAPI 3.1 document covering the public routes", () => {
+  assert.equal(spec.openapi, "3.1.0");
+  ["/api/v1/weather", "/api/v1/weather/download", "/api/v1/utils/search", "/api/v1/healthCheck", "/healthz", "/readyz", "/metrics"].forEach((route) => {
+    assert.ok(spec.paths[route], `${route} missing`);
+  });
+  const weatherParameters = spec.paths["/api/v1/weather"].get.parameters.map(parameter => parameter.name);
+  ["lat", "lon", "thresholds", "days", "strict", "units", "temperature_unit", "lang"].forEach((name) => {
+    assert.ok(weatherParameters.includes(name), `weather parameter ${name} missing`);
+  });
+});
+
+test("serves the docs page", async () => {
+  const response = await request("GET", "/api/v1/docs");
+  const body = await expectContract(response, "/api/v1/docs", "get");
+  assert.match(body, /openapi\.json/);
+});
+
+// WEATHER //
+test("GET /weather matches WeatherResponse", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/weather?lat=48.85&lon=2.35&days=3"), "/api/v1/weather", "get");
+  assert.equal(body.forecast.length, 3);
+});
+
+test("GET /weather with thresholds and imperial units matches WeatherResponse", async () => {
+  const thresholds = encodeURIComponent(JSON.stringify({ temperature: 80, precipitation: 0.1 }));
+  const body = await expectContract(
+    await request("GET", `/api/v1/weather?lat=30&lon=31&units=imperial&lang=fr&thresholds=${thresholds}`),
+    "/api/v1/weather",
+    "get"
+  );
+  assert.ok("temperature_above" in body.probabilities);
+  assert.equal(body.units.system, "imperial");
+});
+
+test("GET /weather validation errors match Error", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/weather?lat=100&lon=2"), "/api/v1/weather", "get");
+  assert.equal(body.ERR_CODE, "INVALID_COORDINATES");
+  assert.equal(body.ERR_DETAILS[0].field, "lat");
+  assert.ok(body.REQUEST_ID);
+
+  const missing = await expectContract(await request("GET", "/api/v1/weather?lon=2"), "/api/v1/weather", "get");
+  assert.equal(missing.ERR_CODE, "QUERY_MISSING_ERR");
+});
+
+test("GET /weather wraps longitudes within one turn and rejects huge ones", async () => {
+  const wrapped = await expectContract(await request("GET", "/api/v1/weather?lat=10&lon=530&days=1"), "/api/v1/weather", "get");
+  assert.deepEqual(wrapped.coordinates, { lat: 10, lon: 170 });
+  const west = await expectContract(await request("GET", "/api/v1/weather?lat=10&lon=-200&days=1"), "/api/v1/weather", "get");
+  assert.equal(west.coordinates.lon, 160);
+
+  for (const lon of ["1e20", "-541"]) {
+    const body = await expectContract(await request("GET", `/api/v1/weather?lat=0&lon=${lon}`), "/api/v1/weather", "get");
+    assert.equal(body.ERR_CODE, "INVALID_COORDINATES", lon);
+    assert.equal(body.ERR_DETAILS[0].field, "lon");
+  }
+});
+
+test("GET /weather strict mode without observations matches Error (503)", async () => {
+  const response = await request("GET", "/api/v1/weather?lat=10&lon=10&strict=true");
+  assert.equal(response.status, 503);
+  const body = await expectContract(response, "/api/v1/weather", "get");
+  assert.equal(body.ERR_CODE, "OBSERVED_DATA_UNAVAILABLE");
+  assert.ok(Array.isArray(body.provider_attempts));
+});
+
+test("POST /weather/batch matches BatchResponse, bad bodies match Error", async () => {
+  const body = await expectContract(
+    await request("POST", "/api/v1/weather/batch", { body: { points: [{ id: "a", lat: 10, lon: 10 }, { id: "b", lat: "x", lon: 1 }], days: 2 } }),
+    "/api/v1/weather/batch",
+    "post"
+  );
+  assert.deepEqual(body.results.map(result => result.status), [200, 400]);
+
+  const malformed = await expectContract(await request("POST", "/api/v1/weather/batch", { body: "{oops" }), "/api/v1/weather/batch", "post");
+  assert.equal(malformed.ERR_CODE, "INVALID_JSON");
+});
+
+test("GET /weather/hourly upstream failure matches Error", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/weather/hourly?lat=10&lon=10"), "/api/v1/weather/hourly", "get");
+  assert.equal(body.ERR_CODE, "API_FETCH_FAILED");
+});
+
+test("GET /weather/agro rejects inverted GDD limits and matches Error upstream", async () => {
+  const invalid = await expectContract(await request("GET", "/api/v1/weather/agro?lat=10&lon=10&gdd_base=30&gdd_cap=10"), "/api/v1/weather/agro", "get");
+  assert.equal(invalid.ERR_CODE, "INVALID_PARAMETER");
+
+  const body = await expectContract(await request("GET", "/api/v1/weather/agro?lat=10&lon=10"), "/api/v1/weather/agro", "get");
+  assert.equal(body.ERR_CODE, "API_FETCH_FAILED");
+});
+
+// ENERGY //
+test("GET /energy/solar and /energy/wind errors match Error", async () => {
+  const solar = await expectContract(await request("GET", "/api/v1/energy/solar?lat=10&lon=10&window=typical_year"), "/api/v1/energy/solar", "get");
+  assert.equal(solar.ERR_CODE, "API_FETCH_FAILED");
+
+  const curve = encodeURIComponent(JSON.stringify([[5, 100], [4, 200]]));
+  const wind = await expectContract(await request("GET", `/api/v1/energy/wind?lat=10&lon=10&power_curve=${curve}`), "/api/v1/energy/wind", "get");
+  assert.equal(wind.ERR_CODE, "INVALID_POWER_CURVE");
+});
+
+// IMAGERY //
+test("GET /imagery validation and upstream errors match Error", async () => {
+  const snapshot = "/api/v1/imagery/snapshot";
+  const bbox = await expectContract(await request("GET", `${snapshot}?bbox=10,50,0,40`), snapshot, "get");
+  assert.equal(bbox.ERR_CODE, "INVALID_BBOX");
+  const layer = await expectContract(await request("GET", `${snapshot}?bbox=0,40,10,50&layer=radar`), snapshot, "get");
+  assert.equal(layer.ERR_CODE, "INVALID_LAYER");
+  const failed = await expectContract(await request("GET", `${snapshot}?bbox=0,40,10,50`), snapshot, "get");
+  assert.equal(failed.ERR_CODE, "API_FETCH_FAILED");
+
+  const tiles = "/api/v1/imagery/tiles/{layer}/{z}/{x}/{y}";
+  const tile = await expectContract(await request("GET", "/api/v1/imagery/tiles/precipitation_rate/7/0/0"), tiles, "get");
+  assert.equal(tile.ERR_CODE, "INVALID_TILE");
+  const date = await expectContract(await request("GET", "/api/v1/imagery/tiles/true_color/2/1/1?date=1999-12-31"), tiles, "get");
+  assert.equal(date.ERR_CODE, "INVALID_DATE");
+});
+
+test("GET /weather/download answers declared formats", async () => {
+  const json = await expectContract(await request("GET", "/api/v1/weather/download?lat=10&lon=10&format=json"), "/api/v1/weather/download", "get");
+  assert.ok(Array.isArray(json.forecast));
+
+  const csv = await expectContract(await request("GET", "/api/v1/weather/download?lat=10&lon=10&format=csv&days=2"), "/api/v1/weather/download", "get");
+  assert.match(csv, /^Date,/m);
+
+  const invalid = await expectContract(await request("GET", "/api/v1/weather/download?lat=10&lon=10&format=pdf"), "/api/v1/weather/download", "get");
+  assert.equal(invalid.ERR_CODE, "UNSUPPORTED_FORMAT");
+
+  // The message names every variable the download accepts
+  const unknown = await expectContract(await request("GET", "/api/v1/weather/download?lat=10&lon=10&variables=snow"), "/api/v1/weather/download", "get");
+  assert.equal(unknown.ERR_CODE, "INVALID_VARIABLES");
+  const { EXPORT_VARIABLES } = await import("../src/api/v1/weather/export/index.js");
+  const listed = unknown.ERR_MESSAGE.split(": ")[1].replace(/\.$/, "").split(", ");
+  assert.deepEqual(listed, Object.keys(EXPORT_VARIABLES));
+});
+
+// SEARCH //
+test("GET /utils/search matches SearchResponse and Error", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/utils/search?citySrch=paris"), "/api/v1/utils/search", "get");
+  assert.deepEqual(body.results, []);
+
+  const missing = await expectContract(await request("GET", "/api/v1/utils/search"), "/api/v1/utils/search", "get");
+  assert.equal(missing.ERR_CODE, "CITY_QUERY_MISSING");
+});
+
+// ALERTS //
+test("alert subscriptions match AlertSubscription", async () => {
+  const created = await expectContract(
+    await request("POST", "/api/v1/alerts", {
+      body: { lat: 10, lon: 10, variable: "temperature", operator: "gt", threshold: 35, webhook_url: "https://hooks.example.com/alerts" }
+    }),
+    "/api/v1/alerts",
+    "post"
+  );
+  const { id } = created.subscription;
+
+  await expectContract(await request("GET", "/api/v1/alerts"), "/api/v1/alerts", "get");
+  await expectContract(await request("GET", `/api/v1/alerts/${id}`), "/api/v1/alerts/{id}", "get");
+  await expectContract(await request("DELETE", `/api/v1/alerts/${id}`), "/api/v1/alerts/{id}", "delete");
+
+  const gone = await expectContract(await request("GET", `/api/v1/alerts/${id}`), "/api/v1/alerts/{id}", "get");
+  assert.equal(gone.ERR_CODE, "ALERT_NOT_FOUND");
+
+  const invalid = await expectContract(await request("POST", "/api/v1/alerts", { body: { lat: 10 } }), "/api/v1/alerts", "post");
+  assert.equal(invalid.ERR_CODE, "INVALID_ALERT");
+});
+
+// MONITORING //
+test("GET /healthCheck matches the spec", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/healthCheck"), "/api/v1/healthCheck", "get");
+  assert.equal(body, "OK");
+});
+
+test("unknown routes answer the Error shape", async () => {
+  const response = await request("GET", "/api/v1/nope");
+  assert.equal(response.status, 404);
+  const body = await response.json();
+  const validate = server.ajv.compile({ $ref: "openapi.json#/components/schemas/Error" });
+  assert.ok(validate(body), server.ajv.errorsText(validate.errors));
+  assert.equal(body.ERR_CODE, "NON_EXISTENT_ENDPOINT");
+});
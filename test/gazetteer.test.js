@@ -0,0 +1,61 @@
+/**
+ * Gazetteer Tests - Local GeoNames Search, Localized Names & Reverse Lookups
+ *
+ * fixtures/geonames holds a five-line cities file (Munich, Berlin, Münster, Paris FR, Paris TX) and
+ * an alternate names extract with preferred, colloquial, historic and pseudo-language (post) rows.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let request;
+let expectContract;
+
+before(async () => {
+  server = await startTestServer({
+    GEOCODER_BACKENDS: "gazetteer",
+    GAZETTEER_FILE: fileURLToPath(new URL("./fixtures/geonames/cities.txt", import.meta.url)),
+    GAZETTEER_ALTERNATE_NAMES: fileURLToPath(new URL("./fixtures/geonames/alternateNames.txt", import.meta.url)),
+    FIXED_CLOCK: "2024-06-15T12:00:00.000Z"
+  });
+  ({ request, expectContract } = server);
+});
+
+after(() => server.close());
+
+const search = async query => expectContract(await request("GET", `/api/v1/utils/search?${query}`), "/api/v1/utils/search", "get");
+
+test("GET /utils/search matches names, prefixes, alternates and typos", async () => {
+  const paris = await search("citySrch=paris");
+  assert.equal(paris.backend, "gazetteer");
+  assert.deepEqual(paris.results.map(result => result.name), ["Paris, FR", "Paris, US"]);
+  assert.equal(paris.results[0].type, "capital");
+  assert.equal(paris.results[0].bbox_estimated, true);
+
+  assert.deepEqual((await search("citySrch=paris&country=us")).results.map(result => result.country_code), ["us"]);
+  assert.equal((await search("citySrch=mun&limit=1")).results[0].name, "Munich, DE");
+  assert.equal((await search("citySrch=m%C3%BCnchen")).results[0].name, "Munich, DE");
+  assert.equal((await search("citySrch=berlim")).results[0].name, "Berlin, DE");
+  assert.deepEqual((await search("citySrch=paris&near=33.6,-95.5")).results.map(result => result.country_code), ["us", "fr"]);
+});
+
+test("GET /utils/search names places in the requested language", async () => {
+  assert.equal((await search("citySrch=munich&lang=de")).results[0].name, "München, DE");
+  assert.equal((await search("citySrch=munich&lang=de-CH")).results[0].name, "München, DE");
+  assert.equal((await search("citySrch=munich&lang=fr,it")).results[0].name, "Monaco di Baviera, DE");
+  assert.equal((await search("citySrch=paris&lang=it&limit=1")).results[0].name, "Parigi, FR");
+  // No French name, and the historic Latin one is skipped: the GeoNames name stays
+  assert.equal((await search("citySrch=munich&lang=fr")).results[0].name, "Munich, DE");
+  assert.equal((await search("citySrch=munich&lang=la")).results[0].name, "Munich, DE");
+  assert.equal((await search("citySrch=munich")).results[0].name, "Munich, DE");
+});
+
+test("GET /weather names the location after the nearest gazetteer place", async () => {
+  const near = await expectContract(await request("GET", "/api/v1/weather?lat=48.2&lon=11.6&days=1"), "/api/v1/weather", "get");
+  assert.equal(near.location, "Munich, DE");
+
+  const far = await expectContract(await request("GET", "/api/v1/weather?lat=40&lon=0&days=1"), "/api/v1/weather", "get");
+  assert.equal(far.location, "Lat: 40, Lon: 0");
+});
@@ -0,0 +1,86 @@
+/**
+ * Test Helpers - Offline App Server & OpenAPI Contract Checks
+ *
+ * Modules read their environment when first imported, so every test file calls startTestServer()
+ * with its own env before anything from src/ is loaded (node --test runs each file in its own process).
+ * The app's fetch only reaches 127.0.0.1, where upstream.js serves recorded NASA responses.
+ */
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Ajv2020 from "ajv/dist/2020.js";
+
+// The tests talk to the server with the real fetch; the app's fetch refuses everything but local stand-ins
+const realFetch = globalThis.fetch;
+const isLocal = input => String(input?.url ?? input).startsWith("http://127.0.0.1:");
+
+const pointer = parts => parts.map(part => String(part).replace(/~/g, "~0").replace(/\//g, "~1")).join("/");
+
+// Simulation provider only, memory cache, no geocoder, no DEM and no network, plus whatever `env` adds
+async function startTestServer(env = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-test-"));
+  Object.assign(process.env, {
+    WEATHER_PROVIDERS: "simulation",
+    CACHE_BACKEND: "memory",
+    GEOCODER_BACKENDS: "gazetteer",
+    GAZETTEER_FILE: "",
+    HISTORY_DIR: path.join(tmpDir, "history"),
+    IMAGERY_CACHE_DIR: path.join(tmpDir, "imagery"),
+    DEM_FILE: path.join(tmpDir, "dem.asc"),
+    ALERTS_FILE: path.join(tmpDir, "alerts.json"),
+    ALERTS_INTERVAL_MS: "0",
+    STRICT_MODE: "false",
+    RATE_LIMIT_IP_PER_MINUTE: "0",
+    ...(typeof env === "function" ? env(tmpDir) : env)
+  });
+  globalThis.fetch = async (input, init) => {
+    if (isLocal(input)) return realFetch(input, init);
+    throw new Error("network disabled in tests");
+  };
+
+  const { default: app } = await import("../src/app.js");
+  const server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = (method, url, { body, headers = {} } = {}) => realFetch(`${baseUrl}${url}`, {
+    method,
+    headers: { ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+    ...(body !== undefined ? { body: typeof body === "string" ? body : JSON.stringify(body) } : {})
+  });
+
+  const spec = await (await request("GET", "/api/v1/openapi.json")).json();
+  const ajv = new Ajv2020({ strict: false, validateFormats: false, allErrors: true });
+  ajv.addSchema(spec, "openapi.json");
+
+  // Status declared, media type declared, body matches the schema; returns the parsed body
+  const expectContract = async (response, specPath, method) => {
+    const label = `${method.toUpperCase()} ${specPath}`;
+    const operation = spec.paths[specPath]?.[method];
+    assert.ok(operation, `${label} is not in the spec`);
+    const declared = operation.responses[String(response.status)];
+    assert.ok(declared, `${label} answered ${response.status}, which the spec does not declare`);
+    if (!declared.content) return null;
+
+    const mediaType = (response.headers.get("content-type") || "").split(";")[0].trim();
+    assert.ok(declared.content[mediaType], `${label} ${response.status} sent ${mediaType}, not declared`);
+    const text = await response.text();
+    const body = mediaType.endsWith("json") ? JSON.parse(text) : text;
+
+    const validate = ajv.compile({
+      $ref: `openapi.json#/${pointer(["paths", specPath, method, "responses", String(response.status), "content", mediaType, "schema"])}`
+    });
+    assert.ok(validate(body), `${label} ${response.status} drifted from the spec:\n${ajv.errorsText(validate.errors, { separator: "\n" })}`);
+    return body;
+  };
+
+  const close = () => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  };
+
+  return { app, baseUrl, request, spec, ajv, expectContract, close, tmpDir };
+}
+
+export { startTestServer };
@@ -0,0 +1,514 @@
+/**
+ * Integration Tests - Every Route & Every Fallback Path Against Recorded Upstream Answers
+ *
+ * The app talks to the stand-in from upstream.js instead of NASA and Nominatim. The clock is frozen
+ * on the day the POWER fixtures were recorded and the simulation is seeded, so every answer is
+ * reproducible. Each test uses its own coordinates so cached provider results never leak between tests.
+ */
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { startTestServer } from "./helpers.js";
+import { startUpstream } from "./upstream.js";
+
+// VARIABLES //
+const CLOCK = "2024-06-15T12:00:00.000Z";
+const COOLDOWN_MS = 1000;
+
+let upstream;
+let server;
+let request;
+let expectContract;
+let resetCircuits;
+let setClock;
+
+before(async () => {
+  upstream = await startUpstream();
+  server = await startTestServer({
+    ...upstream.env,
+    WEATHER_PROVIDERS: "power,gmao,worldview,simulation",
+    GEOCODER_BACKENDS: "nominatim",
+    NOMINATIM_MIN_INTERVAL_MS: "1",
+    NOMINATIM_MAX_QUEUE: "2",
+    READYZ_REQUIRED: "cache,power",
+    FIXED_CLOCK: CLOCK,
+    SIMULATION_SEED: "integration",
+    HISTORY_YEARS: "1",
+    HTTP_TIMEOUT_MS: "800",
+    HTTP_RETRY_BASE_MS: "10",
+    UPSTREAM_BUDGET_MS: "1500",
+    CIRCUIT_FAILURE_THRESHOLD: "3",
+    CIRCUIT_COOLDOWN_MS: String(COOLDOWN_MS),
+    ALERTS_MAX_ATTEMPTS: "1",
+    ALERTS_WEBHOOK_ALLOW_HOSTS: new URL(upstream.baseUrl).host,
+    DEM_FILE: fileURLToPath(new URL("./fixtures/dem.asc", import.meta.url))
+  });
+  ({ request, expectContract } = server);
+  ({ resetCircuits } = await import("../src/api/v1/http/circuitBreaker.js"));
+  ({ setClock } = await import("../src/api/v1/weather/clock.js"));
+});
+
+after(async () => {
+  server.close();
+  await upstream.close();
+});
+
+beforeEach(() => {
+  upstream.reset();
+  resetCircuits();
+});
+
+const getWeather = async (query) => {
+  const response = await request("GET", `/api/v1/weather?${query}`);
+  return { status: response.status, body: await expectContract(response, "/api/v1/weather", "get") };
+};
+
+const attemptsByProvider = body => Object.fromEntries(body.provider_attempts.map(attempt => [attempt.provider, attempt]));
+const upstreamCalls = service => upstream.requests.filter(entry => entry.service === service);
+
+// FALLBACK CHAIN //
+test("POWER answers with observed values for the frozen day", async () => {
+  const { status, body } = await getWeather("lat=48.85&lon=2.35&days=3");
+  assert.equal(status, 200);
+  assert.equal(body.data_source, "NASA POWER API");
+  assert.equal(body.data_provenance, "observed");
+  assert.equal(body.timestamp, CLOCK);
+  assert.equal(body.current.observed_at, "2024-06-13T23:00:00.000Z"); // last valid hour of the hourly fixture
+  assert.equal(body.forecast[0].date, "2024-06-15");
+  assert.equal(body.forecast[0].temperature, 18.64); // the daily T2M, not the 14.29 °C of the latest hour
+  assert.equal(body.location, "Paris, Île-de-France, France métropolitaine, France");
+  assert.equal(body.climate_class.code, "Cfb");
+  assert.equal(attemptsByProvider(body).power.status, "success");
+  assert.equal(attemptsByProvider(body).power.circuit, "closed");
+
+  const daily = upstreamCalls("power")[0];
+  assert.equal(daily.query.start, "20240615");
+  assert.equal(daily.headers["user-agent"], "NASA-Weather-App/1.0");
+  assert.equal(upstreamCalls("power_history")[0].query.start, "20230101");
+});
+
+test("POWER -999 fill values are gap-filled and labelled", async () => {
+  upstream.setScenario("power", "gaps");
+  const { body } = await getWeather("lat=47.1&lon=3.1");
+  assert.equal(body.data_source, "NASA POWER API");
+  assert.equal(body.current.provenance.cloud_cover, "gap_filled");
+  assert.equal(body.current.provenance.solar_radiation, "gap_filled");
+  assert.equal(body.current.solar_radiation, null);
+  assert.equal(body.current.provenance.temperature, "observed");
+});
+
+test("POWER zeros are observed readings, not gaps", async () => {
+  upstream.setScenario("power", "dry");
+  const { body } = await getWeather("lat=47.6&lon=3.6&strict=true");
+  assert.equal(body.data_provenance, "observed");
+  assert.equal(body.current.cloud_cover, "0%");
+  assert.equal(body.current.provenance.cloud_cover, "observed");
+  assert.equal(body.current.temperature_min, 0);
+  assert.equal(body.current.provenance.temperature_min, "observed");
+  assert.equal(body.current.conditions, "Clear Sky");
+});
+
+test("POWER 5xx is retried, then GMAO answers", async () => {
+  upstream.setScenario("power", "error");
+  const { body } = await getWeather("lat=46.1&lon=4.1");
+  assert.equal(body.data_source, "NASA GMAO Forecast API");
+  assert.equal(upstreamCalls("power").length, 3); // first attempt + HTTP_RETRIES
+  const { power, gmao } = attemptsByProvider(body);
+  assert.equal(power.status, "failed");
+  assert.match(power.reason, /NASA POWER HTTP error: 500/);
+  assert.equal(gmao.status, "success");
+  assert.equal(body.current.provenance.temperature, "observed");
+  assert.equal(body.forecast[3].provenance.humidity, "gap_filled"); // null in the GMAO fixture
+  assert.equal(body.forecast[2].precipitation, 0); // a dry day, not a gap
+  assert.equal(body.forecast[2].provenance.precipitation, "observed");
+});
+
+test("POWER 429, 503 and invalid JSON all fall through to GMAO", async () => {
+  for (const [scenario, reason, lon] of [["rate_limited", /429/, 5.1], ["unavailable", /503/, 5.2], ["invalid", /invalid JSON/, 5.3]]) {
+    upstream.setScenario("power", scenario);
+    const { body } = await getWeather(`lat=45.1&lon=${lon}`);
+    assert.equal(body.data_source, "NASA GMAO Forecast API", scenario);
+    assert.match(attemptsByProvider(body).power.reason, reason);
+  }
+});
+
+test("a flaky POWER succeeds on its retry", async () => {
+  upstream.setScenario("power", "flaky");
+  const { body } = await getWeather("lat=44.1&lon=6.1");
+  assert.equal(body.data_source, "NASA POWER API");
+  assert.equal(upstreamCalls("power").length, 2);
+  assert.equal(body.provider_attempts.length, 1);
+});
+
+test("POWER and GMAO down -> Worldview climatology, all down -> simulation", async () => {
+  upstream.setScenario("power", "error");
+  upstream.setScenario("gmao", "unavailable");
+  const worldview = (await getWeather("lat=43.1&lon=7.1")).body;
+  assert.equal(worldview.data_source, "Climatology Estimate (NASA Worldview Imagery Check)");
+  assert.equal(worldview.data_provenance, "simulated");
+  assert.equal(upstreamCalls("worldview")[0].query.TIME, "2024-06-15");
+
+  upstream.setScenario("worldview", "error");
+  const simulated = (await getWeather("lat=42.1&lon=8.1")).body;
+  assert.equal(simulated.data_source, "NASA Climate Simulation");
+  assert.deepEqual(simulated.provider_attempts.map(attempt => attempt.status), ["failed", "failed", "failed", "success"]);
+  assert.equal(attemptsByProvider(simulated).simulation.circuit, undefined);
+});
+
+test("strict mode answers 503 when only synthetic providers are left", async () => {
+  ["power", "gmao"].forEach(service => upstream.setScenario(service, "error"));
+  const { status, body } = await getWeather("lat=41.1&lon=9.1&strict=true");
+  assert.equal(status, 503);
+  assert.equal(body.ERR_CODE, "OBSERVED_DATA_UNAVAILABLE");
+  assert.deepEqual(body.provider_attempts.map(attempt => attempt.status), ["failed", "failed", "skipped", "skipped"]);
+});
+
+// RESILIENCE //
+test("a hung upstream times out and the budget skips what is left", async () => {
+  upstream.setScenario("power", "hang");
+  upstream.setScenario("gmao", "hang");
+  const startedAt = Date.now();
+  const { body } = await getWeather("lat=40.1&lon=10.1");
+  assert.ok(Date.now() - startedAt < 3000, "the request budget was not enforced");
+
+  const { power, gmao, worldview } = attemptsByProvider(body);
+  assert.match(power.reason, /timed out after 800 ms/);
+  assert.match(gmao.reason, /timed out|budget/);
+  assert.equal(worldview.status, "skipped");
+  assert.match(worldview.reason, /budget of 1500 ms exhausted/);
+  assert.equal(upstreamCalls("power").length, 1); // timeouts are not retried
+  assert.equal(body.data_source, "NASA Climate Simulation");
+  // The reverse lookup shares the spent budget instead of starting a request of its own
+  assert.equal(body.location, "Lat: 40.1, Lon: 10.1");
+  assert.equal(upstreamCalls("nominatim").length, 0);
+});
+
+test("repeated POWER failures open its circuit, a trial request closes it again", async () => {
+  upstream.setScenario("power", "error");
+  for (const lon of [11.1, 11.2, 11.3]) {
+    assert.equal(attemptsByProvider((await getWeather(`lat=39.1&lon=${lon}`)).body).power.status, "failed");
+  }
+  const callsWhenOpened = upstreamCalls("power").length;
+
+  const skipped = (await getWeather("lat=39.1&lon=11.4")).body;
+  const power = attemptsByProvider(skipped).power;
+  assert.equal(power.status, "skipped");
+  assert.equal(power.circuit, "open");
+  assert.match(power.reason, /^Circuit open until /);
+  assert.equal(skipped.data_source, "NASA GMAO Forecast API");
+  assert.equal(upstreamCalls("power").length, callsWhenOpened);
+
+  const metrics = await (await request("GET", "/metrics")).text();
+  assert.match(metrics, /circuit_breaker_state\{provider="power",state="open"\} 1/);
+  assert.match(metrics, /circuit_breaker_state\{provider="gmao",state="closed"\} 1/);
+
+  upstream.setScenario("power", "ok");
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 100));
+  const recovered = (await getWeather("lat=39.1&lon=11.5")).body;
+  assert.equal(recovered.data_source, "NASA POWER API");
+  assert.equal(attemptsByProvider(recovered).power.circuit, "closed");
+});
+
+test("a request without budget left does not use up the half-open trial", async () => {
+  const { fetchWeather } = await import("../src/api/v1/weather/providers/index.js");
+  const { createBudget } = await import("../src/api/v1/http/index.js");
+  upstream.setScenario("power", "error");
+  for (const lon of [12.1, 12.2, 12.3]) await getWeather(`lat=38.1&lon=${lon}`);
+  upstream.setScenario("power", "ok");
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 100));
+
+  const starved = await fetchWeather({ lat: 38.1, lon: 12.4, climateClass: "Csa", days: 1, budget: createBudget(0) });
+  const power = starved.attempts.find(attempt => attempt.provider === "power");
+  assert.match(power.reason, /budget of 0 ms exhausted/);
+  const callsBefore = upstreamCalls("power").length;
+
+  const probed = (await getWeather("lat=38.1&lon=12.5")).body;
+  assert.ok(upstreamCalls("power").length > callsBefore, "the next request did not probe POWER");
+  assert.equal(probed.data_source, "NASA POWER API");
+  assert.equal(attemptsByProvider(probed).power.circuit, "closed");
+});
+
+// DETERMINISM //
+test("a seeded simulation gives the same answer for the same point and day", async () => {
+  ["power", "gmao", "worldview"].forEach(service => upstream.setScenario(service, "error"));
+  const first = (await getWeather("lat=-33.9&lon=18.4&days=5")).body;
+  const second = (await getWeather("lat=-33.9&lon=18.4&days=5")).body;
+  const other = (await getWeather("lat=-33.9&lon=18.5&days=5")).body;
+
+  assert.equal(first.data_source, "NASA Climate Simulation");
+  assert.deepEqual(second.current, first.current);
+  assert.deepEqual(second.forecast, first.forecast);
+  assert.notDeepEqual(other.forecast, first.forecast);
+  assert.equal(first.forecast[0].date, "2024-06-15");
+
+  // The seed covers the day too: moving the clock changes the draw
+  setClock("2024-06-16T12:00:00Z");
+  try {
+    const nextDay = (await getWeather("lat=-33.9&lon=18.4&days=5")).body;
+    assert.equal(nextDay.forecast[0].date, "2024-06-16");
+    assert.notDeepEqual(nextDay.current, first.current);
+  } finally {
+    setClock(CLOCK);
+  }
+});
+
+// ASTRONOMY //
+test("current and forecast days carry sun times, the moon and a UV estimate", async () => {
+  const { body } = await getWeather("lat=48.9&lon=2.4&days=2");
+  const current = body.current.astronomy;
+  // The clock's instant, not the older observed_at of the hourly record
+  assert.equal(body.current.observed_at, "2024-06-13T23:00:00.000Z");
+  assert.equal(current.solar_noon.slice(0, 10), "2024-06-15");
+  assert.equal(current.is_day, true);
+  assert.ok(current.sun.elevation > 50);
+  assert.ok(current.uv_index > 0);
+  assert.equal(current.polar, null);
+
+  const day = body.forecast[0].astronomy;
+  assert.equal(day.sunrise, "2024-06-15T03:46:00.000Z");
+  assert.equal(day.sunset, "2024-06-15T19:56:00.000Z");
+  assert.equal(day.day_length, 970);
+  assert.ok(day.civil_dawn < day.sunrise && day.civil_dusk > day.sunset);
+  assert.ok(day.uv_index_clear_sky > 7 && day.uv_index_max <= day.uv_index_clear_sky);
+  assert.equal(day.moon.age, body.forecast[1].astronomy.moon.age - 1);
+});
+
+test("polar day has no sunrise or sunset", async () => {
+  const { body } = await getWeather("lat=78.2&lon=15.6&days=1");
+  const day = body.forecast[0].astronomy;
+  assert.equal(day.polar, "day");
+  assert.equal(day.sunrise, null);
+  assert.equal(day.sunset, null);
+  assert.equal(day.day_length, 1440);
+});
+
+// OTHER ROUTES //
+test("temperatures follow the DEM elevation of the point, surface pressure is reduced to sea level", async () => {
+  // fixtures/dem.asc covers 29.5..31.5°N, 18.75..20.75°E; POWER's point geometry puts the cell at 47.13 m
+  const mountain = (await getWeather("lat=30.5&lon=19.5&days=1")).body;
+  const offGrid = (await getWeather("lat=30.5&lon=22.5&days=1")).body;
+
+  assert.deepEqual(mountain.elevation, {
+    point: 837.5,
+    grid_cell: 47.1,
+    grid_cell_source: "provider",
+    lapse_rate: 6.5,
+    temperature_offset: -5.14,
+    pressure_level: "sea_level"
+  });
+  assert.equal(offGrid.elevation.point, null);
+  assert.equal(offGrid.elevation.temperature_offset, null);
+  assert.ok(Math.abs(mountain.current.temperature - (offGrid.current.temperature - 5.14)) <= 0.1);
+  assert.ok(Math.abs(mountain.forecast[0].max_temp - (offGrid.forecast[0].max_temp - 5.14)) <= 0.1);
+
+  // PS is 100.83 kPa at 47 m that day, about 6 hPa more at sea level; the same for every point of the cell
+  assert.ok(mountain.current.pressure > 1012 && mountain.current.pressure < 1016);
+  assert.equal(mountain.current.pressure, offGrid.current.pressure);
+
+  // Lengths follow the precipitation unit, the offset and lapse rate the temperature unit
+  const imperial = (await getWeather("lat=30.5&lon=19.5&days=1&units=imperial")).body;
+  assert.deepEqual(imperial.elevation, {
+    point: 2748,
+    grid_cell: 155,
+    grid_cell_source: "provider",
+    lapse_rate: 3.57,
+    temperature_offset: -9.25,
+    pressure_level: "sea_level"
+  });
+  assert.equal(imperial.units.elevation, "ft");
+  assert.equal(imperial.units.lapse_rate, "°F/1000 ft");
+  assert.equal(mountain.units.lapse_rate, "°C/km");
+});
+
+test("POST /weather/batch shares one POWER fetch per grid cell", async () => {
+  const response = await request("POST", "/api/v1/weather/batch", { body: { points: [{ id: "a", lat: 38.1, lon: 12.1 }, { id: "b", lat: 37.8, lon: 11.6 }], days: 2 } });
+  const body = await expectContract(response, "/api/v1/weather/batch", "post");
+  assert.deepEqual(body.results.map(result => result.data.data_source), ["NASA POWER API", "NASA POWER API"]);
+  assert.equal(body.summary.grid_cells, 1);
+  assert.equal(upstreamCalls("power").length, 1);
+
+  // Same document as GET /weather for the point, astronomy included
+  const [a, b] = body.results.map(result => result.data);
+  const single = await expectContract(await request("GET", "/api/v1/weather?lat=37.8&lon=11.6&days=2"), "/api/v1/weather", "get");
+  assert.deepEqual(b.current.astronomy, single.current.astronomy);
+  assert.deepEqual(b.forecast, single.forecast);
+  assert.equal(b.current.temperature, single.current.temperature);
+  assert.notDeepEqual(a.current.astronomy, b.current.astronomy);
+});
+
+test("GET /weather/hourly keeps -999 hours as gaps", async () => {
+  const response = await request("GET", "/api/v1/weather/hourly?lat=37.1&lon=13.1&start=2024-06-12&end=2024-06-14");
+  const body = await expectContract(response, "/api/v1/weather/hourly", "get");
+  assert.equal(body.hourly.length, 72);
+  assert.equal(body.missing_hours, 24);
+  assert.equal(body.hourly[0].time, "2024-06-12T00:00:00Z");
+  assert.equal(body.hourly[71].temperature, null);
+});
+
+test("GET /weather/download exports the forecast and a historical range", async () => {
+  const forecast = await expectContract(await request("GET", "/api/v1/weather/download?lat=36.1&lon=14.1&format=csv&days=2"), "/api/v1/weather/download", "get");
+  assert.match(forecast, /^2024-06-15,/m);
+
+  const range = await expectContract(await request("GET", "/api/v1/weather/download?lat=36.1&lon=14.1&format=csv&start=2023-06-10&end=2023-06-14"), "/api/v1/weather/download", "get");
+  const rows = range.split("\n").filter(line => /^2023-06-1\d,/.test(line));
+  assert.equal(rows.length, 5);
+  assert.ok(upstreamCalls("power_history").some(call => call.query.start === "20230610" && call.query.end === "20230614"));
+});
+
+test("GET /weather/agro accumulates indices over the POWER daily range", async () => {
+  const response = await request("GET", "/api/v1/weather/agro?lat=34.1&lon=16.1&start=2023-06-01&end=2023-06-10");
+  const body = await expectContract(response, "/api/v1/weather/agro", "get");
+  assert.equal(body.days.length, 10);
+  assert.equal(body.summary.days, 10);
+  assert.ok(body.days.every(day => day.et0 > 0 && day.gdd >= 0));
+  assert.equal(body.summary.et0_estimated_radiation_days, 0);
+  assert.equal(body.days[9].gdd_cumulative, body.summary.gdd_total);
+  assert.equal(body.summary.water_balance, Math.round((body.summary.precipitation_total - body.summary.et0_total) * 10) / 10);
+  assert.deepEqual(body.parameters, { gdd_base: 10, gdd_cap: 30, chill_range: [0, 7.2] });
+  assert.ok(upstreamCalls("power_history").some(call => call.query.parameters.includes("ALLSKY_SFC_SW_DWN")));
+
+  const imperial = await expectContract(
+    await request("GET", "/api/v1/weather/agro?lat=34.1&lon=16.1&start=2023-06-01&end=2023-06-10&units=imperial&gdd_base=50&gdd_cap=86"),
+    "/api/v1/weather/agro",
+    "get"
+  );
+  assert.equal(imperial.units.degree_days, "°F·d");
+  assert.ok(Math.abs(imperial.summary.gdd_total - body.summary.gdd_total * 1.8) < 0.2);
+});
+
+test("GET /weather/download exports agricultural indices over the default range", async () => {
+  const csv = await expectContract(await request("GET", "/api/v1/weather/download?lat=34.1&lon=16.1&format=csv&variables=et0,gdd_cumulative,frost_day"), "/api/v1/weather/download", "get");
+  assert.match(csv, /^Date,ET0_mm,GDD_Cumulative_Cd,Frost_Day$/m);
+  assert.ok(upstreamCalls("power_history").some(call => call.query.start === "20240516" && call.query.end === "20240615"));
+});
+
+test("GET /energy/solar estimates daily yield over a historical window and a typical year", async () => {
+  const historical = await expectContract(
+    await request("GET", "/api/v1/energy/solar?lat=33.1&lon=17.1&start=2023-06-01&end=2023-06-30&capacity=5"),
+    "/api/v1/energy/solar",
+    "get"
+  );
+  assert.equal(historical.daily.length, 30);
+  assert.deepEqual(historical.monthly.map(row => [row.year, row.month, row.days]), [[2023, 6, 30]]);
+  assert.deepEqual({ tilt: historical.system.tilt, azimuth: historical.system.azimuth }, { tilt: 33, azimuth: 180 });
+  assert.ok(historical.daily.every(day => day.energy > 0 && day.energy < 5 * day.plane_of_array_irradiation));
+  assert.ok(historical.summary.performance_ratio > 0.6 && historical.summary.performance_ratio < 0.9);
+
+  const typical = await expectContract(await request("GET", "/api/v1/energy/solar?lat=33.1&lon=17.1&window=typical_year"), "/api/v1/energy/solar", "get");
+  assert.equal(typical.daily, undefined);
+  assert.equal(typical.monthly.length, 12);
+  assert.equal(typical.summary.days, 365);
+  const june = typical.monthly[5].energy;
+  const december = typical.monthly[11].energy;
+  assert.ok(june > december);
+  assert.ok(upstreamCalls("power_climatology").some(call => call.query.parameters.includes("ALLSKY_SFC_SW_DWN")));
+});
+
+test("GET /energy/wind runs the power curve at hub height", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/energy/wind?lat=32.1&lon=18.1&start=2023-06-01&end=2023-06-10"), "/api/v1/energy/wind", "get");
+  assert.equal(body.daily.length, 10);
+  assert.equal(body.turbine.rated_power, 2000);
+  assert.ok(body.daily.every(day => day.wind_speed_hub > day.wind_speed_50m && day.capacity_factor >= 0 && day.capacity_factor <= 1));
+
+  const curve = encodeURIComponent(JSON.stringify([[3, 0], [12, 3000], [25, 3000]]));
+  const taller = await expectContract(
+    await request("GET", `/api/v1/energy/wind?lat=32.1&lon=18.1&start=2023-06-01&end=2023-06-10&hub_height=150&power_curve=${curve}`),
+    "/api/v1/energy/wind",
+    "get"
+  );
+  assert.equal(taller.turbine.rated_power, 3000);
+  assert.ok(taller.daily[0].wind_speed_hub > body.daily[0].wind_speed_hub);
+
+  const typical = await expectContract(await request("GET", "/api/v1/energy/wind?lat=32.1&lon=18.1&window=typical_year"), "/api/v1/energy/wind", "get");
+  assert.equal(typical.summary.days, 365);
+  assert.equal(typical.summary.full_load_hours, Math.round(typical.summary.energy / 2000 * 10) / 10);
+});
+
+test("GET /imagery/snapshot proxies a GIBS WMS image and keeps it on disk", async () => {
+  const url = "/api/v1/imagery/snapshot?bbox=2,48,4,49&date=2024-06-10";
+  const first = await request("GET", url);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("content-type"), "image/jpeg");
+  assert.equal(first.headers.get("x-imagery-layer"), "MODIS_Terra_CorrectedReflectance_TrueColor");
+  assert.match(first.headers.get("cache-control"), /max-age=604800/); // an archived day
+  await expectContract(first, "/api/v1/imagery/snapshot", "get");
+
+  const [wms] = upstreamCalls("gibs");
+  assert.equal(wms.query.BBOX, "48,2,49,4");
+  assert.equal(wms.query.WIDTH, "512");
+  assert.equal(wms.query.HEIGHT, "256");
+  assert.equal(wms.query.TIME, "2024-06-10");
+
+  const second = await request("GET", url);
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get("etag"), first.headers.get("etag"));
+  assert.equal(upstreamCalls("gibs").length, 1);
+});
+
+test("GET /imagery/tiles serves a WMTS tile of the latest complete day", async () => {
+  const response = await request("GET", "/api/v1/imagery/tiles/precipitation_rate/3/4/2");
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "image/png");
+  assert.equal(response.headers.get("x-imagery-date"), "2024-06-14");
+  assert.match(response.headers.get("cache-control"), /max-age=3600/);
+  await expectContract(response, "/api/v1/imagery/tiles/{layer}/{z}/{x}/{y}", "get");
+  assert.equal(upstreamCalls("gibs")[0].path, "/gibs/wmts/IMERG_Precipitation_Rate/default/2024-06-14/GoogleMapsCompatible_Level6/3/2/4.png");
+});
+
+test("GIBS ServiceExceptions answer IMAGERY_UNAVAILABLE, other failures API_FETCH_FAILED", async () => {
+  upstream.setScenario("gibs", "no_imagery");
+  const missing = await request("GET", "/api/v1/imagery/tiles/cloud_top_temperature/1/0/0?date=2024-06-01");
+  assert.equal(missing.status, 404);
+  assert.equal((await expectContract(missing, "/api/v1/imagery/tiles/{layer}/{z}/{x}/{y}", "get")).ERR_CODE, "IMAGERY_UNAVAILABLE");
+
+  upstream.setScenario("gibs", "invalid");
+  const failed = await request("GET", "/api/v1/imagery/tiles/cloud_top_temperature/1/1/0?date=2024-06-01");
+  assert.equal((await expectContract(failed, "/api/v1/imagery/tiles/{layer}/{z}/{x}/{y}", "get")).ERR_CODE, "API_FETCH_FAILED");
+});
+
+test("GET /utils/search answers from Nominatim", async () => {
+  const body = await expectContract(await request("GET", "/api/v1/utils/search?citySrch=Paris&limit=2"), "/api/v1/utils/search", "get");
+  assert.equal(body.results[0].source, "nominatim");
+  assert.equal(body.results[0].country_code, "fr");
+  assert.equal(upstreamCalls("nominatim")[0].query.q.toLowerCase(), "paris");
+});
+
+test("GET /weather skips the place name while the Nominatim queue is full", async () => {
+  upstream.setScenario("nominatim", "hang");
+  // One lookup hangs upstream until HTTP_TIMEOUT_MS, two more wait behind it: the queue is full
+  const searches = ["lyon", "nice", "metz"].map(query => request("GET", `/api/v1/utils/search?citySrch=${query}`));
+  while (upstreamCalls("nominatim").length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+  const { body } = await getWeather("lat=33.1&lon=21.1&days=1");
+  assert.equal(body.location, "Lat: 33.1, Lon: 21.1");
+  assert.equal(upstreamCalls("nominatim").length, 1); // answered without queueing behind the hung lookup
+
+  const statuses = (await Promise.all(searches)).map(response => response.status);
+  assert.ok(statuses.every(status => status >= 500));
+});
+
+test("a triggered alert is delivered to its webhook, signed", async () => {
+  const created = await expectContract(
+    await request("POST", "/api/v1/alerts", {
+      body: { lat: 35.1, lon: 15.1, variable: "temperature", operator: "gt", threshold: -50, horizon: 0, webhook_url: upstream.webhookUrl }
+    }),
+    "/api/v1/alerts",
+    "post"
+  );
+  const { runAlertChecks } = await import("../src/api/v1/alerts/scheduler.js");
+  await runAlertChecks();
+
+  const [delivery] = upstreamCalls("webhook");
+  assert.match(delivery.headers["x-alert-signature"], /^sha256=[0-9a-f]{64}$/);
+  const payload = JSON.parse(delivery.body);
+  assert.equal(payload.event, "alert.triggered");
+  assert.equal(payload.subscription_id, created.subscription.id);
+  assert.equal(payload.observed.data_source, "NASA POWER API");
+  assert.equal(payload.sent_at, CLOCK);
+});
+
+test("GET /readyz is ready when every upstream answers", async () => {
+  const body = await expectContract(await request("GET", "/readyz"), "/readyz", "get");
+  assert.equal(body.status, "ready");
+  assert.deepEqual(body.checks.map(check => check.name).sort(), ["cache", "gmao", "nominatim", "power", "worldview"]);
+});
@@ -0,0 +1,53 @@
+/**
+ * Logging Tests - JSON Lines Carry The Request ID Into Upstream Calls & Fallback Decisions
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+// VARIABLES //
+let server;
+const lines = [];
+
+before(async () => {
+  server = await startTestServer({
+    WEATHER_PROVIDERS: "power,simulation",
+    LOG_FORMAT: "json",
+    LOG_LEVEL: "debug"
+  });
+  const { setLogWriter } = await import("../src/api/v1/logging/index.js");
+  setLogWriter(line => lines.push(JSON.parse(line)));
+});
+
+after(() => server.close());
+
+test("lines written while handling a request carry its X-Request-Id", async () => {
+  const response = await server.request("GET", "/api/v1/weather?lat=10&lon=10", { headers: { "X-Request-Id": "log-test-1" } });
+  assert.equal(response.status, 200);
+  await response.arrayBuffer();
+
+  const own = lines.filter(line => line.request_id === "log-test-1");
+  own.forEach((line) => {
+    assert.ok(line.time && line.level && line.msg, `incomplete line ${JSON.stringify(line)}`);
+  });
+
+  const powerUrl = own.find(line => line.msg.startsWith("NASA POWER URL"));
+  assert.equal(powerUrl.level, "debug");
+  assert.match(powerUrl.url, /^https:\/\/power\.larc\.nasa\.gov\//);
+
+  const answered = own.find(line => line.provider === "simulation" && line.fallback !== undefined);
+  assert.equal(answered.level, "info");
+  assert.equal(answered.fallback, true);
+  assert.deepEqual(answered.failed_providers, ["power"]);
+
+  const access = own.find(line => line.path === "/api/v1/weather?lat=10&lon=10");
+  assert.equal(access.status, 200);
+  assert.equal(typeof access.duration_ms, "number");
+});
+
+test("client errors log as warnings with their ERR_CODE", async () => {
+  await server.request("GET", "/api/v1/weather?lat=500&lon=10", { headers: { "X-Request-Id": "log-test-2" } });
+  const warning = lines.find(line => line.request_id === "log-test-2" && line.err_code);
+  assert.equal(warning.level, "warn");
+  assert.equal(warning.err_code, "INVALID_COORDINATES");
+});
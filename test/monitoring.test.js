@@ -0,0 +1,77 @@
+/**
+ * Monitoring Tests - /healthz, /readyz Probes & Prometheus /metrics
+ *
+ * POWER and Nominatim are in the chains but the network is disabled, so their probes and
+ * fetches fail while the cache and the simulation provider keep working.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+// VARIABLES //
+let server;
+let request;
+let expectContract;
+
+before(async () => {
+  server = await startTestServer({
+    WEATHER_PROVIDERS: "power,simulation",
+    GEOCODER_BACKENDS: "gazetteer,nominatim",
+    READYZ_REQUIRED: "cache,power"
+  });
+  ({ request, expectContract } = server);
+});
+
+after(() => server.close());
+
+// Value of one sample line, e.g. sample(text, 'http_requests_total{method="GET",route="/healthz",status="200"}')
+const sample = (text, series) => {
+  const line = text.split("\n").find(entry => entry.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : null;
+};
+
+// LIVENESS & READINESS //
+test("GET /healthz answers without checking dependencies", async () => {
+  const body = await expectContract(await request("GET", "/healthz"), "/healthz", "get");
+  assert.equal(body.status, "ok");
+  assert.equal((await request("POST", "/api/v1/healthCheck")).status, 404);
+});
+
+test("GET /readyz reports every dependency and 503 when a required one is down", async () => {
+  const response = await request("GET", "/readyz");
+  assert.equal(response.status, 503);
+  const body = await expectContract(response, "/readyz", "get");
+  assert.equal(body.status, "not_ready");
+
+  const byName = Object.fromEntries(body.checks.map(check => [check.name, check]));
+  assert.deepEqual(Object.keys(byName).sort(), ["cache", "nominatim", "power"]);
+  assert.equal(byName.cache.status, "up");
+  assert.ok(byName.cache.last_success_at);
+  assert.equal(byName.power.status, "down");
+  assert.equal(byName.power.required, true);
+  assert.match(byName.power.error, /network disabled/);
+  assert.equal(byName.nominatim.required, false);
+
+  // Cached: the second call reuses the same probe results
+  const again = await (await request("GET", "/readyz")).json();
+  assert.deepEqual(again.checks.map(check => check.last_checked_at), body.checks.map(check => check.last_checked_at));
+});
+
+// METRICS //
+test("GET /metrics exposes request, upstream, fallback and cache series", async () => {
+  await request("GET", "/api/v1/weather?lat=10&lon=10");
+  await request("GET", "/api/v1/nope");
+
+  const response = await request("GET", "/metrics");
+  const text = await expectContract(response, "/metrics", "get");
+  assert.match(response.headers.get("content-type"), /version=0\.0\.4/);
+
+  assert.equal(sample(text, 'http_requests_total{method="GET",route="/api/v1/weather",status="200"}'), 1);
+  assert.equal(sample(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+  assert.equal(sample(text, 'http_request_duration_seconds_count{method="GET",route="/api/v1/weather"}'), 1);
+  assert.equal(sample(text, 'upstream_requests_total{kind="weather",provider="power",outcome="failed"}'), 1);
+  assert.equal(sample(text, 'upstream_requests_total{kind="weather",provider="simulation",outcome="success"}'), 1);
+  assert.equal(sample(text, 'weather_simulation_fallbacks_total{provider="simulation"}'), 1);
+  assert.ok(sample(text, "cache_hit_ratio") >= 0);
+  assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+});
@@ -0,0 +1,86 @@
+/**
+ * NetCDF Provider Tests - Local Model Files Through WEATHER_PROVIDERS=netcdf
+ *
+ * fixtures/netcdf holds two tiny classic NetCDF-3 files on a 2 x 2 grid (30..31°N, 19..20°E), six-hourly:
+ * surface.nc (2024-06-15/16) has only the surface pressure PS, sea-level.nc (2024-06-17/18) has SLP too.
+ * Both carry T2M = 295.15 K + step + 1 K per degree north + 2 K per degree east, RH2M = 40 % + 5 % per
+ * step, 3/4 m/s wind, no rain and PS = 900 hPa. The files are copied into NETCDF_DIR as each test needs them.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startTestServer } from "./helpers.js";
+
+// VARIABLES //
+const FIXTURES = fileURLToPath(new URL("./fixtures/netcdf/", import.meta.url));
+
+let server;
+let request;
+let expectContract;
+let setClock;
+let netcdfDir;
+
+before(async () => {
+  server = await startTestServer(tmpDir => ({
+    WEATHER_PROVIDERS: "netcdf",
+    NETCDF_DIR: path.join(tmpDir, "netcdf"),
+    FIXED_CLOCK: "2024-06-15T12:00:00.000Z",
+    DEM_FILE: fileURLToPath(new URL("./fixtures/dem.asc", import.meta.url))
+  }));
+  ({ request, expectContract } = server);
+  ({ setClock } = await import("../src/api/v1/weather/clock.js"));
+  netcdfDir = process.env.NETCDF_DIR;
+  fs.mkdirSync(netcdfDir);
+});
+
+after(() => {
+  server.close();
+});
+
+const copyFixture = name => fs.copyFileSync(path.join(FIXTURES, name), path.join(netcdfDir, name));
+
+const getWeather = async query => expectContract(await request("GET", `/api/v1/weather?${query}`), "/api/v1/weather", "get");
+
+test("GET /weather reads the NetCDF files and reduces surface-only pressure to sea level", async () => {
+  copyFixture("surface.nc");
+  const body = await getWeather("lat=30&lon=19&days=2");
+
+  assert.equal(body.data_source, "Local NetCDF Model Files");
+  assert.deepEqual(body.current.source_files, ["surface.nc"]);
+  assert.deepEqual(body.forecast.map(day => day.date), ["2024-06-15", "2024-06-16"]);
+  assert.equal(body.current.provenance.temperature, "observed");
+  // 12:00 is the third step at the grid node: 297.15 K, moved to the point's elevation
+  assert.equal(body.current.temperature, Math.round((24 + body.elevation.temperature_offset) * 100) / 100);
+  assert.equal(body.current.humidity, "50%");
+  assert.equal(body.current.wind_speed, 5);
+  assert.equal(body.current.precipitation, 0);
+  assert.equal(body.current.provenance.precipitation, "observed");
+
+  // PS is 900 hPa at the cell's surface; the response reports it at sea level
+  assert.equal(body.current.provenance.pressure, "observed");
+  assert.equal(body.elevation.pressure_level, "sea_level");
+  assert.ok(body.elevation.grid_cell > 0);
+  assert.ok(body.current.pressure > 950 && body.current.pressure < 1013, `pressure ${body.current.pressure}`);
+  assert.equal(body.forecast[0].pressure > 950, true);
+});
+
+test("GET /weather prefers a sea-level pressure field over PS", async () => {
+  copyFixture("surface.nc");
+  copyFixture("sea-level.nc");
+  setClock("2024-06-17T12:00:00Z");
+  try {
+    const body = await getWeather("lat=30.5&lon=19.5&days=2");
+
+    assert.deepEqual(body.current.source_files, ["surface.nc", "sea-level.nc"]);
+    assert.deepEqual(body.forecast.map(day => day.date), ["2024-06-17", "2024-06-18"]);
+    // SLP is reported as is, never reduced a second time
+    assert.equal(body.current.pressure, 1013.2);
+    assert.equal(body.forecast[1].pressure, 1013.2);
+    assert.equal(body.current.provenance.pressure, "observed");
+    assert.equal(body.elevation.pressure_level, "sea_level");
+  } finally {
+    setClock("2024-06-15T12:00:00.000Z");
+  }
+});
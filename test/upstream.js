@@ -0,0 +1,201 @@
+/**
+ * Upstream Stand-In - Local HTTP Server Replaying Recorded NASA POWER, GMAO, Worldview, GIBS & Nominatim Answers
+ *
+ * Fixtures live in test/fixtures/upstream/. POWER answers are trimmed to the requested start/end
+ * the way the real API does, so one recording serves every range inside it.
+ *
+ * Each service answers according to its scenario (setScenario(service, scenario)):
+ *   ok            the recorded answer
+ *   gaps          power only: the recording with -999 fill values
+ *   dry           power only: the recording with real zeros (no rain, clear sky, 0 °C minimum)
+ *   error         500
+ *   unavailable   503
+ *   rate_limited  429 with Retry-After: 0
+ *   flaky         500 once, then the recorded answer
+ *   hang          never answers (until close())
+ *   invalid       200 with an HTML body
+ *   no_imagery    gibs only: 200 with a WMS ServiceException, as GIBS answers for days it has nothing for
+ *
+ * Services: power (single day), power_history (date ranges), power_hourly, power_climatology,
+ * gmao, worldview, gibs (WMS snapshots and WMTS tiles, any layer), nominatim, webhook (records alert deliveries;
+ * /webhook/redirect?to=<url> answers 302 to `to`).
+ */
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// VARIABLES //
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "upstream");
+const readFixture = name => fs.readFileSync(path.join(FIXTURES, name));
+const readJsonFixture = name => JSON.parse(readFixture(name).toString("utf-8"));
+
+// Keep only the POWER dates (YYYYMMDD or YYYYMMDDHH keys) from start to end
+function trimPowerRange(recording, start, end) {
+  if (!start || !end) return recording;
+  const parameter = Object.fromEntries(Object.entries(recording.properties.parameter).map(([name, series]) => [
+    name,
+    Object.fromEntries(Object.entries(series).filter(([key]) => key.slice(0, 8) >= start && key.slice(0, 8) <= end))
+  ]));
+  return { ...recording, header: { ...recording.header, start, end }, properties: { ...recording.properties, parameter } };
+}
+
+// GIBS imagery in the requested format; the same picture serves every layer, area and tile
+function gibsImage(extension, scenario) {
+  if (scenario === "no_imagery") {
+    return {
+      type: "application/vnd.ogc.se_xml",
+      body: '<?xml version="1.0"?><ServiceExceptionReport version="1.3.0"><ServiceException code="InvalidDimensionValue">Time is out of range for layer</ServiceException></ServiceExceptionReport>'
+    };
+  }
+  return extension === "png" ? { type: "image/png", body: readFixture("gibs.png") } : { type: "image/jpeg", body: readFixture("worldview.jpg") };
+}
+
+// Path -> service name; /power/daily serves both single days (power) and ranges (power_history)
+const SERVICES = {
+  "/power/hourly": "power_hourly",
+  "/power/climatology": "power_climatology",
+  "/gmao": "gmao",
+  "/worldview": "worldview",
+  "/gibs/wms": "gibs",
+  "/nominatim/search": "nominatim",
+  "/nominatim/reverse": "nominatim",
+  "/nominatim/status": "nominatim",
+  "/webhook": "webhook",
+  "/webhook/redirect": "webhook"
+};
+
+function serviceOf(url) {
+  if (url.pathname === "/power/daily") {
+    return url.searchParams.get("start") === url.searchParams.get("end") ? "power" : "power_history";
+  }
+  if (url.pathname.startsWith("/gibs/wmts/")) return "gibs";
+  return SERVICES[url.pathname] || null;
+}
+
+// The recorded answer for a path + query
+function recordedAnswer(url, scenario) {
+  const query = Object.fromEntries(url.searchParams);
+  const json = body => ({ type: "application/json", body: JSON.stringify(body) });
+
+  switch (url.pathname) {
+    case "/power/daily":
+      if (query.start === query.end) {
+        const recording = { gaps: "power-daily-gaps.json", dry: "power-daily-dry.json" }[scenario] || "power-daily.json";
+        return json(trimPowerRange(readJsonFixture(recording), query.start, query.end));
+      }
+      return json(trimPowerRange(readJsonFixture("power-history.json"), query.start, query.end));
+    case "/power/hourly":
+      return json(trimPowerRange(readJsonFixture("power-hourly.json"), query.start, query.end));
+    case "/power/climatology":
+      return json(readJsonFixture("power-climatology.json"));
+    case "/gmao":
+      return json(readJsonFixture("gmao.json"));
+    case "/worldview":
+      return { type: "image/jpeg", body: readFixture("worldview.jpg") };
+    case "/gibs/wms":
+      return gibsImage(query.FORMAT === "image/png" ? "png" : "jpg", scenario);
+    case "/nominatim/search":
+      return json(readJsonFixture("nominatim-search.json"));
+    case "/nominatim/reverse":
+      return json(readJsonFixture("nominatim-reverse.json"));
+    case "/nominatim/status":
+      return { type: "text/plain", body: "OK" };
+    case "/webhook":
+      return { status: 204 };
+    case "/webhook/redirect":
+      return { status: 302, headers: { Location: query.to } };
+    default:
+      if (url.pathname.startsWith("/gibs/wmts/")) return gibsImage(path.extname(url.pathname).slice(1), scenario);
+      return { status: 404, type: "text/plain", body: "not recorded" };
+  }
+}
+
+function startUpstream() {
+  const scenarios = new Map();
+  const failedOnce = new Set();
+  const requests = [];
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      const service = serviceOf(url);
+      const scenario = scenarios.get(service) || "ok";
+
+      requests.push({
+        service,
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: chunks.length ? Buffer.concat(chunks).toString("utf-8") : null,
+        scenario
+      });
+
+      if (scenario === "hang") return;
+      if (scenario === "flaky" && !failedOnce.has(service)) {
+        failedOnce.add(service);
+        res.writeHead(500).end();
+        return;
+      }
+      if (["error", "unavailable", "rate_limited"].includes(scenario)) {
+        const status = { error: 500, unavailable: 503, rate_limited: 429 }[scenario];
+        res.writeHead(status, scenario === "rate_limited" ? { "Retry-After": "0" } : {}).end();
+        return;
+      }
+      if (scenario === "invalid") {
+        res.writeHead(200, { "Content-Type": "text/html" }).end("<html><body>Service maintenance</body></html>");
+        return;
+      }
+
+      const answer = recordedAnswer(url, scenario);
+      res.writeHead(answer.status || 200, { ...(answer.type ? { "Content-Type": answer.type } : {}), ...answer.headers });
+      res.end(req.method === "HEAD" ? undefined : answer.body);
+    });
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        // Point the app at the stand-in; pass to startTestServer before src/ is imported
+        env: {
+          NASA_API_POWER: `${baseUrl}/power/daily`,
+          NASA_API_POWER_HOURLY: `${baseUrl}/power/hourly`,
+          NASA_API_POWER_CLIMATOLOGY: `${baseUrl}/power/climatology`,
+          NASA_API_GMAO: `${baseUrl}/gmao`,
+          NASA_API_WORLDVIEW: `${baseUrl}/worldview`,
+          NASA_API_GIBS: `${baseUrl}/gibs/wms`,
+          NASA_API_GIBS_WMTS: `${baseUrl}/gibs/wmts`,
+          NOMINATIM_URL: `${baseUrl}/nominatim`
+        },
+        webhookUrl: `${baseUrl}/webhook`,
+        requests,
+        setScenario(service, scenario) {
+          scenarios.set(service, scenario);
+          failedOnce.delete(service);
+        },
+        // Every service back to "ok" and an empty request log
+        reset() {
+          scenarios.clear();
+          failedOnce.clear();
+          requests.length = 0;
+        },
+        close() {
+          sockets.forEach(socket => socket.destroy());
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+export { startUpstream };